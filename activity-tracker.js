@@ -0,0 +1,221 @@
+/**
+ * activity-tracker.js - Buffers place activity and sends it to the backend in batches
+ *
+ * Views, dwell times, clicks, saves, dismissals and likes are collected and
+ * sent to /me/activity/batch every few seconds, when enough have piled up,
+ * or when the page is hidden. A backend without the batch endpoint gets them
+ * one by one on /me/activity instead. Unsent events are kept in localStorage,
+ * so a reload or a dropped connection does not lose them.
+ */
+
+'use strict';
+
+class ActivityTracker {
+  constructor(options = {}) {
+    this.options = {
+      storageKey: 'st_activity_buffer',
+      flushInterval: 15000, // Ms an event may wait before its batch goes out
+      batchSize: 50, // Events per request; a full batch goes out at once
+      maxSize: 1000, // Oldest events are dropped beyond this
+      minRetryDelay: 5000,
+      maxRetryDelay: 300000,
+      ...options
+    };
+
+    this.events = this.load();
+    this.flushTimer = null;
+    this.retryCount = 0;
+    this.flushing = false;
+    this.singleSends = false; // The backend has no batch endpoint: send events one by one
+
+    // Bind methods
+    this.flush = this.flush.bind(this);
+    this.handleOnline = this.handleOnline.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+
+    window.addEventListener('online', this.handleOnline);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    window.addEventListener('pagehide', this.handlePageHide);
+
+    if (this.events.length) this.scheduleFlush(this.options.flushInterval);
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.options.storageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.warn('Cannot read activity buffer:', error);
+      return [];
+    }
+  }
+
+  persist() {
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify(this.events));
+    } catch (error) {
+      console.warn('Cannot persist activity buffer:', error);
+    }
+  }
+
+  // Buffer one event. activityType is e.g. 'viewed', 'dwell', 'clicked',
+  // 'saved', 'dismissed', 'liked', 'disliked' or 'arrived'.
+  track(placeId, activityType, metadata = {}) {
+    this.events.push({
+      place_id: placeId,
+      activity_type: activityType,
+      metadata: Object.assign({ timestamp: new Date().toISOString() }, metadata)
+    });
+
+    if (this.events.length > this.options.maxSize) {
+      const dropped = this.events.length - this.options.maxSize;
+      this.events.splice(0, dropped);
+      console.warn(`Activity buffer full, dropped ${dropped} oldest event(s)`);
+    }
+    this.persist();
+
+    if (this.events.length >= this.options.batchSize) {
+      this.flush();
+    } else {
+      this.scheduleFlush(this.options.flushInterval);
+    }
+  }
+
+  // Number of events waiting to be sent
+  size() {
+    return this.events.length;
+  }
+
+  // Send buffered events in batches until none are left or a batch fails.
+  // options.keepalive lets the last requests outlive the page.
+  async flush(options = {}) {
+    if (this.flushing || this.events.length === 0) return true;
+    if (navigator.onLine === false) return false;
+    if (!window.api || !window.api.getToken()) return false;
+
+    this.flushing = true;
+    this.clearFlush();
+
+    try {
+      while (this.events.length > 0) {
+        const batch = this.events.slice(0, this.options.batchSize);
+        if (this.singleSends) {
+          if (!(await this.sendEach(batch, options))) {
+            this.scheduleRetry();
+            return false;
+          }
+          continue;
+        }
+
+        const response = await window.api.trackActivities(batch, { keepalive: options.keepalive === true });
+
+        if (response.error) {
+          if (response.status === 404 || response.status === 405) {
+            console.warn('No batch activity endpoint here, sending events one by one');
+            this.singleSends = true;
+            continue;
+          }
+          // Malformed events will never be accepted; do not retry them forever
+          if (response.kind === 'validation') {
+            console.warn('Dropping activity the server rejected:', response.error);
+            this.remove(batch);
+            continue;
+          }
+          console.warn('Failed to send activity:', response.error);
+          this.scheduleRetry();
+          return false;
+        }
+
+        this.remove(batch);
+      }
+
+      this.retryCount = 0;
+      return true;
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  // Send events through the single-event endpoint; false once one should be retried
+  async sendEach(batch, options) {
+    for (const event of batch) {
+      const response = await window.api.trackActivity(
+        event.place_id, event.activity_type, event.metadata, { keepalive: options.keepalive === true }
+      );
+      if (response.error && response.kind !== 'validation') {
+        console.warn('Failed to send activity:', response.error);
+        return false;
+      }
+      if (response.error) console.warn('Dropping activity the server rejected:', response.error);
+      this.remove([event]);
+    }
+    return true;
+  }
+
+  // Events may have been added or dropped while a batch was out
+  remove(batch) {
+    const sent = new Set(batch);
+    this.events = this.events.filter(event => !sent.has(event));
+    this.persist();
+  }
+
+  scheduleFlush(delay) {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  clearFlush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  // Retry later with exponential backoff and jitter
+  scheduleRetry() {
+    const base = Math.min(
+      this.options.maxRetryDelay,
+      this.options.minRetryDelay * Math.pow(2, this.retryCount)
+    );
+    this.retryCount++;
+    this.scheduleFlush(Math.round(base / 2 + Math.random() * base / 2));
+  }
+
+  handleOnline() {
+    this.clearFlush();
+    this.retryCount = 0;
+    this.flush();
+  }
+
+  // The page may never come back from being hidden, so send what there is
+  handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') this.flush({ keepalive: true });
+  }
+
+  handlePageHide() {
+    this.flush({ keepalive: true });
+  }
+
+  // Drop everything, e.g. when the user logs out
+  clear() {
+    this.clearFlush();
+    this.events = [];
+    this.persist();
+  }
+
+  destroy() {
+    this.clearFlush();
+    window.removeEventListener('online', this.handleOnline);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('pagehide', this.handlePageHide);
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.ActivityTracker = ActivityTracker;
+}
@@ -9,6 +9,8 @@ window.BASE_URL = window.BASE_URL || 'https://tritech-backend-1w10.onrender.com'
 window.TOKEN_KEY = 'st_token';
 
 const BASE_URL = window.BASE_URL;
+const USER_KEY = 'st_user';
+const REFRESH_TOKEN_KEY = 'st_refresh_token';
 
 // Helper: safe JSON parse
 function safeParse(text) {
@@ -19,11 +21,163 @@ function safeParse(text) {
   }
 }
 
-// Core request function
-async function request(method, path, body = null, opts = {}) {
+// Error kinds returned in { error, kind, status, fields, body, attempts }
+const ERROR_KINDS = {
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  AUTH: 'auth',
+  VALIDATION: 'validation',
+  CLIENT: 'client',
+  SERVER: 'server',
+  CANCELLED: 'cancelled' // opts.signal aborted the request
+};
+
+// Helper: map an HTTP status to an error kind
+function kindForStatus(status) {
+  if (status === 401 || status === 403) return ERROR_KINDS.AUTH;
+  if (status === 400 || status === 409 || status === 422) return ERROR_KINDS.VALIDATION;
+  if (status === 408) return ERROR_KINDS.TIMEOUT;
+  if (status >= 500) return ERROR_KINDS.SERVER;
+  return ERROR_KINDS.CLIENT;
+}
+
+// Helper: collect { field: message } from the validation body shapes we see
+// ({ errors: { email: '...' } }, express-validator arrays, FastAPI `detail` lists)
+function extractFieldErrors(body) {
+  if (!body || typeof body !== 'object') return {};
+  
+  const fields = {};
+  const source = body.errors || body.fields || (Array.isArray(body.detail) ? body.detail : null);
+  
+  if (Array.isArray(source)) {
+    source.forEach(item => {
+      if (!item || typeof item !== 'object') return;
+      let field = item.field || item.param || item.path;
+      if (!field && Array.isArray(item.loc)) field = item.loc[item.loc.length - 1];
+      if (field && !fields[field]) fields[field] = item.message || item.msg || 'Invalid value';
+    });
+  } else if (source && typeof source === 'object') {
+    Object.keys(source).forEach(field => {
+      const value = source[field];
+      fields[field] = Array.isArray(value) ? String(value[0]) : String(value);
+    });
+  } else if (body.field) {
+    fields[body.field] = body.error || body.message || 'Invalid value';
+  }
+  
+  return fields;
+}
+
+// Helper: build the error object every failed call resolves to
+function buildError(kind, message, status = null, body = null) {
+  return {
+    error: message,
+    kind,
+    status,
+    fields: extractFieldErrors(body),
+    body
+  };
+}
+
+// Helper: human-readable message from an error response
+function messageFromBody(json, text, status) {
+  if (json && typeof json === 'object') {
+    if (typeof json.error === 'string') return json.error;
+    if (typeof json.message === 'string') return json.message;
+    if (typeof json.detail === 'string') return json.detail;
+  }
+  return text || `Request failed with status ${status}`;
+}
+
+// Retry policy: idempotent methods retry by default, others only when opted in
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const RETRY_DEFAULTS = {
+  retries: 2,
+  minDelay: 500,
+  maxDelay: 8000,
+  maxRetryAfter: 30000 // Give up rather than wait longer than this for Retry-After
+};
+
+// Identical GETs currently on the wire, keyed by method + url + token
+const inflight = new Map();
+
+// Helper: normalise opts.retry (undefined | boolean | number | object) into a policy
+function resolveRetryPolicy(method, retry) {
+  if (retry === false) {
+    return Object.assign({}, RETRY_DEFAULTS, { retries: 0 });
+  }
+  if (retry === undefined || retry === null) {
+    const retries = IDEMPOTENT_METHODS.includes(method) ? RETRY_DEFAULTS.retries : 0;
+    return Object.assign({}, RETRY_DEFAULTS, { retries });
+  }
+  if (retry === true) {
+    return Object.assign({}, RETRY_DEFAULTS);
+  }
+  if (typeof retry === 'number') {
+    return Object.assign({}, RETRY_DEFAULTS, { retries: retry });
+  }
+  return Object.assign({}, RETRY_DEFAULTS, retry);
+}
+
+// Helper: exponential backoff with full jitter
+function backoffDelay(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelay, policy.minDelay * Math.pow(2, attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+// Helper: Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Helper: fetch() through XMLHttpRequest, which can report upload progress.
+// Resolves to the parts of a Response that attempt() reads.
+function fetchWithProgress(url, init, onUploadProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const aborted = () => Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+    
+    xhr.open(init.method, url);
+    xhr.withCredentials = init.credentials === 'include';
+    Object.keys(init.headers).forEach(name => xhr.setRequestHeader(name, init.headers[name]));
+    
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) onUploadProgress({ loaded: event.loaded, total: event.total });
+    };
+    xhr.onload = () => resolve({
+      ok: xhr.status >= 200 && xhr.status < 300,
+      status: xhr.status,
+      headers: { get: (name) => xhr.getResponseHeader(name) },
+      text: async () => xhr.responseText
+    });
+    xhr.onerror = () => reject(new TypeError('Network request failed'));
+    xhr.onabort = () => reject(aborted());
+    
+    if (init.signal.aborted) {
+      reject(aborted());
+      return;
+    }
+    init.signal.addEventListener('abort', () => xhr.abort());
+    xhr.send(init.body === undefined ? null : init.body);
+  });
+}
+
+// Single attempt: resolves to { result, retryable, retryAfter }
+async function attempt(method, path, body, opts) {
   const url = BASE_URL + path;
   const timeout = opts.timeout || 15000;
-  const token = opts.token || localStorage.getItem(window.TOKEN_KEY) || null;
+  const token = opts.skipAuth ? null : (opts.token || localStorage.getItem(window.TOKEN_KEY) || null);
   
   const headers = Object.assign({}, opts.headers || {});
   
@@ -37,6 +191,13 @@ async function request(method, path, body = null, opts = {}) {
 
   const controller = new AbortController();
   const id = setTimeout(() => controller.abort(), timeout);
+  
+  // The caller can give up too
+  const cancel = () => controller.abort();
+  if (opts.signal) {
+    if (opts.signal.aborted) controller.abort();
+    opts.signal.addEventListener('abort', cancel);
+  }
 
   const fetchOpts = {
     method,
@@ -45,32 +206,295 @@ async function request(method, path, body = null, opts = {}) {
     credentials: 'include'
   };
 
+  // Lets a request sent as the page closes finish anyway
+  if (opts.keepalive) {
+    fetchOpts.keepalive = true;
+  }
+
   if (body !== null) {
     fetchOpts.body = (body instanceof FormData) ? body : JSON.stringify(body);
   }
 
   try {
-    const res = await fetch(url, fetchOpts);
+    const res = opts.onUploadProgress
+      ? await fetchWithProgress(url, fetchOpts, opts.onUploadProgress)
+      : await fetch(url, fetchOpts);
     clearTimeout(id);
     const text = await res.text();
     const json = safeParse(text);
 
     if (res.ok) {
-      return json !== null ? json : { ok: true };
+      return { result: json !== null ? json : { ok: true }, retryable: false };
     }
 
     // Return error response
-    return json || { error: text || `Request failed with status ${res.status}` };
+    return {
+      result: buildError(
+        kindForStatus(res.status),
+        messageFromBody(json, text, res.status),
+        res.status,
+        json !== null ? json : text
+      ),
+      retryable: RETRYABLE_STATUSES.includes(res.status),
+      retryAfter: parseRetryAfter(res.headers.get('Retry-After'))
+    };
   } catch (err) {
     clearTimeout(id);
+    if (err.name === 'AbortError' && opts.signal && opts.signal.aborted) {
+      return { result: buildError(ERROR_KINDS.CANCELLED, 'Request cancelled'), retryable: false };
+    }
     if (err.name === 'AbortError') {
-      return { error: 'Request timed out' };
+      return { result: buildError(ERROR_KINDS.TIMEOUT, 'Request timed out'), retryable: true };
     }
-    return { error: 'Network error: ' + (err.message || String(err)) };
+    return {
+      result: buildError(ERROR_KINDS.NETWORK, 'Network error: ' + (err.message || String(err))),
+      retryable: true
+    };
+  } finally {
+    if (opts.signal) opts.signal.removeEventListener('abort', cancel);
+  }
+}
+
+// Attempt a request, retrying transient failures according to opts.retry
+async function requestWithRetry(method, path, body, opts) {
+  const policy = resolveRetryPolicy(method, opts.retry);
+  let attempts = 0;
+  
+  while (true) {
+    attempts++;
+    const outcome = await attempt(method, path, body, opts);
+    
+    if (!outcome.retryable || attempts > policy.retries) {
+      if (outcome.result && outcome.result.kind) {
+        outcome.result.attempts = attempts;
+      }
+      return outcome.result;
+    }
+    
+    let delay = backoffDelay(attempts, policy);
+    if (outcome.retryAfter !== null && outcome.retryAfter !== undefined) {
+      if (outcome.retryAfter > policy.maxRetryAfter) {
+        outcome.result.attempts = attempts;
+        return outcome.result;
+      }
+      delay = Math.max(delay, outcome.retryAfter);
+    }
+    
+    console.warn(`${method} ${path} failed (attempt ${attempts}), retrying in ${delay} ms`);
+    await sleep(delay);
+  }
+}
+
+// Helper: a copy of a shared result, so one caller's changes don't reach another
+function copyResult(result) {
+  if (Array.isArray(result)) return result.slice();
+  return result && typeof result === 'object' ? Object.assign({}, result) : result;
+}
+
+// Send a request, coalescing identical in-flight GETs
+async function coalescedRequest(method, path, body, opts) {
+  // A caller with its own signal must not share its abort with others
+  if (method !== 'GET' || opts.dedupe === false || opts.signal) {
+    return requestWithRetry(method, path, body, opts);
+  }
+  
+  // Coalesce identical GETs (e.g. overlapping polls) into one network call
+  const token = opts.token || localStorage.getItem(window.TOKEN_KEY) || '';
+  const key = [method, BASE_URL + path, token, opts.timeout || ''].join(' ');
+  
+  if (!inflight.has(key)) {
+    inflight.set(key, requestWithRetry(method, path, body, opts).finally(() => {
+      inflight.delete(key);
+    }));
+  }
+  return copyResult(await inflight.get(key));
+}
+
+// Core request function
+async function request(method, path, body = null, opts = {}) {
+  const sentToken = !opts.skipAuth && !!(opts.token || getStoredToken());
+  const result = await coalescedRequest(method, path, body, opts);
+  
+  if (!sentToken || !result || result.status !== 401) {
+    return result;
+  }
+  
+  // Token rejected: try one refresh-token exchange, then give up on the session
+  if (!opts.afterRefresh && await refreshSession()) {
+    return coalescedRequest(method, path, body, Object.assign({}, opts, { token: null, afterRefresh: true }));
+  }
+  
+  endSession('expired');
+  return result;
+}
+
+// ---------- Session lifecycle ----------
+const SESSION_WARNING_MS = 2 * 60 * 1000; // Warn this long before the token lapses
+const MAX_TIMER_MS = 2147483647; // setTimeout overflows beyond ~24.8 days
+
+let sessionTimers = [];
+let refreshing = null;
+let sessionEnding = false;
+const sessionEndHandlers = [];
+
+function getStoredToken() {
+  try {
+    return localStorage.getItem(window.TOKEN_KEY);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Helper: decode the JWT payload (no signature check - the backend does that)
+function decodeToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  
+  try {
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+    const bytes = atob(padded);
+    const json = decodeURIComponent(bytes.split('').map(c => {
+      return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
+    }).join(''));
+    return JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Helper: token expiry in ms since epoch, or null when the token carries no `exp`
+function getTokenExpiry(token) {
+  const payload = decodeToken(token);
+  return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+}
+
+function isSessionValid() {
+  const token = getStoredToken();
+  if (!token) return false;
+  
+  const expiry = getTokenExpiry(token);
+  return expiry === null || expiry > Date.now();
+}
+
+function clearSessionTimers() {
+  sessionTimers.forEach(timer => clearTimeout(timer));
+  sessionTimers = [];
+}
+
+// Warn shortly before the token lapses and end the session when it does
+function scheduleSessionTimers() {
+  clearSessionTimers();
+  
+  const expiry = getTokenExpiry(getStoredToken());
+  if (expiry === null) return;
+  
+  const untilExpiry = expiry - Date.now();
+  if (untilExpiry <= 0 || untilExpiry > MAX_TIMER_MS) return;
+  
+  const untilWarning = Math.max(0, untilExpiry - SESSION_WARNING_MS);
+  sessionTimers.push(setTimeout(handleSessionExpiring, untilWarning));
+  sessionTimers.push(setTimeout(() => endSession('expired'), untilExpiry));
+}
+
+async function handleSessionExpiring() {
+  // Quietly renew when the backend gave us a refresh token
+  if (await refreshSession()) return;
+  
+  const event = new CustomEvent('session-expiring', {
+    detail: { expiresAt: getTokenExpiry(getStoredToken()) }
+  });
+  window.dispatchEvent(event);
+}
+
+// Store token, refresh token and user from a login/signup/refresh response
+function storeSession(session) {
+  try {
+    if (session.token) localStorage.setItem(window.TOKEN_KEY, session.token);
+    if (session.refresh_token) localStorage.setItem(REFRESH_TOKEN_KEY, session.refresh_token);
+    if (session.user) localStorage.setItem(USER_KEY, JSON.stringify(session.user));
+  } catch (err) {
+    console.warn('Cannot save session:', err);
+  }
+  scheduleSessionTimers();
+}
+
+// Exchange the refresh token for a new access token; concurrent callers share one exchange
+function refreshSession() {
+  let refreshToken = null;
+  try {
+    refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  } catch (err) {
+    refreshToken = null;
+  }
+  if (!refreshToken) return Promise.resolve(false);
+  
+  if (!refreshing) {
+    refreshing = requestWithRetry('POST', '/auth/refresh', { refresh_token: refreshToken }, { skipAuth: true })
+      .then(response => {
+        if (!response || !response.token) return false;
+        storeSession(response);
+        return true;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+// Single teardown path for logout and expiry: clear storage, stop tracking and
+// polling, then redirect (expired sessions go to auth.html with a notice)
+function endSession(reason = 'logout', options = {}) {
+  if (sessionEnding) return;
+  sessionEnding = true;
+  clearSessionTimers();
+  
+  try {
+    localStorage.removeItem(window.TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+  } catch (err) {
+    console.warn('Cannot clear session:', err);
+  }
+  
+  if (window.gpsTracker) {
+    window.gpsTracker.stopTracking();
+    // Pending points go with a logout; after expiry they wait for the same user
+    // to log back in, as the queue drops points recorded for anyone else
+    if (reason === 'logout' && window.gpsTracker.queue) {
+      window.gpsTracker.queue.clear();
+    }
+  }
+  
+  sessionEndHandlers.forEach(handler => {
+    try {
+      handler(reason);
+    } catch (err) {
+      console.error('Session teardown handler failed:', err);
+    }
+  });
+  
+  window.dispatchEvent(new CustomEvent('session-end', { detail: { reason } }));
+  
+  const redirect = options.redirect !== undefined
+    ? options.redirect
+    : (reason === 'expired' ? 'auth.html?session=expired' : null);
+  
+  if (redirect) {
+    window.location.href = redirect;
+  } else {
+    sessionEnding = false;
   }
 }
 
 // Public API methods
+// opts: timeout, token, headers, retry (false | true | retries | { retries, minDelay, maxDelay }),
+//       dedupe (false to skip GET coalescing), skipAuth (send no token, ignore 401 for session),
+//       signal (AbortSignal; cancelling resolves to kind 'cancelled'),
+//       onUploadProgress ({ loaded, total } as the body is sent; goes through XMLHttpRequest)
 const api = {
   get: async (path, opts = {}) => request('GET', path, null, opts),
   post: async (path, body = {}, opts = {}) => request('POST', path, body, opts),
@@ -78,6 +502,11 @@ const api = {
   put: async (path, body = {}, opts = {}) => request('PUT', path, body, opts),
   delete: async (path, opts = {}) => request('DELETE', path, null, opts),
   
+  // Error helpers
+  ERROR_KINDS,
+  
+  isError: (response) => !!(response && response.kind && response.error !== undefined),
+  
   // Token helpers
   setToken: (token) => {
     try {
@@ -85,9 +514,11 @@ const api = {
     } catch (err) {
       console.warn('Cannot save token:', err);
     }
+    scheduleSessionTimers();
   },
   
   clearToken: () => {
+    clearSessionTimers();
     try {
       localStorage.removeItem(window.TOKEN_KEY);
     } catch (err) {
@@ -103,22 +534,174 @@ const api = {
       return null;
     }
   },
+  
+  // Session helpers
+  setSession: storeSession,
+  decodeToken,
+  getTokenExpiry,
+  isSessionValid,
+  refreshSession,
+  endSession,
+  
+  logout: (options = {}) => endSession('logout', options),
+  
+  // Register teardown work (stop polling, timers...) for logout and expiry
+  onSessionEnd: (handler) => {
+    sessionEndHandlers.push(handler);
+  },
+  
+  // Guard for protected pages: returns the token, or redirects and returns null
+  requireSession: () => {
+    const token = getStoredToken();
+    if (!token) {
+      window.location.href = 'auth.html';
+      return null;
+    }
+    if (!isSessionValid()) {
+      endSession('expired');
+      return null;
+    }
+    return token;
+  },
+  
   // Location methods
   saveLocation: async (locationData, opts = {}) => {
     return request('POST', '/me/location', locationData, opts);
   },
   
+  saveLocations: async (locations, opts = {}) => {
+    return request('POST', '/me/location/batch', { locations }, opts);
+  },
+  
   getLastLocation: async (opts = {}) => {
     return request('GET', '/me/location/last', null, opts);
   },
   
   getLocations: async (limit = 100, opts = {}) => {
     return request('GET', `/me/locations?limit=${limit}`, null, opts);
+  },
+  
+  // One page of history, newest first: from (inclusive) and before (exclusive) are ISO times
+  getLocationHistory: async ({ from, before, limit = 500 } = {}, opts = {}) => {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (from) params.set('from', from);
+    if (before) params.set('before', before);
+    return request('GET', `/me/locations?${params}`, null, opts);
+  },
+  
+  // Sharing methods
+  getShareLocation: async (opts = {}) => {
+    return request('GET', '/me/share-location', null, opts);
+  },
+  
+  // share: true/false, or the full settings { share, audience, precision,
+  // expires_at, exclusion_zones } (see location-sharing.js)
+  setShareLocation: async (share, opts = {}) => {
+    const body = typeof share === 'object' ? share : { share };
+    return request('PATCH', '/me/share-location', body, opts);
+  },
+  
+  getPublicUserLocations: async (opts = {}) => {
+    return request('GET', '/users/locations', null, opts);
+  },
+  
+  // Travel group methods (see travel-groups.js)
+  getGroups: async (opts = {}) => {
+    return request('GET', '/me/groups', null, opts);
+  },
+  
+  createGroup: async (name, opts = {}) => {
+    return request('POST', '/groups', { name }, opts);
+  },
+  
+  joinGroup: async (inviteCode, opts = {}) => {
+    return request('POST', '/groups/join', { invite_code: inviteCode }, opts);
+  },
+  
+  leaveGroup: async (groupId, opts = {}) => {
+    return request('DELETE', `/groups/${encodeURIComponent(groupId)}/members/me`, null, opts);
+  },
+  
+  // point: { latitude, longitude, note }
+  setMeetingPoint: async (groupId, point, opts = {}) => {
+    return request('PUT', `/groups/${encodeURIComponent(groupId)}/meeting-point`, point, opts);
+  },
+  
+  clearMeetingPoint: async (groupId, opts = {}) => {
+    return request('DELETE', `/groups/${encodeURIComponent(groupId)}/meeting-point`, null, opts);
+  },
+  
+  // Single-use ticket for opening the /live stream (see live-channel.js)
+  getLiveTicket: async (opts = {}) => {
+    return request('POST', '/live/ticket', null, opts);
+  },
+  
+  getRobotLocation: async (opts = {}) => {
+    return request('GET', '/robot/location', null, opts);
+  },
+  
+  // Meta methods (countries and preference list; no auth needed)
+  getMeta: async (opts = {}) => {
+    return request('GET', '/meta', null, Object.assign({ skipAuth: true }, opts));
+  },
+  
+  // Profile methods
+  getProfile: async (opts = {}) => {
+    return request('GET', '/me', null, opts);
+  },
+  
+  updatePreferences: async (preferences, opts = {}) => {
+    return request('PATCH', '/me/preferences', { preferences }, opts);
+  },
+  
+  changePassword: async (currentPassword, newPassword, opts = {}) => {
+    return request('PATCH', '/me/password', { currentPassword, newPassword }, opts);
+  },
+  
+  // Recommendation methods
+  getRecommendations: async (opts = {}) => {
+    return request('GET', '/me/recommendations', null, opts);
+  },
+  
+  trackActivity: async (placeId, activityType, metadata = {}, opts = {}) => {
+    return request('POST', '/me/activity', {
+      place_id: placeId,
+      activity_type: activityType,
+      metadata: Object.assign({ timestamp: new Date().toISOString() }, metadata)
+    }, opts);
+  },
+  
+  // events: [{ place_id, activity_type, metadata }]
+  trackActivities: async (events, opts = {}) => {
+    return request('POST', '/me/activity/batch', { events }, opts);
+  },
+  
+  markVisited: async (placeId, opts = {}) => {
+    return request('POST', '/me/visited', {
+      place_id: placeId,
+      timestamp: new Date().toISOString()
+    }, opts);
+  },
+  
+  // Discount methods
+  getDiscountVenues: async (opts = {}) => {
+    return request('GET', '/discount/venues', null, opts);
+  },
+  
+  redeemDiscount: async (password, opts = {}) => {
+    return request('POST', '/discount/redeem', { password }, opts);
+  },
+  
+  // Vision methods: the image is sent as multipart form data
+  describeImage: async (image, opts = {}) => {
+    const formData = image instanceof FormData ? image : new FormData();
+    if (!(image instanceof FormData)) formData.append('image', image, image.name || 'photo.jpg');
+    return request('POST', '/api/describe-image', formData, Object.assign({ timeout: 60000 }, opts));
   }
 };
 
 // Attach to window for global access
 if (typeof window !== 'undefined') {
   window.api = api;
-
+  scheduleSessionTimers();
 }
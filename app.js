@@ -37,6 +37,19 @@ document.addEventListener('DOMContentLoaded', function() {
   const MAX_PREFS = 5;
   const TOKEN_KEY = 'st_token';
   
+  // Backend field names -> form inputs, for highlighting validation errors
+  const SIGNUP_FIELDS = {
+    email: 'suEmail',
+    password: 'suPassword',
+    username: 'suUsername',
+    country: 'suCountry',
+    budget: 'suBudget'
+  };
+  const LOGIN_FIELDS = {
+    email: 'liEmail',
+    password: 'liPassword'
+  };
+  
   // Show message utility
   function showMessage(text, type = 'error', timeout = 5000) {
     if (!elements.messageArea) return;
@@ -58,6 +71,57 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
+  // Highlight the inputs the backend rejected
+  function showFieldErrors(fields, fieldMap) {
+    clearFieldErrors();
+    
+    let first = null;
+    Object.keys(fields || {}).forEach(name => {
+      const input = elements[fieldMap[name]];
+      if (!input) return;
+      input.classList.add('invalid');
+      input.setAttribute('aria-invalid', 'true');
+      input.title = fields[name];
+      if (!first) first = input;
+    });
+    
+    if (first) first.focus();
+  }
+  
+  function clearFieldErrors() {
+    document.querySelectorAll('.input.invalid').forEach(input => {
+      input.classList.remove('invalid');
+      input.removeAttribute('aria-invalid');
+      input.removeAttribute('title');
+    });
+  }
+  
+  // Show a failed api response: field errors inline, outages as friendly text
+  function showResponseError(response, fieldMap, fallback) {
+    const fields = response.fields || {};
+    const fieldNames = Object.keys(fields);
+    
+    if (response.kind === 'validation' && fieldNames.length > 0) {
+      showFieldErrors(fields, fieldMap);
+      showMessage(fields[fieldNames[0]], 'error');
+      return;
+    }
+    
+    switch (response.kind) {
+      case 'network':
+        showMessage(t('errors.network'), 'error');
+        break;
+      case 'timeout':
+        showMessage(t('errors.timeout'), 'error');
+        break;
+      case 'server':
+        showMessage(t('errors.server'), 'error');
+        break;
+      default:
+        showMessage(response.error || fallback, 'error');
+    }
+  }
+  
   // Tab switching
   function setActiveTab(tab) {
     console.log('Switching to tab:', tab);
@@ -84,13 +148,11 @@ document.addEventListener('DOMContentLoaded', function() {
   // Load countries and preferences from backend
   async function loadMeta() {
     try {
-      const response = await fetch(window.BASE_URL + '/meta');
-      if (response.ok) {
-        const data = await response.json();
-        
+      const data = await window.api.getMeta();
+      if (!data.error) {
         // Load countries
         if (elements.suCountry) {
-          elements.suCountry.innerHTML = '<option value="">Select country</option>';
+          elements.suCountry.innerHTML = html`<option value="" data-i18n="auth.selectCountry">${t('auth.selectCountry')}</option>`;
           data.countries.forEach(country => {
             const option = document.createElement('option');
             option.value = country;
@@ -117,7 +179,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 button.classList.remove('selected');
               } else {
                 if (selectedPrefs.size >= MAX_PREFS) {
-                  showMessage(`Maximum ${MAX_PREFS} preferences allowed`, 'error', 2000);
+                  showMessage(t('prefs.max', { count: MAX_PREFS }), 'error', 2000);
                   return;
                 }
                 selectedPrefs.add(pref);
@@ -130,10 +192,10 @@ document.addEventListener('DOMContentLoaded', function() {
         }
         
         if (elements.statusIndicator) {
-          elements.statusIndicator.textContent = 'Connected';
+          window.i18n.setText(elements.statusIndicator, 'auth.status.connected');
         }
       } else {
-        throw new Error('Failed to load meta');
+        throw new Error('Failed to load meta: ' + data.error);
       }
     } catch (error) {
       console.error('Error loading meta:', error);
@@ -143,7 +205,7 @@ document.addEventListener('DOMContentLoaded', function() {
       const fallbackPrefs = ['ancient/historical', 'meditation/nature', 'cultural food/restaurants', 'cultural places', 'gaming/fun'];
       
       if (elements.suCountry) {
-        elements.suCountry.innerHTML = '<option value="">Select country</option>';
+        elements.suCountry.innerHTML = html`<option value="" data-i18n="auth.selectCountry">${t('auth.selectCountry')}</option>`;
         fallbackCountries.forEach(country => {
           const option = document.createElement('option');
           option.value = country;
@@ -167,7 +229,7 @@ document.addEventListener('DOMContentLoaded', function() {
               button.classList.remove('selected');
             } else {
               if (selectedPrefs.size >= MAX_PREFS) {
-                showMessage(`Maximum ${MAX_PREFS} preferences allowed`, 'error', 2000);
+                showMessage(t('prefs.max', { count: MAX_PREFS }), 'error', 2000);
                 return;
               }
               selectedPrefs.add(pref);
@@ -180,7 +242,7 @@ document.addEventListener('DOMContentLoaded', function() {
       }
       
       if (elements.statusIndicator) {
-        elements.statusIndicator.textContent = 'Using fallback data';
+        window.i18n.setText(elements.statusIndicator, 'auth.status.fallback');
       }
     }
   }
@@ -189,6 +251,7 @@ document.addEventListener('DOMContentLoaded', function() {
   async function handleSignup(event) {
     event.preventDefault();
     console.log('Signup form submitted');
+    clearFieldErrors();
     
     const email = elements.suEmail.value.trim();
     const password = elements.suPassword.value;
@@ -196,52 +259,39 @@ document.addEventListener('DOMContentLoaded', function() {
     const country = elements.suCountry.value;
     const budget = elements.suBudget.value;
     if (!budget) {
-      showMessage('Please select a budget', 'error');
+      showMessage(t('signup.budgetRequired'), 'error');
       return;
     }
     
     // Validation
     if (!email || !password || !username || !country || selectedPrefs.size === 0) {
-      showMessage('Please fill all fields and select at least one preference', 'error');
+      showMessage(t('signup.fieldsRequired'), 'error');
       return;
     }
     
     if (password.length < 8) {
-      showMessage('Password must be at least 8 characters', 'error');
+      showMessage(t('signup.passwordTooShort', { min: 8 }), 'error');
       return;
     }
     
     try {
-      // Use the global api object if available, otherwise use fetch
-      const api = window.api || {
-        post: async (path, body) => {
-          const res = await fetch(window.BASE_URL + path, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body)
-          });
-          return res.json();
-        }
-      };
-      
-      const response = await api.post('/signup', {
+      const response = await window.api.post('/signup', {
         email,
         password,
         username,
         country,
         budget: budget,
         preferences: Array.from(selectedPrefs)
-      });
+      }, { skipAuth: true });
       
       console.log('Signup response:', response);
       
       if (response.token) {
         // Save token
-        localStorage.setItem(TOKEN_KEY, response.token);
-        localStorage.setItem('st_user', JSON.stringify(response.user));
+        window.api.setSession(response);
         
         // Show success message
-        showMessage('Account created successfully! Please log in.', 'success', 3000);
+        showMessage(t('signup.success'), 'success', 3000);
         
         // Clear form
         elements.signupForm.reset();
@@ -262,11 +312,11 @@ document.addEventListener('DOMContentLoaded', function() {
         // Switch to login tab
         setActiveTab('login');
       } else {
-        showMessage(response.error || 'Signup failed', 'error');
+        showResponseError(response, SIGNUP_FIELDS, t('signup.failed'));
       }
     } catch (error) {
       console.error('Signup error:', error);
-      showMessage('Network error during signup', 'error');
+      showMessage(t('signup.networkError'), 'error');
     }
   }
   
@@ -274,39 +324,28 @@ document.addEventListener('DOMContentLoaded', function() {
   async function handleLogin(event) {
     event.preventDefault();
     console.log('Login form submitted');
+    clearFieldErrors();
     
     const email = elements.liEmail.value.trim();
     const password = elements.liPassword.value;
     
     if (!email || !password) {
-      showMessage('Please enter email and password', 'error');
+      showMessage(t('login.required'), 'error');
       return;
     }
     
     try {
-      // Use the global api object if available, otherwise use fetch
-      const api = window.api || {
-        post: async (path, body) => {
-          const res = await fetch(window.BASE_URL + path, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body)
-          });
-          return res.json();
-        }
-      };
-      
-      const response = await api.post('/login', { email, password });
+      // Logging in has no side effects, so ride out a cold-start timeout
+      const response = await window.api.post('/login', { email, password }, { retry: true, skipAuth: true });
       
       console.log('Login response:', response);
       
       if (response.token) {
         // Save token
-        localStorage.setItem(TOKEN_KEY, response.token);
-        localStorage.setItem('st_user', JSON.stringify(response.user));
+        window.api.setSession(response);
         
         // Show success message
-        showMessage('Login successful!', 'success', 2000);
+        showMessage(t('login.success'), 'success', 2000);
 
         // Request GPS permission if consented
         setTimeout(() => {
@@ -353,28 +392,32 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Update status
         if (elements.statusIndicator) {
-          elements.statusIndicator.textContent = 'Authenticated';
+          window.i18n.setText(elements.statusIndicator, 'auth.status.authenticated');
         }
         
         // Show profile view
         //setActiveTab('profile');
+      } else if (response.kind === 'auth') {
+        showFieldErrors({ email: response.error, password: response.error }, LOGIN_FIELDS);
+        showMessage(response.error || t('login.invalid'), 'error');
       } else {
-        showMessage(response.error || 'Login failed', 'error');
+        showResponseError(response, LOGIN_FIELDS, t('login.failed'));
       }
     } catch (error) {
       console.error('Login error:', error);
-      showMessage('Network error during login', 'error');
+      showMessage(t('login.networkError'), 'error');
     }
   }
   
   // Handle logout
   function handleLogout() {
-    localStorage.removeItem(TOKEN_KEY);
+    // Shared teardown: clears the session and stops GPS tracking
+    window.api.logout({ redirect: null });
     setActiveTab('login');
     if (elements.statusIndicator) {
-      elements.statusIndicator.textContent = 'Offline';
+      window.i18n.setText(elements.statusIndicator, 'auth.status.offline');
     }
-    showMessage('Logged out', 'success', 1500);
+    showMessage(t('logout.done'), 'success', 1500);
   }
   
   // Initialize event listeners
@@ -408,6 +451,17 @@ document.addEventListener('DOMContentLoaded', function() {
       elements.toSignup.addEventListener('click', () => setActiveTab('signup'));
     }
     
+    // Clear a field's error highlight once the user edits it
+    document.querySelectorAll('#signup-form .input, #login-form .input').forEach(input => {
+      const clear = () => {
+        input.classList.remove('invalid');
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('title');
+      };
+      input.addEventListener('input', clear);
+      input.addEventListener('change', clear);
+    });
+    
     // Other buttons
     if (elements.logoutBtn) {
       elements.logoutBtn.addEventListener('click', handleLogout);
@@ -415,7 +469,7 @@ document.addEventListener('DOMContentLoaded', function() {
     
     if (elements.goToApp) {
       elements.goToApp.addEventListener('click', () => {
-        showMessage('App page coming soon...', 'success', 2000);
+        showMessage(t('app.comingSoon'), 'success', 2000);
       });
     }
   }
@@ -427,14 +481,28 @@ document.addEventListener('DOMContentLoaded', function() {
     initEventListeners();
     loadMeta();
     
+    // Redirected here after the session lapsed, or linked to a specific form
+    const params = new URLSearchParams(window.location.search);
+    const sessionExpired = params.get('session') === 'expired';
+    const requestedForm = params.get('form');
+    
     // Check if user is already logged in
     const token = localStorage.getItem(TOKEN_KEY);
-    if (token) {
+    if (token && !window.api.isSessionValid()) {
+      window.api.endSession('expired', { redirect: null });
+      setActiveTab('login');
+      showMessage(t('session.expired'), 'error', 0);
+    } else if (token) {
       console.log('User is already logged in');
       setActiveTab('profile');
       if (elements.statusIndicator) {
-        elements.statusIndicator.textContent = 'Authenticated';
+        window.i18n.setText(elements.statusIndicator, 'auth.status.authenticated');
       }
+    } else if (sessionExpired) {
+      setActiveTab('login');
+      showMessage(t('session.expired'), 'error', 0);
+    } else if (requestedForm === 'login') {
+      setActiveTab('login');
     } else {
       setActiveTab('signup');
     }
@@ -0,0 +1,95 @@
+/**
+ * config.js - Choose which backend and map tile server the pages talk to
+ *
+ * Load before api.js. Open any page with:
+ *   ?api=mock      local mock backend (node mock/server.js)
+ *   ?api=<url>     a backend on this machine (localhost or 127.0.0.1 only)
+ *   ?api=default   forget the override and use the deployed backend again
+ *   ?tiles=mock    map tiles from the mock backend, which may be downloaded
+ *   ?tiles=default the deployed tile server again
+ * The choice is remembered in localStorage, so links between pages keep it.
+ * Other hosts are refused: a link could otherwise send the user's password
+ * and token to any server from then on.
+ */
+
+'use strict';
+
+(function() {
+  const DEFAULT_BASE_URL = 'https://tritech-backend-1w10.onrender.com';
+  const MOCK_BASE_URL = 'http://localhost:4000';
+  const OVERRIDE_KEY = 'st_base_url';
+  const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+  function isLocalBackend(value) {
+    try {
+      const url = new URL(value);
+      return (url.protocol === 'http:' || url.protocol === 'https:') && LOCAL_HOSTS.includes(url.hostname);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  let override = null;
+  try {
+    const param = new URLSearchParams(window.location.search).get('api');
+    const requested = param === 'mock' ? MOCK_BASE_URL : (param || '').replace(/\/+$/, '');
+    if (param === 'default') {
+      localStorage.removeItem(OVERRIDE_KEY);
+    } else if (param && isLocalBackend(requested)) {
+      localStorage.setItem(OVERRIDE_KEY, requested);
+    } else if (param) {
+      console.warn('Ignoring ?api=: only mock or a localhost backend can be chosen');
+    }
+
+    // Also drops an override saved before other hosts were refused
+    override = localStorage.getItem(OVERRIDE_KEY);
+    if (override && !isLocalBackend(override)) {
+      localStorage.removeItem(OVERRIDE_KEY);
+      override = null;
+    }
+  } catch (err) {
+    console.warn('Cannot read backend override:', err);
+  }
+
+  window.BASE_URL = window.BASE_URL || override || DEFAULT_BASE_URL;
+
+  if (window.BASE_URL !== DEFAULT_BASE_URL) {
+    console.log('Using backend:', window.BASE_URL);
+  }
+
+  // bulkDownload: the server's terms allow saving whole areas ahead of time
+  // ("Download this area" in the offline map). The OSM tile usage policy
+  // forbids it, so to offer downloads set DEFAULT_TILES to a tile server of
+  // your own or a provider whose plan includes offline use.
+  const OSM_TILES = {
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; OpenStreetMap contributors',
+    maxZoom: 19,
+    bulkDownload: false
+  };
+  const MOCK_TILES = {
+    url: MOCK_BASE_URL + '/tiles/{z}/{x}/{y}.png',
+    attribution: 'Mock tiles',
+    maxZoom: 19,
+    bulkDownload: true
+  };
+  const DEFAULT_TILES = OSM_TILES;
+  const TILES_KEY = 'st_tiles';
+
+  let tiles = DEFAULT_TILES;
+  try {
+    const param = new URLSearchParams(window.location.search).get('tiles');
+    if (param === 'mock') {
+      localStorage.setItem(TILES_KEY, 'mock');
+    } else if (param === 'default') {
+      localStorage.removeItem(TILES_KEY);
+    } else if (param) {
+      console.warn('Ignoring ?tiles=: only mock or default can be chosen');
+    }
+    if (localStorage.getItem(TILES_KEY) === 'mock') tiles = MOCK_TILES;
+  } catch (err) {
+    console.warn('Cannot read tile server override:', err);
+  }
+
+  window.TILE_SOURCE = window.TILE_SOURCE || tiles;
+})();
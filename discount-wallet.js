@@ -0,0 +1,143 @@
+/**
+ * discount-wallet.js - Claimed discounts kept on the device
+ *
+ * Redeems codes, typed in or scanned from a partner's QR code, through
+ * /discount/redeem and keeps every claim per user: the place, both prices,
+ * the percent, when it was claimed and when it runs out. The wallet is read
+ * at the counter, often with no signal, so it lives in localStorage.
+ */
+
+'use strict';
+
+const DISCOUNT_VALIDITY = 7 * 24 * 60 * 60 * 1000; // Ms a claim lasts when the backend gives no expiry
+
+class DiscountWallet {
+  constructor(options = {}) {
+    this.options = {
+      userId: null, // Wallets are kept per user
+      storagePrefix: 'st_discounts_',
+      validity: DISCOUNT_VALIDITY,
+      ...options
+    };
+
+    this.entries = this.load(); // Newest first
+  }
+
+  storageKey() {
+    return `${this.options.storagePrefix}${this.options.userId || 'guest'}`;
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey()));
+      if (stored && Array.isArray(stored.entries)) return stored.entries;
+    } catch (error) {
+      console.warn('Ignoring unreadable discount wallet:', error);
+    }
+    return [];
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey(), JSON.stringify({ entries: this.entries }));
+    } catch (error) {
+      console.warn('Cannot save discount wallet:', error);
+    }
+    this.emitChange();
+  }
+
+  // Redeem a code or the text of a QR code. Resolves to { entry, alreadyClaimed }
+  // or the api's { error, kind }.
+  async redeem(input) {
+    const code = DiscountWallet.codeFrom(input);
+    if (!code) return { error: 'Not a discount code', kind: 'validation' };
+
+    // A code still in the wallet does not need the server again
+    const held = this.entries.find(entry => entry.code === code && !this.isExpired(entry));
+    if (held) return { entry: held, alreadyClaimed: true };
+
+    const data = await window.api.redeemDiscount(code);
+    if (data.error) return data;
+    if (!data.success || !data.discount) {
+      return { error: data.message || 'Invalid or expired code', kind: 'validation' };
+    }
+
+    return { entry: this.add(code, data.discount), alreadyClaimed: false };
+  }
+
+  // Keep what the server said at claim time; the offer may change later
+  add(code, discount) {
+    const claimedAt = Date.now();
+    const expiresAt = discount.expires_at ? new Date(discount.expires_at).getTime() : NaN;
+    const entry = {
+      id: `${code}-${claimedAt}`,
+      code,
+      place_id: discount.place_id || null,
+      place_name: discount.place_name || '',
+      message: discount.message || '',
+      original_price: Number(discount.original_price),
+      discounted_price: Number(discount.discounted_price),
+      discount_percent: Number(discount.discount_percent),
+      claimed_at: claimedAt,
+      expires_at: Number.isFinite(expiresAt) ? expiresAt : claimedAt + this.options.validity
+    };
+
+    this.entries.unshift(entry);
+    this.save();
+    return entry;
+  }
+
+  getEntries() {
+    return this.entries.slice();
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return entry.expires_at <= now;
+  }
+
+  getActive(now = Date.now()) {
+    return this.entries.filter(entry => !this.isExpired(entry, now));
+  }
+
+  // The unexpired claim for a place, if any
+  activeFor(placeId, now = Date.now()) {
+    return this.getActive(now).find(entry => entry.place_id === placeId) || null;
+  }
+
+  remove(id) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    if (this.entries.length !== before) this.save();
+  }
+
+  clearExpired(now = Date.now()) {
+    const before = this.entries.length;
+    this.entries = this.getActive(now);
+    if (this.entries.length !== before) this.save();
+  }
+
+  emitChange() {
+    const event = new CustomEvent('discount-wallet-change', {
+      detail: { entries: this.getEntries() }
+    });
+    window.dispatchEvent(event);
+  }
+
+  // The code in "AZM25", or in a link like map.html?code=AZM25; '' for other links
+  static codeFrom(text) {
+    const value = String(text || '').trim();
+    if (!/^[a-z][a-z\d+.-]*:/i.test(value)) return value;
+
+    try {
+      const code = new URL(value).searchParams.get('code');
+      return code ? code.trim() : '';
+    } catch (error) {
+      return '';
+    }
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.DiscountWallet = DiscountWallet;
+}
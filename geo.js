@@ -0,0 +1,40 @@
+/**
+ * geo.js - Distances and bearings between points on the Earth
+ *
+ * Points are { latitude, longitude } in degrees. Every script that measures
+ * between positions goes through geo.distance, so they all agree; load this
+ * before them.
+ */
+
+'use strict';
+
+const EARTH_RADIUS = 6371e3; // Meters
+
+// Great-circle distance in meters (haversine formula)
+function geoDistance(a, b) {
+  const φ1 = a.latitude * Math.PI / 180;
+  const φ2 = b.latitude * Math.PI / 180;
+  const Δφ = (b.latitude - a.latitude) * Math.PI / 180;
+  const Δλ = (b.longitude - a.longitude) * Math.PI / 180;
+
+  const h = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+// Initial bearing from a to b, in degrees clockwise from north
+function geoBearing(a, b) {
+  const φ1 = a.latitude * Math.PI / 180;
+  const φ2 = b.latitude * Math.PI / 180;
+  const Δλ = (b.longitude - a.longitude) * Math.PI / 180;
+
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.geo = { distance: geoDistance, bearing: geoBearing };
+}
@@ -0,0 +1,168 @@
+/**
+ * geofence.js - Circular geofences fed by GPSTracker position updates
+ *
+ * Keeps named groups of circles (recommended places, discount venues, ...)
+ * and dispatches geofence-enter, geofence-dwell and geofence-exit events on
+ * window as the user's position moves in and out of them.
+ */
+
+'use strict';
+
+class GeofenceManager {
+  constructor(options = {}) {
+    this.options = {
+      defaultRadius: 75, // Meters, for fences added without a radius
+      dwellTime: 120000, // Ms inside a fence before geofence-dwell; 0 disables it
+      exitBuffer: 20, // Extra meters to leave before we call it an exit
+      ...options
+    };
+
+    this.fences = new Map(); // key -> fence
+    this.inside = new Map(); // key -> { enteredAt, dwellTimer }
+    this.lastPosition = null;
+    this.listening = false;
+
+    this.handlePositionUpdate = this.handlePositionUpdate.bind(this);
+  }
+
+  // Follow the tracker's accepted fixes
+  start() {
+    if (this.listening) return;
+    this.listening = true;
+    window.addEventListener('gps-position-update', this.handlePositionUpdate);
+  }
+
+  stop() {
+    this.listening = false;
+    window.removeEventListener('gps-position-update', this.handlePositionUpdate);
+    this.inside.forEach(state => clearTimeout(state.dwellTimer));
+    this.inside.clear();
+  }
+
+  handlePositionUpdate(event) {
+    this.update(event.detail.position);
+  }
+
+  // Replace every fence in a group, e.g. after recommendations reload.
+  // fences: [{ id, latitude, longitude, radius?, data? }]
+  // Fences that come back keep their inside state, so no repeated enter.
+  setFences(group, fences) {
+    this.getFences(group).forEach(fence => this.fences.delete(fence.key));
+    fences.forEach(fence => this.add(group, fence, { silent: true }));
+    this.reevaluate();
+  }
+
+  add(group, fence, { silent = false } = {}) {
+    if (!Number.isFinite(fence.latitude) || !Number.isFinite(fence.longitude)) {
+      console.warn('Skipping geofence without coordinates:', fence.id);
+      return null;
+    }
+
+    const key = `${group}:${fence.id}`;
+    this.fences.set(key, {
+      key,
+      group,
+      id: fence.id,
+      latitude: fence.latitude,
+      longitude: fence.longitude,
+      radius: fence.radius || this.options.defaultRadius,
+      data: fence.data || null
+    });
+
+    if (!silent) this.reevaluate();
+    return this.fences.get(key);
+  }
+
+  // Removing a fence does not fire geofence-exit
+  remove(group, id) {
+    const key = `${group}:${id}`;
+    this.forget(key);
+    this.fences.delete(key);
+  }
+
+  // Remove one group, or every fence
+  clear(group) {
+    this.getFences(group).forEach(fence => this.remove(fence.group, fence.id));
+  }
+
+  getFences(group) {
+    return [...this.fences.values()].filter(fence => !group || fence.group === group);
+  }
+
+  // Fences the user is currently inside
+  getActive() {
+    return [...this.inside.keys()].map(key => this.fences.get(key)).filter(Boolean);
+  }
+
+  // Run the last position against the current fences
+  reevaluate() {
+    // Drop inside state for fences that no longer exist
+    [...this.inside.keys()]
+      .filter(key => !this.fences.has(key))
+      .forEach(key => this.forget(key));
+
+    if (this.lastPosition) this.update(this.lastPosition);
+  }
+
+  update(position) {
+    if (!position || !position.coords) return;
+    this.lastPosition = position;
+
+    this.fences.forEach(fence => {
+      const distance = geo.distance(position.coords, fence);
+      const state = this.inside.get(fence.key);
+
+      if (!state && distance <= fence.radius) {
+        this.enter(fence, distance, position);
+      } else if (state && distance > fence.radius + this.options.exitBuffer) {
+        this.exit(fence, distance, position);
+      }
+    });
+  }
+
+  enter(fence, distance, position) {
+    const state = { enteredAt: Date.now(), dwellTimer: null };
+    this.inside.set(fence.key, state);
+
+    // Time rather than fixes: a user standing still may not produce any
+    const dwellTime = this.options.dwellTime;
+    if (dwellTime > 0) {
+      state.dwellTimer = setTimeout(() => {
+        state.dwellTimer = null;
+        this.emit('geofence-dwell', fence, this.lastPosition, dwellTime);
+      }, dwellTime);
+    }
+
+    this.emit('geofence-enter', fence, position, 0, distance);
+  }
+
+  exit(fence, distance, position) {
+    const state = this.inside.get(fence.key);
+    this.forget(fence.key);
+    this.emit('geofence-exit', fence, position, Date.now() - state.enteredAt, distance);
+  }
+
+  forget(key) {
+    const state = this.inside.get(key);
+    if (!state) return;
+    clearTimeout(state.dwellTimer);
+    this.inside.delete(key);
+  }
+
+  emit(type, fence, position, duration, distance) {
+    const event = new CustomEvent(type, {
+      detail: {
+        fence,
+        distance: distance !== undefined ? distance : geo.distance(position.coords, fence),
+        position,
+        duration
+      }
+    });
+    window.dispatchEvent(event);
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.GeofenceManager = GeofenceManager;
+}
@@ -1,7 +1,11 @@
 // gps-check.js - Check if GPS tracker is already loaded
 if (!window.gpsTracker) {
-  // Load the GPS tracker script
-  const script = document.createElement('script');
-  script.src = 'gps-tracker.js';
-  document.head.appendChild(script);
+  // Load the GPS tracker and its helpers, keeping execution order. They
+  // measure with geo.js, which the page loads before this.
+  ['location-queue.js', 'position-providers.js', 'position-filter.js', 'tracking-modes.js', 'gps-tracker.js'].forEach(src => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.async = false;
+    document.head.appendChild(script);
+  });
 }
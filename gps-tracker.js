@@ -8,6 +8,8 @@ if (window.GPSTracker && window.gpsTracker) {
 }
 class GPSTracker {
   constructor(options = {}) {
+    const { provider, filter, trackingMode, ...positionOptions } = options;
+    
     this.options = {
       enableHighAccuracy: false,
       timeout: 30000,
@@ -15,7 +17,7 @@ class GPSTracker {
       updateInterval: 60000, // Update every minute
       minDistance: 20, // Minimum distance in meters to trigger update
       autoStart: false,
-      ...options
+      ...positionOptions
     };
     
     this.watchId = null;
@@ -24,6 +26,28 @@ class GPSTracker {
     this.userConsent = false;
     this.initialized = false;
     
+    // Where fixes come from: null means the device GPS (navigator.geolocation),
+    // otherwise a simulated or replayed source from position-providers.js
+    this.provider = provider || null;
+    this.watchProvider = null;
+    
+    // Drops inaccurate fixes and impossible jumps, smooths the rest.
+    // Pass filter: false to use raw fixes, or an object to tune it.
+    this.filter = filter !== false && window.PositionFilter
+      ? new window.PositionFilter(filter || {})
+      : null;
+    this.lastRawPosition = null;
+    
+    // Switches between navigation, touring and low-power sampling as the
+    // user speeds up, stops, hides the tab or runs low on battery.
+    // Pass trackingMode: false to keep the options above fixed.
+    this.modes = trackingMode !== false && window.TrackingModeController
+      ? new window.TrackingModeController(this, { mode: trackingMode || 'auto' })
+      : null;
+    
+    // Points that failed to upload wait here until we are back online
+    this.queue = window.LocationQueue ? new window.LocationQueue() : null;
+    
     // Bind methods
     this.startTracking = this.startTracking.bind(this);
     this.stopTracking = this.stopTracking.bind(this);
@@ -33,12 +57,19 @@ class GPSTracker {
   
   // Initialize and request permission
   async initialize() {
-    if (!navigator.geolocation) {
+    if (!this.isAvailable()) {
       console.warn('Geolocation is not supported by this browser');
-      this.showWarning('GPS is not supported by your device/browser');
+      this.showWarning(t('gps.unsupported'));
       return false;
     }
     
+    // Simulated sources need no permission
+    if (this.provider) {
+      this.initialized = true;
+      this.flushQueue();
+      return true;
+    }
+    
     try {
       // Test if we can get permission
       const permission = await navigator.permissions.query({ name: 'geolocation' });
@@ -48,19 +79,24 @@ class GPSTracker {
         this.permissionState = permission.state;
         console.log('GPS permission changed to:', this.permissionState);
         
+        // Only the device GPS cares about the browser permission
+        if (this.provider) return;
+        
         if (this.permissionState === 'granted' && this.options.autoStart) {
           this.startTracking();
         } else if (this.permissionState === 'denied') {
           this.stopTracking();
-          this.showWarning('GPS permission denied. Please enable location services in your browser settings.');
+          this.showWarning(t('gps.permissionRevoked'));
         }
       };
       
       this.initialized = true;
+      this.flushQueue();
       return true;
     } catch (err) {
       console.warn('Could not check geolocation permission:', err);
       this.initialized = true;
+      this.flushQueue();
       return true; // Proceed anyway for browsers that don't support permissions API
     }
   }
@@ -76,36 +112,24 @@ class GPSTracker {
       return true;
     }
     
+    const source = this.getProvider();
+    
     return new Promise((resolve) => {
       // First get a single position to ensure permission
-      navigator.geolocation.getCurrentPosition(
+      source.getCurrentPosition(
         (position) => {
           this.userConsent = true;
-          this.lastPosition = position;
           
-          // Save initial position
-          this.savePositionToBackend(position);
-          
-          // Start watching position
-          this.watchId = navigator.geolocation.watchPosition(
-            this.handlePosition,
-            this.handleError,
-            this.options
-          );
+          // Save initial position unless the filter rejects it
+          const fix = this.filterPosition(position);
+          if (fix) {
+            this.lastPosition = fix;
+            this.savePositionToBackend(fix);
+          }
           
+          this.startWatching(source);
           this.isTracking = true;
-          console.log('GPS tracking started');
-          
-          // Also set up periodic updates
-          this.intervalId = setInterval(() => {
-            if (this.lastPosition) {
-              navigator.geolocation.getCurrentPosition(
-                this.handlePosition,
-                this.handleError,
-                this.options
-              );
-            }
-          }, this.options.updateInterval);
+          console.log('GPS tracking started:', this.getSourceName());
           
           resolve(true);
         },
@@ -118,32 +142,113 @@ class GPSTracker {
     });
   }
   
-  // Stop tracking
-  stopTracking() {
+  // Watch and/or poll the source with the current options
+  startWatching(source) {
+    this.watchProvider = source;
+    
+    // Low-power mode skips the continuous watch and only polls
+    if (this.options.watch !== false) {
+      this.watchId = source.watchPosition(
+        this.handlePosition,
+        this.handleError,
+        this.options
+      );
+    }
+    
+    // Also set up periodic updates
+    if (this.options.updateInterval > 0) {
+      this.intervalId = setInterval(() => {
+        if (this.isTracking) {
+          source.getCurrentPosition(
+            this.handlePosition,
+            this.handleError,
+            this.options
+          );
+        }
+      }, this.options.updateInterval);
+    }
+  }
+  
+  stopWatching() {
     if (this.watchId !== null) {
-      navigator.geolocation.clearWatch(this.watchId);
+      (this.watchProvider || this.getProvider()).clearWatch(this.watchId);
       this.watchId = null;
     }
+    this.watchProvider = null;
     
     if (this.intervalId) {
       clearInterval(this.intervalId);
       this.intervalId = null;
     }
-    
+  }
+  
+  // Stop tracking; silent for a switch of source, which carries on tracking
+  stopTracking({ silent = false } = {}) {
+    const wasTracking = this.isTracking;
+    this.stopWatching();
     this.isTracking = false;
     console.log('GPS tracking stopped');
+    
+    if (wasTracking && !silent) {
+      window.dispatchEvent(new CustomEvent('gps-tracking-stopped'));
+    }
+  }
+  
+  // Change sampling options (accuracy, interval, minDistance, watch) and
+  // restart the watch with them if we are tracking
+  setTrackingOptions(options) {
+    Object.assign(this.options, options);
+    
+    if (this.isTracking) {
+      const source = this.watchProvider || this.getProvider();
+      this.stopWatching();
+      this.startWatching(source);
+    }
+  }
+  
+  // 'auto' or a profile name: 'navigation', 'touring', 'lowPower'
+  setTrackingMode(mode) {
+    if (this.modes) this.modes.setMode(mode);
+  }
+  
+  // { mode, label, reason, reasonText, auto, speed } or null without modes
+  getTrackingMode() {
+    return this.modes ? this.modes.getState() : null;
   }
   
   // Handle new position
   handlePosition(position) {
+    const fix = this.filterPosition(position);
+    if (!fix) return;
+    
     // Check if position changed significantly
-    if (this.shouldSavePosition(position)) {
-      this.lastPosition = position;
-      this.savePositionToBackend(position);
-      this.emitPositionUpdate(position);
+    if (this.shouldSavePosition(fix)) {
+      this.lastPosition = fix;
+      this.savePositionToBackend(fix);
+      this.emitPositionUpdate(fix, position);
     }
   }
   
+  // Run a raw fix through the filter; returns the smoothed fix or null if rejected
+  filterPosition(position) {
+    this.lastRawPosition = position;
+    let fix = position;
+    
+    if (this.filter) {
+      const result = this.filter.process(position);
+      if (!result.accepted) {
+        console.log(`Rejected GPS fix (${result.reason}):`, position.coords);
+        this.emitPositionRejected(result);
+        return null;
+      }
+      fix = result.filtered;
+    }
+    
+    // Speed and stops drive the tracking mode
+    if (this.modes) this.modes.handleFix(fix);
+    return fix;
+  }
+  
   // Check if position changed enough to save
   shouldSavePosition(newPosition) {
     if (!this.lastPosition) return true;
@@ -165,18 +270,7 @@ class GPSTracker {
   
   // Calculate distance between two points in meters
   calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371e3; // Earth's radius in meters
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180;
-    const Δλ = (lon2 - lon1) * Math.PI / 180;
-    
-    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ/2) * Math.sin(Δλ/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    
-    return R * c;
+    return geo.distance({ latitude: lat1, longitude: lon1 }, { latitude: lat2, longitude: lon2 });
   }
   
   // Save position to backend
@@ -194,10 +288,20 @@ class GPSTracker {
         timestamp: position.timestamp || Date.now()
       };
       
+      // Keep order: while older points are pending, queue behind them
+      if (this.queue && this.queue.size() > 0) {
+        this.queue.enqueue(locationData);
+        this.queue.flush();
+        return false;
+      }
+      
       const response = await window.api.saveLocation(locationData);
       
       if (response.error) {
         console.warn('Failed to save location:', response.error);
+        if (this.queue && this.isRetryableFailure(response)) {
+          this.queue.enqueue(locationData);
+        }
         return false;
       }
       
@@ -209,6 +313,25 @@ class GPSTracker {
     }
   }
   
+  // Check if a failed upload is worth retrying later (offline, timeout, server down)
+  isRetryableFailure(response) {
+    if (navigator.onLine === false) return true;
+    
+    return ['network', 'timeout', 'server'].includes(response.kind);
+  }
+  
+  // Upload points queued while offline
+  flushQueue() {
+    if (this.queue && this.queue.size() > 0) {
+      this.queue.flush();
+    }
+  }
+  
+  // Number of points waiting to be uploaded
+  getPendingCount() {
+    return this.queue ? this.queue.size() : 0;
+  }
+  
   // Handle GPS errors
   handleError(error) {
     console.warn('GPS Error:', error.code, error.message);
@@ -216,17 +339,17 @@ class GPSTracker {
     let message = '';
     switch(error.code) {
       case error.PERMISSION_DENIED:
-        message = 'Location permission denied. Please enable location services.';
+        message = t('gps.error.permissionDenied');
         this.userConsent = false;
         break;
       case error.POSITION_UNAVAILABLE:
-        message = 'Location information unavailable.';
+        message = t('gps.error.unavailable');
         break;
       case error.TIMEOUT:
-        message = 'Location request timed out.';
+        message = t('gps.error.timeout');
         break;
       default:
-        message = 'Unknown location error.';
+        message = t('gps.error.unknown');
         break;
     }
     
@@ -244,22 +367,39 @@ class GPSTracker {
     }
   }
   
-  // Emit custom event for position updates
-  emitPositionUpdate(position) {
+  // Emit custom event for position updates; position is the filtered fix,
+  // raw the fix as the source reported it
+  emitPositionUpdate(position, raw = position) {
     const event = new CustomEvent('gps-position-update', {
       detail: {
         position: position,
         coords: position.coords,
+        raw: raw,
+        source: this.getSourceName(),
         timestamp: new Date().toISOString()
       }
     });
     window.dispatchEvent(event);
   }
   
+  // Emit custom event for fixes the filter threw away
+  emitPositionRejected(result) {
+    const event = new CustomEvent('gps-position-rejected', {
+      detail: {
+        position: result.raw,
+        reason: result.reason,
+        accuracy: result.raw.coords.accuracy,
+        speed: result.speed,
+        source: this.getSourceName()
+      }
+    });
+    window.dispatchEvent(event);
+  }
+  
   // Get current position (one-time)
   async getCurrentPosition() {
     return new Promise((resolve, reject) => {
-      navigator.geolocation.getCurrentPosition(
+      this.getProvider().getCurrentPosition(
         resolve,
         reject,
         this.options
@@ -269,7 +409,45 @@ class GPSTracker {
   
   // Check if tracking is available
   isAvailable() {
-    return !!navigator.geolocation;
+    return !!this.getProvider();
+  }
+  
+  // Active position source
+  getProvider() {
+    return this.provider || navigator.geolocation;
+  }
+  
+  // 'browser' for the device GPS, otherwise the provider's name
+  getSourceName() {
+    return this.provider ? this.provider.name : 'browser';
+  }
+  
+  // Switch position source (null for the device GPS), carrying on tracking
+  // with the new one if we were tracking
+  async setProvider(provider) {
+    const wasTracking = this.isTracking;
+    const previous = this.provider;
+    
+    this.stopTracking({ silent: true });
+    if (previous && previous !== provider && previous.stop) {
+      previous.stop();
+    }
+    
+    this.provider = provider || null;
+    // The first fix from the new source is always significant
+    this.lastPosition = null;
+    if (this.filter) this.filter.reset();
+    if (this.modes) this.modes.resetTrack();
+    
+    const event = new CustomEvent('gps-provider-change', {
+      detail: { source: this.getSourceName(), label: this.provider ? this.provider.label : t('gps.deviceSource') }
+    });
+    window.dispatchEvent(event);
+    
+    if (wasTracking) {
+      return this.startTracking();
+    }
+    return true;
   }
   
   // Check if user has granted permission
@@ -278,6 +456,8 @@ class GPSTracker {
   }
 }
 
+window.GPSTracker = GPSTracker;
+
 // At the end of gps-tracker.js, replace with:
 // Create global instance if it doesn't exist
 // At the end of gps-tracker.js, replace with:
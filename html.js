@@ -0,0 +1,90 @@
+/**
+ * html.js - Escaped HTML templates and delegated click actions
+ *
+ * Markers, popups and cards show data from the server and from other users,
+ * so it must never reach innerHTML unescaped. Build that markup with the
+ * html`...` tag: every interpolated value is escaped unless it is itself an
+ * html`...` result. Arrays are joined; null, undefined and false render as
+ * nothing.
+ *
+ *   el.innerHTML = html`<b>${user.username}</b> ${tags.map(t => html`<i>${t}</i>`)}`;
+ *   marker.bindPopup(String(html`...`)); // Leaflet wants a plain string
+ *
+ * Inline handlers (onclick="go('${id}')") are unsafe even when escaped, as
+ * the browser unescapes attributes before running them. Mark the element
+ * instead and register the action once:
+ *
+ *   html`<button data-action="mark-visited" data-place-id="${place.id}">`
+ *   onAction('mark-visited', (el) => markAsVisited(el.dataset.placeId));
+ *
+ * The closest element with data-action handles a click; an empty
+ * data-action="" keeps clicks inside it from reaching an outer action.
+ */
+
+'use strict';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+function escapeHTML(value) {
+  return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+// Markup that is already safe to insert
+class SafeHTML {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHTML) return value.markup;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  return escapeHTML(value);
+}
+
+function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, i) => {
+    markup += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHTML(markup);
+}
+
+// Markup written by us, e.g. a constant icon. Never pass data through this.
+html.raw = (markup) => new SafeHTML(String(markup));
+
+const actionHandlers = new Map();
+
+// handler(element, event) runs for clicks on [data-action="name"]
+function onAction(name, handler) {
+  actionHandlers.set(name, handler);
+}
+
+function handleActionClick(event) {
+  const target = event.target.closest ? event.target.closest('[data-action]') : null;
+  if (!target) return;
+  const handler = actionHandlers.get(target.dataset.action);
+  if (handler) handler(target, event);
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  // Capture, so containers that stop click propagation still delegate
+  document.addEventListener('click', handleActionClick, true);
+
+  window.html = html;
+  window.escapeHTML = escapeHTML;
+  window.onAction = onAction;
+}
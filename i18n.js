@@ -0,0 +1,1447 @@
+/**
+ * i18n.js - Arabic and English messages, plurals and number/date formatting
+ *
+ * t(key, params) returns the message in the current language, falling back
+ * to English. {name} placeholders are filled from params; numbers are
+ * formatted for the language (Arabic uses Arabic-Indic digits). A message
+ * with plural forms is an object keyed by Intl.PluralRules category, and
+ * params.count picks the form:
+ *
+ *   t('gps.pending', { count: 3 })   // "3 points pending" / "٣ نقاط بانتظار الرفع"
+ *
+ * Static markup is translated through attributes, so the English text can
+ * stay in the page:
+ *
+ *   <button data-i18n="gps.start">Start Tracking</button>
+ *   <input data-i18n-placeholder="filters.search" placeholder="Search places, tags...">
+ *   <option data-i18n="units.km" data-i18n-params='{"value": 2}'>2 km</option>
+ *
+ * Text set from script with i18n.setText(el, key, params) follows language
+ * changes too. The choice is stored per user (and as the last used language
+ * for the login page); changing it sets <html lang dir>, re-translates the
+ * page and emits 'language-change' so pages can redraw what they built.
+ */
+
+'use strict';
+
+const LANGUAGE_KEY = 'st_language';
+
+const LANGUAGES = {
+  en: { label: 'English', locale: 'en', dir: 'ltr' },
+  ar: { label: 'العربية', locale: 'ar-SY', dir: 'rtl' }
+};
+
+const MESSAGES = {
+  en: {
+    // Shared
+    'app.name': 'Smart Tourist',
+    'language.label': 'Language',
+    'common.cancel': 'Cancel',
+    'common.clear': 'Clear',
+    'common.refresh': 'Refresh',
+    'common.show': 'Show',
+    'common.never': 'Never',
+    'common.unknown': 'Unknown',
+    'common.unknownError': 'Unknown error',
+    'common.notAvailable': 'N/A',
+    'common.user': 'User',
+    'common.you': 'You',
+    'common.listSeparator': ', ',
+    'units.m': '{value} m',
+    'units.km': '{value} km',
+    'duration.minutes': '{count} min',
+    'duration.hoursMinutes': '{hours} h {minutes}',
+    'time.at': 'at {time}',
+    'time.recently': 'recently',
+    'rating.outOfFive': '{rating}/5',
+    'price.free': 'free',
+    'price.low': 'low',
+    'price.medium': 'medium',
+    'price.high': 'high',
+    'budget.free': 'Free',
+    'budget.low': 'Low',
+    'budget.medium': 'Medium',
+    'budget.high': 'High',
+    'errors.network': 'Cannot reach the server. Check your connection and try again.',
+    'errors.timeout': 'The server is taking too long to respond. Please try again.',
+    'errors.server': 'The server had a problem. Please try again in a moment.',
+    'errors.networkRetry': 'Network error. Please try again.',
+    'session.expired': 'Your session has expired. Please log in again.',
+    'session.expiring': 'Your session is about to expire.',
+    'session.expiresIn': {
+      one: 'Your session expires in about {count} minute.',
+      other: 'Your session expires in about {count} minutes.'
+    },
+    'session.relogin': 'Log in again',
+    'nav.openMenu': 'Open profile menu',
+    'nav.logout': 'Log out',
+    'nav.profile': 'Profile',
+    'nav.backToMap': '← Back to Map',
+    'prefs.max': {
+      one: 'Maximum {count} preference allowed',
+      other: 'Maximum {count} preferences allowed'
+    },
+    'prefs.choose': 'Choose 1–5 interests',
+
+    // Login and signup (auth.html, app.js)
+    'auth.title': 'SmartTourist — Signup & Login',
+    'auth.footer': 'Built for SmartTour Syria • Prototype',
+    'auth.panel': 'Authentication panel',
+    'auth.signup': 'Sign up',
+    'auth.login': 'Log in',
+    'auth.email': 'Email',
+    'auth.password': 'Password',
+    'auth.passwordHint': 'At least 8 characters',
+    'auth.passwordPlaceholder': 'Your password',
+    'auth.username': 'Username',
+    'auth.usernameHint': 'Your display name',
+    'auth.country': 'Country',
+    'auth.loadingCountries': 'Loading countries…',
+    'auth.selectCountry': 'Select country',
+    'auth.budget': 'Budget',
+    'auth.selectBudget': 'Select budget',
+    'auth.preferences': 'Preferences',
+    'auth.createAccount': 'Create account',
+    'auth.haveAccount': 'I already have an account',
+    'auth.createdHint': 'Account created. Please log in to continue.',
+    'auth.locationTitle': 'Location Services',
+    'auth.locationConsent': 'I consent to share my GPS location to receive personalized recommendations and improve my experience.',
+    'auth.locationNote': 'You can enable/disable this anytime in settings. Location data is stored securely and anonymized for analytics.',
+    'auth.goToApp': 'Go to app (placeholder)',
+    'auth.status.offline': 'Offline',
+    'auth.status.connected': 'Connected',
+    'auth.status.fallback': 'Using fallback data',
+    'auth.status.authenticated': 'Authenticated',
+    'signup.budgetRequired': 'Please select a budget',
+    'signup.fieldsRequired': 'Please fill all fields and select at least one preference',
+    'signup.passwordTooShort': 'Password must be at least {min} characters',
+    'signup.success': 'Account created successfully! Please log in.',
+    'signup.failed': 'Signup failed',
+    'signup.networkError': 'Network error during signup',
+    'login.required': 'Please enter email and password',
+    'login.success': 'Login successful!',
+    'login.invalid': 'Invalid email or password',
+    'login.failed': 'Login failed',
+    'login.networkError': 'Network error during login',
+    'logout.done': 'Logged out',
+    'app.comingSoon': 'App page coming soon...',
+    'showcase.title': 'Change preferences?',
+    'showcase.description': 'We detected these interests from your signup. Keep them or change them now — you can always update later.',
+    'showcase.robot': 'Smiling robot',
+    'showcase.keep': 'Keep',
+    'showcase.change': 'Change',
+    'showcase.saveFailed': 'Unable to save preferences. Check console for details.',
+
+    // Profile page
+    'profile.title': 'SmartTourist — Profile',
+    'profile.loading': 'Loading...',
+    'profile.basicInfo': 'Basic Information',
+    'profile.currentPrefs': 'Current Preferences',
+    'profile.updatePrefs': 'Update Preferences',
+    'profile.savePrefs': 'Save Preferences',
+    'profile.changePassword': 'Change Password',
+    'profile.currentPassword': 'Current Password',
+    'profile.currentPasswordHint': 'Enter your current password',
+    'profile.newPassword': 'New Password',
+    'profile.confirmPassword': 'Confirm New Password',
+    'profile.confirmPasswordHint': 'Confirm new password',
+    'profile.account': 'Account',
+    'profile.languageHint': 'Used on every page whenever you are logged in on this device.',
+    'profile.loadFailed': 'Failed to load profile. Please try again.',
+    'profile.prefsRequired': 'Please select at least one preference',
+    'profile.prefsSaved': 'Preferences updated successfully!',
+    'profile.prefsFailed': 'Failed to update preferences',
+    'profile.passwordFieldsRequired': 'Please fill all password fields',
+    'profile.passwordTooShort': 'New password must be at least {min} characters',
+    'profile.passwordMismatch': 'New passwords do not match',
+    'profile.passwordChanged': 'Password changed successfully!',
+    'profile.passwordFailed': 'Failed to change password',
+
+    // GPS (gps-tracker.js and the map page)
+    'gps.unsupported': 'GPS is not supported by your device/browser',
+    'gps.permissionRevoked': 'GPS permission denied. Please enable location services in your browser settings.',
+    'gps.error.permissionDenied': 'Location permission denied. Please enable location services.',
+    'gps.error.unavailable': 'Location information unavailable.',
+    'gps.error.timeout': 'Location request timed out.',
+    'gps.error.unknown': 'Unknown location error.',
+    'gps.heading': 'GPS Location Tracking',
+    'gps.intro': 'Share your location to get personalized recommendations and track your journey.',
+    'gps.privacyLabel': 'Privacy:',
+    'gps.privacy': 'Your location data is stored securely and used only to enhance your experience.',
+    'gps.start': 'Start Tracking',
+    'gps.stop': 'Stop Tracking',
+    'gps.locate': 'Show My Location',
+    'gps.focus': 'Focus on Me',
+    'gps.share': 'Share My Location',
+    'gps.sharingOn': 'Sharing On',
+    'gps.notActive': 'GPS not active',
+    'gps.active': 'Tracking active',
+    'gps.activeWith': 'Tracking active · {source}',
+    'gps.deviceSource': 'Device GPS',
+    'gps.pending': {
+      one: '{count} point pending',
+      other: '{count} points pending'
+    },
+    'gps.autoStart': 'Auto-start tracking when I log in',
+    'gps.modeLabel': 'Tracking mode',
+    'gps.mode.auto': 'Automatic (saves battery)',
+    'gps.mode.navigation': 'Navigation – high accuracy',
+    'gps.mode.touring': 'Touring',
+    'gps.mode.lowPower': 'Low power',
+    'gps.modeName.navigation': 'Navigation',
+    'gps.modeName.touring': 'Touring',
+    'gps.modeName.lowPower': 'Low power',
+    'gps.modeReason.manual': 'Chosen by you',
+    'gps.modeReason.default': 'Walking pace',
+    'gps.modeReason.fast': 'Moving fast',
+    'gps.modeReason.stationary': 'Not moving',
+    'gps.modeReason.hidden': 'Map in background',
+    'gps.modeReason.battery': 'Battery low',
+    'gps.modeAuto': 'Chosen automatically',
+    'gps.modePinned': 'Pinned in Tracking mode below',
+    'gps.startFailed': 'Failed to start GPS tracking. Please check your location permissions.',
+    'gps.locateFailed': 'Could not get your location. Please check GPS permissions.',
+    'share.needsTracking': 'Please start GPS tracking before sharing your location.',
+    'share.failed': 'Could not update sharing preference. Please try again.',
+    'sharing.heading': '👁️ Who Can See Me',
+    'sharing.audience': 'Visible to',
+    'sharing.audience.nobody': 'Nobody',
+    'sharing.audience.everyone': 'Everyone',
+    'sharing.audience.group': 'My travel group',
+    'sharing.duration': 'For',
+    'sharing.duration.1h': '1 hour',
+    'sharing.duration.8h': '8 hours',
+    'sharing.duration.tracking': 'Until I stop tracking',
+    'sharing.duration.manual': 'Until I turn it off',
+    'sharing.precision': 'Precision',
+    'sharing.precision.exact': 'Exact',
+    'sharing.precision.approximate': 'About 100 m',
+    'sharing.precision.neighbourhood': 'Neighbourhood (about 1 km)',
+    'sharing.precision.unsupported': 'The server shows your exact position; it cannot blur it yet.',
+    'sharing.until': 'until {time}',
+    'sharing.untilTracking': 'until you stop tracking',
+    'sharing.untilOff': 'until you turn it off',
+    'sharing.status.off': 'Nobody can see where you are.',
+    'sharing.status.expired': 'Sharing ended: the time you chose is up.',
+    'sharing.status.trackingStopped': 'Sharing ended when you stopped tracking.',
+    'sharing.status.everyone': 'Everyone can see where you are',
+    'sharing.status.group': 'Your travel group can see where you are',
+    'sharing.status.zone': 'Hidden while you are near {name}.',
+    'sharing.status.notYet': 'Not shared yet: the change will be sent when you are back online.',
+    'sharing.status.stillVisible': 'Others can still see you: turning sharing off will be retried when you are back online.',
+    'sharing.badge.everyone': 'Visible to everyone',
+    'sharing.badge.group': 'Visible to your group',
+    'sharing.offline': 'You appear to be offline. The change will be sent when you reconnect.',
+    'sharing.zones': 'Never show me near',
+    'sharing.zoneName': 'e.g. My hotel',
+    'sharing.zoneAdd': 'Hide me around here',
+    'sharing.zoneUnnamed': 'a hidden place',
+    'sharing.zoneRemove': 'Remove',
+    'sharing.zoneNeedsTracking': 'Please start GPS tracking so we know where to hide you.',
+
+    // Travel groups
+    'groups.heading': '👨‍👩‍👧 Travel Group',
+    'groups.intro': 'Travelling with family or friends? See where everyone is, agree where to meet, and know when someone falls behind.',
+    'groups.namePlaceholder': 'Group name',
+    'groups.create': 'Create Group',
+    'groups.codePlaceholder': 'Invite code',
+    'groups.join': 'Join Group',
+    'groups.inviteCode': 'Invite code',
+    'groups.copy': 'Copy',
+    'groups.copied': 'Invite code copied. Share it with your companions.',
+    'groups.copyFailed': 'Could not copy. The invite code is {code}.',
+    'groups.leave': 'Leave',
+    'groups.confirmLeave': 'Leave "{name}"? You will need the invite code to join again.',
+    'groups.none': 'You are not in a travel group yet. Create one or join with an invite code.',
+    'groups.created': 'Group created. Invite your companions with the code {code}.',
+    'groups.joined': 'You joined "{name}".',
+    'groups.left': 'You left "{name}".',
+    'groups.alone': 'Nobody else is here yet. Share the invite code {code}.',
+    'groups.notSharing': 'not sharing their location',
+    'groups.sharingNoFix': 'sharing – start tracking to see how far',
+    'groups.away': '{distance} {direction}',
+    'groups.approximate': 'approximate',
+    'groups.lastSeen': 'seen {time}',
+    'groups.behindTag': 'Behind',
+    'groups.showOnMap': 'Show on map',
+    'groups.meetingPoint': '🚩 Meeting point',
+    'groups.noMeeting': 'No meeting point yet.',
+    'groups.meetingUnnamed': 'Meeting point',
+    'groups.setBy': 'set by {name}',
+    'groups.walk': '{distance} walk, about {duration}',
+    'groups.walkNeedsTracking': 'start tracking to see how far',
+    'groups.notePlaceholder': 'e.g. By the fountain',
+    'groups.meetHere': 'Meet Here…',
+    'groups.meetClear': 'Clear',
+    'groups.pickHint': 'Click the map where everyone should meet. Press Esc to cancel.',
+    'groups.memberBehind': '{name} has fallen behind',
+    'groups.youBehind': 'You have fallen behind your group',
+    'groups.behindDetail': 'The nearest companion is {distance} away.',
+    'groups.caughtUp': '{name} has caught up',
+    'groups.youCaughtUp': 'You have caught up with your group',
+    'groups.badCode': 'No group has that invite code. Please check it and try again.',
+    'groups.gone': 'That group no longer exists or you are not in it.',
+    'groups.offline': 'You appear to be offline. Please try again when connected.',
+    'groups.failed': 'Could not update your travel group. Please try again.',
+    'groups.compass.N': 'north',
+    'groups.compass.NE': 'north-east',
+    'groups.compass.E': 'east',
+    'groups.compass.SE': 'south-east',
+    'groups.compass.S': 'south',
+    'groups.compass.SW': 'south-west',
+    'groups.compass.W': 'west',
+    'groups.compass.NW': 'north-west',
+
+    // Map page
+    'map.title': 'SmartTourist Map',
+    'map.heading': 'Interactive Map',
+    'map.intro': 'Explore tourist attractions in Syria. Click on markers for details.',
+    'map.city': 'Damascus, Syria',
+    'map.zoomIn': 'Zoom in',
+    'map.zoomOut': 'Zoom out',
+    'legend.attraction': 'Tourist Attraction',
+    'legend.historical': 'Historical Site',
+    'legend.cultural': 'Cultural Site',
+    'legend.you': 'Your Location',
+    'legend.recommendations': 'Recommendations',
+    'legend.travellers': 'Other Travellers',
+    'legend.group': 'My Travel Group',
+    'live.connecting': 'Connecting to live updates…',
+    'live.live': 'Live updates',
+    'live.polling': 'Updating every 30 s',
+    'live.stopped': 'Updates paused',
+    'live.robotSeen': '🤖 Robot seen {time}',
+    'popup.latitude': 'Latitude',
+    'popup.longitude': 'Longitude',
+    'popup.accuracy': 'Accuracy:',
+    'popup.updated': 'Updated:',
+    'popup.updatedAt': 'Updated: {time}',
+    'popup.userLocation': '{name}’s location',
+    'popup.liveLocation': '📍 Live location',
+    'popup.approximateLocation': '📍 Approximate location',
+    'robot.badge': 'ROBOT',
+    'robot.title': 'Robot Guide',
+    'robot.roaming': 'I’m currently roaming around Damascus!',
+    'robot.lastSeen': 'Last seen {time}',
+    'museum.name': 'National Museum of Damascus',
+    'museum.about': 'Syria’s premier museum – home to ancient treasures, Roman artefacts, and the famous Dura‑Europos synagogue.',
+    'museum.tag': 'museum',
+    'vision.heading': 'Robot Vision',
+    'vision.intro': 'Take a photo or upload an image – the robot will describe what it sees!',
+    'vision.take': 'Take Photo / Upload',
+    'vision.says': 'Robot says:',
+    'vision.thinking': '🤔 Robot is thinking...',
+    'vision.connectFailed': 'Failed to connect to robot vision service.',
+    'vision.error': 'Error: {error}',
+    'vision.size': 'Photo size',
+    'vision.size.small': 'Small (fastest)',
+    'vision.size.medium': 'Medium',
+    'vision.size.large': 'Large (most detail)',
+    'vision.preparing': 'Preparing photo...',
+    'vision.uploading': 'Sending photo... {percent}',
+    'vision.cancelled': 'Photo not sent.',
+    'vision.sent': 'Sent {size} instead of {original}, without the photo\'s location data.',
+    'vision.unreadable': 'Could not read this photo. Try a JPEG or PNG image.',
+    'vision.gallery': '🖼️ Past Photos',
+    'vision.galleryEmpty': 'Photos you show the robot are kept here with what it said.',
+    'vision.showPins': 'Show photos on the map',
+    'vision.noPosition': 'No GPS position',
+    'vision.delete': 'Delete',
+    'vision.confirmDelete': 'Delete this photo and its description?',
+
+    // Recommendations
+    'recs.heading': 'Personalized Recommendations',
+    'recs.showOnMap': 'Show on Map',
+    'recs.loading': 'Loading recommendations...',
+    'recs.empty': 'No recommendations available. Please enable GPS tracking for personalized recommendations.',
+    'recs.none': 'No recommendations available.',
+    'recs.noMatch': 'No places match these filters.',
+    'recs.loadFailed': 'Failed to load recommendations. Please try again later.',
+    'recs.refreshFirst': 'No recommendations available. Please refresh first.',
+    'recs.filteredOut': 'No recommendations match your filters.',
+    'recs.attraction': 'Attraction',
+    'recs.nearby': 'Nearby',
+    'recs.away': '{distance} away',
+    'recs.match': '{percent} match',
+    'recs.noDescription': 'No description available.',
+    'recs.itinerary': '➕ Itinerary',
+    'recs.markVisited': '✅ Mark Visited',
+    'visited.confirm': 'Mark this place as visited?',
+    'visited.done': 'Place marked as visited!',
+    'visited.failed': 'Failed to mark as visited. Please try again.',
+    'proximity.alerts': 'Tell me when I’m near a place',
+    'proximity.autoLog': 'Log my arrivals',
+    'proximity.askAfter': 'Ask to mark visited after',
+    'proximity.near': '📍 You’re near {name}',
+    'proximity.discountHere': '{percent} off here with a partner code',
+    'proximity.about': 'About {distance} away',
+    'proximity.discountAt': '🎟️ {percent} off at {name}',
+    'proximity.discountHint': 'Ask for their QR code and claim it under Scan & Save.',
+    'proximity.stillAt': 'Still at {name}?',
+    'proximity.dwelled': 'You’ve been here {duration}. Mark it as visited?',
+    'proximity.markVisited': '✅ Mark visited',
+    'proximity.notNow': 'Not now',
+    'proximity.visited': '{name} marked as visited',
+    'filters.search': 'Search places, tags...',
+    'filters.sortBy': 'Sort by',
+    'filters.sort.score': 'Best match',
+    'filters.sort.distance': 'Nearest',
+    'filters.sort.rating': 'Top rated',
+    'filters.rating': 'Rating',
+    'filters.anyRating': 'Any',
+    'filters.minRating': '{rating}+ ⭐',
+    'filters.within': 'Within',
+    'filters.anyDistance': 'Any distance',
+    'filters.hideVisited': 'Hide visited',
+    'filters.clear': 'Clear filters',
+    'filters.showing': 'Showing {shown} of {total}',
+    'category.historical': 'History & museums',
+    'category.nature': 'Nature',
+    'category.food': 'Food',
+    'category.shopping': 'Shopping',
+    'category.religious': 'Religious',
+    'category.entertainment': 'Entertainment',
+    'category.castle': 'Castles',
+    'category.other': 'Other',
+
+    // Why a place is recommended, and feedback on it
+    'why.title': 'Why am I seeing this?',
+    'why.default': 'Suggested from your profile and location.',
+    'why.summary': 'Recommended mostly for {topic}.',
+    'why.summaryBoth': 'Recommended mostly for {topic} and {other}.',
+    'why.label.preference': 'Interests',
+    'why.label.distance': 'Distance',
+    'why.label.budget': 'Budget',
+    'why.label.popularity': 'Popularity',
+    'why.topic.preference': 'your interests',
+    'why.topic.distance': 'how close it is',
+    'why.topic.budget': 'your budget',
+    'why.topic.popularity': 'its ratings',
+    'why.preference.high': 'Matches your interests',
+    'why.preference.partial': 'Partly matches your interests',
+    'why.preference.low': 'Not one of your usual interests',
+    'why.distance.close': 'Close to you',
+    'why.distance.further': 'A bit further out',
+    'why.distance.veryClose': 'Only {distance} away, about {walk}',
+    'why.distance.walkable': '{distance} away, about {walk}',
+    'why.distance.far': '{distance} away, a longer trip',
+    'why.walk': '{count} min on foot',
+    'why.budget.free': 'Free to visit',
+    'why.budget.fits': 'Fits your budget',
+    'why.budget.pricier': 'Pricier than your usual budget',
+    'why.popularity.high': 'Highly rated by visitors',
+    'why.popularity.good': 'Well rated',
+    'why.popularity.mixed': 'Mixed reviews',
+    'feedback.like': 'I like this',
+    'feedback.dislike': 'Not for me',
+    'feedback.dismiss': 'Not interested: hide it',
+    'feedback.title.disliked': 'What put you off?',
+    'feedback.title.dismissed': 'Why not interested?',
+    'feedback.reason.not_my_interests': 'Not my kind of place',
+    'feedback.reason.too_far': 'Too far away',
+    'feedback.reason.too_expensive': 'Too expensive',
+    'feedback.reason.been_before': 'I have been there before',
+    'feedback.reason.bad_reviews': 'Poor reviews',
+    'feedback.reason.other': 'Something else',
+
+    // Day itinerary
+    'itinerary.heading': '🧭 Day Itinerary',
+    'itinerary.optimize': 'Best Order From Here',
+    'itinerary.showRoute': 'Show Route',
+    'itinerary.hideRoute': 'Hide Route',
+    'itinerary.clearDay': 'Clear Day',
+    'itinerary.empty': 'No stops yet. Use ➕ Itinerary on a recommendation to add one.',
+    'itinerary.earlier': 'Earlier',
+    'itinerary.later': 'Later',
+    'itinerary.remove': 'Remove',
+    'itinerary.fromYou': '{leg} from you',
+    'itinerary.stops': {
+      one: '{count} stop',
+      other: '{count} stops'
+    },
+    'itinerary.budget': '💰 about {amount}',
+    'itinerary.unpriced': '{count} without a price',
+    'itinerary.added': '{name} added to your plan for {day}.',
+    'itinerary.alreadyAdded': '{name} is already in your plan for {day}.',
+    'itinerary.optimized': 'Reordered for the shortest walk from where you are.',
+    'itinerary.noPosition': 'No GPS position yet, so the first stop stays first.',
+    'itinerary.confirmClear': 'Remove every stop from this day?',
+
+    // Trips
+    'trips.heading': '🗺️ My Trips',
+    'trips.namePlaceholder': 'Trip name (optional)',
+    'trips.start': 'Start Trip',
+    'trips.stop': 'Stop Trip',
+    'trips.plannedRoute': 'Planned route (GPX)',
+    'trips.removePlanned': 'Remove planned route',
+    'trips.defaultName': 'Trip of {date}',
+    'trips.recording': '⏺️ {name} (recording)',
+    'trips.visited': 'Visited: {places}',
+    'trips.showOnMap': 'Show on map',
+    'trips.rename': 'Rename',
+    'trips.namePrompt': 'Trip name',
+    'trips.forget': 'Forget',
+    'trips.confirmForget': 'Forget this trip? Its points stay in your location history.',
+    'trips.empty': 'No trips yet. Start one, or keep GPS tracking on and your outings show up here.',
+    'trips.needsTracking': 'Start GPS tracking to record this trip.',
+    'trips.noPoints': 'This trip has no points yet.',
+    'trips.startPoint': 'Start',
+    'trips.now': 'Now',
+    'trips.end': 'End',
+    'trips.planned': 'Planned: {name} ({distance})',
+    'trips.showingPlanned': 'Showing planned route {name} ({distance}).',
+    'trips.loading': 'Loading trips...',
+    'trips.loadFailed': 'Failed to load your trips. Please try again later.',
+    'trips.noRoute': 'No route found in the file',
+    'trips.importFailed': 'Could not read {file}: {error}',
+
+    // Offline map
+    'offline.heading': '📥 Offline Map',
+    'offline.intro': 'Save the map of the area on screen to use it without signal. Places you have already browsed are kept automatically.',
+    'offline.detail': 'Detail down to',
+    'offline.zoom.15': 'Streets (zoom 15)',
+    'offline.zoom.16': 'Alleys (zoom 16)',
+    'offline.zoom.17': 'Buildings (zoom 17)',
+    'offline.download': 'Download this area',
+    'offline.delete': 'Delete offline maps',
+    'offline.estimate': 'This view: {tiles} tiles, about {size}.',
+    'offline.tooBig': 'This view needs {tiles} tiles, more than the {max} allowed. Zoom in or choose less detail.',
+    'offline.notAllowed': 'This map’s tile server does not allow downloading areas, but places you browse are still kept.',
+    'offline.showingSaved': '📴 Offline: showing saved data',
+    'offline.areas': {
+      one: '{count} area saved ({size}).',
+      other: '{count} areas saved ({size}).'
+    },
+    'offline.noAreas': 'No areas saved yet.',
+    'offline.storage': 'Storage used: {used} of {quota}.',
+    'offline.downloading': 'Downloading {done} of {total} tiles…',
+    'offline.partial': 'Saved the area, but {failed} of {tiles} tiles failed. Try again to fill the gaps.',
+    'offline.saved': 'Saved {tiles} tiles for offline use.',
+    'offline.confirmDelete': 'Delete all map areas saved for offline use?',
+    'offline.error.unsupported': 'This browser cannot store map tiles.',
+    'offline.error.not-allowed': 'This map’s tile server does not allow downloading areas.',
+    'offline.error.too-big': 'That area is too big to save. Zoom in or choose less detail.',
+    'offline.error.cancelled': 'Download cancelled.',
+
+    // Location history
+    'history.heading': '📅 Location History',
+    'history.from': 'From',
+    'history.to': 'To',
+    'history.path': 'Path',
+    'history.heatmap': 'Heatmap',
+    'history.play': '▶️ Play',
+    'history.pause': '⏸️ Pause',
+    'history.overSeconds': 'Over {count} s',
+    'history.overMinutes': 'Over {count} min',
+    'history.day': 'Day',
+    'history.distance': 'Distance',
+    'history.moving': 'Moving',
+    'history.stationary': 'Stationary',
+    'history.points': 'Points',
+    'history.total': 'Total',
+    'history.here': '{duration} here',
+    'history.badRange': 'Pick a start day on or before the end day.',
+    'history.loading': 'Loading your location history...',
+    'history.loadFailed': 'Failed to load your location history. Please try again later.',
+    'history.none': 'No locations were recorded on these days.',
+    'history.truncated': 'Showing the latest {count} points. Pick fewer days to see them all.',
+    'history.count': {
+      one: '{count} point.',
+      other: '{count} points.'
+    },
+
+    // Discounts
+    'discount.heading': 'Scan & Save',
+    'discount.intro': 'Have a partner’s discount QR code? Scan it, or type its code below. Claimed discounts stay in your wallet.',
+    'discount.placeholder': 'Enter discount password',
+    'discount.claim': 'Claim',
+    'discount.claiming': 'Claiming...',
+    'discount.unlocked': 'Discount Unlocked!',
+    'discount.awesome': 'Awesome!',
+    'discount.off': '{percent} OFF',
+    'discount.passwordRequired': 'Please enter a password',
+    'discount.invalid': 'Invalid or expired code',
+    'discount.scan': 'Scan QR code',
+    'discount.scanPhoto': 'Scan from photo',
+    'discount.scanHint': 'Point the camera at the partner’s QR code.',
+    'discount.reading': 'Reading the QR code...',
+    'discount.notACode': 'That QR code is not a SmartTourist discount.',
+    'discount.alreadyClaimed': 'You already claimed this discount. It is in your wallet.',
+    'discount.scanError.unsupported': 'This browser cannot scan QR codes. Type the code instead.',
+    'discount.scanError.permission': 'Camera access was denied. Allow it in your browser settings, or scan from a photo.',
+    'discount.scanError.not-found': 'No QR code found in that photo. Try a sharper, closer picture.',
+    'discount.scanError.failed': 'Could not read the QR code. Please try again.',
+
+    // Discount wallet
+    'wallet.heading': '👛 My Discounts',
+    'wallet.showPartners': 'Show partner offers on the map',
+    'wallet.empty': 'Discounts you claim are kept here until they expire.',
+    'wallet.code': 'Code: {code}',
+    'wallet.claimed': 'Claimed {date}',
+    'wallet.validUntil': 'Valid until {date}',
+    'wallet.expired': 'Expired {date}',
+    'wallet.remove': 'Remove',
+    'wallet.confirmRemove': 'Remove this discount from your wallet?',
+    'wallet.clearExpired': 'Remove expired',
+    'wallet.partnerOffer': '{percent} off with a partner code',
+    'wallet.inWallet': 'In your wallet until {date}'
+  },
+
+  ar: {
+    // Shared
+    'app.name': 'السائح الذكي',
+    'language.label': 'اللغة',
+    'common.cancel': 'إلغاء',
+    'common.clear': 'مسح',
+    'common.refresh': 'تحديث',
+    'common.show': 'عرض',
+    'common.never': 'أبدًا',
+    'common.unknown': 'غير معروف',
+    'common.unknownError': 'خطأ غير معروف',
+    'common.notAvailable': 'غير متوفر',
+    'common.user': 'مستخدم',
+    'common.you': 'أنت',
+    'common.listSeparator': '، ',
+    'units.m': '{value} م',
+    'units.km': '{value} كم',
+    'duration.minutes': {
+      zero: '{count} دقيقة',
+      one: 'دقيقة واحدة',
+      two: 'دقيقتان',
+      few: '{count} دقائق',
+      many: '{count} دقيقة',
+      other: '{count} دقيقة'
+    },
+    'duration.hoursMinutes': '{hours} س و{minutes}',
+    'time.at': 'الساعة {time}',
+    'time.recently': 'مؤخرًا',
+    'rating.outOfFive': '{rating} من 5',
+    'price.free': 'مجاني',
+    'price.low': 'منخفض',
+    'price.medium': 'متوسط',
+    'price.high': 'مرتفع',
+    'budget.free': 'مجانية',
+    'budget.low': 'منخفضة',
+    'budget.medium': 'متوسطة',
+    'budget.high': 'مرتفعة',
+    'errors.network': 'تعذّر الوصول إلى الخادم. تحقّق من اتصالك وحاول مجددًا.',
+    'errors.timeout': 'يستغرق الخادم وقتًا طويلًا للرد. يرجى المحاولة مجددًا.',
+    'errors.server': 'حدثت مشكلة في الخادم. يرجى المحاولة بعد قليل.',
+    'errors.networkRetry': 'خطأ في الشبكة. يرجى المحاولة مجددًا.',
+    'session.expired': 'انتهت جلستك. يرجى تسجيل الدخول مجددًا.',
+    'session.expiring': 'جلستك على وشك الانتهاء.',
+    'session.expiresIn': {
+      zero: 'تنتهي جلستك خلال أقل من دقيقة.',
+      one: 'تنتهي جلستك خلال دقيقة تقريبًا.',
+      two: 'تنتهي جلستك خلال دقيقتين تقريبًا.',
+      few: 'تنتهي جلستك خلال {count} دقائق تقريبًا.',
+      many: 'تنتهي جلستك خلال {count} دقيقة تقريبًا.',
+      other: 'تنتهي جلستك خلال {count} دقيقة تقريبًا.'
+    },
+    'session.relogin': 'تسجيل الدخول مجددًا',
+    'nav.openMenu': 'فتح قائمة الحساب',
+    'nav.logout': 'تسجيل الخروج',
+    'nav.profile': 'الملف الشخصي',
+    'nav.backToMap': '→ العودة إلى الخريطة',
+    'prefs.max': {
+      zero: 'لا يمكنك اختيار أي اهتمام',
+      one: 'يمكنك اختيار اهتمام واحد كحد أقصى',
+      two: 'يمكنك اختيار اهتمامين كحد أقصى',
+      few: 'يمكنك اختيار {count} اهتمامات كحد أقصى',
+      many: 'يمكنك اختيار {count} اهتمامًا كحد أقصى',
+      other: 'يمكنك اختيار {count} اهتمام كحد أقصى'
+    },
+    'prefs.choose': 'اختر من 1 إلى 5 اهتمامات',
+
+    // Login and signup (auth.html, app.js)
+    'auth.title': 'السائح الذكي — إنشاء حساب وتسجيل الدخول',
+    'auth.footer': 'صُمّم لـ SmartTour سوريا • نموذج أولي',
+    'auth.panel': 'لوحة تسجيل الدخول',
+    'auth.signup': 'إنشاء حساب',
+    'auth.login': 'تسجيل الدخول',
+    'auth.email': 'البريد الإلكتروني',
+    'auth.password': 'كلمة المرور',
+    'auth.passwordHint': '8 أحرف على الأقل',
+    'auth.passwordPlaceholder': 'كلمة المرور الخاصة بك',
+    'auth.username': 'اسم المستخدم',
+    'auth.usernameHint': 'الاسم الذي يظهر للآخرين',
+    'auth.country': 'البلد',
+    'auth.loadingCountries': 'جارٍ تحميل البلدان…',
+    'auth.selectCountry': 'اختر البلد',
+    'auth.budget': 'الميزانية',
+    'auth.selectBudget': 'اختر الميزانية',
+    'auth.preferences': 'الاهتمامات',
+    'auth.createAccount': 'إنشاء الحساب',
+    'auth.haveAccount': 'لدي حساب بالفعل',
+    'auth.createdHint': 'تم إنشاء الحساب. سجّل الدخول للمتابعة.',
+    'auth.locationTitle': 'خدمات الموقع',
+    'auth.locationConsent': 'أوافق على مشاركة موقعي عبر GPS للحصول على توصيات مخصصة وتحسين تجربتي.',
+    'auth.locationNote': 'يمكنك تفعيل هذا الخيار أو إيقافه في أي وقت من الإعدادات. تُحفظ بيانات الموقع بأمان وتُجهَّل عند استخدامها في التحليلات.',
+    'auth.goToApp': 'الانتقال إلى التطبيق (تجريبي)',
+    'auth.status.offline': 'غير متصل',
+    'auth.status.connected': 'متصل',
+    'auth.status.fallback': 'يتم استخدام بيانات احتياطية',
+    'auth.status.authenticated': 'تم تسجيل الدخول',
+    'signup.budgetRequired': 'يرجى اختيار الميزانية',
+    'signup.fieldsRequired': 'يرجى تعبئة جميع الحقول واختيار اهتمام واحد على الأقل',
+    'signup.passwordTooShort': 'يجب ألا تقل كلمة المرور عن {min} أحرف',
+    'signup.success': 'تم إنشاء الحساب بنجاح! يرجى تسجيل الدخول.',
+    'signup.failed': 'فشل إنشاء الحساب',
+    'signup.networkError': 'خطأ في الشبكة أثناء إنشاء الحساب',
+    'login.required': 'يرجى إدخال البريد الإلكتروني وكلمة المرور',
+    'login.success': 'تم تسجيل الدخول بنجاح!',
+    'login.invalid': 'البريد الإلكتروني أو كلمة المرور غير صحيحة',
+    'login.failed': 'فشل تسجيل الدخول',
+    'login.networkError': 'خطأ في الشبكة أثناء تسجيل الدخول',
+    'logout.done': 'تم تسجيل الخروج',
+    'app.comingSoon': 'صفحة التطبيق قادمة قريبًا...',
+    'showcase.title': 'هل تريد تغيير اهتماماتك؟',
+    'showcase.description': 'استنتجنا هذه الاهتمامات من تسجيلك. أبقِها أو غيّرها الآن — يمكنك تعديلها لاحقًا في أي وقت.',
+    'showcase.robot': 'روبوت مبتسم',
+    'showcase.keep': 'إبقاء',
+    'showcase.change': 'تغيير',
+    'showcase.saveFailed': 'تعذّر حفظ الاهتمامات. راجع وحدة التحكم لمزيد من التفاصيل.',
+
+    // Profile page
+    'profile.title': 'السائح الذكي — الملف الشخصي',
+    'profile.loading': 'جارٍ التحميل...',
+    'profile.basicInfo': 'المعلومات الأساسية',
+    'profile.currentPrefs': 'اهتماماتك الحالية',
+    'profile.updatePrefs': 'تعديل الاهتمامات',
+    'profile.savePrefs': 'حفظ الاهتمامات',
+    'profile.changePassword': 'تغيير كلمة المرور',
+    'profile.currentPassword': 'كلمة المرور الحالية',
+    'profile.currentPasswordHint': 'أدخل كلمة المرور الحالية',
+    'profile.newPassword': 'كلمة المرور الجديدة',
+    'profile.confirmPassword': 'تأكيد كلمة المرور الجديدة',
+    'profile.confirmPasswordHint': 'أعد إدخال كلمة المرور الجديدة',
+    'profile.account': 'الحساب',
+    'profile.languageHint': 'تُستخدم في كل الصفحات كلما سجّلت الدخول على هذا الجهاز.',
+    'profile.loadFailed': 'تعذّر تحميل الملف الشخصي. يرجى المحاولة مجددًا.',
+    'profile.prefsRequired': 'يرجى اختيار اهتمام واحد على الأقل',
+    'profile.prefsSaved': 'تم تحديث الاهتمامات بنجاح!',
+    'profile.prefsFailed': 'تعذّر تحديث الاهتمامات',
+    'profile.passwordFieldsRequired': 'يرجى تعبئة جميع حقول كلمة المرور',
+    'profile.passwordTooShort': 'يجب ألا تقل كلمة المرور الجديدة عن {min} أحرف',
+    'profile.passwordMismatch': 'كلمتا المرور الجديدتان غير متطابقتين',
+    'profile.passwordChanged': 'تم تغيير كلمة المرور بنجاح!',
+    'profile.passwordFailed': 'تعذّر تغيير كلمة المرور',
+
+    // GPS (gps-tracker.js and the map page)
+    'gps.unsupported': 'جهازك أو متصفحك لا يدعم GPS',
+    'gps.permissionRevoked': 'تم رفض إذن GPS. يرجى تفعيل خدمات الموقع من إعدادات المتصفح.',
+    'gps.error.permissionDenied': 'تم رفض إذن الموقع. يرجى تفعيل خدمات الموقع.',
+    'gps.error.unavailable': 'معلومات الموقع غير متاحة.',
+    'gps.error.timeout': 'انتهت مهلة طلب الموقع.',
+    'gps.error.unknown': 'خطأ غير معروف في تحديد الموقع.',
+    'gps.heading': 'تتبّع الموقع عبر GPS',
+    'gps.intro': 'شارك موقعك للحصول على توصيات مخصصة وتتبّع رحلتك.',
+    'gps.privacyLabel': 'الخصوصية:',
+    'gps.privacy': 'تُحفظ بيانات موقعك بأمان وتُستخدم فقط لتحسين تجربتك.',
+    'gps.start': 'بدء التتبّع',
+    'gps.stop': 'إيقاف التتبّع',
+    'gps.locate': 'عرض موقعي',
+    'gps.focus': 'التركيز على موقعي',
+    'gps.share': 'مشاركة موقعي',
+    'gps.sharingOn': 'المشاركة مفعّلة',
+    'gps.notActive': 'GPS غير مفعّل',
+    'gps.active': 'التتبّع مفعّل',
+    'gps.activeWith': 'التتبّع مفعّل · {source}',
+    'gps.deviceSource': 'GPS الجهاز',
+    'gps.pending': {
+      zero: 'لا نقاط بانتظار الرفع',
+      one: 'نقطة واحدة بانتظار الرفع',
+      two: 'نقطتان بانتظار الرفع',
+      few: '{count} نقاط بانتظار الرفع',
+      many: '{count} نقطة بانتظار الرفع',
+      other: '{count} نقطة بانتظار الرفع'
+    },
+    'gps.autoStart': 'بدء التتبّع تلقائيًا عند تسجيل الدخول',
+    'gps.modeLabel': 'وضع التتبّع',
+    'gps.mode.auto': 'تلقائي (يوفّر البطارية)',
+    'gps.mode.navigation': 'ملاحة – دقة عالية',
+    'gps.mode.touring': 'تجوّل',
+    'gps.mode.lowPower': 'توفير الطاقة',
+    'gps.modeName.navigation': 'ملاحة',
+    'gps.modeName.touring': 'تجوّل',
+    'gps.modeName.lowPower': 'توفير الطاقة',
+    'gps.modeReason.manual': 'اخترته أنت',
+    'gps.modeReason.default': 'سرعة المشي',
+    'gps.modeReason.fast': 'حركة سريعة',
+    'gps.modeReason.stationary': 'لا حركة',
+    'gps.modeReason.hidden': 'الخريطة في الخلفية',
+    'gps.modeReason.battery': 'البطارية منخفضة',
+    'gps.modeAuto': 'تم اختياره تلقائيًا',
+    'gps.modePinned': 'مثبّت من وضع التتبّع أدناه',
+    'gps.startFailed': 'تعذّر بدء تتبّع GPS. يرجى التحقق من أذونات الموقع.',
+    'gps.locateFailed': 'تعذّر تحديد موقعك. يرجى التحقق من أذونات GPS.',
+    'share.needsTracking': 'يرجى بدء تتبّع GPS قبل مشاركة موقعك.',
+    'share.failed': 'تعذّر تحديث إعداد المشاركة. يرجى المحاولة مجددًا.',
+    'sharing.heading': '👁️ من يستطيع رؤيتي',
+    'sharing.audience': 'مرئي لـ',
+    'sharing.audience.nobody': 'لا أحد',
+    'sharing.audience.everyone': 'الجميع',
+    'sharing.audience.group': 'مجموعة سفري',
+    'sharing.duration': 'لمدة',
+    'sharing.duration.1h': 'ساعة واحدة',
+    'sharing.duration.8h': '8 ساعات',
+    'sharing.duration.tracking': 'حتى أوقف التتبّع',
+    'sharing.duration.manual': 'حتى أوقفها بنفسي',
+    'sharing.precision': 'الدقة',
+    'sharing.precision.exact': 'دقيق',
+    'sharing.precision.approximate': 'حوالي 100 م',
+    'sharing.precision.neighbourhood': 'الحي (حوالي 1 كم)',
+    'sharing.precision.unsupported': 'يعرض الخادم موقعك الدقيق، ولا يستطيع تمويهه بعد.',
+    'sharing.until': 'حتى {time}',
+    'sharing.untilTracking': 'حتى توقف التتبّع',
+    'sharing.untilOff': 'حتى توقفها بنفسك',
+    'sharing.status.off': 'لا أحد يستطيع رؤية مكانك.',
+    'sharing.status.expired': 'انتهت المشاركة: انقضى الوقت الذي اخترته.',
+    'sharing.status.trackingStopped': 'انتهت المشاركة عندما أوقفت التتبّع.',
+    'sharing.status.everyone': 'يستطيع الجميع رؤية مكانك',
+    'sharing.status.group': 'تستطيع مجموعة سفرك رؤية مكانك',
+    'sharing.status.zone': 'مخفي ما دمت قرب {name}.',
+    'sharing.status.notYet': 'لم تتم المشاركة بعد: سيُرسل التغيير عند عودة الاتصال.',
+    'sharing.status.stillVisible': 'لا يزال الآخرون يرونك: ستُعاد محاولة إيقاف المشاركة عند عودة الاتصال.',
+    'sharing.badge.everyone': 'مرئي للجميع',
+    'sharing.badge.group': 'مرئي لمجموعتك',
+    'sharing.offline': 'يبدو أنك غير متصل. سيُرسل التغيير عند عودة الاتصال.',
+    'sharing.zones': 'لا تُظهرني أبدًا قرب',
+    'sharing.zoneName': 'مثلًا: فندقي',
+    'sharing.zoneAdd': 'أخفني في هذه المنطقة',
+    'sharing.zoneUnnamed': 'مكان مخفي',
+    'sharing.zoneRemove': 'إزالة',
+    'sharing.zoneNeedsTracking': 'يرجى بدء تتبّع GPS لنعرف أين نخفيك.',
+
+    // Travel groups
+    'groups.heading': '👨‍👩‍👧 مجموعة السفر',
+    'groups.intro': 'تسافر مع العائلة أو الأصدقاء؟ اعرف مكان الجميع، واتفقوا على نقطة لقاء، واعلم متى يتأخر أحدكم.',
+    'groups.namePlaceholder': 'اسم المجموعة',
+    'groups.create': 'إنشاء مجموعة',
+    'groups.codePlaceholder': 'رمز الدعوة',
+    'groups.join': 'الانضمام إلى مجموعة',
+    'groups.inviteCode': 'رمز الدعوة',
+    'groups.copy': 'نسخ',
+    'groups.copied': 'تم نسخ رمز الدعوة. شاركه مع رفاقك.',
+    'groups.copyFailed': 'تعذّر النسخ. رمز الدعوة هو {code}.',
+    'groups.leave': 'مغادرة',
+    'groups.confirmLeave': 'مغادرة «{name}»؟ ستحتاج إلى رمز الدعوة للانضمام مجددًا.',
+    'groups.none': 'لست في مجموعة سفر بعد. أنشئ مجموعة أو انضم برمز دعوة.',
+    'groups.created': 'تم إنشاء المجموعة. ادعُ رفاقك بالرمز {code}.',
+    'groups.joined': 'انضممت إلى «{name}».',
+    'groups.left': 'غادرت «{name}».',
+    'groups.alone': 'لا أحد غيرك هنا بعد. شارك رمز الدعوة {code}.',
+    'groups.notSharing': 'لا يشارك موقعه',
+    'groups.sharingNoFix': 'يشارك موقعه – ابدأ التتبّع لمعرفة المسافة',
+    'groups.away': '{distance} باتجاه {direction}',
+    'groups.approximate': 'تقريبي',
+    'groups.lastSeen': 'شوهد {time}',
+    'groups.behindTag': 'متأخر',
+    'groups.showOnMap': 'عرض على الخريطة',
+    'groups.meetingPoint': '🚩 نقطة اللقاء',
+    'groups.noMeeting': 'لا توجد نقطة لقاء بعد.',
+    'groups.meetingUnnamed': 'نقطة اللقاء',
+    'groups.setBy': 'حدّدها {name}',
+    'groups.walk': '{distance} سيرًا، نحو {duration}',
+    'groups.walkNeedsTracking': 'ابدأ التتبّع لمعرفة المسافة',
+    'groups.notePlaceholder': 'مثلًا: عند النافورة',
+    'groups.meetHere': 'نلتقي هنا…',
+    'groups.meetClear': 'مسح',
+    'groups.pickHint': 'انقر على الخريطة حيث يجب أن يلتقي الجميع. اضغط Esc للإلغاء.',
+    'groups.memberBehind': 'تأخّر {name} عن المجموعة',
+    'groups.youBehind': 'لقد تأخرت عن مجموعتك',
+    'groups.behindDetail': 'أقرب رفيق على بُعد {distance}.',
+    'groups.caughtUp': 'لحق {name} بالمجموعة',
+    'groups.youCaughtUp': 'لقد لحقت بمجموعتك',
+    'groups.badCode': 'لا توجد مجموعة بهذا الرمز. يرجى التحقق منه والمحاولة مجددًا.',
+    'groups.gone': 'هذه المجموعة لم تعد موجودة أو لست عضوًا فيها.',
+    'groups.offline': 'يبدو أنك غير متصل. يرجى المحاولة مجددًا عند الاتصال.',
+    'groups.failed': 'تعذّر تحديث مجموعة السفر. يرجى المحاولة مجددًا.',
+    'groups.compass.N': 'الشمال',
+    'groups.compass.NE': 'الشمال الشرقي',
+    'groups.compass.E': 'الشرق',
+    'groups.compass.SE': 'الجنوب الشرقي',
+    'groups.compass.S': 'الجنوب',
+    'groups.compass.SW': 'الجنوب الغربي',
+    'groups.compass.W': 'الغرب',
+    'groups.compass.NW': 'الشمال الغربي',
+
+    // Map page
+    'map.title': 'السائح الذكي — الخريطة التفاعلية',
+    'map.heading': 'الخريطة التفاعلية',
+    'map.intro': 'استكشف المعالم السياحية في سوريا. انقر على العلامات لعرض التفاصيل.',
+    'map.city': 'دمشق، سوريا',
+    'map.zoomIn': 'تكبير',
+    'map.zoomOut': 'تصغير',
+    'legend.attraction': 'معلم سياحي',
+    'legend.historical': 'موقع تاريخي',
+    'legend.cultural': 'موقع ثقافي',
+    'legend.you': 'موقعك',
+    'legend.recommendations': 'التوصيات',
+    'legend.travellers': 'مسافرون آخرون',
+    'legend.group': 'مجموعة سفري',
+    'live.connecting': 'جارٍ الاتصال بالتحديثات المباشرة…',
+    'live.live': 'تحديثات مباشرة',
+    'live.polling': 'يتم التحديث كل 30 ثانية',
+    'live.stopped': 'التحديثات متوقفة مؤقتًا',
+    'live.robotSeen': '🤖 شوهد الروبوت {time}',
+    'popup.latitude': 'خط العرض',
+    'popup.longitude': 'خط الطول',
+    'popup.accuracy': 'الدقة:',
+    'popup.updated': 'آخر تحديث:',
+    'popup.updatedAt': 'آخر تحديث: {time}',
+    'popup.userLocation': 'موقع {name}',
+    'popup.liveLocation': '📍 موقع مباشر',
+    'popup.approximateLocation': '📍 موقع تقريبي',
+    'robot.badge': 'روبوت',
+    'robot.title': 'الروبوت المرشد',
+    'robot.roaming': 'أتجوّل الآن في أرجاء دمشق!',
+    'robot.lastSeen': 'آخر ظهور {time}',
+    'museum.name': 'المتحف الوطني بدمشق',
+    'museum.about': 'أهم متاحف سوريا – يضم كنوزًا أثرية وآثارًا رومانية وكنيس دورا أوروبوس الشهير.',
+    'museum.tag': 'متحف',
+    'vision.heading': 'رؤية الروبوت',
+    'vision.intro': 'التقط صورة أو ارفع صورة – وسيصف الروبوت ما يراه!',
+    'vision.take': 'التقاط صورة / رفع',
+    'vision.says': 'يقول الروبوت:',
+    'vision.thinking': '🤔 الروبوت يفكّر...',
+    'vision.connectFailed': 'تعذّر الاتصال بخدمة رؤية الروبوت.',
+    'vision.error': 'خطأ: {error}',
+    'vision.size': 'حجم الصورة',
+    'vision.size.small': 'صغير (الأسرع)',
+    'vision.size.medium': 'متوسط',
+    'vision.size.large': 'كبير (أكثر تفصيلًا)',
+    'vision.preparing': 'جارٍ تجهيز الصورة...',
+    'vision.uploading': 'جارٍ إرسال الصورة... {percent}',
+    'vision.cancelled': 'لم تُرسل الصورة.',
+    'vision.sent': 'أُرسل {size} بدلًا من {original}، دون بيانات موقع الصورة.',
+    'vision.unreadable': 'تعذّرت قراءة هذه الصورة. جرّب صورة JPEG أو PNG.',
+    'vision.gallery': '🖼️ صور سابقة',
+    'vision.galleryEmpty': 'تُحفظ هنا الصور التي تعرضها على الروبوت مع ما قاله عنها.',
+    'vision.showPins': 'اعرض الصور على الخريطة',
+    'vision.noPosition': 'لا يوجد موقع GPS',
+    'vision.delete': 'حذف',
+    'vision.confirmDelete': 'هل تريد حذف هذه الصورة ووصفها؟',
+
+    // Recommendations
+    'recs.heading': 'توصيات مخصصة لك',
+    'recs.showOnMap': 'عرض على الخريطة',
+    'recs.loading': 'جارٍ تحميل التوصيات...',
+    'recs.empty': 'لا توجد توصيات متاحة. يرجى تفعيل تتبّع GPS للحصول على توصيات مخصصة.',
+    'recs.none': 'لا توجد توصيات متاحة.',
+    'recs.noMatch': 'لا توجد أماكن تطابق عوامل التصفية هذه.',
+    'recs.loadFailed': 'تعذّر تحميل التوصيات. يرجى المحاولة لاحقًا.',
+    'recs.refreshFirst': 'لا توجد توصيات متاحة. يرجى التحديث أولًا.',
+    'recs.filteredOut': 'لا توجد توصيات تطابق عوامل التصفية.',
+    'recs.attraction': 'معلم',
+    'recs.nearby': 'قريب',
+    'recs.away': 'على بُعد {distance}',
+    'recs.match': 'تطابق {percent}',
+    'recs.noDescription': 'لا يوجد وصف متاح.',
+    'recs.itinerary': '➕ خطة اليوم',
+    'recs.markVisited': '✅ تمت زيارته',
+    'visited.confirm': 'هل تريد تحديد هذا المكان كمكان تمت زيارته؟',
+    'visited.done': 'تم تحديد المكان كمكان تمت زيارته!',
+    'visited.failed': 'تعذّر تحديد المكان كمكان تمت زيارته. يرجى المحاولة مجددًا.',
+    'proximity.alerts': 'نبّهني عندما أقترب من مكان',
+    'proximity.autoLog': 'سجّل وصولي',
+    'proximity.askAfter': 'اسألني إن كنت زرت المكان بعد',
+    'proximity.near': '📍 أنت بالقرب من {name}',
+    'proximity.discountHere': 'خصم {percent} هنا برمز من الشريك',
+    'proximity.about': 'على بُعد {distance} تقريبًا',
+    'proximity.discountAt': '🎟️ خصم {percent} في {name}',
+    'proximity.discountHint': 'اطلب رمز QR الخاص بهم واستخدمه في قسم امسح ووفّر.',
+    'proximity.stillAt': 'هل ما زلت في {name}؟',
+    'proximity.dwelled': 'أنت هنا منذ {duration}. هل تريد تحديده كمكان تمت زيارته؟',
+    'proximity.markVisited': '✅ تمت زيارته',
+    'proximity.notNow': 'ليس الآن',
+    'proximity.visited': 'تم تحديد {name} كمكان تمت زيارته',
+    'filters.search': 'ابحث عن أماكن أو وسوم...',
+    'filters.sortBy': 'ترتيب حسب',
+    'filters.sort.score': 'الأكثر تطابقًا',
+    'filters.sort.distance': 'الأقرب',
+    'filters.sort.rating': 'الأعلى تقييمًا',
+    'filters.rating': 'التقييم',
+    'filters.anyRating': 'أي تقييم',
+    'filters.minRating': '{rating}+ ⭐',
+    'filters.within': 'ضمن مسافة',
+    'filters.anyDistance': 'أي مسافة',
+    'filters.hideVisited': 'إخفاء الأماكن التي زرتها',
+    'filters.clear': 'مسح عوامل التصفية',
+    'filters.showing': 'عرض {shown} من أصل {total}',
+    'category.historical': 'تاريخ ومتاحف',
+    'category.nature': 'طبيعة',
+    'category.food': 'طعام',
+    'category.shopping': 'تسوّق',
+    'category.religious': 'ديني',
+    'category.entertainment': 'ترفيه',
+    'category.castle': 'قلاع',
+    'category.other': 'أخرى',
+
+    // Why a place is recommended, and feedback on it
+    'why.title': 'لماذا أرى هذا؟',
+    'why.default': 'مقترح بناءً على ملفك الشخصي وموقعك.',
+    'why.summary': 'موصى به غالبًا بسبب {topic}.',
+    'why.summaryBoth': 'موصى به غالبًا بسبب {topic} و{other}.',
+    'why.label.preference': 'الاهتمامات',
+    'why.label.distance': 'المسافة',
+    'why.label.budget': 'الميزانية',
+    'why.label.popularity': 'الشعبية',
+    'why.topic.preference': 'اهتماماتك',
+    'why.topic.distance': 'قربه منك',
+    'why.topic.budget': 'ميزانيتك',
+    'why.topic.popularity': 'تقييماته',
+    'why.preference.high': 'يطابق اهتماماتك',
+    'why.preference.partial': 'يطابق اهتماماتك جزئيًا',
+    'why.preference.low': 'ليس من اهتماماتك المعتادة',
+    'why.distance.close': 'قريب منك',
+    'why.distance.further': 'أبعد قليلًا',
+    'why.distance.veryClose': 'على بُعد {distance} فقط، أي نحو {walk}',
+    'why.distance.walkable': 'على بُعد {distance}، أي نحو {walk}',
+    'why.distance.far': 'على بُعد {distance}، رحلة أطول',
+    'why.walk': {
+      zero: '{count} دقيقة سيرًا',
+      one: 'دقيقة سيرًا',
+      two: 'دقيقتين سيرًا',
+      few: '{count} دقائق سيرًا',
+      many: '{count} دقيقة سيرًا',
+      other: '{count} دقيقة سيرًا'
+    },
+    'why.budget.free': 'الدخول مجاني',
+    'why.budget.fits': 'يناسب ميزانيتك',
+    'why.budget.pricier': 'أغلى من ميزانيتك المعتادة',
+    'why.popularity.high': 'تقييمات الزوار مرتفعة',
+    'why.popularity.good': 'تقييمات جيدة',
+    'why.popularity.mixed': 'آراء متباينة',
+    'feedback.like': 'يعجبني هذا',
+    'feedback.dislike': 'لا يناسبني',
+    'feedback.dismiss': 'غير مهتم: أخفِه',
+    'feedback.title.disliked': 'ما الذي لم يعجبك؟',
+    'feedback.title.dismissed': 'لماذا لست مهتمًا؟',
+    'feedback.reason.not_my_interests': 'ليس من نوع الأماكن التي أحبها',
+    'feedback.reason.too_far': 'بعيد جدًا',
+    'feedback.reason.too_expensive': 'مكلف جدًا',
+    'feedback.reason.been_before': 'زرته من قبل',
+    'feedback.reason.bad_reviews': 'تقييمات سيئة',
+    'feedback.reason.other': 'سبب آخر',
+
+    // Day itinerary
+    'itinerary.heading': '🧭 خطة اليوم',
+    'itinerary.optimize': 'أفضل ترتيب من هنا',
+    'itinerary.showRoute': 'عرض المسار',
+    'itinerary.hideRoute': 'إخفاء المسار',
+    'itinerary.clearDay': 'مسح اليوم',
+    'itinerary.empty': 'لا توجد محطات بعد. استخدم ➕ خطة اليوم على إحدى التوصيات لإضافة محطة.',
+    'itinerary.earlier': 'أبكر',
+    'itinerary.later': 'لاحقًا',
+    'itinerary.remove': 'إزالة',
+    'itinerary.fromYou': '{leg} من موقعك',
+    'itinerary.stops': {
+      zero: 'لا محطات',
+      one: 'محطة واحدة',
+      two: 'محطتان',
+      few: '{count} محطات',
+      many: '{count} محطة',
+      other: '{count} محطة'
+    },
+    'itinerary.budget': '💰 نحو {amount}',
+    'itinerary.unpriced': '{count} بلا سعر',
+    'itinerary.added': 'تمت إضافة {name} إلى خطتك ليوم {day}.',
+    'itinerary.alreadyAdded': '{name} موجود مسبقًا في خطتك ليوم {day}.',
+    'itinerary.optimized': 'أُعيد الترتيب لأقصر مسافة سير من موقعك.',
+    'itinerary.noPosition': 'لا يوجد موقع GPS بعد، لذا تبقى المحطة الأولى في مكانها.',
+    'itinerary.confirmClear': 'هل تريد إزالة جميع محطات هذا اليوم؟',
+
+    // Trips
+    'trips.heading': '🗺️ رحلاتي',
+    'trips.namePlaceholder': 'اسم الرحلة (اختياري)',
+    'trips.start': 'بدء الرحلة',
+    'trips.stop': 'إنهاء الرحلة',
+    'trips.plannedRoute': 'مسار مخطط (GPX)',
+    'trips.removePlanned': 'إزالة المسار المخطط',
+    'trips.defaultName': 'رحلة {date}',
+    'trips.recording': '⏺️ {name} (قيد التسجيل)',
+    'trips.visited': 'تمت زيارة: {places}',
+    'trips.showOnMap': 'عرض على الخريطة',
+    'trips.rename': 'إعادة تسمية',
+    'trips.namePrompt': 'اسم الرحلة',
+    'trips.forget': 'نسيان',
+    'trips.confirmForget': 'هل تريد نسيان هذه الرحلة؟ تبقى نقاطها في سجل مواقعك.',
+    'trips.empty': 'لا توجد رحلات بعد. ابدأ رحلة، أو أبقِ تتبّع GPS مفعّلًا وستظهر جولاتك هنا.',
+    'trips.needsTracking': 'ابدأ تتبّع GPS لتسجيل هذه الرحلة.',
+    'trips.noPoints': 'لا توجد نقاط في هذه الرحلة بعد.',
+    'trips.startPoint': 'البداية',
+    'trips.now': 'الآن',
+    'trips.end': 'النهاية',
+    'trips.planned': 'مخطط: {name} ({distance})',
+    'trips.showingPlanned': 'يتم عرض المسار المخطط {name} ({distance}).',
+    'trips.loading': 'جارٍ تحميل الرحلات...',
+    'trips.loadFailed': 'تعذّر تحميل رحلاتك. يرجى المحاولة لاحقًا.',
+    'trips.noRoute': 'لم يُعثر على مسار في الملف',
+    'trips.importFailed': 'تعذّرت قراءة {file}: {error}',
+
+    // Offline map
+    'offline.heading': '📥 الخريطة دون اتصال',
+    'offline.intro': 'احفظ خريطة المنطقة الظاهرة على الشاشة لاستخدامها دون إشارة. تُحفظ الأماكن التي تصفحتها تلقائيًا.',
+    'offline.detail': 'مستوى التفاصيل حتى',
+    'offline.zoom.15': 'الشوارع (تكبير 15)',
+    'offline.zoom.16': 'الأزقة (تكبير 16)',
+    'offline.zoom.17': 'المباني (تكبير 17)',
+    'offline.download': 'تنزيل هذه المنطقة',
+    'offline.delete': 'حذف الخرائط المحفوظة',
+    'offline.estimate': 'هذا العرض: {tiles} مربعًا، نحو {size}.',
+    'offline.tooBig': 'يحتاج هذا العرض إلى {tiles} مربعًا، أي أكثر من الحد المسموح ({max}). كبّر الخريطة أو اختر تفاصيل أقل.',
+    'offline.notAllowed': 'لا يسمح خادم مربعات هذه الخريطة بتنزيل المناطق، لكن الأماكن التي تتصفحها تُحفظ تلقائيًا.',
+    'offline.showingSaved': '📴 دون اتصال: يتم عرض البيانات المحفوظة',
+    'offline.areas': {
+      zero: 'لا مناطق محفوظة ({size}).',
+      one: 'منطقة واحدة محفوظة ({size}).',
+      two: 'منطقتان محفوظتان ({size}).',
+      few: '{count} مناطق محفوظة ({size}).',
+      many: '{count} منطقة محفوظة ({size}).',
+      other: '{count} منطقة محفوظة ({size}).'
+    },
+    'offline.noAreas': 'لا توجد مناطق محفوظة بعد.',
+    'offline.storage': 'المساحة المستخدمة: {used} من {quota}.',
+    'offline.downloading': 'جارٍ تنزيل {done} من {total} مربعًا…',
+    'offline.partial': 'تم حفظ المنطقة، لكن فشل تنزيل {failed} من {tiles} مربعًا. حاول مجددًا لإكمال النواقص.',
+    'offline.saved': 'تم حفظ {tiles} مربعًا للاستخدام دون اتصال.',
+    'offline.confirmDelete': 'هل تريد حذف جميع مناطق الخريطة المحفوظة للاستخدام دون اتصال؟',
+    'offline.error.unsupported': 'لا يستطيع هذا المتصفح حفظ مربعات الخريطة.',
+    'offline.error.not-allowed': 'لا يسمح خادم مربعات هذه الخريطة بتنزيل المناطق.',
+    'offline.error.too-big': 'هذه المنطقة أكبر من أن تُحفظ. كبّر الخريطة أو اختر تفاصيل أقل.',
+    'offline.error.cancelled': 'تم إلغاء التنزيل.',
+
+    // Location history
+    'history.heading': '📅 سجل المواقع',
+    'history.from': 'من',
+    'history.to': 'إلى',
+    'history.path': 'المسار',
+    'history.heatmap': 'الخريطة الحرارية',
+    'history.play': '▶️ تشغيل',
+    'history.pause': '⏸️ إيقاف مؤقت',
+    'history.overSeconds': 'خلال {count} ثانية',
+    'history.overMinutes': {
+      zero: 'خلال {count} دقيقة',
+      one: 'خلال دقيقة',
+      two: 'خلال دقيقتين',
+      few: 'خلال {count} دقائق',
+      many: 'خلال {count} دقيقة',
+      other: 'خلال {count} دقيقة'
+    },
+    'history.day': 'اليوم',
+    'history.distance': 'المسافة',
+    'history.moving': 'في حركة',
+    'history.stationary': 'متوقف',
+    'history.points': 'النقاط',
+    'history.total': 'المجموع',
+    'history.here': '{duration} هنا',
+    'history.badRange': 'اختر يوم بداية يسبق يوم النهاية أو يساويه.',
+    'history.loading': 'جارٍ تحميل سجل مواقعك...',
+    'history.loadFailed': 'تعذّر تحميل سجل مواقعك. يرجى المحاولة لاحقًا.',
+    'history.none': 'لم تُسجَّل أي مواقع في هذه الأيام.',
+    'history.truncated': 'يتم عرض آخر {count} نقطة. اختر أيامًا أقل لرؤيتها كلها.',
+    'history.count': {
+      zero: 'لا نقاط.',
+      one: 'نقطة واحدة.',
+      two: 'نقطتان.',
+      few: '{count} نقاط.',
+      many: '{count} نقطة.',
+      other: '{count} نقطة.'
+    },
+
+    // Discounts
+    'discount.heading': 'امسح ووفّر',
+    'discount.intro': 'لديك رمز QR للخصم من أحد الشركاء؟ امسحه أو اكتب رمزه أدناه. تبقى الخصومات التي تحصل عليها في محفظتك.',
+    'discount.placeholder': 'أدخل كلمة مرور الخصم',
+    'discount.claim': 'احصل عليه',
+    'discount.claiming': 'جارٍ الطلب...',
+    'discount.unlocked': 'تم فتح الخصم!',
+    'discount.awesome': 'رائع!',
+    'discount.off': 'خصم {percent}',
+    'discount.passwordRequired': 'يرجى إدخال كلمة المرور',
+    'discount.invalid': 'الرمز غير صالح أو منتهي الصلاحية',
+    'discount.scan': 'امسح رمز QR',
+    'discount.scanPhoto': 'امسح من صورة',
+    'discount.scanHint': 'وجّه الكاميرا نحو رمز QR الخاص بالشريك.',
+    'discount.reading': 'جارٍ قراءة رمز QR...',
+    'discount.notACode': 'رمز QR هذا ليس خصمًا من السائح الذكي.',
+    'discount.alreadyClaimed': 'لقد حصلت على هذا الخصم من قبل، وهو محفوظ في محفظتك.',
+    'discount.scanError.unsupported': 'لا يستطيع هذا المتصفح مسح رموز QR. اكتب الرمز بدلًا من ذلك.',
+    'discount.scanError.permission': 'تم رفض الوصول إلى الكاميرا. اسمح به من إعدادات المتصفح، أو امسح الرمز من صورة.',
+    'discount.scanError.not-found': 'لم يُعثر على رمز QR في هذه الصورة. جرّب صورة أوضح وأقرب.',
+    'discount.scanError.failed': 'تعذّرت قراءة رمز QR. يرجى المحاولة مجددًا.',
+
+    // Discount wallet
+    'wallet.heading': '👛 خصوماتي',
+    'wallet.showPartners': 'اعرض عروض الشركاء على الخريطة',
+    'wallet.empty': 'تُحفظ هنا الخصومات التي تحصل عليها حتى تنتهي صلاحيتها.',
+    'wallet.code': 'الرمز: {code}',
+    'wallet.claimed': 'تم الحصول عليه {date}',
+    'wallet.validUntil': 'صالح حتى {date}',
+    'wallet.expired': 'انتهت صلاحيته {date}',
+    'wallet.remove': 'إزالة',
+    'wallet.confirmRemove': 'هل تريد إزالة هذا الخصم من محفظتك؟',
+    'wallet.clearExpired': 'إزالة المنتهية',
+    'wallet.partnerOffer': 'خصم {percent} برمز من الشريك',
+    'wallet.inWallet': 'في محفظتك حتى {date}'
+  }
+};
+
+// Attributes translate() fills, besides data-i18n for the text itself
+const I18N_ATTRIBUTES = ['placeholder', 'title', 'aria-label', 'alt'];
+
+class I18n {
+  constructor(options = {}) {
+    this.options = {
+      storageKey: LANGUAGE_KEY, // Last used; per user under `${storageKey}_${userId}`
+      fallback: 'en',
+      messages: MESSAGES,
+      ...options
+    };
+
+    this.formatters = new Map(); // Intl formatters by kind, locale and options
+    this.language = this.detect();
+  }
+
+  isSupported(language) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+  }
+
+  get locale() {
+    return LANGUAGES[this.language].locale;
+  }
+
+  get dir() {
+    return LANGUAGES[this.language].dir;
+  }
+
+  // The logged-in user's id, from the stored token
+  currentUserId() {
+    if (!window.api || !window.api.decodeToken) return null;
+    const payload = window.api.decodeToken(window.api.getToken());
+    return payload && payload.sub ? payload.sub : null;
+  }
+
+  readStored(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // The user's choice, else the last one made on this device, else the browser's
+  detect() {
+    const userId = this.currentUserId();
+    const stored = [
+      userId ? this.readStored(`${this.options.storageKey}_${userId}`) : null,
+      this.readStored(this.options.storageKey)
+    ];
+    const browser = (navigator.languages || [navigator.language || ''])
+      .map(tag => String(tag).toLowerCase().split('-')[0]);
+
+    const language = stored.concat(browser).find(candidate => candidate && this.isSupported(candidate));
+    return language || this.options.fallback;
+  }
+
+  setLanguage(language) {
+    if (!this.isSupported(language)) {
+      throw new Error(`Unknown language: ${language}`);
+    }
+
+    try {
+      localStorage.setItem(this.options.storageKey, language);
+      const userId = this.currentUserId();
+      if (userId) localStorage.setItem(`${this.options.storageKey}_${userId}`, language);
+    } catch (err) {
+      console.warn('Cannot save language:', err);
+    }
+
+    if (language === this.language) return;
+    this.language = language;
+    this.applyDirection();
+    this.translate();
+
+    const event = new CustomEvent('language-change', {
+      detail: { language, locale: this.locale, dir: this.dir }
+    });
+    window.dispatchEvent(event);
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.options.messages[this.language] || {}, key);
+  }
+
+  // The message for key in the current language, with params filled in
+  t(key, params = {}) {
+    const messages = this.options.messages;
+    let message = (messages[this.language] || {})[key];
+    if (message === undefined) message = (messages[this.options.fallback] || {})[key];
+    if (message === undefined) {
+      console.warn('Missing message:', key);
+      return key;
+    }
+
+    if (typeof message === 'object') {
+      message = this.pluralForm(message, Number(params.count));
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === 'number' ? this.formatNumber(value) : String(value);
+    });
+  }
+
+  // The form of a plural message that fits count
+  pluralForm(forms, count) {
+    const category = Number.isFinite(count)
+      ? this.formatter('PluralRules', {}).select(count)
+      : 'other';
+    return forms[category] !== undefined ? forms[category] : forms.other;
+  }
+
+  formatter(kind, options) {
+    const key = `${kind}:${this.locale}:${JSON.stringify(options)}`;
+    if (!this.formatters.has(key)) {
+      this.formatters.set(key, new Intl[kind](this.locale, options));
+    }
+    return this.formatters.get(key);
+  }
+
+  formatNumber(value, options = {}) {
+    return this.formatter('NumberFormat', options).format(value);
+  }
+
+  // 0.85 -> "85%"
+  formatPercent(fraction) {
+    return this.formatNumber(fraction, { style: 'percent', maximumFractionDigits: 0 });
+  }
+
+  formatCurrency(amount, currency = 'SYP') {
+    return this.formatNumber(Number(amount), { style: 'currency', currency, maximumFractionDigits: 0 });
+  }
+
+  // "420 m" under a kilometre, "2.4 km" above
+  formatDistance(meters, fractionDigits = 1) {
+    if (meters < 1000) return this.t('units.m', { value: Math.round(meters) });
+    const km = this.formatNumber(meters / 1000, { maximumFractionDigits: fractionDigits });
+    return this.t('units.km', { value: km });
+  }
+
+  // "25 min", "1 h 5 min"
+  formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return this.t('duration.minutes', { count: minutes });
+    return this.t('duration.hoursMinutes', {
+      hours: Math.floor(minutes / 60),
+      minutes: this.t('duration.minutes', { count: minutes % 60 })
+    });
+  }
+
+  formatTime(value, options = { hour: '2-digit', minute: '2-digit' }) {
+    return this.formatter('DateTimeFormat', options).format(new Date(value));
+  }
+
+  formatDate(value, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+    return this.formatter('DateTimeFormat', options).format(new Date(value));
+  }
+
+  formatDateTime(value) {
+    return this.formatDate(value, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  // "12 seconds ago", "5 minutes ago"; older than an hour gives the time
+  formatRelativeTime(value) {
+    const time = new Date(value).getTime();
+    if (!Number.isFinite(time)) return this.t('time.recently');
+    const seconds = Math.max(0, Math.round((Date.now() - time) / 1000));
+    const relative = this.formatter('RelativeTimeFormat', { numeric: 'auto' });
+    if (seconds < 60) return relative.format(-seconds, 'second');
+    if (seconds < 3600) return relative.format(-Math.round(seconds / 60), 'minute');
+    return this.t('time.at', { time: this.formatTime(time) });
+  }
+
+  // Set <html lang dir> for the current language
+  applyDirection(doc = document) {
+    doc.documentElement.lang = this.language;
+    doc.documentElement.dir = this.dir;
+  }
+
+  // Translate [data-i18n] text and [data-i18n-<attribute>] attributes under root
+  translate(root = document) {
+    const params = (el) => {
+      try {
+        return el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {};
+      } catch (err) {
+        return {};
+      }
+    };
+    const within = (selector) => {
+      const found = Array.from(root.querySelectorAll(selector));
+      return root.matches && root.matches(selector) ? [root].concat(found) : found;
+    };
+
+    within('[data-i18n]').forEach(el => {
+      el.textContent = this.t(el.dataset.i18n, params(el));
+    });
+    I18N_ATTRIBUTES.forEach(attribute => {
+      within(`[data-i18n-${attribute}]`).forEach(el => {
+        el.setAttribute(attribute, this.t(el.getAttribute(`data-i18n-${attribute}`), params(el)));
+      });
+    });
+    within('select[data-language-switcher]').forEach(select => this.mountSwitcher(select));
+  }
+
+  // Text that translate() keeps up to date; null key clears it
+  setText(el, key, params) {
+    if (!el) return;
+    if (!key) {
+      delete el.dataset.i18n;
+      delete el.dataset.i18nParams;
+      el.textContent = '';
+      return;
+    }
+    el.dataset.i18n = key;
+    if (params) {
+      el.dataset.i18nParams = JSON.stringify(params);
+    } else {
+      delete el.dataset.i18nParams;
+    }
+    el.textContent = this.t(key, params);
+  }
+
+  // Fill a <select> with the languages and switch on change
+  mountSwitcher(select) {
+    if (!select.options.length) {
+      Object.keys(LANGUAGES).forEach(language => {
+        const option = document.createElement('option');
+        option.value = language;
+        option.lang = language;
+        option.textContent = LANGUAGES[language].label;
+        select.appendChild(option);
+      });
+    }
+    select.value = this.language;
+    if (!select.dataset.languageBound) {
+      select.dataset.languageBound = 'true';
+      select.addEventListener('change', () => this.setLanguage(select.value));
+    }
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  const i18n = new I18n();
+  i18n.applyDirection();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => i18n.translate());
+  } else {
+    i18n.translate();
+  }
+
+  window.I18n = I18n;
+  window.I18n.LANGUAGES = LANGUAGES;
+  window.i18n = i18n;
+  window.t = (key, params) => i18n.t(key, params);
+}
@@ -0,0 +1,207 @@
+/**
+ * itinerary.js - Day itineraries built from recommended places
+ *
+ * Keeps an ordered list of stops per day for each user, estimates walking
+ * legs and the day's budget, and can reorder the stops into a short walk
+ * from the user's position (nearest neighbour, then 2-opt).
+ */
+
+'use strict';
+
+// Rough cost per person of a visit in each price_category, in SYP
+const PRICE_ESTIMATES = {
+  free: 0,
+  low: 10000,
+  medium: 25000,
+  high: 60000
+};
+
+class ItineraryPlanner {
+  constructor(options = {}) {
+    this.options = {
+      userId: null, // Itineraries are kept per user
+      storagePrefix: 'st_itinerary_',
+      walkingSpeed: 1.3, // m/s (~4.7 km/h)
+      detourFactor: 1.3, // Streets are longer than the straight line
+      prices: PRICE_ESTIMATES,
+      ...options
+    };
+
+    this.days = this.load(); // 'YYYY-MM-DD' -> [stop]
+  }
+
+  storageKey() {
+    return `${this.options.storagePrefix}${this.options.userId || 'guest'}`;
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey()));
+      if (stored && stored.days && typeof stored.days === 'object') return stored.days;
+    } catch (error) {
+      console.warn('Ignoring unreadable itinerary:', error);
+    }
+    return {};
+  }
+
+  save(day) {
+    // Empty days are not worth keeping
+    Object.keys(this.days).forEach(key => {
+      if (this.days[key].length === 0) delete this.days[key];
+    });
+    try {
+      localStorage.setItem(this.storageKey(), JSON.stringify({ days: this.days }));
+    } catch (error) {
+      console.warn('Cannot save itinerary:', error);
+    }
+    this.emitChange(day);
+  }
+
+  getStops(day) {
+    return (this.days[day] || []).slice();
+  }
+
+  hasStop(day, placeId) {
+    return this.getStops(day).some(stop => stop.id === placeId);
+  }
+
+  // Returns false if the place is already planned that day
+  addStop(day, place) {
+    if (this.hasStop(day, place.id)) return false;
+    if (!Number.isFinite(place.latitude) || !Number.isFinite(place.longitude)) {
+      throw new Error('A stop needs coordinates');
+    }
+
+    // Keep what the itinerary shows; recommendations change over time
+    this.days[day] = this.getStops(day).concat({
+      id: place.id,
+      name: place.name,
+      category: place.category || null,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      price_category: place.price_category || null
+    });
+    this.save(day);
+    return true;
+  }
+
+  removeStop(day, placeId) {
+    this.days[day] = this.getStops(day).filter(stop => stop.id !== placeId);
+    this.save(day);
+  }
+
+  moveStop(day, from, to) {
+    const stops = this.getStops(day);
+    if (from < 0 || from >= stops.length || to < 0 || to >= stops.length || from === to) return;
+
+    const [stop] = stops.splice(from, 1);
+    stops.splice(to, 0, stop);
+    this.days[day] = stops;
+    this.save(day);
+  }
+
+  clear(day) {
+    this.days[day] = [];
+    this.save(day);
+  }
+
+  // Reorder the day's stops into a short walk from `start` ({ latitude,
+  // longitude }). Without a start the first stop stays first.
+  optimize(day, start = null) {
+    const stops = this.getStops(day);
+    if (stops.length < 2) return stops;
+
+    const origin = start || stops[0];
+    const rest = start ? stops : stops.slice(1);
+    const route = this.twoOpt(origin, this.nearestNeighbour(origin, rest));
+
+    this.days[day] = start ? route : [stops[0]].concat(route);
+    this.save(day);
+    return this.getStops(day);
+  }
+
+  nearestNeighbour(origin, stops) {
+    const remaining = stops.slice();
+    const route = [];
+    let current = origin;
+
+    while (remaining.length) {
+      let best = 0;
+      remaining.forEach((stop, i) => {
+        if (this.walkingDistance(current, stop) < this.walkingDistance(current, remaining[best])) best = i;
+      });
+      current = remaining.splice(best, 1)[0];
+      route.push(current);
+    }
+    return route;
+  }
+
+  // Undo crossings: reverse any stretch of the route that makes it shorter.
+  // The route is open, so the last stop has no leg back.
+  twoOpt(origin, route) {
+    const path = [origin].concat(route);
+    const d = (a, b) => (a && b ? this.walkingDistance(a, b) : 0);
+    let improved = true;
+
+    for (let pass = 0; improved && pass < 50; pass++) {
+      improved = false;
+      for (let i = 1; i < path.length - 1; i++) {
+        for (let k = i + 1; k < path.length; k++) {
+          const before = d(path[i - 1], path[i]) + d(path[k], path[k + 1]);
+          const after = d(path[i - 1], path[k]) + d(path[i], path[k + 1]);
+          if (after < before - 0.01) {
+            const reversed = path.slice(i, k + 1).reverse();
+            path.splice(i, reversed.length, ...reversed);
+            improved = true;
+          }
+        }
+      }
+    }
+    return path.slice(1);
+  }
+
+  // Legs, walking totals and budget for the day, walking from `start` if given
+  summary(day, start = null) {
+    const stops = this.getStops(day);
+    const points = start ? [start].concat(stops) : stops;
+
+    const legs = [];
+    for (let i = 1; i < points.length; i++) {
+      const distance = this.walkingDistance(points[i - 1], points[i]);
+      legs.push({
+        from: points[i - 1],
+        to: points[i],
+        distance,
+        walkingTime: distance / this.options.walkingSpeed * 1000
+      });
+    }
+
+    const priced = stops.filter(stop => stop.price_category in this.options.prices);
+    return {
+      stops,
+      legs,
+      distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+      walkingTime: legs.reduce((sum, leg) => sum + leg.walkingTime, 0),
+      budget: priced.reduce((sum, stop) => sum + this.options.prices[stop.price_category], 0),
+      unpriced: stops.length - priced.length
+    };
+  }
+
+  // Estimated walking distance in meters
+  walkingDistance(a, b) {
+    return geo.distance(a, b) * this.options.detourFactor;
+  }
+
+  emitChange(day) {
+    const event = new CustomEvent('itinerary-change', {
+      detail: { day, stops: this.getStops(day) }
+    });
+    window.dispatchEvent(event);
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.ItineraryPlanner = ItineraryPlanner;
+  window.ItineraryPlanner.PRICE_ESTIMATES = PRICE_ESTIMATES;
+}
@@ -0,0 +1,200 @@
+/**
+ * live-channel.js - Live robot and shared-user positions
+ *
+ * Streams updates from the backend's /live Server-Sent Events endpoint and
+ * reconnects with backoff when the stream drops. EventSource cannot send
+ * headers, so each connection is opened with a single-use ticket from
+ * /live/ticket rather than the session token, which would end up in access
+ * logs. The server pings every 15 seconds; a stream that goes quiet for
+ * longer than stallTimeout counts as dropped. While it is down, or where
+ * EventSource is missing, the same updates come from polling the REST
+ * endpoints. Either way they arrive as 'live-update' events on window:
+ *   robot        { latitude, longitude, updated_at } or null
+ *   users        { users: [{ username, country, location }] } (everyone)
+ *   user         { username, country, location } (one traveller moved)
+ *   user-hidden  { username } (stopped sharing)
+ *   groups       { groups } (the user's travel groups changed; stream only,
+ *                travel-groups.js reloads them along with each poll)
+ */
+
+'use strict';
+
+const LIVE_EVENT_TYPES = ['robot', 'users', 'user', 'user-hidden', 'groups'];
+
+class LiveChannel {
+  constructor(options = {}) {
+    this.options = {
+      path: '/live',
+      pollInterval: 30000, // Ms between polls while the stream is down
+      minDelay: 1000, // First reconnect delay; doubles with each failure
+      maxDelay: 60000,
+      connectTimeout: 10000, // A stream that has not opened by then counts as failed
+      stallTimeout: 45000, // Ms without any event, pings included, before a stream counts as dead
+      ...options
+    };
+
+    this.status = 'stopped'; // 'stopped' | 'connecting' | 'live' | 'polling'
+    this.source = null;
+    this.failures = 0;
+    this.reconnectTimer = null;
+    this.openTimer = null;
+    this.stallTimer = null;
+    this.pollTimer = null;
+    this.attempt = 0; // Bumped per connection, so a stale ticket request is ignored
+  }
+
+  start() {
+    if (this.status !== 'stopped') return;
+    this.connect();
+  }
+
+  stop() {
+    this.attempt++;
+    this.closeSource();
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopPolling();
+    this.failures = 0;
+    this.setStatus('stopped');
+  }
+
+  async connect() {
+    this.reconnectTimer = null;
+    if (typeof EventSource === 'undefined') {
+      this.startPolling();
+      return;
+    }
+    if (!this.pollTimer) this.setStatus('connecting');
+
+    const attempt = ++this.attempt;
+    const response = await window.api.getLiveTicket();
+    if (attempt !== this.attempt) return; // Stopped meanwhile
+    if (response.error) {
+      console.warn('Cannot open the live stream:', response.error);
+      this.fail();
+      return;
+    }
+
+    const query = `?ticket=${encodeURIComponent(response.ticket)}`;
+    const source = new EventSource(`${window.BASE_URL}${this.options.path}${query}`);
+    this.source = source;
+
+    source.onopen = () => {
+      clearTimeout(this.openTimer);
+      this.failures = 0;
+      this.stopPolling();
+      this.setStatus('live');
+      this.watch();
+    };
+
+    // EventSource only retries by itself on some errors; take over so every
+    // drop gets the same backoff and the polling fallback
+    source.onerror = () => {
+      if (this.source !== source) return;
+      this.fail();
+    };
+    this.openTimer = setTimeout(() => source.onerror(), this.options.connectTimeout);
+
+    source.addEventListener('ping', () => this.watch());
+    LIVE_EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, event => {
+        this.watch();
+        let data;
+        try {
+          data = JSON.parse(event.data);
+        } catch (error) {
+          console.warn(`Ignoring unreadable ${type} update:`, error);
+          return;
+        }
+        this.emit(type, data, 'stream');
+      });
+    });
+  }
+
+  // The stream failed or could not be opened: poll, and try again later
+  fail() {
+    this.closeSource();
+    this.failures++;
+    this.startPolling();
+    this.scheduleReconnect();
+  }
+
+  // Anything from the server proves the stream alive for another stallTimeout
+  watch() {
+    clearTimeout(this.stallTimer);
+    this.stallTimer = setTimeout(() => {
+      if (this.source) this.source.onerror();
+    }, this.options.stallTimeout);
+  }
+
+  closeSource() {
+    clearTimeout(this.openTimer);
+    this.openTimer = null;
+    clearTimeout(this.stallTimer);
+    this.stallTimer = null;
+    if (!this.source) return;
+    this.source.close();
+    this.source = null;
+  }
+
+  // Exponential backoff with full jitter, so clients do not all come back at once
+  scheduleReconnect() {
+    const ceiling = Math.min(this.options.maxDelay, this.options.minDelay * Math.pow(2, this.failures - 1));
+    const delay = Math.round(Math.random() * ceiling);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  startPolling() {
+    if (this.pollTimer) return;
+    this.setStatus('polling');
+    this.poll();
+    this.pollTimer = setInterval(() => this.poll(), this.options.pollInterval);
+  }
+
+  stopPolling() {
+    if (!this.pollTimer) return;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  async poll() {
+    const [robot, users] = await Promise.all([
+      window.api.getRobotLocation(),
+      window.api.getPublicUserLocations()
+    ]);
+    // The stream may have come back while the requests were out
+    if (this.status !== 'polling') return;
+
+    if (robot.error) {
+      console.warn('Failed to fetch robot location:', robot.error);
+    } else {
+      this.emit('robot', robot.location || null, 'poll');
+    }
+    if (users.error) {
+      console.warn('Failed to fetch public user locations:', users.error);
+    } else {
+      this.emit('users', { users: users.users || [] }, 'poll');
+    }
+  }
+
+  emit(type, data, via) {
+    const event = new CustomEvent('live-update', {
+      detail: { type, data, via }
+    });
+    window.dispatchEvent(event);
+  }
+
+  setStatus(status) {
+    if (status === this.status) return;
+    this.status = status;
+    const event = new CustomEvent('live-status', {
+      detail: { status, failures: this.failures }
+    });
+    window.dispatchEvent(event);
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.LiveChannel = LiveChannel;
+}
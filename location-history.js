@@ -0,0 +1,192 @@
+/**
+ * location-history.js - The user's stored locations over a date range
+ *
+ * Pages through /me/locations, and works out per-day statistics, a
+ * time-weighted heatmap and the position at any moment for playback.
+ */
+
+'use strict';
+
+class LocationHistory {
+  constructor(options = {}) {
+    this.options = {
+      pageSize: 500, // Points per /me/locations request
+      maxPages: 20, // Stop after this many pages
+      maxGap: 30 * 60 * 1000, // Ms; longer gaps mean tracking was off
+      movingSpeed: 0.5, // m/s; slower segments count as standing still
+      cellSize: 50, // Meters; heatmap grid size
+      ...options
+    };
+  }
+
+  // Points between from (inclusive) and to (exclusive), oldest first.
+  // Returns { points, truncated } or { error } if nothing could be read.
+  async load(from, to) {
+    const fromTime = new Date(from).getTime();
+    const toTime = new Date(to).getTime();
+    const points = [];
+    const seen = new Set();
+    let before = toTime;
+    let truncated = false;
+
+    for (let page = 0; page < this.options.maxPages; page++) {
+      const response = await window.api.getLocationHistory({
+        from: new Date(fromTime).toISOString(),
+        before: new Date(before).toISOString(),
+        limit: this.options.pageSize
+      });
+      if (response.error) {
+        if (points.length === 0) return response;
+        console.warn('Stopped reading location history:', response.error);
+        truncated = true;
+        break;
+      }
+
+      const locations = response.locations || [];
+      // Pages overlap at their oldest timestamp, and backends without
+      // from/before return the newest points every time
+      const inRange = locations
+        .map(location => this.toPoint(location))
+        .filter(point => point && point.timestamp >= fromTime && point.timestamp < before);
+      const fresh = inRange.filter(point => !seen.has(LocationHistory.key(point)));
+      fresh.forEach(point => seen.add(LocationHistory.key(point)));
+      points.push(...fresh);
+
+      if (locations.length < this.options.pageSize) break;
+      if (fresh.length === 0) {
+        truncated = true;
+        break;
+      }
+      // before is exclusive, and more points may share the oldest timestamp,
+      // so ask again from it unless the whole page was that one timestamp
+      const oldest = Math.min(...inRange.map(point => point.timestamp));
+      before = oldest + 1 < before ? oldest + 1 : oldest;
+      truncated = page === this.options.maxPages - 1;
+    }
+
+    points.sort((a, b) => a.timestamp - b.timestamp);
+    return { points, truncated };
+  }
+
+  // Tells the repeated points of overlapping pages apart from new ones
+  static key(point) {
+    return `${point.timestamp}:${point.latitude}:${point.longitude}`;
+  }
+
+  // History entries come back with ms or ISO timestamps
+  toPoint(location) {
+    if (location.latitude === null || location.longitude === null) return null;
+    const latitude = Number(location.latitude);
+    const longitude = Number(location.longitude);
+    const timestamp = typeof location.timestamp === 'number' ? location.timestamp : Date.parse(location.timestamp);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || !Number.isFinite(timestamp)) return null;
+
+    return { latitude, longitude, timestamp };
+  }
+
+  // Per local day: [{ date, distance, movingTime, stationaryTime, points }].
+  // Each segment between two points counts towards the day it starts in.
+  dayStats(points) {
+    const days = new Map();
+
+    points.forEach((point, i) => {
+      const date = this.dayKey(point.timestamp);
+      if (!days.has(date)) {
+        days.set(date, { date, distance: 0, movingTime: 0, stationaryTime: 0, points: 0 });
+      }
+      const day = days.get(date);
+      day.points++;
+
+      const next = points[i + 1];
+      if (!next) return;
+      const elapsed = next.timestamp - point.timestamp;
+      if (elapsed <= 0 || elapsed > this.options.maxGap) return;
+
+      const distance = geo.distance(point, next);
+      if (distance / (elapsed / 1000) >= this.options.movingSpeed) {
+        day.distance += distance;
+        day.movingTime += elapsed;
+      } else {
+        day.stationaryTime += elapsed;
+      }
+    });
+
+    return [...days.values()];
+  }
+
+  dayKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // Grid cells weighted by the time spent in them:
+  // [{ latitude, longitude, time, count }], most time first
+  heatmap(points) {
+    if (points.length === 0) return [];
+
+    const cellLat = this.options.cellSize / 111320;
+    const cellLng = cellLat / Math.cos(points[0].latitude * Math.PI / 180);
+    const cells = new Map();
+
+    points.forEach((point, i) => {
+      const key = `${Math.floor(point.latitude / cellLat)}:${Math.floor(point.longitude / cellLng)}`;
+      if (!cells.has(key)) {
+        cells.set(key, { latitude: 0, longitude: 0, time: 0, count: 0 });
+      }
+      const cell = cells.get(key);
+
+      // A point stands for the time until the next one
+      const next = points[i + 1];
+      const elapsed = next ? next.timestamp - point.timestamp : 0;
+      cell.time += elapsed > 0 && elapsed <= this.options.maxGap ? elapsed : 0;
+      cell.latitude += point.latitude;
+      cell.longitude += point.longitude;
+      cell.count++;
+    });
+
+    return [...cells.values()]
+      .map(cell => ({
+        latitude: cell.latitude / cell.count,
+        longitude: cell.longitude / cell.count,
+        time: cell.time,
+        count: cell.count
+      }))
+      .sort((a, b) => b.time - a.time);
+  }
+
+  // Where the user was at a moment: { latitude, longitude, index }, where
+  // index is the last point at or before it. Interpolates across short gaps.
+  positionAt(points, time) {
+    if (points.length === 0 || time < points[0].timestamp) return null;
+
+    let low = 0;
+    let high = points.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (points[mid].timestamp <= time) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    const point = points[low];
+    const next = points[low + 1];
+    if (!next || next.timestamp - point.timestamp > this.options.maxGap) {
+      return { latitude: point.latitude, longitude: point.longitude, index: low };
+    }
+
+    const t = (time - point.timestamp) / (next.timestamp - point.timestamp);
+    return {
+      latitude: point.latitude + (next.latitude - point.latitude) * t,
+      longitude: point.longitude + (next.longitude - point.longitude) * t,
+      index: low
+    };
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.LocationHistory = LocationHistory;
+}
@@ -0,0 +1,219 @@
+/**
+ * location-queue.js - Offline queue for GPS fixes that could not be uploaded
+ *
+ * Each point keeps the id of the user it was recorded for, so a track left
+ * behind by an expired session is never uploaded under someone else's login.
+ */
+
+'use strict';
+
+class LocationQueue {
+  constructor(options = {}) {
+    this.options = {
+      storageKey: 'st_location_queue',
+      maxSize: 500, // Oldest points are dropped beyond this
+      batchSize: 50, // Points per bulk upload
+      minRetryDelay: 5000,
+      maxRetryDelay: 300000, // Never wait more than 5 minutes between retries
+      ...options
+    };
+
+    this.items = this.load();
+    this.nextId = this.items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+    this.retryCount = 0;
+    this.retryTimer = null;
+    this.flushing = false;
+    this.singleUploads = false; // The backend has no bulk endpoint: send points one by one
+
+    // Bind methods
+    this.flush = this.flush.bind(this);
+    this.handleOnline = this.handleOnline.bind(this);
+
+    window.addEventListener('online', this.handleOnline);
+  }
+
+  // Read persisted points so the queue survives page reloads
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.options.storageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch (err) {
+      console.warn('Cannot read location queue:', err);
+      return [];
+    }
+  }
+
+  persist() {
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify(this.items));
+    } catch (err) {
+      console.warn('Cannot persist location queue:', err);
+    }
+  }
+
+  // Whose points are being recorded now (the signed-in user's id), or null
+  currentOwner() {
+    const payload = window.api && window.api.decodeToken(window.api.getToken());
+    return (payload && payload.sub) || null;
+  }
+
+  // Add a point that failed to upload
+  enqueue(locationData) {
+    this.items.push({ id: this.nextId++, owner: this.currentOwner(), data: locationData });
+
+    // Cap the queue by dropping the oldest points
+    if (this.items.length > this.options.maxSize) {
+      const dropped = this.items.length - this.options.maxSize;
+      this.items.splice(0, dropped);
+      console.warn(`Location queue full, dropped ${dropped} oldest point(s)`);
+    }
+
+    this.persist();
+    this.emitChange();
+    this.scheduleRetry();
+  }
+
+  // Number of points waiting to be uploaded
+  size() {
+    return this.items.length;
+  }
+
+  // Upload pending points in batches until the queue is empty or a batch
+  // fails. Batches the server rejects outright are dropped, as they would be
+  // refused again on every retry and hold up every fix behind them.
+  async flush() {
+    if (this.flushing || this.items.length === 0) return true;
+    if (navigator.onLine === false) return false;
+    if (!window.api || !window.api.getToken()) return false;
+
+    this.flushing = true;
+    this.clearRetry();
+
+    try {
+      this.dropForeign(this.currentOwner());
+      while (this.items.length > 0) {
+        const batch = this.items.slice(0, this.options.batchSize);
+        if (this.singleUploads) {
+          if (!(await this.uploadEach(batch))) {
+            this.scheduleRetry();
+            return false;
+          }
+          continue;
+        }
+
+        const response = await window.api.saveLocations(batch.map(item => item.data));
+
+        if (response.error) {
+          if (response.status === 404 || response.status === 405) {
+            console.warn('No bulk location upload here, sending points one by one');
+            this.singleUploads = true;
+            continue;
+          }
+          if (LocationQueue.isRejected(response)) {
+            console.warn('Dropping queued locations the server rejected:', response.error);
+            this.remove(batch);
+            continue;
+          }
+          console.warn('Failed to upload queued locations:', response.error);
+          this.scheduleRetry();
+          return false;
+        }
+
+        this.remove(batch);
+      }
+
+      this.retryCount = 0;
+      console.log('Location queue flushed');
+      return true;
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  // Send points through the single-point endpoint; false once one should be retried
+  async uploadEach(batch) {
+    for (const item of batch) {
+      const response = await window.api.saveLocation(item.data);
+      if (response.error && !LocationQueue.isRejected(response)) {
+        console.warn('Failed to upload queued location:', response.error);
+        return false;
+      }
+      if (response.error) console.warn('Dropping a queued location the server rejected:', response.error);
+      this.remove([item]);
+    }
+    return true;
+  }
+
+  // Points recorded for another user (or before points had an owner) are not ours to send
+  dropForeign(owner) {
+    const foreign = this.items.filter(item => item.owner !== owner);
+    if (foreign.length === 0) return;
+    console.warn(`Dropping ${foreign.length} queued point(s) recorded for another user`);
+    this.remove(foreign);
+  }
+
+  // Remove by id: points may have been added or dropped while uploading
+  remove(items) {
+    const sent = new Set(items.map(item => item.id));
+    this.items = this.items.filter(item => !sent.has(item.id));
+    this.persist();
+    this.emitChange();
+  }
+
+  // Retry later with exponential backoff and jitter
+  scheduleRetry() {
+    if (this.retryTimer || this.items.length === 0) return;
+
+    const base = Math.min(
+      this.options.maxRetryDelay,
+      this.options.minRetryDelay * Math.pow(2, this.retryCount)
+    );
+    const delay = Math.round(base / 2 + Math.random() * base / 2);
+    this.retryCount++;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  clearRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  // Connectivity is back: retry immediately with a fresh backoff
+  handleOnline() {
+    this.clearRetry();
+    this.retryCount = 0;
+    this.flush();
+  }
+
+  // Drop every pending point
+  clear() {
+    this.clearRetry();
+    this.items = [];
+    this.persist();
+    this.emitChange();
+  }
+
+  // Refused for what was sent rather than for now: retrying cannot help
+  static isRejected(response) {
+    return response.kind === 'validation' || response.kind === 'client';
+  }
+
+  // Emit custom event so the UI can show the queue depth
+  emitChange() {
+    const event = new CustomEvent('gps-queue-change', {
+      detail: { pending: this.items.length }
+    });
+    window.dispatchEvent(event);
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.LocationQueue = LocationQueue;
+}
@@ -0,0 +1,300 @@
+/**
+ * location-sharing.js - Who sees the user's position, how precisely and for how long
+ *
+ * The user's choices (audience, precision, duration, exclusion zones) are
+ * kept per user in localStorage and sent to /me/share-location, which
+ * applies them to what /users/locations and the live channel show. The
+ * page enforces what it can itself too: sharing ends at its expiry or when
+ * tracking stops, and is switched off on the server while the user is
+ * inside one of their exclusion zones. Blurring the position is up to the
+ * server; one that does not echo the precision back is taken to share the
+ * exact position, and status() says so.
+ */
+
+'use strict';
+
+// How long sharing lasts once turned on; null until turned off (or tracking stops)
+const SHARING_DURATIONS = {
+  '1h': 60 * 60 * 1000,
+  '8h': 8 * 60 * 60 * 1000,
+  tracking: null,
+  manual: null
+};
+
+const SHARING_PRECISIONS = ['exact', 'approximate', 'neighbourhood'];
+
+const SHARING_DEFAULTS = {
+  enabled: false,
+  audience: 'everyone', // 'everyone' or 'group'
+  precision: 'approximate', // 'exact', 'approximate' (~100 m) or 'neighbourhood' (~1 km)
+  duration: '1h',
+  expiresAt: null, // Ms
+  zones: [] // { id, name, latitude, longitude, radius }
+};
+
+class LocationSharing {
+  constructor(options = {}) {
+    this.options = {
+      userId: null, // Settings are kept per user
+      storagePrefix: 'st_sharing_',
+      zoneRadius: 300, // Meters, for zones added without a radius
+      ...options
+    };
+
+    this.settings = this.load();
+    this.shared = false; // What the server last confirmed
+    this.precisionHonoured = null; // Whether it applies the precision; null until it answers
+    this.position = null; // Last coords, to check the exclusion zones
+    this.expiryTimer = null;
+    this.listening = false;
+    this.unsent = false; // The last change did not reach the server
+
+    this.handlePositionUpdate = this.handlePositionUpdate.bind(this);
+    this.handleTrackingStopped = this.handleTrackingStopped.bind(this);
+    this.handleOnline = this.handleOnline.bind(this);
+  }
+
+  storageKey() {
+    return `${this.options.storagePrefix}${this.options.userId || 'guest'}`;
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey()));
+      if (stored) return { ...SHARING_DEFAULTS, ...stored };
+    } catch (error) {
+      console.warn('Ignoring unreadable sharing settings:', error);
+    }
+    return { ...SHARING_DEFAULTS, zones: [] };
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey(), JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn('Cannot save sharing settings:', error);
+    }
+  }
+
+  // Follow the tracker's fixes and its stopping, and resend changes made offline
+  listen() {
+    if (this.listening) return;
+    this.listening = true;
+    window.addEventListener('gps-position-update', this.handlePositionUpdate);
+    window.addEventListener('gps-tracking-stopped', this.handleTrackingStopped);
+    window.addEventListener('online', this.handleOnline);
+  }
+
+  destroy() {
+    this.listening = false;
+    window.removeEventListener('gps-position-update', this.handlePositionUpdate);
+    window.removeEventListener('gps-tracking-stopped', this.handleTrackingStopped);
+    window.removeEventListener('online', this.handleOnline);
+    clearTimeout(this.expiryTimer);
+    this.expiryTimer = null;
+  }
+
+  // Take the server's word for whether we are shared, e.g. after sharing
+  // was changed on another device
+  async sync(opts = {}) {
+    const response = await window.api.getShareLocation(opts);
+    if (response.error) return response;
+
+    this.shared = !!response.share;
+    if (SHARING_PRECISIONS.includes(response.precision)) this.precisionHonoured = true;
+    if (this.shared && !this.settings.enabled) {
+      // Turned on elsewhere: what the server applies is what we show
+      Object.assign(this.settings, {
+        enabled: true,
+        audience: response.audience || 'everyone',
+        precision: response.precision || 'exact',
+        duration: response.expires_at ? this.settings.duration : 'manual',
+        expiresAt: response.expires_at ? Date.parse(response.expires_at) : null
+      });
+    } else if (!this.shared && this.settings.enabled && !this.isExpired() && !this.mayBeInZone()) {
+      this.settings.enabled = false;
+    }
+    this.save();
+
+    if (this.settings.enabled && this.isExpired()) return this.disable('expired');
+    this.scheduleExpiry();
+    this.emitChange();
+    return this.status();
+  }
+
+  // Start sharing: { audience, precision, duration }, each defaulting to the last choice
+  async enable(choices = {}) {
+    const duration = choices.duration || this.settings.duration;
+    Object.assign(this.settings, {
+      enabled: true,
+      audience: choices.audience || this.settings.audience,
+      precision: choices.precision || this.settings.precision,
+      duration,
+      expiresAt: this.expiryFor(duration)
+    });
+    return this.apply();
+  }
+
+  // reason: 'user', 'expired' or 'tracking-stopped'
+  async disable(reason = 'user') {
+    this.settings.enabled = false;
+    this.settings.expiresAt = null;
+    return this.apply(reason);
+  }
+
+  // Change audience, precision or duration; a new duration counts from now
+  async update(choices) {
+    if (choices.audience) this.settings.audience = choices.audience;
+    if (choices.precision) this.settings.precision = choices.precision;
+    if (choices.duration && choices.duration !== this.settings.duration) {
+      this.settings.duration = choices.duration;
+      if (this.settings.enabled) this.settings.expiresAt = this.expiryFor(choices.duration);
+    }
+    if (!this.settings.enabled) {
+      this.save();
+      this.emitChange();
+      return this.status();
+    }
+    return this.apply();
+  }
+
+  async addZone({ name, latitude, longitude, radius }) {
+    this.settings.zones.push({
+      id: `zone-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: name || '',
+      latitude,
+      longitude,
+      radius: radius || this.options.zoneRadius
+    });
+    return this.apply();
+  }
+
+  async removeZone(id) {
+    this.settings.zones = this.settings.zones.filter(zone => zone.id !== id);
+    return this.apply();
+  }
+
+  expiryFor(duration) {
+    const length = SHARING_DURATIONS[duration];
+    return length ? Date.now() + length : null;
+  }
+
+  isExpired(now = Date.now()) {
+    return !!this.settings.expiresAt && now >= this.settings.expiresAt;
+  }
+
+  // The exclusion zone the user is in, or null
+  currentZone(coords = this.position) {
+    if (!coords) return null;
+    return this.settings.zones.find(zone => geo.distance(coords, zone) <= zone.radius) || null;
+  }
+
+  // Whether the server may have share off because of a zone: true in one,
+  // and true too before the first fix if there are zones at all
+  mayBeInZone() {
+    if (!this.position) return this.settings.zones.length > 0;
+    return !!this.currentZone();
+  }
+
+  // Send the settings, with share off while the user is in an exclusion zone.
+  // Until the server confirms, status().visible keeps what it last said.
+  async apply(change = null) {
+    const { enabled, audience, precision, expiresAt, zones } = this.settings;
+    this.save();
+    this.scheduleExpiry();
+
+    const response = await window.api.setShareLocation({
+      share: enabled && !this.isExpired() && !this.currentZone(),
+      audience,
+      precision,
+      expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+      exclusion_zones: zones.map(({ latitude, longitude, radius }) => ({ latitude, longitude, radius }))
+    });
+    this.unsent = !!response.error;
+    if (response.error) {
+      this.emitChange(change);
+      return response;
+    }
+
+    this.shared = !!response.share;
+    this.precisionHonoured = response.precision === precision;
+    this.emitChange(change);
+    return this.status();
+  }
+
+  scheduleExpiry() {
+    clearTimeout(this.expiryTimer);
+    this.expiryTimer = null;
+    if (!this.settings.enabled || !this.settings.expiresAt) return;
+
+    this.expiryTimer = setTimeout(() => {
+      this.expiryTimer = null;
+      this.disable('expired');
+    }, Math.max(0, this.settings.expiresAt - Date.now()));
+  }
+
+  // Where the user is now; crossing into or out of a zone turns share off or
+  // on. The first fix settles what the server was told without one.
+  async updatePosition(coords) {
+    const first = !this.position;
+    const wasIn = this.currentZone();
+    this.position = { latitude: coords.latitude, longitude: coords.longitude };
+    if (!this.settings.enabled || this.isExpired()) return this.status();
+
+    const zone = this.currentZone();
+    if (first ? this.shared === !!zone : wasIn !== zone) return this.apply();
+    return this.status();
+  }
+
+  handlePositionUpdate(event) {
+    this.updatePosition(event.detail.coords);
+  }
+
+  handleOnline() {
+    if (this.unsent) this.apply();
+  }
+
+  handleTrackingStopped() {
+    if (this.settings.enabled && this.settings.duration === 'tracking') this.disable('tracking-stopped');
+  }
+
+  // { visible, state: 'off' | 'on' | 'zone', unsent, audience, precision,
+  // precisionHonoured, duration, expiresAt, zone }: visible is the server's
+  // word, state the user's choice. precision is what others get to see:
+  // 'exact' while the server does not apply the chosen one.
+  status() {
+    const zone = this.settings.enabled ? this.currentZone() : null;
+    let state = 'off';
+    if (this.settings.enabled) state = zone ? 'zone' : 'on';
+    return {
+      visible: this.shared,
+      state,
+      unsent: this.unsent,
+      audience: this.settings.audience,
+      precision: this.precisionHonoured === false ? 'exact' : this.settings.precision,
+      precisionHonoured: this.precisionHonoured,
+      duration: this.settings.duration,
+      expiresAt: this.settings.expiresAt,
+      zone
+    };
+  }
+
+  getZones() {
+    return this.settings.zones.slice();
+  }
+
+  // change: why sharing was turned off ('user', 'expired', 'tracking-stopped'), if it was
+  emitChange(change = null) {
+    const event = new CustomEvent('location-sharing-change', {
+      detail: { ...this.status(), change }
+    });
+    window.dispatchEvent(event);
+  }
+}
+
+LocationSharing.DURATIONS = SHARING_DURATIONS;
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.LocationSharing = LocationSharing;
+}
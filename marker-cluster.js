@@ -0,0 +1,302 @@
+/**
+ * marker-cluster.js - Clustered, viewport-limited marker layer for Leaflet
+ *
+ * Holds a set of items with an id and coordinates, and only puts markers on
+ * the map for the ones near the viewport. Items that crowd together at the
+ * current zoom are drawn as one numbered cluster. Updating the items moves
+ * existing markers instead of rebuilding them.
+ */
+
+'use strict';
+
+const LAYER_SETTINGS_KEY = 'st_map_layers';
+
+function loadLayerSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(LAYER_SETTINGS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveLayerSetting(name, visible) {
+  try {
+    localStorage.setItem(LAYER_SETTINGS_KEY, JSON.stringify({ ...loadLayerSettings(), [name]: visible }));
+  } catch (error) {
+    console.warn('Cannot save map layer setting:', error);
+  }
+}
+
+// Glide a marker to [lat, lng] over `duration` ms. A new move takes over
+// from wherever a move still in progress has got to.
+function animateMarker(marker, latlng, duration) {
+  if (marker.moveFrame) cancelAnimationFrame(marker.moveFrame);
+  marker.moveFrame = null;
+  if (!duration || typeof requestAnimationFrame === 'undefined') {
+    marker.setLatLng(latlng);
+    return;
+  }
+
+  const from = marker.getLatLng();
+  const start = performance.now();
+  const step = (now) => {
+    const t = Math.min(1, (now - start) / duration);
+    marker.setLatLng([
+      from.lat + (latlng[0] - from.lat) * t,
+      from.lng + (latlng[1] - from.lng) * t
+    ]);
+    marker.moveFrame = t < 1 ? requestAnimationFrame(step) : null;
+  };
+  marker.moveFrame = requestAnimationFrame(step);
+}
+
+class ClusterLayer {
+  constructor(options = {}) {
+    this.options = {
+      createMarker: null, // (item) => L.Marker, without adding it to the map
+      updateMarker: null, // (marker, item, previous) => void, when an item's data changes
+      cellSize: 60, // Pixels; items this close on screen are clustered
+      maxClusterZoom: 16, // Zoomed in further than this, never cluster
+      padding: 0.25, // Also render this fraction of the viewport around it
+      clusterClass: '', // Extra class for this layer's cluster bubbles
+      moveDuration: 0, // Ms to glide markers that are on screen to a new position
+      ...options
+    };
+
+    this.map = null;
+    this.items = new Map(); // id -> item
+    this.markers = new Map(); // id -> marker, created on first render
+    this.clusters = new Map(); // cluster key -> marker
+    this.visible = true;
+    this.toggle = null; // { input, name } once bound to a legend checkbox
+
+    this.render = this.render.bind(this);
+  }
+
+  addTo(map) {
+    this.map = map;
+    map.on('moveend', this.render);
+    this.render();
+    return this;
+  }
+
+  remove() {
+    if (!this.map) return;
+    this.map.off('moveend', this.render);
+    this.clearMap();
+    this.map = null;
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    if (this.toggle) {
+      if (this.toggle.input) this.toggle.input.checked = visible;
+      saveLayerSetting(this.toggle.name, visible);
+    }
+    this.render();
+  }
+
+  // Drive visibility from a legend checkbox, remembering the choice as `name`
+  bindToggle(input, name) {
+    this.toggle = { input, name };
+    if (input) {
+      input.addEventListener('change', () => this.setVisible(input.checked));
+    }
+    this.setVisible(loadLayerSettings()[name] !== false);
+    return this;
+  }
+
+  // Replace the items. Markers of items that stay are moved and updated.
+  setItems(items) {
+    const next = new Map();
+    items.forEach(item => {
+      if (Number.isFinite(item.latitude) && Number.isFinite(item.longitude)) {
+        next.set(String(item.id), item);
+      }
+    });
+
+    this.markers.forEach((marker, id) => {
+      const item = next.get(id);
+      if (!item) {
+        marker.remove();
+        this.markers.delete(id);
+        return;
+      }
+
+      const previous = this.items.get(id);
+      if (item === previous) return;
+      if (item.latitude !== previous.latitude || item.longitude !== previous.longitude) {
+        const duration = this.map && this.map.hasLayer(marker) ? this.options.moveDuration : 0;
+        animateMarker(marker, [item.latitude, item.longitude], duration);
+      }
+      if (this.options.updateMarker) this.options.updateMarker(marker, item, previous);
+    });
+
+    this.items = next;
+    this.render();
+  }
+
+  removeItem(id) {
+    const marker = this.markers.get(String(id));
+    if (marker) marker.remove();
+    this.markers.delete(String(id));
+    this.items.delete(String(id));
+    this.render();
+  }
+
+  getItems() {
+    return [...this.items.values()];
+  }
+
+  // The item's marker if it is drawn on its own right now
+  getMarker(id) {
+    const marker = this.markers.get(String(id));
+    return marker && this.map && this.map.hasLayer(marker) ? marker : null;
+  }
+
+  // Zoom in until the item has its own marker, and return it
+  reveal(id, zoom = this.options.maxClusterZoom + 1) {
+    const item = this.items.get(String(id));
+    if (!item || !this.map) return null;
+
+    this.map.setView([item.latitude, item.longitude], Math.max(zoom, this.map.getZoom()));
+    this.render();
+    return this.getMarker(id);
+  }
+
+  getBounds() {
+    return L.latLngBounds(this.getItems().map(item => [item.latitude, item.longitude]));
+  }
+
+  render() {
+    if (!this.map) return;
+    if (!this.visible) {
+      this.clearMap();
+      return;
+    }
+
+    const zoom = this.map.getZoom();
+    const bounds = this.map.getBounds().pad(this.options.padding);
+    const inView = this.getItems().filter(item => bounds.contains([item.latitude, item.longitude]));
+    const groups = zoom > this.options.maxClusterZoom
+      ? inView.map(item => ({ key: String(item.id), items: [item] }))
+      : this.cluster(inView, zoom);
+
+    const singles = new Set();
+    const clusters = new Set();
+    groups.forEach(group => {
+      if (group.items.length === 1) {
+        const id = String(group.items[0].id);
+        singles.add(id);
+        this.showMarker(id, group.items[0]);
+      } else {
+        clusters.add(group.key);
+        this.showCluster(group);
+      }
+    });
+
+    // Off-screen and clustered markers leave the map but stay cached
+    this.markers.forEach((marker, id) => {
+      if (!singles.has(id) && this.map.hasLayer(marker)) marker.remove();
+    });
+    this.clusters.forEach((marker, key) => {
+      if (!clusters.has(key)) {
+        marker.remove();
+        this.clusters.delete(key);
+      }
+    });
+  }
+
+  // Greedy clustering in screen space at `zoom`: each item joins the first
+  // cluster whose seed is within cellSize pixels, or seeds a new one. A grid
+  // of seeds keeps the lookup to the neighbouring cells.
+  cluster(items, zoom) {
+    const cellSize = this.options.cellSize;
+    const grid = new Map();
+    const groups = [];
+
+    items.forEach(item => {
+      const point = this.map.project([item.latitude, item.longitude], zoom);
+      const cx = Math.floor(point.x / cellSize);
+      const cy = Math.floor(point.y / cellSize);
+
+      let group = null;
+      for (let dx = -1; dx <= 1 && !group; dx++) {
+        for (let dy = -1; dy <= 1 && !group; dy++) {
+          group = (grid.get(`${cx + dx}:${cy + dy}`) || []).find(seed => {
+            return Math.hypot(seed.point.x - point.x, seed.point.y - point.y) <= cellSize;
+          });
+        }
+      }
+
+      if (group) {
+        group.items.push(item);
+        return;
+      }
+      group = { key: `${zoom}:${item.id}`, point, items: [item] };
+      groups.push(group);
+      const cell = `${cx}:${cy}`;
+      if (!grid.has(cell)) grid.set(cell, []);
+      grid.get(cell).push(group);
+    });
+
+    return groups.map(group => ({
+      key: group.key,
+      items: group.items,
+      latitude: group.items.reduce((sum, item) => sum + item.latitude, 0) / group.items.length,
+      longitude: group.items.reduce((sum, item) => sum + item.longitude, 0) / group.items.length
+    }));
+  }
+
+  showMarker(id, item) {
+    let marker = this.markers.get(id);
+    if (!marker) {
+      marker = this.options.createMarker(item);
+      this.markers.set(id, marker);
+    }
+    if (!this.map.hasLayer(marker)) marker.addTo(this.map);
+  }
+
+  showCluster(group) {
+    let marker = this.clusters.get(group.key);
+    if (!marker) {
+      marker = L.marker([group.latitude, group.longitude], { icon: this.clusterIcon(group.items.length) });
+      marker.on('click', () => {
+        const cluster = this.clusters.get(group.key);
+        this.map.fitBounds(L.latLngBounds(cluster.items.map(item => [item.latitude, item.longitude])).pad(0.2));
+      });
+      marker.count = group.items.length;
+      marker.addTo(this.map);
+      this.clusters.set(group.key, marker);
+    } else {
+      marker.setLatLng([group.latitude, group.longitude]);
+      if (marker.count !== group.items.length) {
+        marker.setIcon(this.clusterIcon(group.items.length));
+        marker.count = group.items.length;
+      }
+    }
+    marker.items = group.items;
+  }
+
+  clusterIcon(count) {
+    const size = count < 10 ? 34 : count < 100 ? 40 : 48;
+    return L.divIcon({
+      className: `marker-cluster ${this.options.clusterClass}`.trim(),
+      html: `<div>${count}</div>`,
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2]
+    });
+  }
+
+  clearMap() {
+    this.markers.forEach(marker => marker.remove());
+    this.clusters.forEach(marker => marker.remove());
+    this.clusters.clear();
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.ClusterLayer = ClusterLayer;
+  window.animateMarker = animateMarker;
+}
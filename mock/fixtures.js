@@ -0,0 +1,184 @@
+/**
+ * fixtures.js - Seed data for the mock backend
+ */
+
+'use strict';
+
+const countries = ['Syria', 'Lebanon', 'Jordan', 'Iraq', 'Egypt', 'Turkey', 'Other'];
+
+const preferences = [
+  'ancient/historical',
+  'meditation/nature',
+  'cultural food/restaurants',
+  'cultural places',
+  'gaming/fun'
+];
+
+// Every seeded account uses the password "password123"
+const users = [
+  {
+    id: 'u1',
+    email: 'demo@smarttourist.test',
+    password: 'password123',
+    username: 'demo',
+    country: 'Syria',
+    budget: 'medium',
+    preferences: ['ancient/historical', 'cultural places'],
+    first_time: false,
+    share: false
+  },
+  {
+    id: 'u2',
+    email: 'layla@smarttourist.test',
+    password: 'password123',
+    username: 'layla',
+    country: 'Lebanon',
+    budget: 'low',
+    preferences: ['cultural food/restaurants'],
+    first_time: false,
+    share: true,
+    location: { latitude: 33.5112, longitude: 36.3017, timestamp: null }
+  },
+  {
+    id: 'u3',
+    email: 'omar@smarttourist.test',
+    password: 'password123',
+    username: 'omar',
+    country: 'Jordan',
+    budget: 'high',
+    preferences: ['meditation/nature'],
+    first_time: false,
+    share: true,
+    location: { latitude: 33.5186, longitude: 36.2710, timestamp: null }
+  }
+];
+
+const places = [
+  {
+    id: 'p1',
+    name: 'Umayyad Mosque',
+    category: 'religious',
+    description: 'One of the largest and oldest mosques in the world, in the heart of the old city.',
+    latitude: 33.5117,
+    longitude: 36.3064,
+    price_category: 'free',
+    rating: 4.9,
+    tags: ['ancient', 'historical', 'religious']
+  },
+  {
+    id: 'p2',
+    name: 'Azm Palace',
+    category: 'historical',
+    description: 'An 18th-century Ottoman palace with courtyards, fountains and a folk museum.',
+    latitude: 33.5108,
+    longitude: 36.3048,
+    price_category: 'low',
+    rating: 4.7,
+    tags: ['historical', 'museum']
+  },
+  {
+    id: 'p3',
+    name: 'Souq al-Hamidiyah',
+    category: 'market',
+    description: 'The covered main souq of Damascus, lined with shops and ice-cream parlours.',
+    latitude: 33.5112,
+    longitude: 36.3017,
+    price_category: 'medium',
+    rating: 4.6,
+    tags: ['shopping', 'cultural places']
+  },
+  {
+    id: 'p4',
+    name: 'National Museum of Damascus',
+    category: 'museum',
+    description: 'Syria\'s premier museum, home to the Dura-Europos synagogue.',
+    latitude: 33.5155,
+    longitude: 36.2931,
+    price_category: 'low',
+    rating: 4.6,
+    tags: ['ancient', 'historical', 'museum']
+  },
+  {
+    id: 'p5',
+    name: 'Citadel of Damascus',
+    category: 'castle',
+    description: 'A medieval fortified palace at the north-west corner of the old city.',
+    latitude: 33.5117,
+    longitude: 36.3003,
+    price_category: 'low',
+    rating: 4.5,
+    tags: ['ancient', 'historical']
+  },
+  {
+    id: 'p6',
+    name: 'Naranj Restaurant',
+    category: 'restaurant',
+    description: 'Traditional Damascene dishes near Straight Street.',
+    latitude: 33.5090,
+    longitude: 36.3130,
+    price_category: 'high',
+    rating: 4.4,
+    tags: ['food', 'restaurant']
+  },
+  {
+    id: 'p7',
+    name: 'Tishreen Park',
+    category: 'park',
+    description: 'The largest park in Damascus, good for an afternoon walk.',
+    latitude: 33.5186,
+    longitude: 36.2710,
+    price_category: 'free',
+    rating: 4.2,
+    tags: ['nature', 'park']
+  },
+  {
+    id: 'p8',
+    name: 'Mount Qasioun',
+    category: 'mountain',
+    description: 'The mountain overlooking the city, famous for its night view.',
+    latitude: 33.5333,
+    longitude: 36.2833,
+    price_category: 'free',
+    rating: 4.3,
+    tags: ['nature', 'meditation/nature']
+  }
+];
+
+// Codes accepted by POST /discount/redeem; a claim is good for valid_hours
+const discounts = [
+  { password: 'DAMASCUS10', place_id: 'p3', original_price: 20000, discount_percent: 10, valid_hours: 48 },
+  { password: 'AZM25', place_id: 'p2', original_price: 8000, discount_percent: 25, valid_hours: 168 },
+  { password: 'NARANJ15', place_id: 'p6', original_price: 60000, discount_percent: 15, valid_hours: 24 }
+];
+
+const robot = {
+  location: { latitude: 33.5155, longitude: 36.2931, updated_at: null }
+};
+
+// Log in as demo and join with the code SOUQ42 to see companions and a meet-up point
+const groups = [
+  {
+    id: 'g1',
+    name: 'Old city walk',
+    invite_code: 'SOUQ42',
+    members: ['u2', 'u3'],
+    meeting_point: { latitude: 33.5108, longitude: 36.3048, note: 'At the Azm Palace gate', set_by: 'layla', set_at: null }
+  }
+];
+
+const visionDescriptions = [
+  'I see an old stone courtyard with a fountain in the middle. It looks like a traditional Damascene house.',
+  'I see a busy covered market with colourful shop signs and people walking.',
+  'I see a tall minaret against a blue sky. This could be part of a historic mosque.'
+];
+
+module.exports = {
+  countries,
+  preferences,
+  users,
+  places,
+  discounts,
+  robot,
+  groups,
+  visionDescriptions
+};
@@ -0,0 +1,999 @@
+/**
+ * server.js - Mock SmartTourist backend for offline development and tests
+ *
+ * Standalone:   node mock/server.js            (API + static pages on :4000)
+ * With http-server: npm start, then open map.html?api=mock
+ *
+ * Failure modes are scripted through the control endpoints:
+ *   POST /__mock/config { latency: 2000, failures: { "/me": 401, "*": "timeout" } }
+ *   POST /__mock/reset
+ * A failure is a status code, "timeout" (never answer), "network" (drop the
+ * connection) or { status, times, retryAfter }.
+ *   POST /__mock/robot { latitude, longitude } moves the robot guide
+ *
+ * POST /live/ticket gives a single-use ticket for GET /live?ticket=..., which
+ * streams robot and shared-user positions, and the user's travel groups, as
+ * server-sent events, with a ping every 15 seconds.
+ *
+ * GET /tiles/{z}/{x}/{y}.png serves plain map tiles that may be downloaded in
+ * bulk, for trying offline areas (open the pages with ?tiles=mock).
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const fixtures = require('./fixtures');
+
+const DEFAULT_PORT = 4000;
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml'
+};
+
+// ---------- Helpers ----------
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function base64url(text) {
+  return Buffer.from(text).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function decodeBase64url(text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+// Unsigned JWT-shaped token so the frontend can read `exp`
+function createToken(userId, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'none', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ sub: userId, iat: now, exp: now + ttlSeconds }));
+  return `${header}.${payload}.mock`;
+}
+
+function readToken(token) {
+  try {
+    const payload = JSON.parse(decodeBase64url(token.split('.')[1]));
+    return payload.exp * 1000 > Date.now() ? payload : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Distance between two points in meters (same formula as geo.js)
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const R = 6371e3;
+  const φ1 = lat1 * Math.PI / 180;
+  const φ2 = lat2 * Math.PI / 180;
+  const Δφ = (lat2 - lat1) * Math.PI / 180;
+  const Δλ = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+            Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function publicUser(user) {
+  const { password, share, sharing, location, locations, ...rest } = user;
+  return rest;
+}
+
+// Grid cell size per sharing precision, in meters (see location-sharing.js)
+const SHARING_PRECISION = { exact: 0, approximate: 100, neighbourhood: 1000 };
+
+// A position snapped to the centre of its grid cell, so repeated fixes
+// never average out to the exact spot
+function fuzzLocation(location, precision) {
+  const size = SHARING_PRECISION[precision] || 0;
+  if (!size) return location;
+  const latStep = size / 111320;
+  const latitude = (Math.floor(location.latitude / latStep) + 0.5) * latStep;
+  const lonStep = size / (111320 * Math.cos(latitude * Math.PI / 180));
+  const longitude = (Math.floor(location.longitude / lonStep) + 0.5) * lonStep;
+  return Object.assign({}, location, { latitude, longitude });
+}
+
+const LIVE_TICKET_TTL = 60 * 1000; // Ms a /live ticket can be used for
+const LIVE_PING_INTERVAL = 15 * 1000;
+
+// Six characters that cannot be mistaken for each other when read out
+function createInviteCode(taken) {
+  const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(6), byte => letters[byte % letters.length]).join('');
+  } while (taken.has(code));
+  return code;
+}
+
+// Route params: '/groups/:id/meeting-point' matches '/groups/g1/meeting-point' as { id: 'g1' }
+function matchPath(pattern, pathname) {
+  const patternParts = pattern.split('/');
+  const parts = pathname.split('/');
+  if (patternParts.length !== parts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < parts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(parts[i]);
+    } else if (patternParts[i] !== parts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+// One server-sent event
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  const crc = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+const tileImages = new Map();
+
+// A blank 256px grey tile; neighbours get two shades in a checkerboard so
+// the tile grid shows while panning
+function tilePng(x, y) {
+  const shade = (x + y) % 2 ? 0xe4 : 0xf0;
+  if (!tileImages.has(shade)) {
+    const size = 256;
+    const row = Buffer.alloc(size + 1, shade);
+    row[0] = 0; // No filter
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 0; // Greyscale
+    tileImages.set(shade, Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(Buffer.concat(Array(size).fill(row)))),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]));
+  }
+  return tileImages.get(shade);
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      const type = req.headers['content-type'] || '';
+      if (type.includes('application/json')) {
+        try {
+          resolve(JSON.parse(raw.toString('utf8') || '{}'));
+        } catch (err) {
+          resolve({ __invalid: true });
+        }
+      } else {
+        resolve({ __raw: raw });
+      }
+    });
+  });
+}
+
+// Normalise a scripted failure into { status | mode, times, retryAfter }
+function normaliseFailure(failure) {
+  if (typeof failure === 'number') return { status: failure, times: Infinity };
+  if (typeof failure === 'string') return { mode: failure, times: Infinity };
+  return Object.assign({ times: Infinity }, failure);
+}
+
+// ---------- State ----------
+function createState(seed) {
+  const now = new Date().toISOString();
+  const state = {
+    meta: { countries: clone(seed.countries), preferences: clone(seed.preferences) },
+    users: clone(seed.users).map(user => {
+      user.locations = [];
+      if (user.location) user.location.timestamp = user.location.timestamp || now;
+      return user;
+    }),
+    places: clone(seed.places),
+    discounts: clone(seed.discounts),
+    robot: clone(seed.robot),
+    visionDescriptions: clone(seed.visionDescriptions),
+    visionIndex: 0,
+    groups: clone(seed.groups).map(group => {
+      if (group.meeting_point) group.meeting_point.set_at = group.meeting_point.set_at || now;
+      return group;
+    }),
+    refreshTokens: new Map(),
+    liveTickets: new Map(), // ticket -> { userId, expires }
+    activity: [],
+    visited: []
+  };
+  state.robot.location.updated_at = state.robot.location.updated_at || now;
+  return state;
+}
+
+function createConfig(options) {
+  return {
+    latency: options.latency || 0,
+    failures: {}
+  };
+}
+
+// ---------- Routes ----------
+function buildRoutes(ctx) {
+  const { options } = ctx;
+
+  function issueSession(user) {
+    const refreshToken = crypto.randomBytes(16).toString('hex');
+    ctx.state.refreshTokens.set(refreshToken, user.id);
+    return {
+      token: createToken(user.id, options.tokenTtl),
+      refresh_token: refreshToken,
+      user: publicUser(user)
+    };
+  }
+
+  function lastLocation(user) {
+    return user.locations[user.locations.length - 1] || null;
+  }
+
+  function sharingSettings(user) {
+    const sharing = Object.assign({ audience: 'everyone', precision: 'exact', expires_at: null, exclusion_zones: [] }, user.sharing);
+    const expired = !!sharing.expires_at && Date.parse(sharing.expires_at) <= Date.now();
+    return Object.assign({ share: !!user.share && !expired }, sharing);
+  }
+
+  function inSameGroup(a, b) {
+    return ctx.state.groups.some(group => group.members.includes(a.id) && group.members.includes(b.id));
+  }
+
+  // What `viewer` sees of `user`, or null when the sharing settings hide them
+  function sharedLocation(user, viewer) {
+    const settings = sharingSettings(user);
+    const location = lastLocation(user) || user.location || null;
+    if (!settings.share || !location) return null;
+    if (settings.audience === 'group' && !inSameGroup(user, viewer)) return null;
+    if (settings.exclusion_zones.some(zone => distanceMeters(location.latitude, location.longitude, zone.latitude, zone.longitude) <= zone.radius)) {
+      return null;
+    }
+    return {
+      username: user.username,
+      country: user.country,
+      precision: settings.precision,
+      location: fuzzLocation(location, settings.precision)
+    };
+  }
+
+  function sharedLocations(viewer) {
+    return ctx.state.users
+      .filter(u => u.id !== viewer.id)
+      .map(u => sharedLocation(u, viewer))
+      .filter(Boolean);
+  }
+
+  // What each other traveller sees of `user` after a move or a sharing change
+  function announce(user) {
+    ctx.streams.forEach(client => {
+      if (client.user.id === user.id) return;
+      const shared = sharedLocation(user, client.user);
+      if (shared) {
+        writeEvent(client.res, 'user', shared);
+      } else {
+        writeEvent(client.res, 'user-hidden', { username: user.username });
+      }
+    });
+  }
+
+  // A group as `viewer` sees it: members' positions follow their sharing settings
+  function groupView(group, viewer) {
+    return {
+      id: group.id,
+      name: group.name,
+      invite_code: group.invite_code,
+      members: group.members.map(id => {
+        const member = ctx.state.users.find(u => u.id === id);
+        const shared = member.id === viewer.id ? null : sharedLocation(member, viewer);
+        return {
+          id: member.id,
+          username: member.username,
+          country: member.country,
+          location: shared ? shared.location : null,
+          precision: shared ? shared.precision : null
+        };
+      }),
+      meeting_point: group.meeting_point || null
+    };
+  }
+
+  function groupsOf(user) {
+    return ctx.state.groups
+      .filter(group => group.members.includes(user.id))
+      .map(group => groupView(group, user));
+  }
+
+  function findGroup(id, user) {
+    const group = ctx.state.groups.find(g => g.id === id);
+    return group && group.members.includes(user.id) ? group : null;
+  }
+
+  // Members (and anyone who just left) get the group list again; who can see
+  // whom changes with membership, so positions are announced again too
+  function announceGroup(group, changed = null) {
+    const ids = new Set(group.members);
+    if (changed) ids.add(changed.id);
+    ctx.streams.forEach(client => {
+      if (ids.has(client.user.id)) writeEvent(client.res, 'groups', { groups: groupsOf(client.user) });
+    });
+    if (changed) {
+      ctx.state.users.filter(u => ids.has(u.id)).forEach(announce);
+    }
+  }
+
+  function validateSharing(body) {
+    const errors = {};
+    if (body.audience !== undefined && !['everyone', 'group'].includes(body.audience)) {
+      errors.audience = 'audience must be everyone or group';
+    }
+    if (body.precision !== undefined && !(body.precision in SHARING_PRECISION)) {
+      errors.precision = 'precision must be exact, approximate or neighbourhood';
+    }
+    if (body.expires_at && Number.isNaN(Date.parse(body.expires_at))) {
+      errors.expires_at = 'expires_at must be an ISO date';
+    }
+    if (body.exclusion_zones !== undefined && (!Array.isArray(body.exclusion_zones) || body.exclusion_zones.some(zone =>
+      typeof zone.latitude !== 'number' || typeof zone.longitude !== 'number' || !(zone.radius > 0)))) {
+      errors.exclusion_zones = 'exclusion_zones must be a list of { latitude, longitude, radius }';
+    }
+    return errors;
+  }
+
+  return [
+    {
+      method: 'POST', path: '/signup', auth: false,
+      handler: ({ body }) => {
+        const errors = {};
+        if (!body.email || !/^[^@\s]+@[^@\s]+$/.test(body.email)) errors.email = 'A valid email is required';
+        if (!body.password || body.password.length < 8) errors.password = 'Password must be at least 8 characters';
+        if (!body.username || body.username.length < 3) errors.username = 'Username must be at least 3 characters';
+        if (!body.country) errors.country = 'Country is required';
+        if (body.email && ctx.state.users.some(u => u.email === body.email)) errors.email = 'Email is already registered';
+        if (Object.keys(errors).length) {
+          return [422, { error: 'Validation failed', errors }];
+        }
+
+        const user = {
+          id: 'u' + (ctx.state.users.length + 1),
+          email: body.email,
+          password: body.password,
+          username: body.username,
+          country: body.country,
+          budget: body.budget || 'medium',
+          preferences: body.preferences || [],
+          first_time: true,
+          share: false,
+          locations: []
+        };
+        ctx.state.users.push(user);
+        return [201, issueSession(user)];
+      }
+    },
+    {
+      method: 'POST', path: '/login', auth: false,
+      handler: ({ body }) => {
+        const user = ctx.state.users.find(u => u.email === body.email && u.password === body.password);
+        if (!user) return [401, { error: 'Invalid email or password' }];
+        const session = issueSession(user);
+        user.first_time = false;
+        return [200, session];
+      }
+    },
+    {
+      method: 'POST', path: '/auth/refresh', auth: false,
+      handler: ({ body }) => {
+        const userId = ctx.state.refreshTokens.get(body.refresh_token);
+        const user = ctx.state.users.find(u => u.id === userId);
+        if (!user) return [401, { error: 'Invalid refresh token' }];
+        ctx.state.refreshTokens.delete(body.refresh_token);
+        return [200, issueSession(user)];
+      }
+    },
+    {
+      method: 'GET', path: '/meta', auth: false,
+      handler: () => [200, ctx.state.meta]
+    },
+    {
+      method: 'GET', path: '/me',
+      handler: ({ user }) => [200, { user: publicUser(user) }]
+    },
+    {
+      method: 'PATCH', path: '/me/preferences',
+      handler: ({ user, body }) => {
+        if (!Array.isArray(body.preferences) || body.preferences.length === 0) {
+          return [422, { error: 'Select at least one preference', errors: { preferences: 'Select at least one preference' } }];
+        }
+        user.preferences = body.preferences;
+        return [200, { user: publicUser(user) }];
+      }
+    },
+    {
+      method: 'PATCH', path: '/me/password',
+      handler: ({ user, body }) => {
+        if (body.currentPassword !== user.password) {
+          return [422, { error: 'Current password is incorrect', errors: { currentPassword: 'Current password is incorrect' } }];
+        }
+        if (!body.newPassword || body.newPassword.length < 8) {
+          return [422, { error: 'New password must be at least 8 characters', errors: { newPassword: 'Too short' } }];
+        }
+        user.password = body.newPassword;
+        return [200, { ok: true }];
+      }
+    },
+    {
+      method: 'POST', path: '/me/location',
+      handler: ({ user, body }) => {
+        if (typeof body.latitude !== 'number' || typeof body.longitude !== 'number') {
+          return [422, { error: 'latitude and longitude are required' }];
+        }
+        user.locations.push(Object.assign({ id: user.locations.length + 1 }, body));
+        if (sharingSettings(user).share) announce(user);
+        return [201, { ok: true, location: lastLocation(user) }];
+      }
+    },
+    {
+      method: 'POST', path: '/me/location/batch',
+      handler: ({ user, body }) => {
+        if (!Array.isArray(body.locations)) return [422, { error: 'locations must be an array' }];
+        body.locations.forEach(location => {
+          user.locations.push(Object.assign({ id: user.locations.length + 1 }, location));
+        });
+        if (sharingSettings(user).share && body.locations.length) announce(user);
+        return [201, { ok: true, saved: body.locations.length }];
+      }
+    },
+    {
+      method: 'GET', path: '/me/location/last',
+      handler: ({ user }) => [200, { location: lastLocation(user) }]
+    },
+    {
+      method: 'GET', path: '/me/locations',
+      handler: ({ user, query }) => {
+        const limit = Math.max(1, Number(query.get('limit')) || 100);
+        const from = query.get('from') ? Date.parse(query.get('from')) : -Infinity;
+        const before = query.get('before') ? Date.parse(query.get('before')) : Infinity;
+        const locations = user.locations.filter(location => {
+          const time = typeof location.timestamp === 'number' ? location.timestamp : Date.parse(location.timestamp);
+          if (Number.isNaN(time)) return from === -Infinity && before === Infinity;
+          return time >= from && time < before;
+        });
+        return [200, { locations: locations.slice(-limit).reverse() }];
+      }
+    },
+    {
+      method: 'GET', path: '/me/share-location',
+      handler: ({ user }) => [200, sharingSettings(user)]
+    },
+    {
+      // { share } alone keeps the other settings as they were
+      method: 'PATCH', path: '/me/share-location',
+      handler: ({ user, body }) => {
+        const errors = validateSharing(body);
+        if (Object.keys(errors).length) {
+          return [422, { error: 'Validation failed', errors }];
+        }
+
+        user.share = !!body.share;
+        user.sharing = Object.assign({}, user.sharing);
+        ['audience', 'precision', 'expires_at', 'exclusion_zones'].forEach(key => {
+          if (body[key] !== undefined) user.sharing[key] = body[key];
+        });
+        announce(user);
+        return [200, sharingSettings(user)];
+      }
+    },
+    {
+      method: 'GET', path: '/users/locations',
+      handler: ({ user }) => [200, { users: sharedLocations(user) }]
+    },
+    {
+      method: 'GET', path: '/me/groups',
+      handler: ({ user }) => [200, { groups: groupsOf(user) }]
+    },
+    {
+      method: 'POST', path: '/groups',
+      handler: ({ user, body }) => {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name) return [422, { error: 'Validation failed', errors: { name: 'Name is required' } }];
+
+        const taken = new Set(ctx.state.groups.map(g => g.invite_code));
+        const group = {
+          id: 'g' + (ctx.state.groups.length + 1) + '-' + crypto.randomBytes(2).toString('hex'),
+          name,
+          invite_code: createInviteCode(taken),
+          members: [user.id],
+          meeting_point: null
+        };
+        ctx.state.groups.push(group);
+        return [201, { group: groupView(group, user) }];
+      }
+    },
+    {
+      method: 'POST', path: '/groups/join',
+      handler: ({ user, body }) => {
+        const code = String(body.invite_code || '').trim().toUpperCase();
+        const group = ctx.state.groups.find(g => g.invite_code === code);
+        if (!group) return [404, { error: 'No group has that invite code' }];
+
+        if (!group.members.includes(user.id)) {
+          group.members.push(user.id);
+          announceGroup(group, user);
+        }
+        return [200, { group: groupView(group, user) }];
+      }
+    },
+    {
+      method: 'DELETE', path: '/groups/:id/members/me',
+      handler: ({ user, params }) => {
+        const group = findGroup(params.id, user);
+        if (!group) return [404, { error: 'Group not found' }];
+
+        group.members = group.members.filter(id => id !== user.id);
+        if (group.members.length === 0) {
+          ctx.state.groups = ctx.state.groups.filter(g => g !== group);
+        }
+        announceGroup(group, user);
+        return [200, { ok: true }];
+      }
+    },
+    {
+      method: 'PUT', path: '/groups/:id/meeting-point',
+      handler: ({ user, body, params }) => {
+        const group = findGroup(params.id, user);
+        if (!group) return [404, { error: 'Group not found' }];
+        if (typeof body.latitude !== 'number' || typeof body.longitude !== 'number') {
+          return [422, { error: 'latitude and longitude are required' }];
+        }
+
+        group.meeting_point = {
+          latitude: body.latitude,
+          longitude: body.longitude,
+          note: typeof body.note === 'string' ? body.note.trim().slice(0, 140) : '',
+          set_by: user.username,
+          set_at: new Date().toISOString()
+        };
+        announceGroup(group);
+        return [200, { group: groupView(group, user) }];
+      }
+    },
+    {
+      method: 'DELETE', path: '/groups/:id/meeting-point',
+      handler: ({ user, params }) => {
+        const group = findGroup(params.id, user);
+        if (!group) return [404, { error: 'Group not found' }];
+
+        group.meeting_point = null;
+        announceGroup(group);
+        return [200, { group: groupView(group, user) }];
+      }
+    },
+    {
+      // EventSource cannot send headers, and a token in the URL would end up in
+      // access logs, so the stream is opened with a short-lived ticket instead
+      method: 'POST', path: '/live/ticket',
+      handler: ({ user }) => {
+        const ticket = crypto.randomBytes(16).toString('hex');
+        ctx.state.liveTickets.set(ticket, { userId: user.id, expires: Date.now() + LIVE_TICKET_TTL });
+        return [201, { ticket, expires_in: LIVE_TICKET_TTL / 1000 }];
+      }
+    },
+    {
+      method: 'GET', path: '/live', auth: false, stream: true,
+      handler: ({ req, res, query }) => {
+        const ticket = ctx.state.liveTickets.get(query.get('ticket') || '');
+        ctx.state.liveTickets.delete(query.get('ticket') || '');
+        const user = ticket && ticket.expires > Date.now() && ctx.state.users.find(u => u.id === ticket.userId);
+        if (!user) return [401, { error: 'Unauthorized' }];
+
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          'Access-Control-Allow-Origin': req.headers.origin || '*',
+          'Vary': 'Origin'
+        });
+        const client = { res, user };
+        ctx.streams.add(client);
+        // Lets the page tell a quiet stream from a dead one
+        const ping = setInterval(() => writeEvent(res, 'ping', {}), LIVE_PING_INTERVAL);
+        req.on('close', () => {
+          clearInterval(ping);
+          ctx.streams.delete(client);
+        });
+
+        writeEvent(res, 'robot', ctx.state.robot.location);
+        writeEvent(res, 'users', { users: sharedLocations(user) });
+        writeEvent(res, 'groups', { groups: groupsOf(user) });
+        return null;
+      }
+    },
+    {
+      method: 'GET', path: '/tiles/:z/:x/:file', auth: false, stream: true,
+      handler: ({ req, res, params }) => {
+        const z = Number(params.z);
+        const x = Number(params.x);
+        const y = /^\d+\.png$/.test(params.file) ? parseInt(params.file, 10) : NaN;
+        if (![z, x, y].every(Number.isInteger) || x >= 2 ** z || y >= 2 ** z) {
+          return [404, { error: 'No such tile' }];
+        }
+
+        res.writeHead(200, {
+          'Content-Type': 'image/png',
+          'Cache-Control': 'max-age=86400',
+          'Access-Control-Allow-Origin': req.headers.origin || '*',
+          'Vary': 'Origin'
+        });
+        res.end(tilePng(x, y));
+        return null;
+      }
+    },
+    {
+      method: 'GET', path: '/robot/location', auth: false,
+      handler: () => [200, ctx.state.robot]
+    },
+    {
+      method: 'GET', path: '/me/recommendations',
+      handler: ({ user }) => {
+        const here = lastLocation(user) || { latitude: 33.5138, longitude: 36.2765 };
+        const visited = new Set(ctx.state.visited.filter(v => v.user_id === user.id).map(v => v.place_id));
+        const budgets = ['free', 'low', 'medium', 'high'];
+
+        // The user's latest like, dislike or dismissal of each place
+        const reactions = new Map();
+        ctx.state.activity
+          .filter(a => a.user_id === user.id && ['liked', 'disliked', 'dismissed', 'feedback_cleared'].includes(a.activity_type))
+          .forEach(a => {
+            if (a.activity_type === 'feedback_cleared') reactions.delete(a.place_id);
+            else reactions.set(a.place_id, a.activity_type);
+          });
+        const reactionBoost = { liked: 0.3, disliked: -0.3 };
+
+        const recommendations = ctx.state.places
+          .filter(place => !visited.has(place.id) && reactions.get(place.id) !== 'dismissed')
+          .map(place => {
+            const distanceKm = distanceMeters(here.latitude, here.longitude, place.latitude, place.longitude) / 1000;
+            const matches = (user.preferences || []).filter(pref => {
+              return place.tags.some(tag => pref.includes(tag) || tag.includes(pref.split('/')[0]));
+            }).length;
+            const boost = reactionBoost[reactions.get(place.id)] || 0;
+            const scores = {
+              preference: Math.min(1, Math.max(0, 0.3 + matches * 0.35 + boost)),
+              distance: Math.max(0, 1 - distanceKm / 10),
+              budget: budgets.indexOf(place.price_category) <= budgets.indexOf(user.budget) ? 1 : 0.4,
+              popularity: place.rating / 5
+            };
+            const score = scores.preference * 0.4 + scores.distance * 0.25 + scores.budget * 0.15 + scores.popularity * 0.2;
+            return Object.assign({}, place, {
+              distance_km: Math.round(distanceKm * 100) / 100,
+              score: Math.round(score * 100) / 100,
+              scores
+            });
+          })
+          .sort((a, b) => b.score - a.score);
+
+        return [200, { recommendations }];
+      }
+    },
+    {
+      method: 'POST', path: '/me/activity',
+      handler: ({ user, body }) => {
+        if (!body.place_id || !body.activity_type) {
+          return [422, { error: 'place_id and activity_type are required' }];
+        }
+        ctx.state.activity.push(Object.assign({ user_id: user.id }, body));
+        return [201, { ok: true }];
+      }
+    },
+    {
+      method: 'POST', path: '/me/activity/batch',
+      handler: ({ user, body }) => {
+        if (!Array.isArray(body.events)) return [422, { error: 'events must be an array' }];
+        if (body.events.some(event => !event || !event.place_id || !event.activity_type)) {
+          return [422, { error: 'every event needs place_id and activity_type' }];
+        }
+        body.events.forEach(event => {
+          ctx.state.activity.push(Object.assign({ user_id: user.id }, event));
+        });
+        return [201, { ok: true, saved: body.events.length }];
+      }
+    },
+    {
+      method: 'POST', path: '/me/visited',
+      handler: ({ user, body }) => {
+        if (!ctx.state.places.some(p => p.id === body.place_id)) {
+          return [404, { error: 'Place not found' }];
+        }
+        ctx.state.visited.push({ user_id: user.id, place_id: body.place_id, timestamp: body.timestamp });
+        return [201, { ok: true }];
+      }
+    },
+    {
+      method: 'GET', path: '/discount/venues',
+      handler: () => {
+        const venues = ctx.state.discounts
+          .map(discount => {
+            const place = ctx.state.places.find(p => p.id === discount.place_id);
+            if (!place) return null;
+            return {
+              place_id: place.id,
+              name: place.name,
+              category: place.category,
+              latitude: place.latitude,
+              longitude: place.longitude,
+              discount_percent: discount.discount_percent
+            };
+          })
+          .filter(Boolean);
+        return [200, { venues }];
+      }
+    },
+    {
+      method: 'POST', path: '/discount/redeem',
+      handler: ({ body }) => {
+        const discount = ctx.state.discounts.find(d => d.password === String(body.password || '').trim());
+        if (!discount) return [400, { success: false, error: 'Invalid or expired code' }];
+
+        const place = ctx.state.places.find(p => p.id === discount.place_id);
+        const discounted = Math.round(discount.original_price * (100 - discount.discount_percent) / 100);
+        return [200, {
+          success: true,
+          discount: {
+            message: `You unlocked ${discount.discount_percent}% off at ${place.name}!`,
+            place_id: place.id,
+            place_name: place.name,
+            original_price: discount.original_price,
+            discounted_price: discounted,
+            discount_percent: discount.discount_percent,
+            expires_at: new Date(Date.now() + discount.valid_hours * 3600 * 1000).toISOString()
+          }
+        }];
+      }
+    },
+    {
+      method: 'POST', path: '/api/describe-image',
+      handler: ({ body }) => {
+        if (!body.__raw || body.__raw.length === 0) return [400, { error: 'No image uploaded' }];
+        const descriptions = ctx.state.visionDescriptions;
+        const description = descriptions[ctx.state.visionIndex++ % descriptions.length];
+        return [200, { description }];
+      }
+    }
+  ];
+}
+
+// ---------- Server ----------
+function createMockServer(options = {}) {
+  options = Object.assign({
+    latency: 0,
+    tokenTtl: 3600, // seconds
+    staticDir: null,
+    robotWalk: 0, // ms between robot steps around a small loop; 0 keeps it still
+    fixtures
+  }, options);
+
+  const ctx = {
+    options,
+    state: createState(options.fixtures),
+    config: createConfig(options),
+    streams: new Set(), // { res, user } per open /live stream
+    broadcast(event, data, exceptUser = null) {
+      ctx.streams.forEach(client => {
+        if (!exceptUser || client.user.id !== exceptUser.id) writeEvent(client.res, event, data);
+      });
+    }
+  };
+  const routes = buildRoutes(ctx);
+  const sockets = new Set();
+
+  function moveRobot(latitude, longitude) {
+    ctx.state.robot.location = { latitude, longitude, updated_at: new Date().toISOString() };
+    ctx.broadcast('robot', ctx.state.robot.location);
+  }
+
+  let robotStep = 0;
+  const robotTimer = options.robotWalk > 0 ? setInterval(() => {
+    const home = options.fixtures.robot.location;
+    const angle = ++robotStep * Math.PI / 30;
+    moveRobot(home.latitude + 0.002 * Math.sin(angle), home.longitude + 0.002 * Math.cos(angle));
+  }, options.robotWalk) : null;
+
+  function send(req, res, status, payload, headers = {}) {
+    const origin = req.headers.origin;
+    res.writeHead(status, Object.assign({
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': origin || '*',
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+      'Access-Control-Expose-Headers': 'Retry-After',
+      'Vary': 'Origin'
+    }, headers));
+    res.end(payload === undefined ? '' : JSON.stringify(payload));
+  }
+
+  function serveStatic(req, res, pathname) {
+    if (!options.staticDir || req.method !== 'GET') return false;
+
+    const root = path.resolve(options.staticDir);
+    const file = path.join(root, pathname === '/' ? 'index.html' : decodeURIComponent(pathname));
+    if (!file.startsWith(root) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      return false;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+    return true;
+  }
+
+  // Scripted failure for this path, if any (consumes one use)
+  function takeFailure(pathname) {
+    const failures = ctx.config.failures;
+    const key = failures[pathname] ? pathname : (failures['*'] ? '*' : null);
+    if (!key) return null;
+
+    const failure = failures[key];
+    failure.times--;
+    if (failure.times <= 0) delete failures[key];
+    return failure;
+  }
+
+  async function handleControl(req, res, pathname) {
+    if (pathname === '/__mock/reset' && req.method === 'POST') {
+      ctx.state = createState(options.fixtures);
+      ctx.config = createConfig(options);
+      return send(req, res, 200, { ok: true });
+    }
+    if (pathname === '/__mock/config' && req.method === 'GET') {
+      return send(req, res, 200, ctx.config);
+    }
+    if (pathname === '/__mock/config' && req.method === 'POST') {
+      const body = await readBody(req);
+      if (body.latency !== undefined) ctx.config.latency = Number(body.latency) || 0;
+      Object.keys(body.failures || {}).forEach(key => {
+        if (body.failures[key] === null) {
+          delete ctx.config.failures[key];
+        } else {
+          ctx.config.failures[key] = normaliseFailure(body.failures[key]);
+        }
+      });
+      return send(req, res, 200, ctx.config);
+    }
+    if (pathname === '/__mock/robot' && req.method === 'POST') {
+      const body = await readBody(req);
+      if (typeof body.latitude !== 'number' || typeof body.longitude !== 'number') {
+        return send(req, res, 422, { error: 'latitude and longitude are required' });
+      }
+      moveRobot(body.latitude, body.longitude);
+      return send(req, res, 200, ctx.state.robot);
+    }
+    return send(req, res, 404, { error: 'Unknown mock control endpoint' });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname;
+
+    if (req.method === 'OPTIONS') return send(req, res, 204);
+    if (pathname.startsWith('/__mock/')) return handleControl(req, res, pathname);
+
+    let params = null;
+    const route = routes.find(r => r.method === req.method && (params = matchPath(r.path, pathname)));
+    if (!route) {
+      if (serveStatic(req, res, pathname)) return;
+      return send(req, res, 404, { error: `No mock route for ${req.method} ${pathname}` });
+    }
+
+    if (ctx.config.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, ctx.config.latency));
+    }
+
+    const failure = takeFailure(pathname);
+    if (failure) {
+      if (failure.mode === 'timeout') return; // Leave the request hanging
+      if (failure.mode === 'network') return req.socket.destroy();
+      const headers = failure.retryAfter !== undefined ? { 'Retry-After': String(failure.retryAfter) } : {};
+      return send(req, res, failure.status, { error: `Mock failure ${failure.status}` }, headers);
+    }
+
+    if (route.stream) {
+      const result = route.handler({ req, res, params, query: url.searchParams });
+      if (result) send(req, res, result[0], result[1]);
+      return;
+    }
+
+    let user = null;
+    if (route.auth !== false) {
+      const header = req.headers.authorization || '';
+      const payload = header.startsWith('Bearer ') ? readToken(header.slice(7)) : null;
+      user = payload && ctx.state.users.find(u => u.id === payload.sub);
+      if (!user) return send(req, res, 401, { error: 'Unauthorized' });
+    }
+
+    const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readBody(req) : {};
+    if (body.__invalid) return send(req, res, 400, { error: 'Invalid JSON body' });
+
+    const [status, payload] = route.handler({ req, body, user, params, query: url.searchParams });
+    send(req, res, status, payload);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(err => {
+      console.error('Mock server error:', err);
+      send(req, res, 500, { error: 'Mock server error' });
+    });
+  });
+
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return {
+    server,
+    get state() { return ctx.state; },
+    get config() { return ctx.config; },
+
+    listen(port = DEFAULT_PORT) {
+      return new Promise(resolve => {
+        server.listen(port, () => resolve(`http://localhost:${server.address().port}`));
+      });
+    },
+
+    // Close, including requests held open by the "timeout" failure mode
+    close() {
+      if (robotTimer) clearInterval(robotTimer);
+      return new Promise(resolve => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(() => resolve());
+      });
+    }
+  };
+}
+
+module.exports = { createMockServer, createToken };
+
+// Run standalone
+if (require.main === module) {
+  const mock = createMockServer({
+    latency: Number(process.env.MOCK_LATENCY) || 0,
+    tokenTtl: Number(process.env.MOCK_TOKEN_TTL) || 3600,
+    robotWalk: process.env.MOCK_ROBOT_WALK === undefined ? 5000 : Number(process.env.MOCK_ROBOT_WALK),
+    staticDir: path.join(__dirname, '..')
+  });
+  mock.listen(Number(process.env.MOCK_PORT) || DEFAULT_PORT).then(url => {
+    console.log(`Mock backend listening on ${url}`);
+    console.log(`Open ${url}/map.html?api=mock (demo@smarttourist.test / password123)`);
+  });
+}
@@ -0,0 +1,202 @@
+/**
+ * offline.js - Service worker registration and map areas saved for offline use
+ *
+ * Load after config.js and api.js. Registers sw.js, asks it to send queued
+ * writes when the connection comes back (lending it the session token to
+ * send them with), and downloads the tiles of an area into the cache the
+ * service worker serves them from, where the tile server allows it.
+ */
+
+'use strict';
+
+const AREA_TILE_CACHE = 'st-tiles-offline'; // sw.js answers tile requests from it
+const AREAS_KEY = 'st_offline_areas';
+const AVERAGE_TILE_BYTES = 15 * 1024; // Raster map tiles are mostly 5-30 KB
+
+// { url, attribution, maxZoom, bulkDownload } of the tile server config.js picked
+function tileSource() {
+  return window.TILE_SOURCE;
+}
+
+// Slippy-map tile numbers (https://wiki.openstreetmap.org/wiki/Slippy_map_tilenames)
+function tileX(longitude, zoom) {
+  return Math.floor((longitude + 180) / 360 * Math.pow(2, zoom));
+}
+
+function tileY(latitude, zoom) {
+  const φ = latitude * Math.PI / 180;
+  return Math.floor((1 - Math.log(Math.tan(φ) + 1 / Math.cos(φ)) / Math.PI) / 2 * Math.pow(2, zoom));
+}
+
+class OfflineMaps {
+  constructor(options = {}) {
+    this.options = {
+      minZoom: 12,
+      maxZoom: 17,
+      maxTiles: 2500, // Keeps an area to a few tens of MB
+      concurrency: 2,
+      ...options
+    };
+  }
+
+  // Whether the tile server's terms allow saving whole areas ahead of time
+  canDownload() {
+    return !!(tileSource() && tileSource().bulkDownload);
+  }
+
+  // Tiles covering bounds ({ north, south, east, west }) at each zoom level
+  tilesFor(bounds, minZoom = this.options.minZoom, maxZoom = this.options.maxZoom) {
+    const tiles = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+      const limit = Math.pow(2, z) - 1;
+      const clamp = (value) => Math.min(limit, Math.max(0, value));
+      const x1 = clamp(tileX(bounds.west, z));
+      const x2 = clamp(tileX(bounds.east, z));
+      const y1 = clamp(tileY(bounds.north, z));
+      const y2 = clamp(tileY(bounds.south, z));
+      for (let x = x1; x <= x2; x++) {
+        for (let y = y1; y <= y2; y++) tiles.push({ z, x, y });
+      }
+    }
+    return tiles;
+  }
+
+  // { tiles, bytes, allowed } for downloading an area; counts without listing
+  estimate(bounds, minZoom = this.options.minZoom, maxZoom = this.options.maxZoom) {
+    let tiles = 0;
+    for (let z = minZoom; z <= maxZoom; z++) {
+      const columns = tileX(bounds.east, z) - tileX(bounds.west, z) + 1;
+      const rows = tileY(bounds.south, z) - tileY(bounds.north, z) + 1;
+      tiles += columns * rows;
+    }
+    return { tiles, bytes: tiles * AVERAGE_TILE_BYTES, allowed: tiles <= this.options.maxTiles };
+  }
+
+  tileUrl(tile) {
+    return tileSource().url.replace('{z}', tile.z).replace('{x}', tile.x).replace('{y}', tile.y);
+  }
+
+  // Fetch every tile of the area into the offline cache. Tiles already saved
+  // are skipped. Resolves to { tiles, saved, failed, bytes } or { error, kind }
+  // with kind 'unsupported', 'not-allowed', 'too-big' or 'cancelled'.
+  // options.onProgress({ done, total, failed }), options.signal (AbortSignal)
+  async downloadArea(bounds, minZoom = this.options.minZoom, maxZoom = this.options.maxZoom, options = {}) {
+    if (typeof caches === 'undefined') {
+      return { error: 'This browser cannot store map tiles', kind: 'unsupported' };
+    }
+    if (!this.canDownload()) {
+      return { error: 'The map tile server does not allow downloading areas', kind: 'not-allowed' };
+    }
+    const estimate = this.estimate(bounds, minZoom, maxZoom);
+    if (!estimate.allowed) {
+      return { error: `That area needs ${estimate.tiles} tiles; zoom in or pick fewer zoom levels (at most ${this.options.maxTiles})`, kind: 'too-big' };
+    }
+
+    const tiles = this.tilesFor(bounds, minZoom, maxZoom);
+    const cache = await caches.open(AREA_TILE_CACHE);
+    const result = { tiles: tiles.length, saved: 0, failed: 0, bytes: 0 };
+    let next = 0;
+    let done = 0;
+
+    const worker = async () => {
+      while (next < tiles.length && !(options.signal && options.signal.aborted)) {
+        const url = this.tileUrl(tiles[next++]);
+        try {
+          if (!(await cache.match(url))) {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const blob = await response.clone().blob();
+            await cache.put(url, response);
+            result.saved++;
+            result.bytes += blob.size;
+          }
+        } catch (error) {
+          result.failed++;
+        }
+        done++;
+        if (options.onProgress) options.onProgress({ done, total: tiles.length, failed: result.failed });
+      }
+    };
+    await Promise.all(Array.from({ length: this.options.concurrency }, worker));
+
+    if (options.signal && options.signal.aborted) {
+      return Object.assign(result, { error: 'Download cancelled', kind: 'cancelled' });
+    }
+    this.saveArea({ bounds, minZoom, maxZoom, tiles: tiles.length, bytes: result.bytes, savedAt: Date.now() });
+    return result;
+  }
+
+  getAreas() {
+    try {
+      const areas = JSON.parse(localStorage.getItem(AREAS_KEY));
+      return Array.isArray(areas) ? areas : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveArea(area) {
+    try {
+      localStorage.setItem(AREAS_KEY, JSON.stringify(this.getAreas().concat(area)));
+    } catch (error) {
+      console.warn('Cannot save offline area:', error);
+    }
+  }
+
+  async clearAreas() {
+    if (typeof caches !== 'undefined') await caches.delete(AREA_TILE_CACHE);
+    localStorage.removeItem(AREAS_KEY);
+  }
+
+  // { usage, quota } in bytes, or null where the browser will not say
+  async storageEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function postToServiceWorker(message) {
+  if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+    navigator.serviceWorker.controller.postMessage(message);
+  }
+}
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('sw.js').catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+  });
+
+  // Browsers without Background Sync get their queued writes sent from here
+  window.addEventListener('online', () => postToServiceWorker({ type: 'replay-queue' }));
+
+  // The service worker keeps no token of its own; it asks for one to replay with
+  navigator.serviceWorker.addEventListener('message', event => {
+    if (!event.data || event.data.type !== 'session-token' || !event.ports[0]) return;
+    const token = window.api && window.api.isSessionValid() ? window.api.getToken() : null;
+    event.ports[0].postMessage({ token });
+  });
+
+  // Cached recommendations belong to whoever was logged in
+  if (window.api && window.api.onSessionEnd) {
+    window.api.onSessionEnd(() => postToServiceWorker({ type: 'clear-user-data' }));
+  }
+}
+
+registerServiceWorker();
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.OfflineMaps = OfflineMaps;
+  window.OfflineMaps.tileSource = tileSource;
+  window.OfflineMaps.formatBytes = formatBytes;
+}
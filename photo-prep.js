@@ -0,0 +1,176 @@
+/**
+ * photo-prep.js - Photos made small and anonymous before they are uploaded
+ *
+ * Phone photos are often 5-10 MB and carry EXIF metadata, GPS position
+ * included. preparePhoto() redraws the photo on a canvas (OffscreenCanvas
+ * where there is one) no larger than maxDimension and recompresses it; the
+ * redrawn image has no metadata at all. Where the browser cannot redraw it,
+ * a JPEG is sent at its own size with its metadata segments cut out.
+ */
+
+'use strict';
+
+const PHOTO_DEFAULTS = {
+  maxDimension: 1600, // Longest side, in px
+  quality: 0.85,
+  type: 'image/jpeg'
+};
+
+// JPEG segments that hold metadata: APP1 (EXIF, XMP), APP13 (IPTC) and comments
+const JPEG_METADATA_MARKERS = [0xE1, 0xED, 0xFE];
+
+// Width and height scaled down to fit in max x max, never up
+function fitWithin(width, height, max) {
+  const scale = Math.min(1, max / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+function isJpeg(bytes) {
+  return bytes.length > 3 && bytes[0] === 0xFF && bytes[1] === 0xD8;
+}
+
+// A copy of the JPEG without its metadata segments. The image data after
+// the start-of-scan marker is copied as it is.
+function stripJpegMetadata(bytes) {
+  if (!isJpeg(bytes)) throw new Error('Not a JPEG');
+
+  const kept = [bytes.subarray(0, 2)];
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xFF) throw new Error('Corrupt JPEG');
+    const marker = bytes[offset + 1];
+    if (marker === 0xFF) { // Fill byte
+      offset++;
+      continue;
+    }
+    if (marker === 0xDA) break; // Start of scan: the rest is image data
+
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const end = offset + 2 + length;
+    if (!JPEG_METADATA_MARKERS.includes(marker)) kept.push(bytes.subarray(offset, end));
+    offset = end;
+  }
+  kept.push(bytes.subarray(offset));
+
+  const result = new Uint8Array(kept.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  kept.forEach(part => {
+    result.set(part, position);
+    position += part.length;
+  });
+  return result;
+}
+
+// Decoded with the EXIF orientation applied, so the redrawn photo stays upright
+async function decodePhoto(file) {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('Unreadable image'));
+      image.src = url;
+    });
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function encodePhoto(image, { width, height }, settings) {
+  const offscreen = typeof OffscreenCanvas !== 'undefined';
+  const canvas = offscreen ? new OffscreenCanvas(width, height) : document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext('2d');
+  if (!context) throw new Error('No canvas');
+  // JPEG has no transparency; keep it from turning black
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+
+  if (offscreen) {
+    return canvas.convertToBlob({ type: settings.type, quality: settings.quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the photo'))), settings.type, settings.quality);
+  });
+}
+
+// Resolves to { blob, width, height, originalSize, size, resized } or
+// { error, kind: 'unsupported' } when the file cannot be read as a photo
+async function preparePhoto(file, options = {}) {
+  const settings = { ...PHOTO_DEFAULTS, ...options };
+
+  let image = null;
+  try {
+    image = await decodePhoto(file);
+  } catch (error) {
+    console.warn('Cannot decode photo:', error);
+  }
+
+  if (image) {
+    try {
+      const size = fitWithin(image.width, image.height, settings.maxDimension);
+      const blob = await encodePhoto(image, size, settings);
+      return {
+        blob,
+        width: size.width,
+        height: size.height,
+        originalSize: file.size,
+        size: blob.size,
+        resized: size.width !== image.width || size.height !== image.height
+      };
+    } catch (error) {
+      console.warn('Cannot redraw photo, sending it unresized:', error);
+    } finally {
+      if (image.close) image.close();
+    }
+  }
+
+  // Sent at its own size, but never with its metadata
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (!isJpeg(bytes)) return { error: 'Cannot read this image', kind: 'unsupported' };
+  try {
+    const stripped = stripJpegMetadata(bytes);
+    return {
+      blob: new Blob([stripped], { type: 'image/jpeg' }),
+      width: null,
+      height: null,
+      originalSize: file.size,
+      size: stripped.length,
+      resized: false
+    };
+  } catch (error) {
+    return { error: error.message, kind: 'unsupported' };
+  }
+}
+
+// A blob as a data: URL, e.g. a thumbnail to keep in localStorage
+function toDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.PhotoPrep = {
+    preparePhoto,
+    stripJpegMetadata,
+    fitWithin,
+    toDataURL,
+    DEFAULTS: PHOTO_DEFAULTS
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * position-filter.js - Jitter filtering and smoothing for raw GPS fixes
+ *
+ * Rejects fixes that are too inaccurate or imply an impossible speed, then
+ * smooths the rest with a simple Kalman filter that weighs each fix by its
+ * reported accuracy.
+ */
+
+'use strict';
+
+class PositionFilter {
+  constructor(options = {}) {
+    this.options = {
+      maxAccuracy: 100, // Meters; coarser fixes (Wi-Fi/cell) are dropped
+      maxSpeed: 50, // m/s (180 km/h); faster implied movement is a glitch
+      maxRejections: 3, // Consecutive speed rejections before we trust the new fix
+      processNoise: 3, // m/s; how fast we expect the true position to drift
+      minInterval: 1, // Seconds; floor for the time between fixes
+      ...options
+    };
+
+    this.reset();
+  }
+
+  // Forget the track, e.g. after switching position source
+  reset() {
+    this.latitude = null;
+    this.longitude = null;
+    this.variance = -1; // Meters squared; negative until the first fix
+    this.lastTimestamp = null;
+    this.lastAccepted = null;
+    this.rejections = 0;
+  }
+
+  // Returns { accepted, reason, raw, filtered, speed }.
+  // reason is 'accuracy' or 'speed' when the fix was rejected.
+  process(position) {
+    const coords = position.coords;
+    const accuracy = Math.max(coords.accuracy || 0, 1);
+    const timestamp = Number.isFinite(position.timestamp) ? position.timestamp : Date.now();
+
+    if (coords.accuracy && coords.accuracy > this.options.maxAccuracy) {
+      return { accepted: false, reason: 'accuracy', raw: position, filtered: null, speed: null };
+    }
+
+    let speed = null;
+    if (this.lastAccepted) {
+      const last = this.lastAccepted;
+      const seconds = Math.max((timestamp - last.timestamp) / 1000, this.options.minInterval);
+      const distance = geo.distance(last.coords, coords);
+      // Movement inside both fixes' error circles does not count
+      const slack = (last.coords.accuracy || 0) + (coords.accuracy || 0);
+      speed = Math.max(0, distance - slack) / seconds;
+
+      if (speed > this.options.maxSpeed) {
+        this.rejections++;
+        if (this.rejections < this.options.maxRejections) {
+          return { accepted: false, reason: 'speed', raw: position, filtered: null, speed };
+        }
+        // Several fixes agree we are somewhere else: the old track was wrong
+        this.reset();
+      }
+    }
+
+    this.rejections = 0;
+    this.lastAccepted = position;
+
+    return { accepted: true, reason: null, raw: position, filtered: this.smooth(position, accuracy, timestamp), speed };
+  }
+
+  // One Kalman step, treating latitude and longitude independently
+  smooth(position, accuracy, timestamp) {
+    const coords = position.coords;
+
+    if (this.variance < 0) {
+      this.latitude = coords.latitude;
+      this.longitude = coords.longitude;
+      this.variance = accuracy * accuracy;
+    } else {
+      const seconds = Math.max(0, (timestamp - this.lastTimestamp) / 1000);
+      // Uncertainty grows while time passes without a fix
+      this.variance += seconds * this.options.processNoise * this.options.processNoise;
+
+      const gain = this.variance / (this.variance + accuracy * accuracy);
+      this.latitude += gain * (coords.latitude - this.latitude);
+      this.longitude += gain * (coords.longitude - this.longitude);
+      this.variance = (1 - gain) * this.variance;
+    }
+    this.lastTimestamp = timestamp;
+
+    return {
+      coords: {
+        latitude: this.latitude,
+        longitude: this.longitude,
+        accuracy: Math.sqrt(this.variance),
+        altitude: coords.altitude,
+        altitudeAccuracy: coords.altitudeAccuracy,
+        heading: coords.heading,
+        speed: coords.speed
+      },
+      timestamp
+    };
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.PositionFilter = PositionFilter;
+}
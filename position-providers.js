@@ -0,0 +1,470 @@
+/**
+ * position-providers.js - Simulated and recorded position sources for GPSTracker
+ *
+ * Each provider implements the navigator.geolocation interface
+ * (getCurrentPosition, watchPosition, clearWatch), so GPSTracker can use
+ * one in place of the device GPS without changing how it handles fixes.
+ */
+
+'use strict';
+
+const POSITION_ERROR_CODES = { PERMISSION_DENIED: 1, POSITION_UNAVAILABLE: 2, TIMEOUT: 3 };
+
+// Shaped like GeolocationPositionError so GPSTracker.handleError can read it
+function positionError(code, message) {
+  return Object.assign({ code, message }, POSITION_ERROR_CODES);
+}
+
+// Accept [lat, lng] pairs or { latitude, longitude } / { lat, lng } objects
+function toLatLng(point) {
+  if (Array.isArray(point)) return { latitude: numberOrNull(point[0]), longitude: numberOrNull(point[1]) };
+  return {
+    latitude: numberOrNull(point.latitude !== undefined ? point.latitude : point.lat),
+    longitude: numberOrNull(point.longitude !== undefined ? point.longitude : (point.lng !== undefined ? point.lng : point.lon))
+  };
+}
+
+function isValidLatLng(point) {
+  return point.latitude !== null && point.longitude !== null &&
+    Math.abs(point.latitude) <= 90 && Math.abs(point.longitude) <= 180;
+}
+
+function makePosition(coords, timestamp) {
+  return {
+    coords: Object.assign({
+      accuracy: null,
+      altitude: null,
+      altitudeAccuracy: null,
+      heading: null,
+      speed: null
+    }, coords),
+    timestamp: timestamp || Date.now()
+  };
+}
+
+// ---------- Base class ----------
+// Runs a simulated clock and fans fixes out to watchers. Subclasses
+// implement sample(elapsedMs) -> { position, done }.
+class SimulatedPositionProvider {
+  constructor(options = {}) {
+    this.options = {
+      interval: 1000, // Real time between fixes
+      speedFactor: 1, // Simulated milliseconds per real millisecond
+      loop: false,
+      ...options
+    };
+
+    this.name = 'simulated';
+    this.label = 'Simulated';
+    this.watchers = new Map();
+    this.nextWatchId = 1;
+    this.timer = null;
+    this.epoch = null; // Real time of the first fix
+    this.elapsed = 0;
+    this.finished = false;
+    this.lastEmitted = null;
+
+    this.tick = this.tick.bind(this);
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  getCurrentPosition(success, error) {
+    setTimeout(() => {
+      const { position } = this.sample(this.elapsed);
+      if (position) {
+        success(position);
+      } else if (error) {
+        error(positionError(POSITION_ERROR_CODES.POSITION_UNAVAILABLE, `${this.label} has no positions`));
+      }
+    }, 0);
+  }
+
+  watchPosition(success, error) {
+    const id = this.nextWatchId++;
+    this.watchers.set(id, { success, error });
+
+    // Like the real API, a new watch gets the current fix straight away
+    setTimeout(() => {
+      const watcher = this.watchers.get(id);
+      const { position } = this.sample(this.elapsed);
+      if (watcher && position) {
+        this.lastEmitted = position;
+        watcher.success(position);
+      }
+    }, 0);
+
+    this.start();
+    return id;
+  }
+
+  clearWatch(id) {
+    this.watchers.delete(id);
+    if (this.watchers.size === 0) this.pause();
+  }
+
+  start() {
+    if (this.timer || this.finished) return;
+    this.timer = setInterval(this.tick, this.options.interval);
+  }
+
+  pause() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Rewind to the first fix; timestamps keep counting up from where they were
+  reset() {
+    if (this.epoch !== null) this.epoch += this.elapsed;
+    this.elapsed = 0;
+    this.finished = false;
+    this.lastEmitted = null;
+  }
+
+  // Stop for good and forget every watcher
+  stop() {
+    this.pause();
+    this.watchers.clear();
+  }
+
+  tick() {
+    this.elapsed += this.options.interval * this.options.speedFactor;
+    const { position, done } = this.sample(this.elapsed);
+
+    // Replays hand back the same object until the next recorded fix is due
+    if (position && position !== this.lastEmitted) {
+      this.lastEmitted = position;
+      this.watchers.forEach(watcher => watcher.success(position));
+    }
+
+    if (done) {
+      if (this.options.loop) {
+        this.reset();
+      } else {
+        this.finished = true;
+        this.pause();
+        this.emitFinished();
+      }
+    }
+  }
+
+  // Timestamps follow the simulated clock, so implied speeds stay true to
+  // the route or recording even when played faster than real time
+  clockTime(elapsed) {
+    if (this.epoch === null) this.epoch = Date.now();
+    return this.epoch + elapsed;
+  }
+
+  // Fraction of the route or track played so far (0..1)
+  getProgress() {
+    return 0;
+  }
+
+  sample() {
+    return { position: null, done: true };
+  }
+
+  emitFinished() {
+    const event = new CustomEvent('gps-provider-finished', {
+      detail: { provider: this.name }
+    });
+    window.dispatchEvent(event);
+  }
+}
+
+// ---------- Route simulator ----------
+// Walks along a polyline at a constant speed, with optional GPS noise
+class RoutePositionProvider extends SimulatedPositionProvider {
+  constructor(route, options = {}) {
+    super({
+      speed: 1.4, // m/s, a walking pace
+      noise: 0, // Standard deviation of the position error, in meters
+      accuracy: 10, // Reported accuracy, in meters
+      random: Math.random,
+      ...options
+    });
+
+    this.name = 'route';
+    this.label = 'Route simulator';
+    this.route = (route || []).map(toLatLng).filter(isValidLatLng);
+
+    // Cumulative distance at each vertex
+    this.distances = [0];
+    for (let i = 1; i < this.route.length; i++) {
+      const a = this.route[i - 1];
+      const b = this.route[i];
+      this.distances.push(this.distances[i - 1] + geo.distance(a, b));
+    }
+  }
+
+  getLength() {
+    return this.distances[this.distances.length - 1];
+  }
+
+  getProgress() {
+    const length = this.getLength();
+    if (!length) return this.finished ? 1 : 0;
+    return Math.min(1, this.options.speed * this.elapsed / 1000 / length);
+  }
+
+  sample(elapsed) {
+    if (this.route.length === 0) return { position: null, done: true };
+
+    const length = this.getLength();
+    const travelled = Math.min(length, this.options.speed * elapsed / 1000);
+    const done = travelled >= length;
+
+    // Find the segment we are on
+    let i = 1;
+    while (i < this.route.length - 1 && this.distances[i] < travelled) i++;
+
+    const from = this.route[Math.max(0, i - 1)];
+    const to = this.route[Math.min(i, this.route.length - 1)];
+    const segment = this.distances[i] - this.distances[i - 1] || 0;
+    const t = segment > 0 ? (travelled - this.distances[i - 1]) / segment : 0;
+
+    let latitude = from.latitude + (to.latitude - from.latitude) * t;
+    let longitude = from.longitude + (to.longitude - from.longitude) * t;
+
+    if (this.options.noise > 0) {
+      const [north, east] = this.gaussianPair();
+      latitude += north * this.options.noise / 111320;
+      longitude += east * this.options.noise / (111320 * Math.cos(latitude * Math.PI / 180));
+    }
+
+    const moving = segment > 0 && !done;
+    return {
+      position: makePosition({
+        latitude,
+        longitude,
+        accuracy: this.options.accuracy,
+        heading: moving ? geo.bearing(from, to) : null,
+        speed: moving ? this.options.speed : 0
+      }, this.clockTime(elapsed)),
+      done
+    };
+  }
+
+  // Two independent standard normal samples (Box-Muller)
+  gaussianPair() {
+    const u = Math.max(this.options.random(), 1e-12);
+    const v = this.options.random();
+    const r = Math.sqrt(-2 * Math.log(u));
+    return [r * Math.cos(2 * Math.PI * v), r * Math.sin(2 * Math.PI * v)];
+  }
+}
+
+// ---------- Replay ----------
+// Plays back recorded fixes with their original spacing, optionally sped up
+class ReplayPositionProvider extends SimulatedPositionProvider {
+  constructor(points, options = {}) {
+    super({
+      pointInterval: 1000, // Spacing for points that have no timestamp
+      ...options
+    });
+
+    this.name = 'replay';
+    this.label = 'Track replay';
+    this.points = normalizeTrack(points, this.options.pointInterval);
+    this.positions = this.points.map(point => makePosition({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      accuracy: point.accuracy,
+      altitude: point.altitude,
+      heading: point.heading,
+      speed: point.speed
+    }));
+    this.cursor = 0;
+  }
+
+  getDuration() {
+    if (this.points.length < 2) return 0;
+    return this.points[this.points.length - 1].time - this.points[0].time;
+  }
+
+  getProgress() {
+    const duration = this.getDuration();
+    if (!duration) return this.finished ? 1 : 0;
+    return Math.min(1, this.elapsed / duration);
+  }
+
+  reset() {
+    super.reset();
+    this.cursor = 0;
+  }
+
+  sample(elapsed) {
+    if (this.points.length === 0) return { position: null, done: true };
+
+    const now = this.points[0].time + elapsed;
+    if (elapsed < this.elapsedAtCursor()) this.cursor = 0;
+    while (this.cursor < this.points.length - 1 && this.points[this.cursor + 1].time <= now) {
+      this.cursor++;
+    }
+
+    const position = this.positions[this.cursor];
+    // Stamp the fix with the time it is played, keeping the recorded time alongside
+    position.timestamp = this.clockTime(this.elapsedAtCursor());
+    position.recordedAt = this.points[this.cursor].time;
+
+    return { position, done: this.cursor === this.points.length - 1 };
+  }
+
+  elapsedAtCursor() {
+    return this.points[this.cursor].time - this.points[0].time;
+  }
+
+  static fromGPX(text, options) {
+    const provider = new ReplayPositionProvider(parseGPX(text), options);
+    provider.label = 'GPX replay';
+    return provider;
+  }
+
+  static fromGeoJSON(data, options) {
+    const provider = new ReplayPositionProvider(parseGeoJSON(data), options);
+    provider.label = 'GeoJSON replay';
+    return provider;
+  }
+
+  // Replays a /me/locations response (newest first) or a plain array
+  static fromHistory(history, options) {
+    const locations = Array.isArray(history) ? history : (history && history.locations) || [];
+    const provider = new ReplayPositionProvider(locations, options);
+    provider.name = 'history';
+    provider.label = 'History replay';
+    return provider;
+  }
+}
+
+// Sort by time and fill in missing timestamps; drops points without coordinates
+function normalizeTrack(points, pointInterval) {
+  const track = (points || [])
+    .map(point => Object.assign({}, point, toLatLng(point)))
+    .filter(isValidLatLng)
+    .map(point => {
+      const time = point.timestamp !== undefined && point.timestamp !== null
+        ? new Date(point.timestamp).getTime()
+        : NaN;
+      return {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        accuracy: numberOrNull(point.accuracy),
+        altitude: numberOrNull(point.altitude),
+        heading: numberOrNull(point.heading),
+        speed: numberOrNull(point.speed),
+        time
+      };
+    });
+
+  const timed = track.length > 0 && track.every(point => Number.isFinite(point.time));
+  if (!timed) {
+    const start = Date.now();
+    track.forEach((point, i) => {
+      point.time = start + i * pointInterval;
+    });
+  }
+
+  return track.sort((a, b) => a.time - b.time);
+}
+
+function numberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// ---------- Parsers ----------
+
+// Track points from a GPX document; falls back to route points, then waypoints
+function parseGPX(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Not a valid GPX file');
+  }
+
+  let nodes = doc.getElementsByTagName('trkpt');
+  if (nodes.length === 0) nodes = doc.getElementsByTagName('rtept');
+  if (nodes.length === 0) nodes = doc.getElementsByTagName('wpt');
+
+  const childText = (node, tag) => {
+    const child = node.getElementsByTagName(tag)[0];
+    return child ? child.textContent.trim() : null;
+  };
+
+  return Array.from(nodes).map(node => ({
+    latitude: Number(node.getAttribute('lat')),
+    longitude: Number(node.getAttribute('lon')),
+    altitude: childText(node, 'ele'),
+    timestamp: childText(node, 'time') || undefined,
+    speed: childText(node, 'speed')
+  }));
+}
+
+// Points from a GeoJSON object or string. Reads per-vertex times from
+// properties.coordTimes / properties.times, and Point features' time.
+function parseGeoJSON(data) {
+  const geojson = typeof data === 'string' ? JSON.parse(data) : data;
+  const points = [];
+
+  const addLine = (coordinates, times) => {
+    coordinates.forEach((coord, i) => {
+      points.push({
+        latitude: coord[1],
+        longitude: coord[0],
+        altitude: coord.length > 2 ? coord[2] : null,
+        timestamp: times ? times[i] : undefined
+      });
+    });
+  };
+
+  const addGeometry = (geometry, properties = {}) => {
+    if (!geometry) return;
+    const times = properties.coordTimes || properties.times;
+
+    switch (geometry.type) {
+      case 'Point':
+        addLine([geometry.coordinates], [properties.time || properties.timestamp]);
+        break;
+      case 'MultiPoint':
+      case 'LineString':
+        addLine(geometry.coordinates, times);
+        break;
+      case 'MultiLineString':
+        geometry.coordinates.forEach((line, i) => {
+          addLine(line, times && Array.isArray(times[0]) ? times[i] : undefined);
+        });
+        break;
+      case 'GeometryCollection':
+        geometry.geometries.forEach(child => addGeometry(child, properties));
+        break;
+    }
+  };
+
+  if (!geojson || !geojson.type) throw new Error('Not a valid GeoJSON file');
+
+  if (geojson.type === 'FeatureCollection') {
+    geojson.features.forEach(feature => addGeometry(feature.geometry, feature.properties || {}));
+  } else if (geojson.type === 'Feature') {
+    addGeometry(geojson.geometry, geojson.properties || {});
+  } else {
+    addGeometry(geojson);
+  }
+
+  return points;
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.PositionProviders = {
+    SimulatedPositionProvider,
+    RoutePositionProvider,
+    ReplayPositionProvider,
+    parseGPX,
+    parseGeoJSON,
+    positionError
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * qr-scanner.js - QR codes from the camera or a photo
+ *
+ * Uses the browser's BarcodeDetector where it reads QR codes, and falls back
+ * to the jsQR decoder, loaded on first use, everywhere else. Scans resolve
+ * to { text } or { error, kind }, kind being 'unsupported', 'permission',
+ * 'not-found' or 'failed'.
+ */
+
+'use strict';
+
+const JSQR_URL = 'https://unpkg.com/jsqr@1.4.0/dist/jsQR.js';
+// Subresource integrity of that exact file, so a tampered copy never runs
+const JSQR_INTEGRITY = 'sha256-vEDIoVGWI2sjFNsIVvcsoLSZgM1UE7jIUqc0n1/uCFk=';
+
+class QRScanner {
+  constructor(options = {}) {
+    this.options = {
+      interval: 250, // Ms between camera frames
+      maxSize: 1024, // Longest side, in px, handed to jsQR
+      decoderUrl: JSQR_URL,
+      decoderIntegrity: JSQR_INTEGRITY,
+      ...options
+    };
+
+    this.stream = null;
+    this.timer = null;
+    this.detect = null; // async (image or video) -> text or null
+    this.decoderLoading = null;
+  }
+
+  static canUseCamera() {
+    return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+
+  get scanning() {
+    return this.stream !== null;
+  }
+
+  async getDetector() {
+    if (this.detect) return this.detect;
+
+    if (typeof BarcodeDetector !== 'undefined') {
+      try {
+        const formats = await BarcodeDetector.getSupportedFormats();
+        if (formats.includes('qr_code')) {
+          const detector = new BarcodeDetector({ formats: ['qr_code'] });
+          this.detect = async (source) => {
+            const codes = await detector.detect(source);
+            return codes.length ? codes[0].rawValue : null;
+          };
+          return this.detect;
+        }
+      } catch (error) {
+        console.warn('BarcodeDetector unavailable, using jsQR:', error);
+      }
+    }
+
+    const jsQR = await this.loadDecoder();
+    const canvas = document.createElement('canvas');
+    this.detect = async (source) => {
+      const { width, height } = this.fit(source);
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(source, 0, 0, width, height);
+      const image = context.getImageData(0, 0, width, height);
+      const code = jsQR(image.data, width, height, { inversionAttempts: 'attemptBoth' });
+      return code ? code.data : null;
+    };
+    return this.detect;
+  }
+
+  loadDecoder() {
+    if (window.jsQR) return Promise.resolve(window.jsQR);
+    if (!this.decoderLoading) {
+      this.decoderLoading = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = this.options.decoderUrl;
+        if (this.options.decoderIntegrity) {
+          script.integrity = this.options.decoderIntegrity;
+          script.crossOrigin = 'anonymous';
+        }
+        script.async = true;
+        script.onload = () => {
+          if (window.jsQR) {
+            resolve(window.jsQR);
+          } else {
+            reject(new Error('The QR decoder did not load'));
+          }
+        };
+        script.onerror = () => reject(new Error('The QR decoder did not load'));
+        document.head.appendChild(script);
+      });
+      // Let a later scan try again, e.g. once back online
+      this.decoderLoading.catch(() => {
+        this.decoderLoading = null;
+      });
+    }
+    return this.decoderLoading;
+  }
+
+  // Size to decode at: big photos are scaled down, which jsQR reads far faster
+  fit(source) {
+    const width = source.videoWidth || source.naturalWidth || source.width;
+    const height = source.videoHeight || source.naturalHeight || source.height;
+    const scale = Math.min(1, this.options.maxSize / Math.max(width, height));
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+  }
+
+  // Show the back camera in video and scan it until a code shows up.
+  // onCode(text) runs once, after the camera is released.
+  async start(video, onCode) {
+    this.stop();
+    if (!QRScanner.canUseCamera()) {
+      return { error: 'This browser cannot use the camera', kind: 'unsupported' };
+    }
+
+    let detect;
+    try {
+      detect = await this.getDetector();
+    } catch (error) {
+      return { error: error.message, kind: 'unsupported' };
+    }
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+    } catch (error) {
+      const denied = error.name === 'NotAllowedError' || error.name === 'SecurityError';
+      return { error: error.message, kind: denied ? 'permission' : 'failed' };
+    }
+
+    this.stream = stream;
+    video.setAttribute('playsinline', ''); // iOS would go full screen
+    video.muted = true;
+    video.srcObject = stream;
+    try {
+      await video.play();
+    } catch (error) {
+      console.warn('Camera preview did not start:', error);
+    }
+
+    const scanFrame = async () => {
+      if (this.stream !== stream) return;
+
+      let text = null;
+      if (video.readyState >= 2) { // HAVE_CURRENT_DATA
+        try {
+          text = await detect(video);
+        } catch (error) {
+          console.warn('QR frame not scanned:', error);
+        }
+      }
+
+      // Stopped while the frame was being read
+      if (this.stream !== stream) return;
+      if (text) {
+        this.stop();
+        onCode(text);
+        return;
+      }
+      this.timer = setTimeout(scanFrame, this.options.interval);
+    };
+    this.timer = setTimeout(scanFrame, this.options.interval);
+
+    return { scanning: true };
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+  }
+
+  // Read a QR code from an image file, e.g. a photo of the partner's sign
+  async scanImage(file) {
+    let detect;
+    try {
+      detect = await this.getDetector();
+    } catch (error) {
+      return { error: error.message, kind: 'unsupported' };
+    }
+
+    let image;
+    try {
+      image = await loadImage(file);
+    } catch (error) {
+      return { error: 'Could not open the image', kind: 'failed' };
+    }
+
+    try {
+      const text = await detect(image);
+      return text ? { text } : { error: 'No QR code found in the image', kind: 'not-found' };
+    } catch (error) {
+      return { error: error.message, kind: 'failed' };
+    } finally {
+      if (image.close) image.close();
+    }
+  }
+}
+
+// createImageBitmap where there is one, an <img> elsewhere
+async function loadImage(file) {
+  if (typeof createImageBitmap === 'function') return createImageBitmap(file);
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('Unreadable image'));
+      image.src = url;
+    });
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.QRScanner = QRScanner;
+}
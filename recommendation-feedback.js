@@ -0,0 +1,191 @@
+/**
+ * recommendation-feedback.js - Why a place is recommended, and what the user thinks of it
+ *
+ * explainRecommendation() turns the backend's score components into plain
+ * sentences in the current language. RecommendationFeedback keeps the user's
+ * likes, dislikes and "not interested" choices (with a reason) and reports
+ * each one as activity, which the backend uses to adjust later
+ * recommendations.
+ */
+
+'use strict';
+
+const FEEDBACK_REACTIONS = ['liked', 'disliked', 'dismissed'];
+
+// Reasons offered for a dislike or a "not interested"; shown as
+// t('feedback.reason.<key>')
+const FEEDBACK_REASONS = [
+  { key: 'not_my_interests' },
+  { key: 'too_far' },
+  { key: 'too_expensive' },
+  { key: 'been_before' },
+  { key: 'bad_reviews' },
+  { key: 'other' }
+];
+
+const WALKING_KMH = 4.7;
+
+// "Fits your budget (low)"
+function withDetail(text, detail) {
+  return detail ? `${text} (${detail})` : text;
+}
+
+function explainPreference(value, place) {
+  const tags = (place.tags || []).slice(0, 3).join(', ');
+  if (value >= 0.65) return withDetail(t('why.preference.high'), tags);
+  if (value >= 0.4) return t('why.preference.partial');
+  return t('why.preference.low');
+}
+
+function explainDistance(value, place) {
+  const km = place.distance_km;
+  if (!Number.isFinite(km)) return t(value >= 0.7 ? 'why.distance.close' : 'why.distance.further');
+  const distance = window.i18n.formatDistance(km * 1000);
+  const walk = t('why.walk', { count: Math.max(1, Math.round(km / WALKING_KMH * 60)) });
+  if (km < 1) return t('why.distance.veryClose', { distance, walk });
+  if (km <= 3) return t('why.distance.walkable', { distance, walk });
+  return t('why.distance.far', { distance });
+}
+
+function explainBudget(value, place) {
+  const price = place.price_category && window.i18n.has(`price.${place.price_category}`)
+    ? t(`price.${place.price_category}`)
+    : place.price_category;
+  if (value >= 0.9) return place.price_category === 'free' ? t('why.budget.free') : withDetail(t('why.budget.fits'), price);
+  return withDetail(t('why.budget.pricier'), price);
+}
+
+function explainPopularity(value, place) {
+  const rating = place.rating ? t('rating.outOfFive', { rating: Number(place.rating) }) : '';
+  if (value >= 0.85) return withDetail(t('why.popularity.high'), rating);
+  if (value >= 0.7) return withDetail(t('why.popularity.good'), rating);
+  return withDetail(t('why.popularity.mixed'), rating);
+}
+
+const SCORE_EXPLAINERS = {
+  preference: explainPreference,
+  distance: explainDistance,
+  budget: explainBudget,
+  popularity: explainPopularity
+};
+
+// { summary, reasons: [{ key, label, value, text }] } for a recommendation,
+// strongest reason first, in the current language. Components the backend
+// did not send are left out.
+function explainRecommendation(place) {
+  const scores = place.scores || {};
+  const reasons = Object.keys(SCORE_EXPLAINERS)
+    .filter(key => Number.isFinite(scores[key]))
+    .map(key => ({
+      key,
+      label: t(`why.label.${key}`),
+      value: Math.min(1, Math.max(0, scores[key])),
+      text: SCORE_EXPLAINERS[key](scores[key], place)
+    }))
+    .sort((a, b) => b.value - a.value);
+
+  if (reasons.length === 0) {
+    return { summary: t('why.default'), reasons };
+  }
+  const topic = t(`why.topic.${reasons[0].key}`);
+  if (reasons[1] && reasons[1].value >= 0.7) {
+    return { summary: t('why.summaryBoth', { topic, other: t(`why.topic.${reasons[1].key}`) }), reasons };
+  }
+  return { summary: t('why.summary', { topic }), reasons };
+}
+
+class RecommendationFeedback {
+  constructor(options = {}) {
+    this.options = {
+      userId: null, // Feedback is kept per user
+      storagePrefix: 'st_feedback_',
+      tracker: null, // ActivityTracker the reactions are reported through
+      ...options
+    };
+
+    this.reactions = this.load(); // placeId -> { reaction, reason, at }
+  }
+
+  storageKey() {
+    return `${this.options.storagePrefix}${this.options.userId || 'guest'}`;
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey()));
+      if (stored && typeof stored === 'object' && !Array.isArray(stored)) return stored;
+    } catch (error) {
+      console.warn('Ignoring unreadable recommendation feedback:', error);
+    }
+    return {};
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey(), JSON.stringify(this.reactions));
+    } catch (error) {
+      console.warn('Cannot save recommendation feedback:', error);
+    }
+  }
+
+  get(placeId) {
+    return this.reactions[placeId] || null;
+  }
+
+  isDismissed(placeId) {
+    const entry = this.get(placeId);
+    return Boolean(entry && entry.reaction === 'dismissed');
+  }
+
+  // Record a reaction ('liked', 'disliked' or 'dismissed') with an optional
+  // reason key from FEEDBACK_REASONS
+  react(placeId, reaction, reason = null) {
+    if (!FEEDBACK_REACTIONS.includes(reaction)) {
+      throw new Error(`Unknown reaction: ${reaction}`);
+    }
+    const entry = { reaction, reason: reason || null, at: Date.now() };
+    this.reactions[placeId] = entry;
+    this.save();
+    this.report(placeId, reaction, reason ? { reason } : {});
+    this.emitChange(placeId, entry);
+    return entry;
+  }
+
+  // Take a reaction back
+  clear(placeId) {
+    if (!this.reactions[placeId]) return false;
+    delete this.reactions[placeId];
+    this.save();
+    this.report(placeId, 'feedback_cleared');
+    this.emitChange(placeId, null);
+    return true;
+  }
+
+  // Like and dislike are toggles: choosing the current one again clears it
+  toggle(placeId, reaction, reason = null) {
+    const entry = this.get(placeId);
+    if (entry && entry.reaction === reaction) {
+      this.clear(placeId);
+      return null;
+    }
+    return this.react(placeId, reaction, reason);
+  }
+
+  report(placeId, activityType, metadata = {}) {
+    if (this.options.tracker) this.options.tracker.track(placeId, activityType, metadata);
+  }
+
+  emitChange(placeId, entry) {
+    const event = new CustomEvent('recommendation-feedback', {
+      detail: { placeId, reaction: entry ? entry.reaction : null, reason: entry ? entry.reason : null }
+    });
+    window.dispatchEvent(event);
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.RecommendationFeedback = RecommendationFeedback;
+  window.RecommendationFeedback.REASONS = FEEDBACK_REASONS;
+  window.explainRecommendation = explainRecommendation;
+}
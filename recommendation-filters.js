@@ -0,0 +1,177 @@
+/**
+ * recommendation-filters.js - Client-side filtering, sorting and search of recommendations
+ *
+ * Recommendations arrive in the backend's order with nothing hidden. This
+ * narrows them by category, price, rating, distance from the user and visits,
+ * matches a free-text search and re-sorts them. The chosen filters are kept
+ * in localStorage so they survive a reload.
+ */
+
+'use strict';
+
+const FILTERS_KEY = 'st_recommendation_filters';
+
+// Place categories in the order they are recognised. A place belongs to the
+// first whose words appear in its category, else the first whose words
+// appear in one of its tags.
+const PLACE_CATEGORIES = [
+  { key: 'historical', label: 'History & museums', emoji: '🏛️', words: ['museum', 'historical', 'heritage'], tags: ['ancient', 'historical'] },
+  { key: 'nature', label: 'Nature', emoji: '🌿', words: ['nature', 'park', 'mountain'], tags: ['nature', 'park'] },
+  { key: 'food', label: 'Food', emoji: '🍽️', words: ['restaurant', 'food'], tags: ['food', 'restaurant'] },
+  { key: 'shopping', label: 'Shopping', emoji: '🛍️', words: ['shopping', 'market'], tags: ['shopping'] },
+  { key: 'religious', label: 'Religious', emoji: '🕌', words: ['religious', 'mosque', 'church'], tags: ['religious'] },
+  { key: 'entertainment', label: 'Entertainment', emoji: '🎉', words: ['entertainment', 'fun'], tags: ['entertainment'] },
+  { key: 'castle', label: 'Castles', emoji: '🏰', words: ['castle', 'fortress'], tags: [] },
+  { key: 'other', label: 'Other', emoji: '📍', words: [], tags: [] }
+];
+
+const PRICE_CATEGORIES = ['free', 'low', 'medium', 'high'];
+
+const SORT_ORDERS = {
+  score: (a, b) => (b.place.score || 0) - (a.place.score || 0),
+  // Places with no known distance go last
+  distance: (a, b) => (a.distance === null) - (b.distance === null) || a.distance - b.distance,
+  rating: (a, b) => (b.place.rating || 0) - (a.place.rating || 0)
+};
+
+const DEFAULT_FILTERS = {
+  categories: [], // Category keys; none means all
+  prices: [], // price_category values; none means all
+  minRating: 0,
+  maxDistance: null, // km
+  hideVisited: true,
+  query: '',
+  sort: 'score'
+};
+
+// Key of the PLACE_CATEGORIES entry a place belongs to
+function placeCategory(place) {
+  const category = (place.category || '').toLowerCase();
+  const tags = place.tags || [];
+
+  const byCategory = PLACE_CATEGORIES.find(entry => entry.words.some(word => category.includes(word)));
+  if (byCategory) return byCategory.key;
+
+  const byTag = PLACE_CATEGORIES.find(entry => entry.tags.some(word => tags.some(tag => tag.includes(word))));
+  return byTag ? byTag.key : 'other';
+}
+
+// Lower case without accents, so "cafe" finds "Café"
+function foldText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+class RecommendationFilters {
+  constructor(options = {}) {
+    this.options = {
+      storageKey: FILTERS_KEY,
+      ...options
+    };
+
+    this.filters = this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.options.storageKey));
+      if (stored && typeof stored === 'object') return this.normalize(stored);
+    } catch (error) {
+      console.warn('Ignoring unreadable recommendation filters:', error);
+    }
+    return this.normalize({});
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify(this.filters));
+    } catch (error) {
+      console.warn('Cannot save recommendation filters:', error);
+    }
+  }
+
+  // Defaults for anything missing or out of range
+  normalize(filters) {
+    const known = (list, values) => (Array.isArray(list) ? list.filter(value => values.includes(value)) : []);
+    const maxDistance = Number(filters.maxDistance);
+    return {
+      categories: known(filters.categories, PLACE_CATEGORIES.map(entry => entry.key)),
+      prices: known(filters.prices, PRICE_CATEGORIES),
+      minRating: Math.min(5, Math.max(0, Number(filters.minRating) || 0)),
+      maxDistance: filters.maxDistance !== null && maxDistance > 0 ? maxDistance : null,
+      hideVisited: filters.hideVisited !== undefined ? Boolean(filters.hideVisited) : DEFAULT_FILTERS.hideVisited,
+      query: typeof filters.query === 'string' ? filters.query : '',
+      sort: SORT_ORDERS[filters.sort] ? filters.sort : DEFAULT_FILTERS.sort
+    };
+  }
+
+  get() {
+    return { ...this.filters, categories: this.filters.categories.slice(), prices: this.filters.prices.slice() };
+  }
+
+  // Merge changes in and remember them
+  set(changes) {
+    this.filters = this.normalize({ ...this.filters, ...changes });
+    this.save();
+    return this.get();
+  }
+
+  reset() {
+    this.filters = this.normalize({});
+    this.save();
+    return this.get();
+  }
+
+  // Whether anything beyond sorting narrows the list
+  isActive() {
+    const f = this.filters;
+    return f.categories.length > 0 || f.prices.length > 0 || f.minRating > 0 ||
+      f.maxDistance !== null || f.query.trim() !== '';
+  }
+
+  // Whether the result depends on where the user is
+  usesPosition() {
+    return this.filters.maxDistance !== null || this.filters.sort === 'distance';
+  }
+
+  // Km from position ({ latitude, longitude }) to the place. Without a
+  // position, the distance the backend worked out (if any).
+  distanceKm(place, position) {
+    if (!position) return Number.isFinite(place.distance_km) ? place.distance_km : null;
+    return geo.distance(position, place) / 1000;
+  }
+
+  matches(place, distance) {
+    const f = this.filters;
+    if (f.categories.length && !f.categories.includes(placeCategory(place))) return false;
+    if (f.prices.length && !f.prices.includes(place.price_category)) return false;
+    if (f.minRating && !((place.rating || 0) >= f.minRating)) return false;
+    // A place with no known distance is not ruled out
+    if (f.maxDistance !== null && distance !== null && distance > f.maxDistance) return false;
+    if (f.hideVisited && place.visited) return false;
+
+    const terms = foldText(f.query).split(/\s+/).filter(Boolean);
+    if (terms.length) {
+      const text = foldText([place.name, place.description, place.category].concat(place.tags || []).join(' '));
+      if (!terms.every(term => text.includes(term))) return false;
+    }
+    return true;
+  }
+
+  // The places to show, in order. position: { latitude, longitude } of the
+  // user, if known. Places marked visited carry visited: true.
+  apply(places, position = null) {
+    return places
+      .map((place, index) => ({ place, index, distance: this.distanceKm(place, position) }))
+      .filter(entry => this.matches(entry.place, entry.distance))
+      .sort((a, b) => SORT_ORDERS[this.filters.sort](a, b) || a.index - b.index)
+      .map(entry => entry.place);
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.RecommendationFilters = RecommendationFilters;
+  window.RecommendationFilters.CATEGORIES = PLACE_CATEGORIES;
+  window.RecommendationFilters.PRICES = PRICE_CATEGORIES;
+  window.RecommendationFilters.placeCategory = placeCategory;
+}
@@ -0,0 +1,300 @@
+/**
+ * sw.js - Service worker: offline app shell, map tiles and API fallbacks
+ *
+ * - The app shell (pages, scripts, styles, Leaflet, jsQR) is precached on
+ *   install and served network-first, so a deploy shows up on the next load.
+ * - Map tiles, from whichever server config.js picked, are cache-first.
+ *   Tiles seen while browsing go in a capped cache; areas downloaded for
+ *   offline use (offline.js) go in one that is never trimmed.
+ * - The last /me/recommendations and /meta responses answer for the network
+ *   when it is down.
+ * - POSTs to /me/visited and /me/activity that fail for lack of network are
+ *   stored and replayed by background sync, or when a page reports that it
+ *   is back online. They are stored without their Authorization header: the
+ *   token is asked from an open page at replay time, and logging out drops
+ *   whatever is still queued.
+ */
+
+'use strict';
+
+const SHELL_CACHE = 'st-shell-v12';
+const TILE_CACHE = 'st-tiles';
+const API_CACHE = 'st-api';
+const MAX_TILES = 1500; // Browsed tiles kept, oldest dropped first
+const SYNC_TAG = 'st-write-queue';
+const QUEUE_DB = 'st-offline';
+const QUEUE_STORE = 'writes';
+
+const LEAFLET_URL = 'https://unpkg.com/leaflet@1.9.4/dist/';
+const JSQR_URL = 'https://unpkg.com/jsqr@1.4.0/dist/jsQR.js'; // Same as qr-scanner.js
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'auth.html',
+  'map.html',
+  'profile.html',
+  'styles.css',
+  'logo.png',
+  'manifest.webmanifest',
+  'config.js',
+  'api.js',
+  'i18n.js',
+  'html.js',
+  'app.js',
+  'offline.js',
+  'geo.js',
+  'gps-check.js',
+  'location-queue.js',
+  'position-providers.js',
+  'position-filter.js',
+  'tracking-modes.js',
+  'gps-tracker.js',
+  'geofence.js',
+  'trip-recorder.js',
+  'location-history.js',
+  'itinerary.js',
+  'qr-scanner.js',
+  'discount-wallet.js',
+  'photo-prep.js',
+  'vision-gallery.js',
+  'location-sharing.js',
+  'travel-groups.js',
+  'recommendation-filters.js',
+  'activity-tracker.js',
+  'recommendation-feedback.js',
+  'marker-cluster.js',
+  'live-channel.js',
+  LEAFLET_URL + 'leaflet.css',
+  LEAFLET_URL + 'leaflet.js',
+  LEAFLET_URL + 'images/marker-icon.png',
+  LEAFLET_URL + 'images/marker-icon-2x.png',
+  LEAFLET_URL + 'images/marker-shadow.png',
+  JSQR_URL
+];
+
+const CACHED_API_PATHS = ['/me/recommendations', '/meta'];
+const QUEUED_API_PATHS = ['/me/visited', '/me/activity', '/me/activity/batch'];
+const OSM_TILE_HOST = /^([a-c]\.)?tile\.openstreetmap\.org$/;
+const TILE_PATH = /\/\d+\/\d+\/\d+\.png$/; // .../{z}/{x}/{y}.png
+const STATIC_FILE = /(^\/$|\.(html|js|css|png|svg|webmanifest)$)/;
+
+// How to answer a request: 'tile', 'api', 'queue', 'shell' or null (leave it alone)
+function strategyFor(url, method) {
+  if (method === 'GET' && TILE_PATH.test(url.pathname)) return 'tile';
+  if (method === 'GET' && CACHED_API_PATHS.includes(url.pathname)) return 'api';
+  if (method === 'POST' && QUEUED_API_PATHS.includes(url.pathname)) return 'queue';
+  if (method !== 'GET') return null;
+  if (url.href.startsWith(LEAFLET_URL) || url.href === JSQR_URL) return 'shell';
+  // The mock backend serves the API from the same origin, so only static files
+  if (url.origin === self.location.origin && STATIC_FILE.test(url.pathname)) return 'shell';
+  return null;
+}
+
+// OSM tiles from any a/b/c subdomain share one cache entry
+function tileKey(url) {
+  if (OSM_TILE_HOST.test(url.hostname)) return `https://tile.openstreetmap.org${url.pathname}`;
+  return url.origin + url.pathname;
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('st-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+    await replayQueue().catch(() => {});
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  const url = new URL(request.url);
+
+  switch (strategyFor(url, request.method)) {
+    case 'tile':
+      event.respondWith(tileResponse(request, url));
+      break;
+    case 'api':
+      event.respondWith(networkFirst(request, API_CACHE));
+      break;
+    case 'queue':
+      event.respondWith(sendOrQueue(request));
+      break;
+    case 'shell':
+      event.respondWith(networkFirst(request, SHELL_CACHE));
+      break;
+    default:
+      break;
+  }
+});
+
+self.addEventListener('sync', event => {
+  if (event.tag === SYNC_TAG) event.waitUntil(replayQueue());
+});
+
+self.addEventListener('message', event => {
+  const type = event.data && event.data.type;
+  if (type === 'replay-queue') {
+    event.waitUntil(replayQueue().catch(() => {}));
+  } else if (type === 'clear-user-data') {
+    // Another user may log in next; their recommendations and writes are not
+    // ours to show or send
+    event.waitUntil(Promise.all([
+      caches.delete(API_CACHE),
+      withQueue('readwrite', store => store.clear())
+    ]));
+  }
+});
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    // ?api=mock and the like should still find the cached page
+    const cached = await cache.match(request, { ignoreSearch: cacheName === SHELL_CACHE, ignoreVary: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+let tilesSinceTrim = 0;
+
+async function tileResponse(request, url) {
+  const key = tileKey(url);
+  // Looks in every cache, so downloaded areas (st-tiles-offline) count too
+  const cached = await caches.match(key);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(TILE_CACHE);
+    await cache.put(key, response.clone());
+    // Listing the cache is not free, so trim in batches
+    if (++tilesSinceTrim >= 50) {
+      tilesSinceTrim = 0;
+      await trimCache(cache, MAX_TILES);
+    }
+  }
+  return response;
+}
+
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+// ---------- Write queue (IndexedDB; service workers have no localStorage) ----------
+
+function openQueue() {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(QUEUE_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+    open.onsuccess = () => resolve(open.result);
+    open.onerror = () => reject(open.error);
+  });
+}
+
+async function withQueue(mode, action) {
+  const db = await openQueue();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(QUEUE_STORE, mode);
+    const request = action(tx.objectStore(QUEUE_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function sendOrQueue(request) {
+  const copy = request.clone();
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const entry = {
+      url: copy.url,
+      method: copy.method,
+      // The token is added back at replay time, so it never sits on disk
+      headers: [...copy.headers].filter(([name]) => name.toLowerCase() !== 'authorization'),
+      body: await copy.text(),
+      queuedAt: Date.now()
+    };
+    await withQueue('readwrite', store => store.add(entry));
+    if (self.registration.sync) {
+      await self.registration.sync.register(SYNC_TAG).catch(() => {});
+    }
+    // The page carries on as if it worked; the write goes out later
+    return new Response(JSON.stringify({ ok: true, queued: true }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// The session token lives in the pages' localStorage, so ask an open page
+// (offline.js answers). Null when no page is open or logged in.
+async function currentToken() {
+  const pages = await self.clients.matchAll({ type: 'window' });
+  for (const page of pages) {
+    const token = await askForToken(page);
+    if (token) return token;
+  }
+  return null;
+}
+
+function askForToken(page) {
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(null), 2000);
+    channel.port1.onmessage = event => {
+      clearTimeout(timer);
+      resolve((event.data && event.data.token) || null);
+    };
+    page.postMessage({ type: 'session-token' }, [channel.port2]);
+  });
+}
+
+let replaying = null;
+
+// Sync, activate and 'online' can all fire together; they share one replay
+// so no write goes out twice
+function replayQueue() {
+  if (!replaying) {
+    replaying = sendQueued().finally(() => { replaying = null; });
+  }
+  return replaying;
+}
+
+// Send queued writes oldest first. Rejects while the network is still down
+// or no page can lend a token, which makes background sync try again later.
+async function sendQueued() {
+  const entries = await withQueue('readonly', store => store.getAll());
+  if (!entries.length) return;
+
+  const token = await currentToken();
+  if (!token) throw new Error('No session to send queued writes with');
+
+  for (const entry of entries) {
+    const headers = new Headers(entry.headers);
+    headers.set('Authorization', 'Bearer ' + token);
+    const response = await fetch(entry.url, {
+      method: entry.method,
+      headers,
+      body: entry.body
+    });
+    // A 4xx (an expired token included) will not get better by retrying
+    if (response.status < 500) {
+      await withQueue('readwrite', store => store.delete(entry.id));
+    }
+  }
+}
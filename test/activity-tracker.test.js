@@ -0,0 +1,138 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createFetch } = require('./helpers/browser');
+
+function loadTracker(handler, options) {
+  const browser = createBrowser({
+    fetch: createFetch(handler),
+    scripts: ['api.js', 'activity-tracker.js']
+  });
+  browser.window.api.setToken('token');
+  const tracker = new browser.window.ActivityTracker(Object.assign({ flushInterval: 10000, batchSize: 3 }, options));
+  const batches = () => browser.fetch.calls.filter(c => c.url.endsWith('/me/activity/batch'));
+  return Object.assign(browser, { tracker, batches });
+}
+
+const ok = () => ({ status: 201, body: { ok: true } });
+
+test('events wait for the flush interval and go out together', async () => {
+  const { tracker, batches, clock, window, close } = loadTracker(ok);
+  tracker.track('p1', 'viewed', { source: 'list' });
+  tracker.track('p2', 'clicked');
+  assert.equal(batches().length, 0);
+
+  await clock.tick(9999);
+  assert.equal(batches().length, 0);
+  await clock.tick(1);
+  assert.equal(batches().length, 1);
+
+  const events = batches()[0].body.events;
+  assert.deepEqual(events.map(e => [e.place_id, e.activity_type]), [['p1', 'viewed'], ['p2', 'clicked']]);
+  assert.equal(events[0].metadata.source, 'list');
+  assert.ok(events[0].metadata.timestamp);
+  assert.equal(tracker.size(), 0);
+  assert.equal(window.localStorage.getItem('st_activity_buffer'), '[]');
+  tracker.destroy();
+  close();
+});
+
+test('a full batch is sent straight away', async () => {
+  const { tracker, batches, clock, close } = loadTracker(ok);
+  ['a', 'b', 'c'].forEach(id => tracker.track(id, 'viewed'));
+  await clock.tick(0);
+  assert.deepEqual(batches().map(c => c.body.events.length), [3]);
+
+  tracker.track('d', 'viewed');
+  await clock.tick(10000);
+  assert.deepEqual(batches().map(c => c.body.events.length), [3, 1]);
+  tracker.destroy();
+  close();
+});
+
+test('unsent events survive a reload and failed events are retried', async () => {
+  let status = 503;
+  const { tracker, batches, clock, window, close } = loadTracker(() => (status === 201 ? ok() : { status, body: { error: 'Unavailable' } }), { minRetryDelay: 1000 });
+  tracker.track('p1', 'liked', { reason: null });
+  assert.equal(await tracker.flush(), false);
+  assert.equal(tracker.size(), 1);
+  tracker.destroy();
+
+  const reloaded = new window.ActivityTracker({ flushInterval: 10000, minRetryDelay: 1000 });
+  assert.equal(reloaded.size(), 1);
+
+  status = 201;
+  await clock.tick(10000);
+  assert.equal(reloaded.size(), 0);
+  assert.equal(batches().length, 2);
+  reloaded.destroy();
+  close();
+});
+
+test('events the server rejects are dropped instead of retried', async () => {
+  const { tracker, batches, clock, close } = loadTracker(() => ({ status: 422, body: { error: 'every event needs place_id and activity_type' } }));
+  tracker.track(null, 'viewed');
+  assert.equal(await tracker.flush(), true);
+  assert.equal(tracker.size(), 0);
+  await clock.tick(60000);
+  assert.equal(batches().length, 1);
+  tracker.destroy();
+  close();
+});
+
+test('without a batch endpoint events go out one by one', async () => {
+  const { tracker, batches, fetch, clock, close } = loadTracker((url, init) => {
+    if (url.endsWith('/me/activity/batch')) return { status: 404, body: { error: 'Not found' } };
+    const placeId = JSON.parse(init.body).place_id;
+    if (placeId === null) return { status: 422, body: { error: 'place_id and activity_type are required' } };
+    if (placeId === 'p3') return { status: 503, body: { error: 'Unavailable' } };
+    return ok();
+  }, { minRetryDelay: 1000 });
+  const singles = () => fetch.calls.filter(c => c.url.endsWith('/me/activity')).map(c => c.body.place_id);
+
+  tracker.track('p1', 'viewed');
+  tracker.track(null, 'viewed');
+  await tracker.flush();
+  assert.equal(batches().length, 1);
+  assert.deepEqual(singles(), ['p1', null]);
+  assert.equal(tracker.size(), 0);
+
+  // Once the batch endpoint is known to be missing it is not asked again;
+  // a failed event and everything behind it waits for the retry
+  tracker.track('p2', 'viewed');
+  tracker.track('p3', 'viewed');
+  tracker.track('p4', 'viewed');
+  await clock.tick(0);
+  assert.equal(batches().length, 1);
+  assert.deepEqual(singles(), ['p1', null, 'p2', 'p3']);
+  assert.deepEqual(tracker.events.map(e => e.place_id), ['p3', 'p4']);
+  tracker.destroy();
+  close();
+});
+
+test('leaving the page sends what is buffered with keepalive', async () => {
+  const { tracker, batches, window, close } = loadTracker(ok);
+  tracker.track('p1', 'dwell', { duration_ms: 5000 });
+  window.dispatchEvent(new window.Event('pagehide'));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(batches().length, 1);
+  assert.equal(batches()[0].init.keepalive, true);
+  tracker.destroy();
+  close();
+});
+
+test('nothing is sent without a session, and clear() drops the buffer', async () => {
+  const { tracker, batches, window, close } = loadTracker(ok);
+  window.api.clearToken();
+  tracker.track('p1', 'viewed');
+  assert.equal(await tracker.flush(), false);
+  assert.equal(batches().length, 0);
+
+  tracker.clear();
+  assert.equal(tracker.size(), 0);
+  assert.equal(window.localStorage.getItem('st_activity_buffer'), '[]');
+  tracker.destroy();
+  close();
+});
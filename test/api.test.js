@@ -0,0 +1,277 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createFetch, makeToken } = require('./helpers/browser');
+
+function loadApi(handler, options = {}) {
+  return createBrowser(Object.assign({
+    fetch: createFetch(handler),
+    scripts: ['api.js']
+  }, options));
+}
+
+test('request times out and aborts the fetch', async () => {
+  const browser = loadApi(() => null); // Never answers
+  const pending = browser.window.api.post('/signup', { email: 'a@b.c' }, { timeout: 1000 });
+
+  await browser.clock.tick(999);
+  assert.equal(browser.clock.pending(), 1);
+
+  await browser.clock.tick(1);
+  const result = await pending;
+
+  assert.equal(result.error, 'Request timed out');
+  assert.equal(result.kind, 'timeout');
+  assert.equal(result.attempts, 1);
+  assert.equal(browser.fetch.calls[0].init.signal.aborted, true);
+  browser.close();
+});
+
+test('a successful response clears the timeout timer', async () => {
+  const browser = loadApi(() => ({ status: 200, body: { countries: [] } }));
+  const result = await browser.window.api.getMeta();
+
+  assert.deepEqual(result, { countries: [] });
+  assert.equal(browser.clock.pending(), 0);
+  browser.close();
+});
+
+test('network failures resolve to a network error instead of throwing', async () => {
+  const browser = loadApi(() => {
+    throw new Error('connection refused');
+  });
+  const pending = browser.window.api.post('/login', {});
+  const result = await pending;
+
+  assert.equal(result.kind, 'network');
+  assert.match(result.error, /^Network error: connection refused/);
+  browser.close();
+});
+
+test('a cancelled request resolves to a cancelled error and is not retried', async () => {
+  const browser = loadApi(() => null); // Never answers
+  const controller = new browser.window.AbortController();
+  const pending = browser.window.api.get('/me/recommendations', { signal: controller.signal });
+
+  await browser.clock.tick(100);
+  controller.abort();
+  const result = await pending;
+
+  assert.equal(result.kind, 'cancelled');
+  assert.equal(result.attempts, 1);
+  assert.equal(browser.fetch.calls.length, 1);
+  assert.equal(browser.clock.pending(), 0);
+  browser.close();
+});
+
+test('uploads with onUploadProgress go through XMLHttpRequest', async () => {
+  const sent = [];
+  const browser = loadApi(() => ({ status: 500, body: {} }), {
+    beforeScripts(window) {
+      // Answers once the body is "sent", reporting progress on the way
+      window.XMLHttpRequest = class {
+        constructor() {
+          this.headers = {};
+          this.upload = {};
+          sent.push(this);
+        }
+
+        open(method, url) {
+          Object.assign(this, { method, url });
+        }
+
+        setRequestHeader(name, value) {
+          this.headers[name] = value;
+        }
+
+        getResponseHeader() {
+          return null;
+        }
+
+        abort() {
+          this.onabort();
+        }
+
+        send(body) {
+          this.body = body;
+          this.upload.onprogress({ lengthComputable: true, loaded: 50, total: 200 });
+          this.upload.onprogress({ lengthComputable: true, loaded: 200, total: 200 });
+          if (this.hold) return;
+          Object.assign(this, { status: 200, responseText: JSON.stringify({ description: 'A courtyard' }) });
+          this.onload();
+        }
+      };
+    }
+  });
+  browser.window.api.setToken('token');
+  const progress = [];
+  const photo = new browser.window.Blob(['jpeg'], { type: 'image/jpeg' });
+
+  const result = await browser.window.api.describeImage(photo, { onUploadProgress: p => progress.push(p.loaded / p.total) });
+  assert.deepEqual(result, { description: 'A courtyard' });
+  assert.deepEqual(progress, [0.25, 1]);
+  assert.equal(sent[0].method, 'POST');
+  assert.equal(sent[0].url, 'http://api.test/api/describe-image');
+  assert.equal(sent[0].headers.Authorization, 'Bearer token');
+  assert.equal(sent[0].body.get('image').name, 'photo.jpg');
+  assert.equal(browser.fetch.calls.length, 0);
+
+  // Cancelling aborts the upload
+  browser.window.XMLHttpRequest.prototype.hold = true;
+  const controller = new browser.window.AbortController();
+  const pending = browser.window.api.describeImage(photo, { signal: controller.signal, onUploadProgress: () => {} });
+  await browser.clock.tick(10);
+  controller.abort();
+  assert.equal((await pending).kind, 'cancelled');
+  browser.close();
+});
+
+test('GET is retried with backoff and reports attempts', async () => {
+  let calls = 0;
+  const browser = loadApi(() => {
+    calls++;
+    return calls < 3 ? { status: 503, body: { error: 'Cold start' } } : { status: 200, body: { ok: 1 } };
+  });
+
+  const pending = browser.window.api.get('/me/recommendations');
+  await browser.clock.tick(20000);
+  const result = await pending;
+
+  assert.deepEqual(result, { ok: 1 });
+  assert.equal(calls, 3);
+  browser.close();
+});
+
+test('POST is not retried unless opted in', async () => {
+  let calls = 0;
+  const browser = loadApi(() => {
+    calls++;
+    return { status: 503, body: { error: 'Down' } };
+  });
+
+  const result = await browser.window.api.post('/me/visited', {});
+  assert.equal(calls, 1);
+  assert.equal(result.kind, 'server');
+  assert.equal(result.attempts, 1);
+
+  const retried = browser.window.api.post('/login', {}, { retry: 1, skipAuth: true });
+  await browser.clock.tick(20000);
+  assert.equal((await retried).attempts, 2);
+  browser.close();
+});
+
+test('Retry-After is honoured', async () => {
+  let calls = 0;
+  const browser = loadApi(() => {
+    calls++;
+    return calls === 1
+      ? { status: 429, body: { error: 'Slow down' }, headers: { 'Retry-After': '10' } }
+      : { status: 200, body: { ok: true } };
+  });
+
+  const pending = browser.window.api.get('/users/locations');
+  await browser.clock.tick(9000);
+  assert.equal(calls, 1);
+
+  await browser.clock.tick(1000);
+  assert.deepEqual(await pending, { ok: true });
+  assert.equal(calls, 2);
+  browser.close();
+});
+
+test('identical in-flight GETs share one request', async () => {
+  const browser = loadApi(() => ({ status: 200, body: { users: [] } }));
+  const [a, b] = await Promise.all([
+    browser.window.api.getPublicUserLocations(),
+    browser.window.api.getPublicUserLocations()
+  ]);
+
+  assert.equal(browser.fetch.calls.length, 1);
+  assert.deepEqual(a, b);
+
+  // Each caller gets its own copy
+  assert.notEqual(a, b);
+  a.users = null;
+  assert.deepEqual(b.users, []);
+
+  await browser.window.api.getPublicUserLocations();
+  assert.equal(browser.fetch.calls.length, 2);
+  browser.close();
+});
+
+test('a GET with its own abort signal is never shared', async () => {
+  const browser = loadApi(() => ({ status: 200, body: { users: [] } }));
+  const { window } = browser;
+  const controller = new window.AbortController();
+
+  const first = window.api.getPublicUserLocations({ signal: controller.signal });
+  const second = window.api.getPublicUserLocations();
+  controller.abort();
+
+  assert.equal((await first).kind, 'cancelled');
+  assert.deepEqual(await second, { users: [] });
+  assert.equal(browser.fetch.calls.length, 2);
+  browser.close();
+});
+
+test('validation errors carry status and field messages', async () => {
+  const browser = loadApi(() => ({
+    status: 422,
+    body: { error: 'Validation failed', errors: { email: 'Email is already registered' } }
+  }));
+
+  const result = await browser.window.api.post('/signup', {}, { skipAuth: true });
+
+  assert.equal(result.kind, 'validation');
+  assert.equal(result.status, 422);
+  assert.equal(result.error, 'Validation failed');
+  assert.deepEqual(result.fields, { email: 'Email is already registered' });
+  assert.deepEqual(result.body.errors, { email: 'Email is already registered' });
+  browser.close();
+});
+
+test('the bearer token is sent unless skipAuth is set', async () => {
+  const browser = loadApi(() => ({ status: 200, body: {} }));
+  browser.window.api.setToken('abc');
+
+  await browser.window.api.getProfile();
+  await browser.window.api.getMeta();
+
+  assert.equal(browser.fetch.calls[0].init.headers.Authorization, 'Bearer abc');
+  assert.equal(browser.fetch.calls[1].init.headers.Authorization, undefined);
+  browser.close();
+});
+
+test('a 401 ends the session and redirects with a notice', async () => {
+  const browser = loadApi(() => ({ status: 401, body: { error: 'Unauthorized' } }));
+  const { window } = browser;
+  let stopped = false;
+  let tornDown = null;
+
+  window.gpsTracker = { stopTracking: () => { stopped = true; } };
+  window.api.setSession({ token: makeToken(Date.now() + 3600000), user: { id: 'u1' } });
+  window.api.onSessionEnd(reason => { tornDown = reason; });
+
+  const result = await window.api.getProfile();
+
+  assert.equal(result.kind, 'auth');
+  assert.equal(window.localStorage.getItem('st_token'), null);
+  assert.equal(window.localStorage.getItem('st_user'), null);
+  assert.equal(stopped, true);
+  assert.equal(tornDown, 'expired');
+  browser.close();
+});
+
+test('decodes token expiry', () => {
+  const browser = loadApi(() => ({ status: 200, body: {} }));
+  const expiresAt = Date.now() + 60000;
+  const token = makeToken(expiresAt);
+
+  assert.equal(browser.window.api.getTokenExpiry(token), Math.floor(expiresAt / 1000) * 1000);
+  assert.equal(browser.window.api.decodeToken('not-a-token'), null);
+
+  browser.window.api.setToken(makeToken(Date.now() - 1000));
+  assert.equal(browser.window.api.isSessionValid(), false);
+  browser.close();
+});
@@ -0,0 +1,207 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createFetch, makeToken, readPage } = require('./helpers/browser');
+
+const META = {
+  countries: ['Syria', 'Lebanon'],
+  preferences: ['ancient/historical', 'cultural places']
+};
+
+// Boots auth.html with api.js and app.js, answering /meta and routing
+// everything else through handler
+async function loadAuthPage(handler, options = {}) {
+  const browser = createBrowser(Object.assign({
+    html: readPage('auth.html'),
+    url: 'http://localhost/auth.html',
+    fetch: createFetch((url, init) => {
+      if (url.endsWith('/meta')) return { status: 200, body: META };
+      return handler(url, init);
+    }),
+    scripts: ['api.js', 'i18n.js', 'html.js', 'app.js']
+  }, options));
+
+  const { window, document } = browser;
+  if (document.readyState === 'loading') {
+    await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve));
+  }
+  await browser.clock.tick();
+
+  const $ = (id) => document.getElementById(id);
+  const message = () => {
+    const el = $('message-area').querySelector('.message');
+    return el ? { text: el.textContent, type: el.className.replace('message', '').trim() } : null;
+  };
+  const submit = async (formId) => {
+    $(formId).dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await browser.clock.tick();
+  };
+  const apiCalls = (path) => browser.fetch.calls.filter(c => c.url.endsWith(path));
+
+  return Object.assign(browser, { $, message, submit, apiCalls });
+}
+
+function fillSignup(page, values = {}) {
+  const fields = Object.assign({
+    'su-email': 'new@smarttourist.test',
+    'su-password': 'password123',
+    'su-username': 'newbie',
+    'su-country': 'Syria',
+    'su-budget': 'medium'
+  }, values);
+  Object.keys(fields).forEach(id => {
+    page.$(id).value = fields[id];
+  });
+}
+
+test('signup requires a budget, every field and a preference', async () => {
+  const page = await loadAuthPage(() => ({ status: 201, body: {} }));
+
+  fillSignup(page, { 'su-budget': '' });
+  await page.submit('signup-form');
+  assert.equal(page.message().text, 'Please select a budget');
+
+  fillSignup(page);
+  await page.submit('signup-form');
+  assert.match(page.message().text, /select at least one preference/);
+
+  page.$('prefs-container').querySelector('.pref').click();
+  fillSignup(page, { 'su-password': 'short' });
+  await page.submit('signup-form');
+  assert.equal(page.message().text, 'Password must be at least 8 characters');
+
+  assert.equal(page.apiCalls('/signup').length, 0);
+  page.close();
+});
+
+test('a successful signup stores the session and switches to login', async () => {
+  const token = makeToken(Date.now() + 3600000);
+  const page = await loadAuthPage(() => ({
+    status: 201,
+    body: { token, user: { id: 'u9', username: 'newbie' } }
+  }));
+
+  fillSignup(page);
+  page.$('prefs-container').querySelector('.pref').click();
+  await page.submit('signup-form');
+
+  const [call] = page.apiCalls('/signup');
+  assert.deepEqual(call.body, {
+    email: 'new@smarttourist.test',
+    password: 'password123',
+    username: 'newbie',
+    country: 'Syria',
+    budget: 'medium',
+    preferences: ['ancient/historical']
+  });
+  assert.equal(call.init.headers.Authorization, undefined);
+
+  assert.equal(page.window.localStorage.getItem('st_token'), token);
+  assert.equal(JSON.parse(page.window.localStorage.getItem('st_user')).id, 'u9');
+  assert.equal(page.message().type, 'success');
+  assert.equal(page.$('login-form').style.display, 'flex');
+  assert.equal(page.$('signup-form').style.display, 'none');
+  page.close();
+});
+
+test('signup validation errors highlight the rejected fields', async () => {
+  const page = await loadAuthPage(() => ({
+    status: 422,
+    body: { error: 'Validation failed', errors: { email: 'Email is already registered' } }
+  }));
+
+  fillSignup(page);
+  page.$('prefs-container').querySelector('.pref').click();
+  await page.submit('signup-form');
+
+  assert.equal(page.message().text, 'Email is already registered');
+  assert.ok(page.$('su-email').classList.contains('invalid'));
+  assert.equal(page.$('su-email').getAttribute('aria-invalid'), 'true');
+  assert.equal(page.window.localStorage.getItem('st_token'), null);
+
+  // Editing the field clears its highlight
+  page.$('su-email').dispatchEvent(new page.window.Event('input'));
+  assert.equal(page.$('su-email').classList.contains('invalid'), false);
+  page.close();
+});
+
+test('login requires email and password', async () => {
+  const page = await loadAuthPage(() => ({ status: 200, body: {} }));
+
+  page.$('li-email').value = 'demo@smarttourist.test';
+  await page.submit('login-form');
+
+  assert.equal(page.message().text, 'Please enter email and password');
+  assert.equal(page.apiCalls('/login').length, 0);
+  page.close();
+});
+
+test('a successful login stores the token and heads to the map', async () => {
+  const token = makeToken(Date.now() + 3600000);
+  const page = await loadAuthPage(() => ({
+    status: 200,
+    body: { token, user: { id: 'u1', username: 'demo', email: 'demo@smarttourist.test', first_time: false } }
+  }));
+  let tracking = false;
+  page.window.gpsTracker = {
+    startTracking: async () => { tracking = true; },
+    stopTracking: () => {}
+  };
+
+  page.$('li-email').value = ' demo@smarttourist.test ';
+  page.$('li-password').value = 'password123';
+  await page.submit('login-form');
+
+  assert.deepEqual(page.apiCalls('/login')[0].body, { email: 'demo@smarttourist.test', password: 'password123' });
+  assert.equal(page.window.localStorage.getItem('st_token'), token);
+  assert.equal(page.message().text, 'Login successful!');
+  assert.equal(page.$('status-indicator').textContent, 'Authenticated');
+
+  await page.clock.tick(1000);
+  assert.equal(tracking, true);
+  page.close();
+});
+
+test('rejected credentials mark both login fields', async () => {
+  const page = await loadAuthPage(() => ({ status: 401, body: { error: 'Invalid email or password' } }));
+
+  page.$('li-email').value = 'demo@smarttourist.test';
+  page.$('li-password').value = 'wrong-password';
+  await page.submit('login-form');
+
+  assert.equal(page.message().text, 'Invalid email or password');
+  assert.ok(page.$('li-email').classList.contains('invalid'));
+  assert.ok(page.$('li-password').classList.contains('invalid'));
+  assert.equal(page.window.localStorage.getItem('st_token'), null);
+  page.close();
+});
+
+test('an unreachable server shows a connection message', async () => {
+  const page = await loadAuthPage(() => {
+    throw new Error('connection refused');
+  });
+
+  page.$('li-email').value = 'demo@smarttourist.test';
+  page.$('li-password').value = 'password123';
+  const submitted = page.submit('login-form');
+  // Login is retried; let the backoff run out before the message times out
+  await page.clock.tick(2000);
+  await submitted;
+
+  assert.match(page.message().text, /Cannot reach the server/);
+  page.close();
+});
+
+test('an expired stored token is cleared on load', async () => {
+  const page = await loadAuthPage(() => ({ status: 200, body: {} }), {
+    beforeScripts: (window) => {
+      window.localStorage.setItem('st_token', makeToken(Date.now() - 1000));
+    }
+  });
+
+  assert.equal(page.window.localStorage.getItem('st_token'), null);
+  assert.match(page.message().text, /session has expired/);
+  assert.equal(page.$('login-form').style.display, 'flex');
+  page.close();
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+const DEFAULT_BASE_URL = 'https://tritech-backend-1w10.onrender.com';
+
+// stored: an override saved on an earlier visit
+function loadConfig(query, stored = null, storedTiles = null) {
+  return createBrowser({
+    url: `http://localhost/map.html${query}`,
+    scripts: ['config.js'],
+    beforeScripts(window) {
+      delete window.BASE_URL;
+      if (stored) window.localStorage.setItem('st_base_url', stored);
+      if (storedTiles) window.localStorage.setItem('st_tiles', storedTiles);
+    }
+  });
+}
+
+test('mock and local backends are chosen and remembered', () => {
+  const mock = loadConfig('?api=mock');
+  assert.equal(mock.window.BASE_URL, 'http://localhost:4000');
+  assert.equal(mock.window.localStorage.getItem('st_base_url'), 'http://localhost:4000');
+  mock.close();
+
+  const local = loadConfig('?api=http://127.0.0.1:5000/');
+  assert.equal(local.window.BASE_URL, 'http://127.0.0.1:5000');
+  local.close();
+
+  const again = loadConfig('', 'http://localhost:5000');
+  assert.equal(again.window.BASE_URL, 'http://localhost:5000');
+  again.close();
+});
+
+test('other hosts are refused and never saved', () => {
+  const link = loadConfig('?api=https://evil.example', 'http://localhost:4000');
+  assert.equal(link.window.BASE_URL, 'http://localhost:4000');
+  assert.equal(link.window.localStorage.getItem('st_base_url'), 'http://localhost:4000');
+  link.close();
+
+  const lookalike = loadConfig('?api=http://localhost.evil.example');
+  assert.equal(lookalike.window.BASE_URL, DEFAULT_BASE_URL);
+  assert.equal(lookalike.window.localStorage.getItem('st_base_url'), null);
+  lookalike.close();
+
+  // Saved before hosts were checked
+  const saved = loadConfig('', 'https://evil.example');
+  assert.equal(saved.window.BASE_URL, DEFAULT_BASE_URL);
+  assert.equal(saved.window.localStorage.getItem('st_base_url'), null);
+  saved.close();
+
+  const reset = loadConfig('?api=default', 'http://localhost:4000');
+  assert.equal(reset.window.BASE_URL, DEFAULT_BASE_URL);
+  reset.close();
+});
+
+test('OSM tiles by default, and downloadable mock tiles on request', () => {
+  const plain = loadConfig('');
+  assert.match(plain.window.TILE_SOURCE.url, /^https:\/\/tile\.openstreetmap\.org\//);
+  assert.equal(plain.window.TILE_SOURCE.bulkDownload, false);
+  plain.close();
+
+  const mock = loadConfig('?tiles=mock');
+  assert.equal(mock.window.TILE_SOURCE.url, 'http://localhost:4000/tiles/{z}/{x}/{y}.png');
+  assert.equal(mock.window.TILE_SOURCE.bulkDownload, true);
+  assert.equal(mock.window.localStorage.getItem('st_tiles'), 'mock');
+  mock.close();
+
+  const other = loadConfig('?tiles=https://tiles.example/{z}/{x}/{y}.png', null, 'mock');
+  assert.equal(other.window.TILE_SOURCE.bulkDownload, true);
+  other.close();
+
+  const reset = loadConfig('?tiles=default', null, 'mock');
+  assert.equal(reset.window.TILE_SOURCE.bulkDownload, false);
+  assert.equal(reset.window.localStorage.getItem('st_tiles'), null);
+  reset.close();
+});
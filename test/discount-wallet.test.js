@@ -0,0 +1,131 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createFetch } = require('./helpers/browser');
+
+const HOUR = 60 * 60 * 1000;
+
+// Answers /discount/redeem like the backend: AZM25 is the only valid code
+function loadWallet(options, reply) {
+  const fetch = createFetch((url, init) => {
+    if (reply) return reply(url, init);
+    const { password } = JSON.parse(init.body);
+    if (password !== 'AZM25') return { status: 400, body: { success: false, error: 'Invalid or expired code' } };
+    return {
+      status: 200,
+      body: {
+        success: true,
+        discount: {
+          message: 'You unlocked 25% off at Azm Palace!',
+          place_id: 'p2',
+          place_name: 'Azm Palace',
+          original_price: 8000,
+          discounted_price: 6000,
+          discount_percent: 25,
+          expires_at: new Date(Date.now() + 48 * HOUR).toISOString()
+        }
+      }
+    };
+  });
+  const browser = createBrowser({ fetch, scripts: ['api.js', 'discount-wallet.js'] });
+  browser.window.api.setToken('token');
+  const wallet = new browser.window.DiscountWallet(Object.assign({ userId: 'u1' }, options));
+  return Object.assign(browser, { wallet });
+}
+
+test('a redeemed code is kept per user with its prices and expiry', async () => {
+  const { window, wallet, fetch, close } = loadWallet();
+  const changes = [];
+  window.addEventListener('discount-wallet-change', e => changes.push(e.detail.entries.length));
+
+  const before = Date.now();
+  const { entry, alreadyClaimed } = await wallet.redeem(' AZM25 ');
+  assert.equal(alreadyClaimed, false);
+  assert.deepEqual(fetch.calls[0].body, { password: 'AZM25' });
+  assert.equal(entry.code, 'AZM25');
+  assert.equal(entry.place_id, 'p2');
+  assert.equal(entry.place_name, 'Azm Palace');
+  assert.equal(entry.original_price, 8000);
+  assert.equal(entry.discounted_price, 6000);
+  assert.equal(entry.discount_percent, 25);
+  assert.ok(entry.claimed_at >= before);
+  assert.ok(Math.abs(entry.expires_at - (entry.claimed_at + 48 * HOUR)) < 5000);
+  assert.deepEqual(changes, [1]);
+
+  // Claiming again shows the held discount without asking the server
+  const again = await wallet.redeem('AZM25');
+  assert.equal(again.alreadyClaimed, true);
+  assert.equal(again.entry.id, entry.id);
+  assert.equal(fetch.calls.length, 1);
+
+  assert.equal(new window.DiscountWallet({ userId: 'u1' }).getEntries().length, 1);
+  assert.deepEqual(new window.DiscountWallet({ userId: 'u2' }).getEntries(), []);
+  close();
+});
+
+test('codes come from plain text or from the link in a QR code', () => {
+  const { window, close } = loadWallet();
+  const { codeFrom } = window.DiscountWallet;
+
+  assert.equal(codeFrom('AZM25'), 'AZM25');
+  assert.equal(codeFrom('https://smarttourist.example/map.html?code=NARANJ15'), 'NARANJ15');
+  assert.equal(codeFrom('https://example.com/menu'), '');
+  assert.equal(codeFrom('WIFI:S:cafe;T:WPA;P:secret;;'), '');
+  assert.equal(codeFrom('  '), '');
+  close();
+});
+
+test('bad codes and failures are returned, not stored', async () => {
+  const { wallet, fetch, close } = loadWallet();
+
+  const invalid = await wallet.redeem('NOPE');
+  assert.equal(invalid.kind, 'validation');
+  assert.equal(invalid.error, 'Invalid or expired code');
+
+  const notACode = await wallet.redeem('https://example.com/menu');
+  assert.equal(notACode.kind, 'validation');
+  assert.equal(fetch.calls.length, 1);
+  assert.deepEqual(wallet.getEntries(), []);
+  close();
+
+  const offline = loadWallet({}, () => {
+    throw new TypeError('Failed to fetch');
+  });
+  const result = await offline.wallet.redeem('AZM25');
+  assert.equal(result.kind, 'network');
+  assert.deepEqual(offline.wallet.getEntries(), []);
+  offline.close();
+});
+
+test('claims without an expiry get the default validity, and expire', async () => {
+  const { wallet, close } = loadWallet({ validity: 2 * HOUR }, () => ({
+    status: 200,
+    body: { success: true, discount: { place_id: 'p3', place_name: 'Naranj', original_price: 60000, discounted_price: 51000, discount_percent: 15 } }
+  }));
+
+  const { entry } = await wallet.redeem('NARANJ15');
+  assert.equal(entry.expires_at, entry.claimed_at + 2 * HOUR);
+  assert.equal(wallet.activeFor('p3'), entry);
+  assert.equal(wallet.activeFor('p2'), null);
+
+  const later = entry.claimed_at + 3 * HOUR;
+  assert.equal(wallet.isExpired(entry, later), true);
+  assert.equal(wallet.activeFor('p3', later), null);
+  assert.deepEqual(wallet.getActive(later), []);
+
+  wallet.clearExpired(later);
+  assert.deepEqual(wallet.getEntries(), []);
+  close();
+});
+
+test('entries can be removed', async () => {
+  const { wallet, close } = loadWallet();
+  const { entry } = await wallet.redeem('AZM25');
+
+  wallet.remove('missing');
+  assert.equal(wallet.getEntries().length, 1);
+  wallet.remove(entry.id);
+  assert.deepEqual(wallet.getEntries(), []);
+  close();
+});
@@ -0,0 +1,23 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+test('distances are great-circle meters and bearings clockwise from north', () => {
+  const { window, close } = createBrowser({ scripts: ['geo.js'] });
+  const { distance, bearing } = window.geo;
+  const origin = { latitude: 0, longitude: 0 };
+
+  assert.ok(Math.abs(distance(origin, { latitude: 0, longitude: 1 }) - 111194.93) < 0.01);
+  assert.equal(distance(origin, origin), 0);
+  const hotel = { latitude: 33.5112, longitude: 36.3017 };
+  const gate = { latitude: 33.5122, longitude: 36.3017 };
+  assert.equal(distance(hotel, gate), distance(gate, hotel));
+
+  assert.ok(Math.abs(bearing(hotel, gate)) < 0.01);
+  assert.ok(Math.abs(bearing(origin, { latitude: 0, longitude: 1 }) - 90) < 0.01);
+  assert.ok(Math.abs(bearing(gate, hotel) - 180) < 0.01);
+  assert.ok(Math.abs(bearing(origin, { latitude: 0, longitude: -1 }) - 270) < 0.01);
+  close();
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, makePosition } = require('./helpers/browser');
+
+// A manager with every geofence event recorded as "type:id"
+function loadGeofences(options) {
+  const browser = createBrowser({ scripts: ['geo.js', 'geofence.js'] });
+  const { window } = browser;
+  const manager = new window.GeofenceManager(options);
+  const events = [];
+  ['geofence-enter', 'geofence-dwell', 'geofence-exit'].forEach(type => {
+    window.addEventListener(type, e => events.push(`${type.slice(9)}:${e.detail.fence.id}`));
+  });
+  return Object.assign(browser, { manager, events });
+}
+
+// 0.0001° of latitude is ~11 m
+const CITADEL = { id: 'p5', latitude: 33.5117, longitude: 36.3003, radius: 100 };
+
+test('entering and leaving a fence fires enter and exit once', () => {
+  const { manager, events, close } = loadGeofences({ dwellTime: 0 });
+  manager.setFences('recommendation', [CITADEL]);
+
+  manager.update(makePosition(33.5140, 36.3003)); // ~255 m away
+  assert.deepEqual(events, []);
+
+  manager.update(makePosition(33.5125, 36.3003)); // ~89 m
+  manager.update(makePosition(33.5120, 36.3003));
+  assert.deepEqual(events, ['enter:p5']);
+  assert.equal(manager.getActive()[0].id, 'p5');
+
+  // 111 m is outside the radius but still inside the exit buffer
+  manager.update(makePosition(33.5127, 36.3003));
+  assert.deepEqual(events, ['enter:p5']);
+
+  manager.update(makePosition(33.5130, 36.3003)); // ~145 m
+  assert.deepEqual(events, ['enter:p5', 'exit:p5']);
+  assert.equal(manager.getActive().length, 0);
+  close();
+});
+
+test('dwell fires after the dwell time even without new fixes', async () => {
+  const { window, manager, events, clock, close } = loadGeofences({ dwellTime: 120000 });
+  let dwell = null;
+  window.addEventListener('geofence-dwell', e => { dwell = e.detail; });
+  manager.setFences('recommendation', [CITADEL]);
+
+  manager.update(makePosition(33.5117, 36.3003));
+  await clock.tick(119000);
+  assert.deepEqual(events, ['enter:p5']);
+
+  await clock.tick(1000);
+  assert.deepEqual(events, ['enter:p5', 'dwell:p5']);
+  assert.equal(dwell.duration, 120000);
+  assert.ok(dwell.distance < 1);
+
+  // Leaving early cancels a pending dwell
+  manager.update(makePosition(33.5200, 36.3003));
+  manager.update(makePosition(33.5117, 36.3003));
+  manager.update(makePosition(33.5200, 36.3003));
+  await clock.tick(120000);
+  assert.deepEqual(events, ['enter:p5', 'dwell:p5', 'exit:p5', 'enter:p5', 'exit:p5']);
+  assert.equal(clock.pending(), 0);
+  close();
+});
+
+test('fences added around the last position fire at once', () => {
+  const { manager, events, close } = loadGeofences({ dwellTime: 0 });
+  manager.update(makePosition(33.5090, 36.3130));
+
+  manager.add('discount', { id: 'p6', latitude: 33.5090, longitude: 36.3131, data: { name: 'Naranj' } });
+  assert.deepEqual(events, ['enter:p6']);
+  assert.equal(manager.getFences('discount')[0].radius, 75);
+  assert.equal(manager.getFences('discount')[0].data.name, 'Naranj');
+  close();
+});
+
+test('reloading a group keeps the inside state of fences that stay', () => {
+  const { manager, events, close } = loadGeofences({ dwellTime: 0 });
+  const museum = { id: 'p4', latitude: 33.5155, longitude: 36.2931 };
+  manager.setFences('recommendation', [CITADEL, museum]);
+  manager.update(makePosition(33.5117, 36.3003));
+
+  manager.setFences('recommendation', [CITADEL]);
+  assert.deepEqual(events, ['enter:p5']);
+
+  // Removed fences drop silently; the same place in another group is separate
+  manager.remove('recommendation', 'p5');
+  assert.equal(manager.getActive().length, 0);
+  manager.add('discount', Object.assign({}, CITADEL));
+  assert.deepEqual(events, ['enter:p5', 'enter:p5']);
+
+  manager.clear();
+  assert.equal(manager.getFences().length, 0);
+  close();
+});
+
+test('follows gps-position-update events once started', () => {
+  const { window, manager, events, close } = loadGeofences({ dwellTime: 0 });
+  manager.setFences('recommendation', [CITADEL]);
+  const update = (latitude) => {
+    const position = makePosition(latitude, 36.3003);
+    window.dispatchEvent(new window.CustomEvent('gps-position-update', { detail: { position } }));
+  };
+
+  update(33.5117);
+  assert.deepEqual(events, []);
+
+  manager.start();
+  update(33.5117);
+  assert.deepEqual(events, ['enter:p5']);
+
+  manager.stop();
+  update(33.5300);
+  assert.deepEqual(events, ['enter:p5']);
+  close();
+});
@@ -0,0 +1,281 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createFetch, makePosition, geoError } = require('./helpers/browser');
+
+function loadTracker(options = {}) {
+  const browser = createBrowser(Object.assign({
+    fetch: createFetch(() => ({ status: 201, body: { ok: true } })),
+    scripts: ['api.js', 'i18n.js', 'geo.js', 'location-queue.js', 'position-providers.js', 'position-filter.js', 'tracking-modes.js', 'gps-tracker.js']
+  }, options));
+  const GPSTracker = browser.window.GPSTracker;
+  browser.window.api.setToken('token');
+  return Object.assign(browser, { GPSTracker });
+}
+
+test('calculateDistance uses the Haversine formula', () => {
+  const { GPSTracker, close } = loadTracker();
+  const tracker = new GPSTracker();
+
+  // One degree of longitude on the equator
+  assert.ok(Math.abs(tracker.calculateDistance(0, 0, 0, 1) - 111194.93) < 0.01);
+  // Umayyad Mosque to Azm Palace
+  const d = tracker.calculateDistance(33.5117, 36.3064, 33.5108, 36.3048);
+  assert.ok(d > 170 && d < 185, `unexpected distance ${d}`);
+  assert.equal(tracker.calculateDistance(33.5, 36.3, 33.5, 36.3), 0);
+  close();
+});
+
+test('shouldSavePosition compares against minDistance', () => {
+  const { GPSTracker, close } = loadTracker();
+  const tracker = new GPSTracker({ minDistance: 20 });
+
+  assert.equal(tracker.shouldSavePosition(makePosition(33.5117, 36.3064)), true);
+
+  tracker.lastPosition = makePosition(33.5117, 36.3064);
+  // ~11 m north
+  assert.equal(tracker.shouldSavePosition(makePosition(33.5118, 36.3064)), false);
+  // ~33 m north
+  assert.equal(tracker.shouldSavePosition(makePosition(33.5120, 36.3064)), true);
+  close();
+});
+
+test('permission onchange starts and stops tracking', async () => {
+  const browser = loadTracker();
+  const { GPSTracker, geolocation, permissions, clock } = browser;
+  const tracker = new GPSTracker({ autoStart: true });
+  const warnings = [];
+  tracker.showWarning = (message) => warnings.push(message);
+
+  await tracker.initialize();
+  assert.equal(tracker.permissionState, 'prompt');
+
+  permissions.change('granted');
+  await clock.tick();
+  assert.equal(geolocation.pendingRequests.length, 1);
+
+  geolocation.resolvePending(makePosition(33.5117, 36.3064));
+  await clock.tick();
+  assert.equal(tracker.isTracking, true);
+
+  permissions.change('denied');
+  assert.equal(tracker.isTracking, false);
+  assert.equal(geolocation.watches.size, 0);
+  assert.match(warnings[0], /permission denied/i);
+  browser.close();
+});
+
+test('startTracking watches position and polls on an interval', async () => {
+  const browser = loadTracker();
+  const { GPSTracker, geolocation, clock } = browser;
+  const tracker = new GPSTracker({ updateInterval: 30000 });
+
+  const started = tracker.startTracking();
+  await clock.tick();
+  geolocation.resolvePending(makePosition(33.5117, 36.3064));
+  assert.equal(await started, true);
+
+  assert.equal(tracker.isTracking, true);
+  assert.equal(geolocation.watches.size, 1);
+  assert.ok(tracker.intervalId);
+
+  await clock.tick(30000);
+  assert.equal(geolocation.pendingRequests.length, 1);
+
+  // Starting again is a no-op
+  assert.equal(await tracker.startTracking(), true);
+  assert.equal(geolocation.watches.size, 1);
+  browser.close();
+});
+
+test('stopTracking clears the watch and the interval', async () => {
+  const browser = loadTracker();
+  const { GPSTracker, window, geolocation, clock } = browser;
+  const tracker = new GPSTracker({ updateInterval: 30000 });
+  let stops = 0;
+  window.addEventListener('gps-tracking-stopped', () => stops++);
+
+  const started = tracker.startTracking();
+  await clock.tick();
+  geolocation.resolvePending(makePosition(33.5117, 36.3064));
+  await started;
+  await clock.tick();
+
+  tracker.stopTracking();
+
+  assert.equal(tracker.isTracking, false);
+  assert.equal(tracker.watchId, null);
+  assert.equal(tracker.intervalId, null);
+  assert.equal(geolocation.watches.size, 0);
+  assert.equal(stops, 1);
+
+  // Only a running tracker announces its stop
+  tracker.stopTracking();
+  assert.equal(stops, 1);
+
+  await clock.tick(60000);
+  assert.equal(geolocation.pendingRequests.length, 0);
+  browser.close();
+});
+
+test('startTracking resolves false when permission is denied', async () => {
+  const browser = loadTracker();
+  const { GPSTracker, geolocation, clock } = browser;
+  const tracker = new GPSTracker();
+  tracker.showWarning = () => {};
+
+  const started = tracker.startTracking();
+  await clock.tick();
+  geolocation.rejectPending(geoError(1, 'User denied Geolocation'));
+
+  assert.equal(await started, false);
+  assert.equal(tracker.isTracking, false);
+  assert.equal(tracker.hasPermission(), false);
+  browser.close();
+});
+
+test('handlePosition saves and emits only significant moves', async () => {
+  const browser = loadTracker();
+  const { GPSTracker, window, clock } = browser;
+  const tracker = new GPSTracker({ minDistance: 20 });
+  const events = [];
+  window.addEventListener('gps-position-update', e => events.push(e.detail));
+
+  tracker.handlePosition(makePosition(33.5117, 36.3064, { timestamp: 1000 }));
+  tracker.handlePosition(makePosition(33.5118, 36.3064, { timestamp: 31000 }));
+  tracker.handlePosition(makePosition(33.5130, 36.3064, { timestamp: 61000 }));
+  await clock.tick();
+
+  assert.equal(events.length, 2);
+  assert.equal(browser.fetch.calls.filter(c => c.url.endsWith('/me/location')).length, 2);
+  browser.close();
+});
+
+test('failed uploads are queued and flushed when back online', async () => {
+  let online = false;
+  const browser = loadTracker({
+    fetch: createFetch((url) => {
+      if (!online) throw new Error('offline');
+      return { status: 201, body: { ok: true } };
+    })
+  });
+  const { GPSTracker, window, clock } = browser;
+  const tracker = new GPSTracker();
+
+  assert.equal(await tracker.savePositionToBackend(makePosition(33.5117, 36.3064)), false);
+  assert.equal(tracker.getPendingCount(), 1);
+
+  online = true;
+  window.dispatchEvent(new window.Event('online'));
+  await clock.tick();
+
+  assert.equal(tracker.getPendingCount(), 0);
+  const batch = browser.fetch.calls.find(c => c.url.endsWith('/me/location/batch'));
+  assert.equal(batch.body.locations.length, 1);
+  assert.equal(batch.body.locations[0].latitude, 33.5117);
+  browser.close();
+});
+
+test('setProvider swaps the position source and keeps tracking', async () => {
+  const browser = loadTracker();
+  const { GPSTracker, window, geolocation, clock } = browser;
+  const tracker = new GPSTracker({ minDistance: 0 });
+  const sources = [];
+  let stops = 0;
+  window.addEventListener('gps-position-update', e => sources.push(e.detail.source));
+  window.addEventListener('gps-tracking-stopped', () => stops++);
+
+  const started = tracker.startTracking();
+  await clock.tick();
+  geolocation.resolvePending(makePosition(33.5117, 36.3064));
+  await started;
+  assert.equal(geolocation.watches.size, 1);
+
+  const route = new window.PositionProviders.RoutePositionProvider(
+    [[33.5000, 36.3000], [33.5100, 36.3000]],
+    { speed: 10 }
+  );
+  const switched = tracker.setProvider(route);
+  await clock.tick();
+  assert.equal(await switched, true);
+
+  assert.equal(geolocation.watches.size, 0);
+  assert.equal(route.watchers.size, 1);
+  assert.equal(tracker.getSourceName(), 'route');
+
+  await clock.tick(3000);
+  assert.ok(sources.filter(s => s === 'route').length >= 3);
+  assert.ok(browser.fetch.calls.some(c => c.url.endsWith('/me/location') && c.body.latitude === 33.5));
+
+  // Back to the device GPS
+  const restored = tracker.setProvider(null);
+  await clock.tick();
+  geolocation.resolvePending(makePosition(33.5117, 36.3064));
+  await restored;
+  assert.equal(route.timer, null);
+  assert.equal(geolocation.watches.size, 1);
+  assert.equal(tracker.getSourceName(), 'browser');
+  // Switching sources is not stopping
+  assert.equal(stops, 0);
+  tracker.stopTracking();
+  browser.close();
+});
+
+test('simulated sources skip the permission check', async () => {
+  const browser = loadTracker({ geolocation: null });
+  const { GPSTracker, window } = browser;
+  const route = new window.PositionProviders.RoutePositionProvider([[33.5, 36.3], [33.51, 36.3]]);
+  const tracker = new GPSTracker({ provider: route });
+
+  assert.equal(tracker.options.provider, undefined);
+  assert.equal(tracker.isAvailable(), true);
+  assert.equal(await tracker.initialize(), true);
+  browser.close();
+});
+
+test('coarse fixes and impossible jumps are rejected, the rest smoothed', async () => {
+  const browser = loadTracker();
+  const { GPSTracker, window, clock } = browser;
+  const tracker = new GPSTracker({ minDistance: 0 });
+  const updates = [];
+  const rejected = [];
+  window.addEventListener('gps-position-update', e => updates.push(e.detail));
+  window.addEventListener('gps-position-rejected', e => rejected.push(e.detail.reason));
+
+  tracker.handlePosition(makePosition(33.5117, 36.3064, { timestamp: 0, coords: { accuracy: 10 } }));
+  // Wi-Fi fix across town
+  tracker.handlePosition(makePosition(33.5300, 36.2800, { timestamp: 5000, coords: { accuracy: 800 } }));
+  // 3 km in 10 seconds
+  tracker.handlePosition(makePosition(33.5380, 36.3064, { timestamp: 10000, coords: { accuracy: 10 } }));
+  // A plausible step, pulled towards the previous estimate
+  tracker.handlePosition(makePosition(33.5119, 36.3064, { timestamp: 20000, coords: { accuracy: 10 } }));
+  await clock.tick();
+
+  assert.deepEqual(rejected, ['accuracy', 'speed']);
+  assert.equal(updates.length, 2);
+  const last = updates[1];
+  assert.equal(last.raw.coords.latitude, 33.5119);
+  assert.ok(last.coords.latitude > 33.5117 && last.coords.latitude < 33.5119);
+  assert.equal(tracker.lastRawPosition.coords.latitude, 33.5119);
+
+  const saved = browser.fetch.calls.filter(c => c.url.endsWith('/me/location'));
+  assert.equal(saved[1].body.latitude, last.coords.latitude);
+  browser.close();
+});
+
+test('the filter can be turned off', async () => {
+  const browser = loadTracker();
+  const { GPSTracker, window, clock } = browser;
+  const tracker = new GPSTracker({ filter: false, minDistance: 0 });
+  const updates = [];
+  window.addEventListener('gps-position-update', e => updates.push(e.detail));
+
+  tracker.handlePosition(makePosition(33.5117, 36.3064, { coords: { accuracy: 800 } }));
+  await clock.tick();
+
+  assert.equal(tracker.filter, null);
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].position, updates[0].raw);
+  browser.close();
+});
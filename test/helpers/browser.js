@@ -0,0 +1,286 @@
+/**
+ * browser.js - Headless browser harness for the page scripts
+ *
+ * Loads the real script files into a jsdom window with fakes for the
+ * browser APIs they touch (fetch, timers, geolocation, permissions).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// ---------- Fake clock ----------
+// Replaces the window timers so tests control time explicitly
+function createClock() {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+
+  function schedule(fn, delay, args, interval) {
+    const id = nextId++;
+    timers.set(id, { fn, args, at: now + Math.max(0, delay || 0), interval: interval ? Math.max(1, delay || 0) : null });
+    return id;
+  }
+
+  function runDue(limit) {
+    let ran = false;
+    while (true) {
+      const due = [...timers.entries()]
+        .filter(([, t]) => t.at <= limit)
+        .sort((a, b) => a[1].at - b[1].at || a[0] - b[0])[0];
+      if (!due) return ran;
+
+      const [id, timer] = due;
+      now = Math.max(now, timer.at);
+      if (timer.interval) {
+        timer.at = now + timer.interval;
+      } else {
+        timers.delete(id);
+      }
+      timer.fn(...(timer.args || []));
+      ran = true;
+    }
+  }
+
+  return {
+    setTimeout: (fn, delay, ...args) => schedule(fn, delay, args, false),
+    setInterval: (fn, delay, ...args) => schedule(fn, delay, args, true),
+    clearTimeout: (id) => timers.delete(id),
+    clearInterval: (id) => timers.delete(id),
+    now: () => now,
+    pending: () => timers.size,
+
+    // Advance time, letting promises settle between timers
+    async tick(ms = 0) {
+      const target = now + ms;
+      await flush();
+      while (runDue(target)) {
+        await flush();
+      }
+      now = target;
+      await flush();
+    }
+  };
+}
+
+// Let pending promise callbacks (and their follow-ups) run
+async function flush() {
+  for (let i = 0; i < 10; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+// ---------- Fake fetch ----------
+// handler(url, init) returns { status, body, headers } or a Promise of it,
+// or throws to simulate a network failure
+function createFetch(handler) {
+  const calls = [];
+
+  const fetch = (url, init = {}) => {
+    calls.push({ url, init, body: init.body && typeof init.body === 'string' ? JSON.parse(init.body) : init.body });
+
+    return new Promise((resolve, reject) => {
+      const signal = init.signal;
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          const err = new Error('The operation was aborted');
+          err.name = 'AbortError';
+          reject(err);
+        });
+      }
+
+      Promise.resolve()
+        .then(() => handler(url, init))
+        .then(reply => {
+          if (!reply) return; // Never answer: lets the request time out
+          const headers = reply.headers || {};
+          const text = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body === undefined ? {} : reply.body);
+          resolve({
+            ok: reply.status >= 200 && reply.status < 300,
+            status: reply.status,
+            headers: { get: (name) => headers[name] || headers[name.toLowerCase()] || null },
+            text: async () => text
+          });
+        })
+        .catch(reject);
+    });
+  };
+
+  fetch.calls = calls;
+  return fetch;
+}
+
+// ---------- Fake geolocation ----------
+function createGeolocation() {
+  let nextWatch = 1;
+  const watches = new Map();
+  const pendingRequests = [];
+
+  return {
+    watches,
+    pendingRequests,
+
+    getCurrentPosition(success, error, options) {
+      pendingRequests.push({ success, error, options });
+    },
+
+    watchPosition(success, error, options) {
+      const id = nextWatch++;
+      watches.set(id, { success, error, options });
+      return id;
+    },
+
+    clearWatch(id) {
+      watches.delete(id);
+    },
+
+    // Answer every pending getCurrentPosition call
+    resolvePending(position) {
+      pendingRequests.splice(0).forEach(request => request.success(position));
+    },
+
+    rejectPending(error) {
+      pendingRequests.splice(0).forEach(request => request.error(error));
+    },
+
+    // Push a fix to every active watch
+    emit(position) {
+      watches.forEach(watch => watch.success(position));
+    }
+  };
+}
+
+// Like the real API, every query() hands out its own PermissionStatus
+function createPermissions(initialState = 'prompt') {
+  let state = initialState;
+  const statuses = [];
+  return {
+    statuses,
+    query: async () => {
+      const status = { state, onchange: null };
+      statuses.push(status);
+      return status;
+    },
+    // Simulate the user flipping the permission in browser settings
+    change(next) {
+      state = next;
+      statuses.forEach(status => {
+        status.state = next;
+        if (status.onchange) status.onchange();
+      });
+    }
+  };
+}
+
+function makePosition(latitude, longitude, extra = {}) {
+  return {
+    coords: Object.assign({
+      latitude,
+      longitude,
+      accuracy: 10,
+      altitude: null,
+      altitudeAccuracy: null,
+      heading: null,
+      speed: null
+    }, extra.coords || {}),
+    timestamp: extra.timestamp !== undefined ? extra.timestamp : Date.now()
+  };
+}
+
+const GEO_ERRORS = { PERMISSION_DENIED: 1, POSITION_UNAVAILABLE: 2, TIMEOUT: 3 };
+
+function geoError(code, message = 'error') {
+  return Object.assign({ code, message }, GEO_ERRORS);
+}
+
+// ---------- Window ----------
+// options: html, scripts (paths relative to the repo root), fetch, clock,
+// geolocation, permissions, url, beforeScripts(window)
+function createBrowser(options = {}) {
+  // jsdom cannot navigate; keep every other page error for the test to inspect
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', err => {
+    if (!/Not implemented: navigation/.test(err.message)) errors.push(err);
+  });
+
+  const dom = new JSDOM(options.html || '<!doctype html><html><head></head><body></body></html>', {
+    url: options.url || 'http://localhost/map.html',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const window = dom.window;
+  const clock = options.clock || createClock();
+
+  ['setTimeout', 'setInterval', 'clearTimeout', 'clearInterval'].forEach(name => {
+    window[name] = clock[name];
+  });
+
+  window.fetch = options.fetch || createFetch(() => ({ status: 200, body: {} }));
+  window.BASE_URL = options.baseUrl || 'http://api.test';
+  window.alert = () => {};
+  window.confirm = () => true;
+
+  const geolocation = options.geolocation === null ? undefined : (options.geolocation || createGeolocation());
+  const permissions = options.permissions || createPermissions();
+  Object.defineProperty(window.navigator, 'geolocation', { value: geolocation, configurable: true });
+  Object.defineProperty(window.navigator, 'permissions', { value: permissions, configurable: true });
+
+  // Quiet the scripts' console chatter
+  window.console = {
+    log: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    debug: () => {}
+  };
+
+  if (options.beforeScripts) options.beforeScripts(window);
+
+  (options.scripts || []).forEach(file => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    window.eval(source + '\n//# sourceURL=' + file);
+  });
+
+  return {
+    dom,
+    window,
+    document: window.document,
+    clock,
+    geolocation,
+    permissions,
+    fetch: window.fetch,
+    errors,
+    close: () => window.close()
+  };
+}
+
+function readPage(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+// JWT-shaped token with the given expiry (ms since epoch)
+function makeToken(expiresAt, extra = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  const payload = Object.assign({ sub: 'u1', exp: Math.floor(expiresAt / 1000) }, extra);
+  return `${encode({ alg: 'none' })}.${encode(payload)}.sig`;
+}
+
+module.exports = {
+  createBrowser,
+  createClock,
+  createFetch,
+  createGeolocation,
+  createPermissions,
+  makePosition,
+  makeToken,
+  geoError,
+  flush,
+  readPage
+};
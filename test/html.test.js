@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+function loadHTML() {
+  return createBrowser({ scripts: ['html.js'] });
+}
+
+test('interpolated values are escaped, nested templates are not', () => {
+  const { window, close } = loadHTML();
+  const { html } = window;
+  const user = { username: '<img src=x onerror=alert(1)>', country: `"Syria" & 'Lebanon'` };
+
+  assert.equal(
+    String(html`<b title="${user.country}">${user.username}</b>`),
+    '<b title="&quot;Syria&quot; &amp; &#39;Lebanon&#39;">&lt;img src=x onerror=alert(1)&gt;</b>'
+  );
+
+  const tags = ['ancient', '<script>'];
+  assert.equal(
+    String(html`<ul>${tags.map(tag => html`<li>${tag}</li>`)}</ul>`),
+    '<ul><li>ancient</li><li>&lt;script&gt;</li></ul>'
+  );
+
+  // A plain string is data, even if it looks like markup
+  const label = '<i>x</i>';
+  assert.equal(String(html`${label}`), '&lt;i&gt;x&lt;/i&gt;');
+  assert.equal(String(html`${window.html.raw('<i>x</i>')}`), '<i>x</i>');
+
+  assert.equal(String(html`[${null}${undefined}${false}${0}]`), '[0]');
+  assert.equal(window.escapeHTML('`a`'), '&#96;a&#96;');
+  close();
+});
+
+test('rendered markup cannot add elements or handlers', () => {
+  const { window, document, close } = loadHTML();
+  const place = { id: `p1'); alert(1); ('`, name: '<img src=x onerror="window.pwned = 1">' };
+  const container = document.createElement('div');
+  container.innerHTML = window.html`<div class="card" data-place-id="${place.id}">${place.name}</div>`;
+
+  assert.equal(container.querySelectorAll('img').length, 0);
+  assert.equal(container.querySelector('.card').dataset.placeId, place.id);
+  assert.equal(container.querySelector('.card').textContent, place.name);
+  assert.equal(window.pwned, undefined);
+  close();
+});
+
+test('clicks run the closest registered action', () => {
+  const { window, document, close } = loadHTML();
+  const calls = [];
+  window.onAction('open', el => calls.push(['open', el.dataset.id]));
+  window.onAction('save', el => calls.push(['save', el.dataset.id]));
+
+  document.body.innerHTML = String(window.html`
+    <div class="card" data-action="open" data-id="card">
+      <span class="title">Title</span>
+      <button class="save" data-action="save" data-id="btn"><b>Save</b></button>
+      <details data-action=""><summary class="why">Why?</summary></details>
+      <button class="unknown" data-action="nothing-registered">?</button>
+    </div>
+  `);
+  const click = (selector) => document.querySelector(selector).dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+  click('.title');
+  click('.save b');
+  click('.why');
+  click('.unknown');
+  assert.deepEqual(calls, [['open', 'card'], ['save', 'btn']]);
+
+  // Containers that stop propagation (like map popups) still delegate
+  document.querySelector('.card').addEventListener('click', event => event.stopPropagation());
+  click('.save');
+  assert.deepEqual(calls[calls.length - 1], ['save', 'btn']);
+  close();
+});
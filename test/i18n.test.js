@@ -0,0 +1,135 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, makeToken } = require('./helpers/browser');
+
+const PAGE = `<!doctype html><html><head></head><body>
+  <h1 id="title" data-i18n="map.heading">Interactive Map</h1>
+  <p id="count" data-i18n="history.count" data-i18n-params='{"count":3}'>3 points.</p>
+  <input id="search" data-i18n-placeholder="filters.search" data-i18n-aria-label="language.label">
+  <select id="language" data-language-switcher></select>
+</body></html>`;
+
+// options.languages: navigator.languages; options.stored: localStorage entries
+function loadI18n(options = {}) {
+  return createBrowser({
+    html: PAGE,
+    scripts: ['api.js', 'i18n.js'],
+    beforeScripts(window) {
+      Object.defineProperty(window.navigator, 'languages', { value: options.languages || ['en-US'], configurable: true });
+      Object.entries(options.stored || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    }
+  });
+}
+
+test('messages fill in params, fall back to English, then to the key', () => {
+  const { window, close } = loadI18n();
+  const { i18n, t } = window;
+
+  assert.equal(i18n.language, 'en');
+  assert.equal(t('proximity.stillAt', { name: 'Azm Palace' }), 'Still at Azm Palace?');
+  assert.equal(t('history.count', { count: 1 }), '1 point.');
+  assert.equal(t('history.count', { count: 1200 }), '1,200 points.');
+
+  i18n.options.messages.en['test.only-english'] = 'Only in English';
+  i18n.setLanguage('ar');
+  assert.equal(t('test.only-english'), 'Only in English');
+  assert.equal(i18n.has('test.only-english'), false);
+  assert.equal(t('no.such.key'), 'no.such.key');
+  assert.throws(() => i18n.setLanguage('fr'), /Unknown language: fr/);
+  close();
+});
+
+test('Arabic picks the plural form and formats numbers in Arabic digits', () => {
+  const { window, close } = loadI18n({ languages: ['ar-SY', 'en'] });
+  const { i18n, t } = window;
+
+  assert.equal(i18n.language, 'ar');
+  assert.equal(i18n.locale, 'ar-SY');
+  assert.equal(t('history.count', { count: 1 }), 'نقطة واحدة.');
+  assert.equal(t('history.count', { count: 2 }), 'نقطتان.');
+  assert.equal(t('history.count', { count: 3 }), '٣ نقاط.');
+  assert.equal(t('history.count', { count: 11 }), '١١ نقطة.');
+
+  assert.equal(i18n.formatDistance(420), '٤٢٠ م');
+  assert.equal(i18n.formatDistance(2400), '٢٫٤ كم');
+  assert.match(i18n.formatCurrency(15000), /١٥٬٠٠٠/);
+  assert.equal(i18n.formatPercent(0.85), '٨٥٪؜');
+  close();
+});
+
+test('English formats distances, durations, money and percentages', () => {
+  const { window, close } = loadI18n();
+  const { i18n } = window;
+
+  assert.equal(i18n.formatDistance(420.4), '420 m');
+  assert.equal(i18n.formatDistance(2437, 2), '2.44 km');
+  assert.equal(i18n.formatDuration(25 * 60000), '25 min');
+  assert.equal(i18n.formatDuration(65 * 60000), '1 h 5 min');
+  assert.match(i18n.formatCurrency(15000), /^SYP\s15,000$/);
+  assert.equal(i18n.formatPercent(0.2), '20%');
+  close();
+});
+
+test('the choice is remembered per user, then for the device', () => {
+  const token = makeToken(Date.now() + 3600000, { sub: 'u7' });
+  const { window, close } = loadI18n({ stored: { st_token: token } });
+  const { i18n, localStorage } = window;
+
+  i18n.setLanguage('ar');
+  assert.equal(localStorage.getItem('st_language'), 'ar');
+  assert.equal(localStorage.getItem('st_language_u7'), 'ar');
+  close();
+
+  // The user's own choice beats the device's last one and the browser's
+  const returning = loadI18n({
+    languages: ['en-GB'],
+    stored: { st_token: token, st_language: 'en', st_language_u7: 'ar' }
+  });
+  assert.equal(returning.window.i18n.language, 'ar');
+  returning.close();
+
+  const signedOut = loadI18n({ languages: ['de-DE', 'ar'], stored: { st_language_u7: 'ar' } });
+  assert.equal(signedOut.window.i18n.language, 'ar');
+  signedOut.close();
+});
+
+test('switching language flips the direction and retranslates the page', async () => {
+  const { window, document, close } = loadI18n();
+  if (document.readyState === 'loading') {
+    await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve));
+  }
+  const events = [];
+  window.addEventListener('language-change', event => events.push(event.detail));
+
+  const select = document.getElementById('language');
+  assert.deepEqual(Array.from(select.options).map(option => option.value), ['en', 'ar']);
+  assert.equal(select.value, 'en');
+  assert.equal(document.documentElement.dir, 'ltr');
+  assert.equal(document.getElementById('search').placeholder, window.t('filters.search'));
+
+  const status = document.createElement('span');
+  document.body.appendChild(status);
+  window.i18n.setText(status, 'session.expiresIn', { count: 5 });
+  assert.equal(status.textContent, 'Your session expires in about 5 minutes.');
+
+  select.value = 'ar';
+  select.dispatchEvent(new window.Event('change'));
+
+  assert.deepEqual(events, [{ language: 'ar', locale: 'ar-SY', dir: 'rtl' }]);
+  assert.equal(document.documentElement.lang, 'ar');
+  assert.equal(document.documentElement.dir, 'rtl');
+  assert.equal(document.getElementById('title').textContent, 'الخريطة التفاعلية');
+  assert.equal(document.getElementById('count').textContent, '٣ نقاط.');
+  assert.equal(document.getElementById('search').getAttribute('aria-label'), window.t('language.label'));
+  assert.equal(status.textContent, window.t('session.expiresIn', { count: 5 }));
+  assert.match(status.textContent, /٥/);
+
+  // Cleared text stays cleared
+  window.i18n.setText(status, null);
+  window.i18n.setLanguage('en');
+  assert.equal(status.textContent, '');
+  assert.equal(events.length, 2);
+  close();
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+const DAY = '2024-05-01';
+
+// Places along a meridian, 0.001° (~111 m) apart
+const place = (id, latitude, price) => ({ id, name: `Place ${id}`, latitude, longitude: 36.30, price_category: price });
+
+function loadPlanner(options) {
+  const browser = createBrowser({ scripts: ['geo.js', 'itinerary.js'] });
+  const planner = new browser.window.ItineraryPlanner(Object.assign({ userId: 'u1' }, options));
+  return Object.assign(browser, { planner });
+}
+
+test('stops are added once, moved and removed, per user', () => {
+  const { window, planner, close } = loadPlanner();
+  const changes = [];
+  window.addEventListener('itinerary-change', e => changes.push(e.detail.stops.map(s => s.id)));
+
+  assert.equal(planner.addStop(DAY, place('a', 33.500, 'low')), true);
+  assert.equal(planner.addStop(DAY, place('b', 33.501, 'free')), true);
+  assert.equal(planner.addStop(DAY, place('a', 33.500, 'low')), false);
+  planner.addStop(DAY, place('c', 33.502));
+
+  planner.moveStop(DAY, 2, 0);
+  assert.deepEqual(planner.getStops(DAY).map(s => s.id), ['c', 'a', 'b']);
+  planner.removeStop(DAY, 'a');
+  assert.deepEqual(changes[changes.length - 1], ['c', 'b']);
+
+  // Saved for this user only
+  const again = new window.ItineraryPlanner({ userId: 'u1' });
+  assert.deepEqual(again.getStops(DAY).map(s => s.id), ['c', 'b']);
+  const other = new window.ItineraryPlanner({ userId: 'u2' });
+  assert.deepEqual(other.getStops(DAY), []);
+
+  assert.throws(() => planner.addStop(DAY, { id: 'x', name: 'Nowhere' }), /coordinates/);
+  close();
+});
+
+test('optimising from the user position visits the nearest stops first', () => {
+  const { planner, close } = loadPlanner();
+  [place('far', 33.505), place('near', 33.501), place('mid', 33.503)].forEach(p => planner.addStop(DAY, p));
+
+  const order = planner.optimize(DAY, { latitude: 33.500, longitude: 36.30 });
+  assert.deepEqual(order.map(s => s.id), ['near', 'mid', 'far']);
+
+  // Without a position the first stop stays first
+  planner.moveStop(DAY, 2, 0);
+  assert.deepEqual(planner.optimize(DAY).map(s => s.id), ['far', 'mid', 'near']);
+  close();
+});
+
+test('2-opt removes crossings nearest neighbour leaves behind', () => {
+  const { planner, close } = loadPlanner();
+  // A square walked corner to corner crosses itself
+  const origin = { latitude: 33.500, longitude: 36.300 };
+  const square = [
+    { id: 'ne', latitude: 33.501, longitude: 36.301 },
+    { id: 'se', latitude: 33.500, longitude: 36.301 },
+    { id: 'nw', latitude: 33.501, longitude: 36.300 }
+  ];
+
+  const route = planner.twoOpt(origin, square);
+  const length = (stops) => [origin].concat(stops).reduce((sum, stop, i, all) => {
+    return i === 0 ? 0 : sum + planner.walkingDistance(all[i - 1], stop);
+  }, 0);
+  assert.ok(length(route) < length(square));
+  assert.equal(route.length, 3);
+  close();
+});
+
+test('summary estimates walking legs and the budget', () => {
+  const { planner, close } = loadPlanner({ walkingSpeed: 1, detourFactor: 1 });
+  planner.addStop(DAY, place('a', 33.501, 'low'));
+  planner.addStop(DAY, place('b', 33.502, 'high'));
+  planner.addStop(DAY, place('c', 33.503));
+
+  const summary = planner.summary(DAY, { latitude: 33.500, longitude: 36.30 });
+  assert.equal(summary.legs.length, 3);
+  assert.equal(summary.legs[0].to.id, 'a');
+  assert.ok(Math.abs(summary.distance - 333.6) < 1, `distance ${summary.distance}`);
+  assert.ok(Math.abs(summary.walkingTime - 333.6 * 1000) < 1000);
+  assert.equal(summary.budget, 10000 + 60000);
+  assert.equal(summary.unpriced, 1);
+
+  const noStart = planner.summary(DAY);
+  assert.equal(noStart.legs.length, 2);
+  close();
+});
@@ -0,0 +1,212 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createFetch } = require('./helpers/browser');
+
+// An EventSource the test opens, feeds and breaks by hand
+function fakeEventSource(sources) {
+  return class FakeEventSource {
+    constructor(url) {
+      this.url = url;
+      this.listeners = {};
+      this.closed = false;
+      sources.push(this);
+    }
+    addEventListener(type, fn) {
+      (this.listeners[type] = this.listeners[type] || []).push(fn);
+    }
+    close() {
+      this.closed = true;
+    }
+    send(type, data) {
+      (this.listeners[type] || []).forEach(fn => fn({ data: typeof data === 'string' ? data : JSON.stringify(data) }));
+    }
+  };
+}
+
+const ROBOT = { latitude: 33.5155, longitude: 36.2931, updated_at: '2024-05-01T10:00:00Z' };
+const USERS = [{ username: 'layla', country: 'Lebanon', location: { latitude: 33.5112, longitude: 36.3017 } }];
+
+// server.tickets: false refuses stream tickets
+function loadChannel({ eventSource = true, options, server = {} } = {}) {
+  const sources = [];
+  let tickets = 0;
+  const fetch = createFetch((url) => {
+    if (url.endsWith('/live/ticket')) {
+      if (server.tickets === false) return { status: 503, body: { error: 'Unavailable' } };
+      return { status: 201, body: { ticket: `ticket-${++tickets}`, expires_in: 60 } };
+    }
+    if (url.endsWith('/robot/location')) return { status: 200, body: { location: ROBOT } };
+    if (url.endsWith('/users/locations')) return { status: 200, body: { users: USERS } };
+    return { status: 404, body: { error: 'Not found' } };
+  });
+  const browser = createBrowser({
+    fetch,
+    beforeScripts: (window) => {
+      if (eventSource) window.EventSource = fakeEventSource(sources);
+    },
+    scripts: ['api.js', 'live-channel.js']
+  });
+  browser.window.api.setToken('token');
+
+  const updates = [];
+  const statuses = [];
+  browser.window.addEventListener('live-update', e => updates.push(e.detail));
+  browser.window.addEventListener('live-status', e => statuses.push(e.detail.status));
+  const channel = new browser.window.LiveChannel(Object.assign({ pollInterval: 30000, minDelay: 1000 }, options));
+  // Requests other than for stream tickets
+  const polls = () => fetch.calls.filter(call => !call.url.endsWith('/live/ticket')).length;
+  return Object.assign(browser, { channel, sources, updates, statuses, polls });
+}
+
+test('stream events arrive as live updates', async () => {
+  const { channel, sources, updates, statuses, fetch, polls, clock, close } = loadChannel();
+  channel.start();
+  await clock.tick(0);
+
+  // A ticket, never the session token, goes in the URL
+  assert.equal(sources.length, 1);
+  assert.ok(sources[0].url.endsWith('/live?ticket=ticket-1'), sources[0].url);
+  assert.equal(fetch.calls[0].init.method, 'POST');
+  sources[0].onopen();
+  assert.deepEqual(statuses, ['connecting', 'live']);
+
+  sources[0].send('robot', ROBOT);
+  sources[0].send('users', { users: USERS });
+  sources[0].send('user-hidden', { username: 'layla' });
+  sources[0].send('user', '{not json');
+  assert.deepEqual(updates.map(u => [u.type, u.via]), [['robot', 'stream'], ['users', 'stream'], ['user-hidden', 'stream']]);
+  assert.deepEqual(updates[0].data, ROBOT);
+  assert.equal(polls(), 0);
+
+  channel.stop();
+  assert.equal(sources[0].closed, true);
+  assert.equal(statuses[statuses.length - 1], 'stopped');
+  close();
+});
+
+test('a dropped stream polls until it reconnects', async () => {
+  const { channel, sources, updates, statuses, polls, clock, close } = loadChannel();
+  channel.start();
+  await clock.tick(0);
+  sources[0].onopen();
+  sources[0].onerror();
+  await clock.tick(0);
+
+  assert.equal(sources[0].closed, true);
+  assert.equal(channel.status, 'polling');
+  assert.deepEqual(updates.map(u => [u.type, u.via]), [['robot', 'poll'], ['users', 'poll']]);
+  assert.deepEqual(updates[1].data, { users: USERS });
+  assert.equal(polls(), 2);
+
+  // The first retry comes within minDelay, with a fresh ticket
+  await clock.tick(1000);
+  assert.equal(sources.length, 2);
+  assert.ok(sources[1].url.endsWith('?ticket=ticket-2'));
+  sources[1].onopen();
+  assert.deepEqual(statuses, ['connecting', 'live', 'polling', 'live']);
+
+  // Connected again, so polling stops
+  sources[1].send('robot', ROBOT);
+  await clock.tick(30000);
+  assert.equal(polls(), 2);
+  channel.stop();
+  close();
+});
+
+test('reconnect delays grow with each failure', async () => {
+  const { window, channel, sources, clock, close } = loadChannel({ options: { minDelay: 1000, maxDelay: 4000 } });
+  window.Math.random = () => 1; // Always wait the full delay
+  channel.start();
+  await clock.tick(0);
+  sources[0].onerror();
+  await clock.tick(999);
+  assert.equal(sources.length, 1);
+  await clock.tick(1);
+  assert.equal(sources.length, 2);
+
+  sources[1].onerror();
+  await clock.tick(1999);
+  assert.equal(sources.length, 2);
+  await clock.tick(1);
+  assert.equal(sources.length, 3);
+
+  // Capped at maxDelay
+  sources[2].onerror();
+  await clock.tick(3999);
+  assert.equal(sources.length, 3);
+  await clock.tick(1);
+  assert.equal(sources.length, 4);
+  sources[3].onerror();
+  await clock.tick(4000);
+  assert.equal(sources.length, 5);
+  channel.stop();
+  close();
+});
+
+test('a stream that never opens counts as a failure', async () => {
+  const { channel, sources, clock, close } = loadChannel({ options: { connectTimeout: 5000 } });
+  channel.start();
+  await clock.tick(4999);
+  assert.equal(channel.status, 'connecting');
+  await clock.tick(1);
+  assert.equal(sources[0].closed, true);
+  assert.equal(channel.status, 'polling');
+  channel.stop();
+  close();
+});
+
+test('without EventSource the channel only polls', async () => {
+  const { channel, sources, updates, fetch, clock, close } = loadChannel({ eventSource: false });
+  channel.start();
+  await clock.tick(0);
+  assert.equal(channel.status, 'polling');
+  assert.equal(sources.length, 0);
+  assert.equal(updates.length, 2);
+
+  await clock.tick(30000);
+  assert.equal(fetch.calls.length, 4);
+
+  channel.stop();
+  await clock.tick(60000);
+  assert.equal(fetch.calls.length, 4);
+  close();
+});
+
+test('a stream that goes quiet counts as dropped; pings keep it alive', async () => {
+  const { channel, sources, clock, close } = loadChannel({ options: { stallTimeout: 45000 } });
+  channel.start();
+  await clock.tick(0);
+  sources[0].onopen();
+
+  // Pings and updates each restart the wait
+  await clock.tick(30000);
+  sources[0].send('ping', {});
+  await clock.tick(30000);
+  sources[0].send('robot', ROBOT);
+  await clock.tick(44999);
+  assert.equal(channel.status, 'live');
+
+  await clock.tick(1);
+  assert.equal(sources[0].closed, true);
+  assert.equal(channel.status, 'polling');
+  channel.stop();
+  close();
+});
+
+test('without a ticket the channel polls and tries again later', async () => {
+  const server = { tickets: false };
+  const { channel, sources, polls, clock, close } = loadChannel({ server });
+  channel.start();
+  await clock.tick(0);
+  assert.equal(sources.length, 0);
+  assert.equal(channel.status, 'polling');
+  assert.equal(polls(), 2);
+
+  server.tickets = true;
+  await clock.tick(1000);
+  assert.equal(sources.length, 1);
+  channel.stop();
+  close();
+});
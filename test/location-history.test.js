@@ -0,0 +1,163 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createFetch } = require('./helpers/browser');
+
+const MINUTE = 60 * 1000;
+// Local times, so days split the way the page shows them
+const DAY1 = new Date(2024, 4, 1, 10, 0).getTime();
+const DAY2 = new Date(2024, 4, 2, 9, 0).getTime();
+
+function loadHistory(handler, options) {
+  const fetch = createFetch(handler || (() => ({ status: 200, body: { locations: [] } })));
+  const browser = createBrowser({
+    fetch,
+    scripts: ['api.js', 'i18n.js', 'geo.js', 'location-queue.js', 'gps-tracker.js', 'location-history.js']
+  });
+  browser.window.api.setToken('token');
+  const history = new browser.window.LocationHistory(options);
+  return Object.assign(browser, { history });
+}
+
+// A backend holding `stored` that honours from, before and limit
+function pagingBackend(stored) {
+  return (url) => {
+    const query = new URL(url).searchParams;
+    const from = Date.parse(query.get('from'));
+    const before = Date.parse(query.get('before'));
+    const limit = Number(query.get('limit'));
+    const matching = stored.filter(l => l.timestamp >= from && l.timestamp < before);
+    return { status: 200, body: { locations: matching.slice(-limit).reverse() } };
+  };
+}
+
+const point = (latitude, time) => ({ latitude, longitude: 36.30, timestamp: time });
+
+test('pages back through the range until it is exhausted', async () => {
+  const stored = [];
+  for (let i = 0; i < 12; i++) stored.push(point(33.50 + i * 0.001, DAY1 + i * MINUTE));
+
+  const { history, fetch, close } = loadHistory(pagingBackend(stored), { pageSize: 5 });
+  const { points, truncated } = await history.load(DAY1 + MINUTE, DAY1 + 11 * MINUTE);
+
+  assert.deepEqual(points.map(p => (p.timestamp - DAY1) / MINUTE), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.equal(truncated, false);
+  // Two full pages, then a short one
+  assert.equal(fetch.calls.length, 3);
+
+  const first = new URL(fetch.calls[0].url).searchParams;
+  assert.equal(first.get('limit'), '5');
+  assert.equal(first.get('from'), new Date(DAY1 + MINUTE).toISOString());
+  assert.equal(first.get('before'), new Date(DAY1 + 11 * MINUTE).toISOString());
+  // The next page starts at the oldest point so far, which it repeats
+  assert.equal(new URL(fetch.calls[1].url).searchParams.get('before'), new Date(DAY1 + 6 * MINUTE + 1).toISOString());
+  close();
+});
+
+test('points sharing the timestamp at a page boundary are all read once', async () => {
+  const stored = [
+    point(33.501, DAY1 + MINUTE),
+    point(33.502, DAY1 + 2 * MINUTE),
+    point(33.503, DAY1 + 2 * MINUTE),
+    point(33.504, DAY1 + 2 * MINUTE),
+    point(33.505, DAY1 + 3 * MINUTE)
+  ];
+
+  const { history, close } = loadHistory(pagingBackend(stored), { pageSize: 3 });
+  const { points, truncated } = await history.load(DAY1, DAY2);
+
+  assert.deepEqual(points.map(p => p.latitude).sort(), [33.501, 33.502, 33.503, 33.504, 33.505]);
+  assert.equal(truncated, false);
+  close();
+});
+
+test('stops at maxPages and on backends that ignore the range', async () => {
+  const stored = [];
+  for (let i = 0; i < 12; i++) stored.push(point(33.50, DAY1 + i * MINUTE));
+
+  const capped = loadHistory(pagingBackend(stored), { pageSize: 2, maxPages: 3 });
+  const result = await capped.history.load(DAY1, DAY2);
+  // Each page after the first repeats one point
+  assert.equal(result.points.length, 4);
+  assert.equal(result.truncated, true);
+  capped.close();
+
+  // Always the newest two points, whatever the query says
+  const ignoring = loadHistory(() => ({ status: 200, body: { locations: stored.slice(-2).reverse() } }), { pageSize: 2 });
+  const partial = await ignoring.history.load(DAY1, DAY2);
+  assert.equal(partial.points.length, 2);
+  assert.equal(partial.truncated, true);
+  assert.equal(ignoring.fetch.calls.length, 2);
+  ignoring.close();
+});
+
+test('a failed first page is returned as the error', async () => {
+  const { history, close } = loadHistory(() => ({ status: 404, body: { error: 'Not found' } }));
+  const result = await history.load(DAY1, DAY2);
+  assert.ok(result.error);
+  close();
+});
+
+test('per-day distance and moving versus stationary time', () => {
+  const { history, close } = loadHistory();
+  const points = [
+    // Day 1: walk ~222 m in 4 minutes, then stand 20 minutes
+    point(33.500, DAY1),
+    point(33.501, DAY1 + 2 * MINUTE),
+    point(33.502, DAY1 + 4 * MINUTE),
+    point(33.50201, DAY1 + 24 * MINUTE),
+    // Two hours later: tracking was off, the gap does not count
+    point(33.510, DAY1 + 144 * MINUTE),
+    // Day 2
+    point(33.520, DAY2),
+    point(33.521, DAY2 + MINUTE)
+  ].map(p => history.toPoint(p));
+
+  const [day1, day2] = history.dayStats(points);
+  assert.equal(day1.date, '2024-05-01');
+  assert.ok(Math.abs(day1.distance - 222.4) < 1, `distance ${day1.distance}`);
+  assert.equal(day1.movingTime, 4 * MINUTE);
+  assert.equal(day1.stationaryTime, 20 * MINUTE);
+  assert.equal(day1.points, 5);
+
+  assert.equal(day2.date, '2024-05-02');
+  assert.equal(day2.movingTime, MINUTE);
+  close();
+});
+
+test('the heatmap weighs cells by time spent', () => {
+  const { history, close } = loadHistory();
+  const points = [
+    point(33.5000, DAY1),
+    point(33.5001, DAY1 + 20 * MINUTE), // Same 50 m cell
+    point(33.5050, DAY1 + 22 * MINUTE),
+    point(33.5100, DAY1 + 23 * MINUTE)
+  ];
+
+  const cells = history.heatmap(points);
+  assert.equal(cells.length, 3);
+  assert.equal(cells[0].count, 2);
+  assert.equal(cells[0].time, 22 * MINUTE);
+  assert.ok(Math.abs(cells[0].latitude - 33.50005) < 1e-9);
+  assert.equal(cells[2].time, 0);
+  close();
+});
+
+test('playback interpolates between points but not across gaps', () => {
+  const { history, close } = loadHistory();
+  const points = [
+    point(33.500, DAY1),
+    point(33.502, DAY1 + 2 * MINUTE),
+    point(33.600, DAY1 + 120 * MINUTE)
+  ];
+
+  assert.equal(history.positionAt(points, DAY1 - 1), null);
+  const halfway = history.positionAt(points, DAY1 + MINUTE);
+  assert.ok(Math.abs(halfway.latitude - 33.501) < 1e-9);
+  assert.equal(halfway.index, 0);
+
+  assert.deepEqual(history.positionAt(points, DAY1 + 60 * MINUTE), { latitude: 33.502, longitude: 36.30, index: 1 });
+  assert.equal(history.positionAt(points, DAY1 + 500 * MINUTE).index, 2);
+  close();
+});
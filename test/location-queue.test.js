@@ -0,0 +1,140 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createFetch, makeToken } = require('./helpers/browser');
+
+function loadQueue(handler, options = {}) {
+  const browser = createBrowser(Object.assign({
+    fetch: createFetch(handler),
+    scripts: ['api.js', 'location-queue.js']
+  }, options));
+  browser.window.api.setToken('token');
+  return browser;
+}
+
+const point = (n) => ({ latitude: 33.5 + n / 1000, longitude: 36.3, timestamp: new Date(n * 1000).toISOString() });
+
+test('points persist across reloads and the oldest are dropped when full', () => {
+  const browser = loadQueue(() => ({ status: 201, body: {} }));
+  const { window } = browser;
+  const queue = new window.LocationQueue({ maxSize: 3 });
+
+  [1, 2, 3, 4].forEach(n => queue.enqueue(point(n)));
+  assert.equal(queue.size(), 3);
+
+  const reloaded = new window.LocationQueue({ maxSize: 3 });
+  assert.deepEqual(reloaded.items.map(item => item.data.latitude), [33.502, 33.503, 33.504]);
+  assert.equal(reloaded.nextId, 5);
+  browser.close();
+});
+
+test('flush uploads in batches and reports the queue depth', async () => {
+  const browser = loadQueue(() => ({ status: 201, body: { saved: 2 } }));
+  const { window } = browser;
+  const queue = new window.LocationQueue({ batchSize: 2 });
+  const depths = [];
+  window.addEventListener('gps-queue-change', e => depths.push(e.detail.pending));
+
+  [1, 2, 3].forEach(n => queue.enqueue(point(n)));
+  assert.equal(await queue.flush(), true);
+
+  const batches = browser.fetch.calls.filter(c => c.url.endsWith('/me/location/batch'));
+  assert.deepEqual(batches.map(c => c.body.locations.length), [2, 1]);
+  assert.deepEqual(depths, [1, 2, 3, 1, 0]);
+  assert.equal(window.localStorage.getItem('st_location_queue'), '[]');
+  browser.close();
+});
+
+test('a failed flush keeps the points and retries with backoff', async () => {
+  let up = false;
+  const browser = loadQueue(() => (up ? { status: 201, body: {} } : { status: 503, body: { error: 'Down for maintenance' } }));
+  const { window, clock } = browser;
+  const queue = new window.LocationQueue({ minRetryDelay: 1000 });
+
+  queue.enqueue(point(1));
+  assert.equal(await queue.flush(), false);
+  assert.equal(queue.size(), 1);
+  assert.ok(queue.retryTimer);
+
+  up = true;
+  await clock.tick(4000);
+  assert.equal(queue.size(), 0);
+  assert.equal(queue.retryCount, 0);
+  browser.close();
+});
+
+test('batches the server rejects are dropped instead of blocking the queue', async () => {
+  const browser = loadQueue((url, init) => {
+    const body = JSON.parse(init.body);
+    const bad = body.locations.some(location => location.latitude > 33.5025);
+    return bad ? { status: 422, body: { error: 'latitude out of range' } } : { status: 201, body: {} };
+  });
+  const { window } = browser;
+  const queue = new window.LocationQueue({ batchSize: 2 });
+
+  [1, 2, 3].forEach(n => queue.enqueue(point(n)));
+  assert.equal(await queue.flush(), true);
+  assert.equal(queue.size(), 0);
+  assert.equal(queue.retryTimer, null);
+  assert.deepEqual(browser.fetch.calls.map(c => c.body.locations.length), [2, 1]);
+  browser.close();
+});
+
+test('without a bulk endpoint, points go up one at a time', async () => {
+  const browser = loadQueue((url) => (url.endsWith('/batch')
+    ? { status: 404, body: { error: 'Not found' } }
+    : { status: 201, body: {} }));
+  const { window } = browser;
+  const queue = new window.LocationQueue({ batchSize: 2 });
+
+  [1, 2, 3].forEach(n => queue.enqueue(point(n)));
+  assert.equal(await queue.flush(), true);
+  assert.equal(queue.size(), 0);
+  const singles = browser.fetch.calls.filter(c => c.url.endsWith('/me/location'));
+  assert.deepEqual(singles.map(c => c.body.latitude), [33.501, 33.502, 33.503]);
+
+  // Remembered, so later flushes skip the bulk endpoint
+  queue.enqueue(point(4));
+  await queue.flush();
+  assert.equal(browser.fetch.calls.filter(c => c.url.endsWith('/batch')).length, 1);
+  browser.close();
+});
+
+test('points left by another user are dropped, never uploaded', async () => {
+  const browser = loadQueue(() => ({ status: 201, body: {} }));
+  const { window } = browser;
+  const queue = new window.LocationQueue();
+  const hour = Date.now() + 60 * 60 * 1000;
+
+  // Recorded for u1, whose session then expired
+  window.api.setToken(makeToken(hour, { sub: 'u1' }));
+  [1, 2].forEach(n => queue.enqueue(point(n)));
+
+  window.api.setToken(makeToken(hour, { sub: 'u2' }));
+  const reloaded = new window.LocationQueue();
+  reloaded.enqueue(point(3));
+  assert.equal(await reloaded.flush(), true);
+
+  assert.deepEqual(browser.fetch.calls.map(c => c.body.locations.map(l => l.latitude)), [[33.503]]);
+  assert.equal(reloaded.size(), 0);
+  browser.close();
+});
+
+test('nothing is sent while offline or signed out', async () => {
+  const browser = loadQueue(() => ({ status: 201, body: {} }));
+  const { window } = browser;
+  const queue = new window.LocationQueue();
+  queue.enqueue(point(1));
+
+  Object.defineProperty(window.navigator, 'onLine', { value: false, configurable: true });
+  assert.equal(await queue.flush(), false);
+
+  Object.defineProperty(window.navigator, 'onLine', { value: true, configurable: true });
+  window.api.clearToken();
+  assert.equal(await queue.flush(), false);
+
+  assert.equal(browser.fetch.calls.length, 0);
+  queue.clear();
+  browser.close();
+});
@@ -0,0 +1,218 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createFetch } = require('./helpers/browser');
+
+const HOUR = 60 * 60 * 1000;
+const HOTEL = { latitude: 33.5112, longitude: 36.3017 };
+
+// Answers /me/share-location like the backend; server.offline makes it unreachable,
+// server.exactOnly one that knows nothing of precision. stored: settings saved by an
+// earlier visit
+function loadSharing(server = {}, stored = null) {
+  server.settings = server.settings || { share: false };
+  const fetch = createFetch((url, init) => {
+    if (server.offline) throw new TypeError('Failed to fetch');
+    if (init.method === 'PATCH') server.settings = JSON.parse(init.body);
+    if (server.exactOnly) {
+      const { precision, ...settings } = server.settings;
+      return { status: 200, body: settings };
+    }
+    return { status: 200, body: server.settings };
+  });
+  const browser = createBrowser({
+    fetch,
+    scripts: ['api.js', 'geo.js', 'location-sharing.js'],
+    beforeScripts(window) {
+      if (stored) window.localStorage.setItem('st_sharing_u1', JSON.stringify(stored));
+    }
+  });
+  browser.window.api.setToken('token');
+  const sharing = new browser.window.LocationSharing({ userId: 'u1' });
+  sharing.listen();
+
+  const changes = [];
+  browser.window.addEventListener('location-sharing-change', e => changes.push(e.detail));
+  const patches = () => fetch.calls.filter(call => call.init.method === 'PATCH').map(call => call.body);
+  const moveTo = (latitude, longitude) => browser.window.dispatchEvent(new browser.window.CustomEvent('gps-position-update', {
+    detail: { coords: { latitude, longitude } }
+  }));
+  return Object.assign(browser, { sharing, server, changes, patches, moveTo });
+}
+
+test('sharing sends the audience, precision and expiry, and ends on time', async () => {
+  const { window, sharing, clock, changes, patches, close } = loadSharing();
+
+  const before = Date.now();
+  const status = await sharing.enable({ audience: 'group', precision: 'neighbourhood', duration: '1h' });
+  assert.equal(status.visible, true);
+  assert.equal(status.state, 'on');
+  assert.equal(status.precisionHonoured, true);
+  const sent = patches()[0];
+  assert.equal(sent.share, true);
+  assert.equal(sent.audience, 'group');
+  assert.equal(sent.precision, 'neighbourhood');
+  assert.deepEqual(sent.exclusion_zones, []);
+  assert.ok(Math.abs(Date.parse(sent.expires_at) - (before + HOUR)) < 5000);
+
+  // Kept per user
+  const again = new window.LocationSharing({ userId: 'u1' });
+  assert.equal(again.status().audience, 'group');
+  assert.equal(new window.LocationSharing({ userId: 'u2' }).status().state, 'off');
+
+  await clock.tick(HOUR);
+  assert.equal(patches()[1].share, false);
+  assert.equal(sharing.status().visible, false);
+  assert.equal(changes[changes.length - 1].change, 'expired');
+  assert.equal(clock.pending(), 0);
+  close();
+});
+
+test('a new duration counts from now; changes while off are only remembered', async () => {
+  const { sharing, clock, patches, close } = loadSharing();
+
+  await sharing.update({ precision: 'exact', duration: '8h' });
+  assert.deepEqual(patches(), []);
+  assert.equal(clock.pending(), 0);
+
+  await sharing.enable();
+  assert.equal(patches()[0].precision, 'exact');
+  await clock.tick(7 * HOUR);
+  await sharing.update({ duration: '1h' });
+  await clock.tick(HOUR - 1000);
+  assert.equal(sharing.status().visible, true);
+  await clock.tick(1000);
+  assert.equal(sharing.status().visible, false);
+
+  await sharing.enable({ duration: 'manual' });
+  assert.equal(sharing.status().expiresAt, null);
+  assert.equal(patches()[patches().length - 1].expires_at, null);
+  assert.equal(clock.pending(), 0);
+  close();
+});
+
+test('the user is hidden inside an exclusion zone and shown again outside', async () => {
+  const { sharing, patches, moveTo, close } = loadSharing();
+  await sharing.enable({ audience: 'everyone', duration: 'manual' });
+
+  // Hiding at the current spot takes effect at once
+  await sharing.updatePosition(HOTEL);
+  const status = await sharing.addZone({ name: 'Hotel', ...HOTEL, radius: 300 });
+  assert.equal(status.state, 'zone');
+  assert.equal(status.visible, false);
+  assert.equal(status.zone.name, 'Hotel');
+  assert.deepEqual(patches()[1].exclusion_zones, [{ ...HOTEL, radius: 300 }]);
+  assert.equal(patches()[1].share, false);
+
+  // ~110 m away is still inside; ~1.1 km away is not
+  moveTo(33.5122, 36.3017);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(patches().length, 2);
+  moveTo(33.5212, 36.3017);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(patches()[2].share, true);
+  assert.equal(sharing.status().state, 'on');
+
+  await sharing.removeZone(sharing.getZones()[0].id);
+  assert.deepEqual(patches()[3].exclusion_zones, []);
+  close();
+});
+
+test('reload inside a zone, then walk out', async () => {
+  const zone = { id: 'zone-1', name: 'Hotel', ...HOTEL, radius: 300 };
+  const { sharing, patches, moveTo, close } = loadSharing(
+    { settings: { share: false, audience: 'everyone', precision: 'exact', expires_at: null } },
+    { enabled: true, audience: 'everyone', precision: 'exact', duration: 'manual', expiresAt: null, zones: [zone] }
+  );
+
+  // No fix yet, so the server's "off" may be the zone's doing
+  const synced = await sharing.sync();
+  assert.equal(synced.state, 'on');
+  assert.equal(synced.visible, false);
+
+  // Still in the zone: nothing to change
+  moveTo(HOTEL.latitude, HOTEL.longitude);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(patches().length, 0);
+  assert.equal(sharing.status().state, 'zone');
+
+  moveTo(33.5212, 36.3017);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(patches()[0].share, true);
+  assert.equal(sharing.status().visible, true);
+  close();
+});
+
+test('the first fix outside every zone turns sharing back on', async () => {
+  const zone = { id: 'zone-1', name: 'Hotel', ...HOTEL, radius: 300 };
+  const { sharing, patches, moveTo, close } = loadSharing(
+    { settings: { share: false, audience: 'everyone', precision: 'exact', expires_at: null } },
+    { enabled: true, audience: 'everyone', precision: 'exact', duration: 'manual', expiresAt: null, zones: [zone] }
+  );
+  await sharing.sync();
+
+  moveTo(33.5212, 36.3017);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(patches().length, 1);
+  assert.equal(patches()[0].share, true);
+  close();
+});
+
+test('a server that does not echo the precision is taken to share the exact position', async () => {
+  const { sharing, close } = loadSharing({ exactOnly: true });
+  assert.equal(sharing.status().precisionHonoured, null);
+
+  const status = await sharing.enable({ precision: 'neighbourhood' });
+  assert.equal(status.visible, true);
+  assert.equal(status.precisionHonoured, false);
+  assert.equal(status.precision, 'exact');
+  close();
+});
+
+test('"until I stop tracking" ends with tracking', async () => {
+  const { window, sharing, changes, patches, close } = loadSharing();
+
+  await sharing.enable({ duration: '1h' });
+  window.dispatchEvent(new window.CustomEvent('gps-tracking-stopped'));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(patches().length, 1);
+
+  await sharing.enable({ duration: 'tracking' });
+  window.dispatchEvent(new window.CustomEvent('gps-tracking-stopped'));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(patches()[2].share, false);
+  assert.equal(changes[changes.length - 1].change, 'tracking-stopped');
+  close();
+});
+
+test('the server has the last word, and offline changes are resent', async () => {
+  // Turned on from another device, with no expiry
+  const { window, sharing, server, patches, close } = loadSharing({ settings: { share: true, audience: 'everyone', precision: 'exact', expires_at: null } });
+  const synced = await sharing.sync();
+  assert.equal(synced.visible, true);
+  assert.equal(synced.state, 'on');
+  assert.equal(synced.precision, 'exact');
+  assert.equal(synced.duration, 'manual');
+
+  // Turning it off offline keeps showing the user as visible until it lands
+  server.offline = true;
+  const failed = await sharing.disable();
+  assert.equal(failed.kind, 'network');
+  const status = sharing.status();
+  assert.equal(status.state, 'off');
+  assert.equal(status.visible, true);
+  assert.equal(status.unsent, true);
+
+  server.offline = false;
+  window.dispatchEvent(new window.Event('online'));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(patches()[patches().length - 1].share, false);
+  assert.equal(sharing.status().visible, false);
+
+  // Turned off elsewhere
+  await sharing.enable();
+  server.settings = { share: false };
+  assert.equal((await sharing.sync()).state, 'off');
+  close();
+});
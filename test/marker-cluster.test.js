@@ -0,0 +1,208 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+// Just enough of Leaflet for ClusterLayer: markers, bounds and a map with a
+// Web Mercator projection and a movable view
+function fakeLeaflet(window) {
+  const toLatLng = (latlng) => Array.isArray(latlng) ? { lat: latlng[0], lng: latlng[1] } : latlng;
+
+  function latLngBounds(latlngs) {
+    const points = latlngs.map(toLatLng);
+    const bounds = {
+      south: Math.min(...points.map(p => p.lat)),
+      north: Math.max(...points.map(p => p.lat)),
+      west: Math.min(...points.map(p => p.lng)),
+      east: Math.max(...points.map(p => p.lng)),
+      contains(latlng) {
+        const p = toLatLng(latlng);
+        return p.lat >= bounds.south && p.lat <= bounds.north && p.lng >= bounds.west && p.lng <= bounds.east;
+      },
+      pad(ratio) {
+        const dLat = (bounds.north - bounds.south) * ratio;
+        const dLng = (bounds.east - bounds.west) * ratio;
+        return latLngBounds([[bounds.south - dLat, bounds.west - dLng], [bounds.north + dLat, bounds.east + dLng]]);
+      }
+    };
+    return bounds;
+  }
+
+  function marker(latlng, options = {}) {
+    const handlers = {};
+    const m = {
+      options,
+      latlng: toLatLng(latlng),
+      map: null,
+      addTo(map) { m.map = map; map.layers.add(m); return m; },
+      remove() { if (m.map) m.map.layers.delete(m); m.map = null; return m; },
+      setLatLng(value) { m.latlng = toLatLng(value); return m; },
+      setIcon(icon) { m.options.icon = icon; return m; },
+      on(type, fn) { handlers[type] = fn; return m; },
+      fire(type) { handlers[type](); }
+    };
+    return m;
+  }
+
+  window.L = {
+    marker,
+    latLngBounds,
+    divIcon: (options) => options
+  };
+
+  // A 400 x 400 px map
+  return function createMap(center, zoom) {
+    const handlers = {};
+    const project = (latlng, z) => {
+      const p = toLatLng(latlng);
+      const scale = 256 * Math.pow(2, z);
+      const sin = Math.sin(p.lat * Math.PI / 180);
+      return {
+        x: (p.lng + 180) / 360 * scale,
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+      };
+    };
+    const unproject = (point, z) => {
+      const scale = 256 * Math.pow(2, z);
+      const n = Math.PI - 2 * Math.PI * point.y / scale;
+      return { lat: 180 / Math.PI * Math.atan(Math.sinh(n)), lng: point.x / scale * 360 - 180 };
+    };
+
+    const map = {
+      layers: new Set(),
+      center,
+      zoom,
+      on(type, fn) { handlers[type] = fn; },
+      off(type) { delete handlers[type]; },
+      hasLayer: (layer) => map.layers.has(layer),
+      getZoom: () => map.zoom,
+      project,
+      getBounds() {
+        const c = project(map.center, map.zoom);
+        return latLngBounds([
+          unproject({ x: c.x - 200, y: c.y + 200 }, map.zoom),
+          unproject({ x: c.x + 200, y: c.y - 200 }, map.zoom)
+        ].map(p => [p.lat, p.lng]));
+      },
+      setView(latlng, z) {
+        map.center = latlng;
+        map.zoom = z;
+        if (handlers.moveend) handlers.moveend();
+      },
+      fitBounds(bounds) {
+        map.fitted = bounds;
+      }
+    };
+    return map;
+  };
+}
+
+function loadLayer(options) {
+  let createMap;
+  const browser = createBrowser({
+    beforeScripts: (window) => { createMap = fakeLeaflet(window); },
+    scripts: ['marker-cluster.js']
+  });
+
+  const created = [];
+  const updated = [];
+  const layer = new browser.window.ClusterLayer(Object.assign({
+    createMarker: (item) => {
+      const marker = browser.window.L.marker([item.latitude, item.longitude]);
+      marker.itemId = item.id;
+      created.push(item.id);
+      return marker;
+    },
+    updateMarker: (marker, item) => updated.push(item.id)
+  }, options));
+  const map = createMap([33.51, 36.29], 14);
+  layer.addTo(map);
+  return Object.assign(browser, { layer, map, created, updated });
+}
+
+const onMap = (map) => [...map.layers];
+const singles = (map) => onMap(map).filter(m => m.itemId).map(m => m.itemId).sort();
+const clusterCounts = (map) => onMap(map).filter(m => !m.itemId).map(m => m.count).sort();
+
+test('items close together at the current zoom become one cluster', () => {
+  const { layer, map, close } = loadLayer();
+  layer.setItems([
+    { id: 'a', latitude: 33.5100, longitude: 36.2900 },
+    { id: 'b', latitude: 33.5101, longitude: 36.2901 },
+    { id: 'c', latitude: 33.5102, longitude: 36.2899 },
+    { id: 'd', latitude: 33.5200, longitude: 36.3000 }
+  ]);
+
+  assert.deepEqual(singles(map), ['d']);
+  assert.deepEqual(clusterCounts(map), [3]);
+
+  // Clicking the cluster zooms to its members
+  const cluster = onMap(map).find(m => !m.itemId);
+  cluster.fire('click');
+  assert.ok(map.fitted.contains([33.5101, 36.2901]));
+
+  // Past maxClusterZoom every item has its own marker; d is now off-screen
+  map.setView([33.51, 36.29], 17);
+  assert.deepEqual(singles(map), ['a', 'b', 'c']);
+  assert.deepEqual(clusterCounts(map), []);
+  close();
+});
+
+test('only items near the viewport are put on the map', () => {
+  const { layer, map, created, close } = loadLayer();
+  layer.setItems([
+    { id: 'old-city', latitude: 33.5110, longitude: 36.3060 },
+    { id: 'aleppo', latitude: 36.2021, longitude: 37.1343 }
+  ]);
+
+  assert.deepEqual(singles(map), ['old-city']);
+  assert.deepEqual(created, ['old-city']);
+
+  map.setView([36.2021, 37.1343], 14);
+  assert.deepEqual(singles(map), ['aleppo']);
+  close();
+});
+
+test('updates move existing markers instead of recreating them', () => {
+  const { layer, map, created, updated, close } = loadLayer();
+  const first = { id: 'rami', latitude: 33.5100, longitude: 36.2900 };
+  layer.setItems([first, { id: 'lina', latitude: 33.5150, longitude: 36.2950 }]);
+  const marker = layer.getMarker('rami');
+
+  layer.setItems([first, { id: 'lina', latitude: 33.5160, longitude: 36.2950 }]);
+  assert.deepEqual(created, ['rami', 'lina']);
+  assert.deepEqual(updated, ['lina']);
+  assert.equal(layer.getMarker('lina').latlng.lat, 33.5160);
+  assert.strictEqual(layer.getMarker('rami'), marker);
+
+  // Items that are gone lose their marker
+  layer.setItems([first]);
+  assert.deepEqual(singles(map), ['rami']);
+  assert.equal(layer.getMarker('lina'), null);
+  close();
+});
+
+test('a hidden layer keeps its items and shows them again', () => {
+  const { layer, map, close } = loadLayer();
+  layer.setItems([
+    { id: 'a', latitude: 33.5100, longitude: 36.2900 },
+    { id: 'b', latitude: 33.5101, longitude: 36.2901 },
+    { id: 'c', latitude: 33.5200, longitude: 36.3000 }
+  ]);
+
+  layer.setVisible(false);
+  assert.equal(onMap(map).length, 0);
+  layer.setItems(layer.getItems().concat({ id: 'd', latitude: 33.5000, longitude: 36.2800 }));
+  assert.equal(onMap(map).length, 0);
+
+  layer.setVisible(true);
+  assert.deepEqual(singles(map), ['c', 'd']);
+  assert.deepEqual(clusterCounts(map), [2]);
+
+  // Revealing a clustered item zooms in far enough to show it alone
+  const marker = layer.reveal('a');
+  assert.ok(marker);
+  assert.equal(map.zoom, 17);
+  close();
+});
@@ -0,0 +1,164 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, makeToken } = require('./helpers/browser');
+
+// The old city of Damascus, roughly 1.5 x 1 km
+const OLD_CITY = { north: 33.5140, south: 33.5040, east: 36.3150, west: 36.2990 };
+
+// A tile server whose terms allow downloading areas
+const TILES = { url: 'http://tiles.test/{z}/{x}/{y}.png', attribution: 'Test tiles', maxZoom: 19, bulkDownload: true };
+
+// Cache Storage kept in Maps
+function fakeCaches() {
+  const stores = new Map();
+  return {
+    stores,
+    open: async (name) => {
+      if (!stores.has(name)) {
+        const entries = new Map();
+        stores.set(name, {
+          entries,
+          match: async (url) => entries.get(url),
+          put: async (url, response) => { entries.set(url, response); }
+        });
+      }
+      return stores.get(name);
+    },
+    delete: async (name) => stores.delete(name)
+  };
+}
+
+function loadOffline(handler, options, tiles = TILES) {
+  const caches = fakeCaches();
+  const requested = [];
+  const fetch = async (url) => {
+    requested.push(url);
+    const status = handler ? handler(url) : 200;
+    if (status === 'network') throw new TypeError('Failed to fetch');
+    const response = { ok: status === 200, status, blob: async () => ({ size: 1000 }) };
+    response.clone = () => response;
+    return response;
+  };
+  const browser = createBrowser({
+    fetch,
+    beforeScripts: (window) => {
+      window.caches = caches;
+      window.TILE_SOURCE = tiles;
+    },
+    scripts: ['offline.js']
+  });
+  const offline = new browser.window.OfflineMaps(options);
+  return Object.assign(browser, { offline, caches, requested });
+}
+
+test('tiles follow the slippy map numbering', () => {
+  const { offline, close } = loadOffline();
+  assert.deepEqual(offline.tilesFor(OLD_CITY, 0, 1), [{ z: 0, x: 0, y: 0 }, { z: 1, x: 1, y: 0 }]);
+
+  // Damascus at zoom 12
+  assert.deepEqual(offline.tilesFor(OLD_CITY, 12, 12), [{ z: 12, x: 2461, y: 1642 }, { z: 12, x: 2461, y: 1643 }]);
+  assert.equal(offline.tileUrl({ z: 12, x: 2461, y: 1642 }), 'http://tiles.test/12/2461/1642.png');
+  close();
+});
+
+test('the estimate counts tiles without listing them and enforces the cap', () => {
+  const { offline, close } = loadOffline(null, { maxTiles: 100 });
+  const estimate = offline.estimate(OLD_CITY, 12, 17);
+  assert.equal(estimate.tiles, offline.tilesFor(OLD_CITY, 12, 17).length);
+  assert.equal(estimate.bytes, estimate.tiles * 15 * 1024);
+  assert.equal(estimate.allowed, estimate.tiles <= 100);
+
+  assert.equal(offline.estimate(OLD_CITY, 12, 15).allowed, true);
+  assert.equal(offline.estimate({ north: 34, south: 33, east: 37, west: 36 }, 12, 17).allowed, false);
+  close();
+});
+
+test('downloading an area caches each tile once and records the area', async () => {
+  let failing = null;
+  const { window, offline, caches, requested, close } = loadOffline(url => (url === failing ? 'network' : 200));
+  const progress = [];
+
+  const tiles = offline.tilesFor(OLD_CITY, 14, 15);
+  const total = tiles.length;
+  failing = offline.tileUrl(tiles[total - 1]);
+  const result = await offline.downloadArea(OLD_CITY, 14, 15, { onProgress: p => progress.push(p) });
+  assert.equal(result.tiles, total);
+  assert.equal(result.failed, 1);
+  assert.equal(result.saved, total - 1);
+  assert.equal(result.bytes, (total - 1) * 1000);
+  assert.deepEqual(progress[progress.length - 1], { done: total, total, failed: 1 });
+  assert.equal(caches.stores.get('st-tiles-offline').entries.size, total - 1);
+
+  const areas = offline.getAreas();
+  assert.equal(areas.length, 1);
+  assert.deepEqual(areas[0].bounds, OLD_CITY);
+
+  // A second run only fetches what is missing
+  requested.length = 0;
+  await offline.downloadArea(OLD_CITY, 14, 15);
+  assert.deepEqual(requested, [failing]);
+
+  await offline.clearAreas();
+  assert.equal(caches.stores.has('st-tiles-offline'), false);
+  assert.equal(window.localStorage.getItem('st_offline_areas'), null);
+  close();
+});
+
+test('nothing is downloaded from a tile server that does not allow it', async () => {
+  const osm = Object.assign({}, TILES, { url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png', bulkDownload: false });
+  const { offline, requested, close } = loadOffline(null, null, osm);
+  assert.equal(offline.canDownload(), false);
+  // The size of the area is still shown
+  assert.ok(offline.estimate(OLD_CITY, 14, 15).tiles > 0);
+
+  const result = await offline.downloadArea(OLD_CITY, 14, 15);
+  assert.equal(result.kind, 'not-allowed');
+  assert.equal(requested.length, 0);
+  assert.deepEqual(offline.getAreas(), []);
+  close();
+});
+
+test('oversized and cancelled downloads save nothing', async () => {
+  const { window, offline, requested, close } = loadOffline(null, { maxTiles: 10 });
+  const tooBig = await offline.downloadArea(OLD_CITY, 12, 17);
+  assert.match(tooBig.error, /at most 10/);
+  assert.equal(tooBig.kind, 'too-big');
+  assert.equal(requested.length, 0);
+
+  const controller = new window.AbortController();
+  controller.abort();
+  const cancelled = await offline.downloadArea(OLD_CITY, 12, 13, { signal: controller.signal });
+  assert.equal(cancelled.error, 'Download cancelled');
+  assert.equal(cancelled.kind, 'cancelled');
+  assert.equal(requested.length, 0);
+  assert.deepEqual(offline.getAreas(), []);
+  close();
+});
+
+test('the service worker is lent the token only while the session is valid', () => {
+  const sent = [];
+  const { window, close } = createBrowser({
+    scripts: ['api.js', 'offline.js'],
+    beforeScripts(window) {
+      const worker = new window.EventTarget();
+      worker.register = async () => ({});
+      Object.defineProperty(window.navigator, 'serviceWorker', { value: worker });
+    }
+  });
+  const ask = () => {
+    const event = new window.Event('message');
+    event.data = { type: 'session-token' };
+    event.ports = [{ postMessage: (message) => sent.push(message) }];
+    window.navigator.serviceWorker.dispatchEvent(event);
+  };
+
+  const token = makeToken(Date.now() + 60 * 60 * 1000);
+  window.api.setToken(token);
+  ask();
+  window.localStorage.setItem(window.TOKEN_KEY, makeToken(Date.now() - 1000));
+  ask();
+  assert.deepEqual(sent, [{ token }, { token: null }]);
+  close();
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+// A marker segment: FF, marker, 2-byte length (counting itself), payload
+function segment(marker, payload) {
+  const length = payload.length + 2;
+  return [0xFF, marker, length >> 8, length & 0xFF, ...payload];
+}
+
+const ascii = text => Array.from(text, c => c.charCodeAt(0));
+
+// A JPEG-shaped byte string with EXIF (and its GPS), a comment and image data
+const JFIF = segment(0xE0, ascii('JFIF\0'));
+const EXIF = segment(0xE1, ascii('Exif\0\0GPS 33.5112 36.3060'));
+const COMMENT = segment(0xFE, ascii('taken by me'));
+const QUANT = segment(0xDB, [0, 1, 2, 3]);
+const SCAN = [...segment(0xDA, [1, 2, 3]), 0x12, 0x34, 0xFF, 0x00, 0x56, 0xFF, 0xD9];
+const PHOTO = [0xFF, 0xD8, ...JFIF, ...EXIF, ...COMMENT, ...QUANT, ...SCAN];
+
+// jsdom's Blob has no arrayBuffer(), so photos are file-like objects
+function photoFile(bytes, name = 'photo.jpg') {
+  const data = Uint8Array.from(bytes);
+  return { name, size: data.length, type: 'image/jpeg', arrayBuffer: async () => data.buffer };
+}
+
+// options.bitmap: the decoded size, or an Error for a photo the browser cannot decode;
+// options.canvas: false for a browser without OffscreenCanvas
+function loadPhotoPrep(options = {}) {
+  const bitmaps = [];
+  const canvases = [];
+  const browser = createBrowser({
+    scripts: ['photo-prep.js'],
+    beforeScripts(window) {
+      window.createImageBitmap = async (file, settings) => {
+        if (options.bitmap instanceof Error) throw options.bitmap;
+        const bitmap = { file, settings, ...(options.bitmap || { width: 4000, height: 3000 }), closed: false, close() { this.closed = true; } };
+        bitmaps.push(bitmap);
+        return bitmap;
+      };
+      if (options.canvas !== false) {
+        window.OffscreenCanvas = class {
+          constructor(width, height) {
+            this.width = width;
+            this.height = height;
+            this.calls = [];
+            canvases.push(this);
+          }
+
+          getContext() {
+            const calls = this.calls;
+            return {
+              fillRect: (...args) => calls.push(['fillRect', ...args]),
+              drawImage: (...args) => calls.push(['drawImage', ...args])
+            };
+          }
+
+          async convertToBlob(settings) {
+            this.settings = settings;
+            return new window.Blob([new Uint8Array(1234)], { type: settings.type });
+          }
+        };
+      }
+    }
+  });
+  return Object.assign(browser, { PhotoPrep: browser.window.PhotoPrep, bitmaps, canvases });
+}
+
+function readBytes(window, blob) {
+  return new Promise(resolve => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(Array.from(new Uint8Array(reader.result)));
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+test('photos are scaled down to fit, never up', () => {
+  const { PhotoPrep, close } = loadPhotoPrep();
+
+  assert.deepEqual(PhotoPrep.fitWithin(4000, 3000, 1600), { width: 1600, height: 1200 });
+  assert.deepEqual(PhotoPrep.fitWithin(3000, 4000, 800), { width: 600, height: 800 });
+  assert.deepEqual(PhotoPrep.fitWithin(640, 480, 1600), { width: 640, height: 480 });
+  assert.deepEqual(PhotoPrep.fitWithin(10000, 10, 800), { width: 800, height: 1 });
+  close();
+});
+
+test('JPEG metadata segments are cut and the image data kept', () => {
+  const { PhotoPrep, close } = loadPhotoPrep();
+
+  const stripped = PhotoPrep.stripJpegMetadata(Uint8Array.from(PHOTO));
+  assert.deepEqual(Array.from(stripped), [0xFF, 0xD8, ...JFIF, ...QUANT, ...SCAN]);
+  assert.ok(!Buffer.from(stripped).includes('GPS'));
+
+  assert.throws(() => PhotoPrep.stripJpegMetadata(Uint8Array.from(ascii('\x89PNG\r\n'))), /Not a JPEG/);
+  close();
+});
+
+test('photos are redrawn upright at the chosen size and recompressed', async () => {
+  const { PhotoPrep, bitmaps, canvases, close } = loadPhotoPrep();
+  const file = photoFile(PHOTO);
+  file.size = 6 * 1024 * 1024;
+
+  const result = await PhotoPrep.preparePhoto(file, { maxDimension: 1280, quality: 0.8 });
+  assert.equal(result.width, 1280);
+  assert.equal(result.height, 960);
+  assert.equal(result.originalSize, 6 * 1024 * 1024);
+  assert.equal(result.size, 1234);
+  assert.equal(result.resized, true);
+  assert.equal(result.blob.type, 'image/jpeg');
+
+  assert.equal(bitmaps[0].file, file);
+  assert.deepEqual(bitmaps[0].settings, { imageOrientation: 'from-image' });
+  assert.equal(bitmaps[0].closed, true);
+
+  // White first, so transparent PNGs don't turn black as JPEGs
+  assert.equal(canvases[0].width, 1280);
+  assert.deepEqual(canvases[0].calls, [['fillRect', 0, 0, 1280, 960], ['drawImage', bitmaps[0], 0, 0, 1280, 960]]);
+  assert.deepEqual(canvases[0].settings, { type: 'image/jpeg', quality: 0.8 });
+  close();
+
+  const small = loadPhotoPrep({ bitmap: { width: 640, height: 480 } });
+  const kept = await small.PhotoPrep.preparePhoto(photoFile(PHOTO));
+  assert.deepEqual([kept.width, kept.height, kept.resized], [640, 480, false]);
+  small.close();
+});
+
+test('a photo the browser cannot redraw is sent without its metadata', async () => {
+  const { window, PhotoPrep, close } = loadPhotoPrep({ bitmap: new Error('Unsupported image'), canvas: false });
+
+  const result = await PhotoPrep.preparePhoto(photoFile(PHOTO));
+  assert.equal(result.resized, false);
+  assert.equal(result.width, null);
+  assert.equal(result.size, PHOTO.length - EXIF.length - COMMENT.length);
+  assert.deepEqual(await readBytes(window, result.blob), [0xFF, 0xD8, ...JFIF, ...QUANT, ...SCAN]);
+
+  // Anything else that cannot be decoded is refused rather than sent as is
+  const unreadable = await PhotoPrep.preparePhoto(photoFile(ascii('GIF89a....'), 'anim.gif'));
+  assert.equal(unreadable.kind, 'unsupported');
+  close();
+});
+
+test('blobs become data URLs for the gallery', async () => {
+  const { window, PhotoPrep, close } = loadPhotoPrep();
+
+  const url = await PhotoPrep.toDataURL(new window.Blob([new Uint8Array([0xFF, 0xD8, 0xFF])], { type: 'image/jpeg' }));
+  assert.equal(url, 'data:image/jpeg;base64,/9j/');
+  close();
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, makePosition } = require('./helpers/browser');
+
+function createFilter(options) {
+  const browser = createBrowser({ scripts: ['geo.js', 'position-filter.js'] });
+  return { filter: new browser.window.PositionFilter(options), close: () => browser.close() };
+}
+
+const fix = (latitude, longitude, seconds, accuracy = 10) =>
+  makePosition(latitude, longitude, { timestamp: seconds * 1000, coords: { accuracy } });
+
+test('fixes coarser than maxAccuracy are rejected', () => {
+  const { filter, close } = createFilter({ maxAccuracy: 50 });
+
+  const result = filter.process(fix(33.5117, 36.3064, 0, 800));
+  assert.equal(result.accepted, false);
+  assert.equal(result.reason, 'accuracy');
+  assert.equal(result.filtered, null);
+
+  assert.equal(filter.process(fix(33.5117, 36.3064, 1, 50)).accepted, true);
+  close();
+});
+
+test('the first fix passes through unchanged', () => {
+  const { filter, close } = createFilter();
+  const result = filter.process(fix(33.5117, 36.3064, 0, 12));
+
+  assert.equal(result.accepted, true);
+  assert.equal(result.filtered.coords.latitude, 33.5117);
+  assert.equal(result.filtered.coords.longitude, 36.3064);
+  assert.equal(result.filtered.coords.accuracy, 12);
+  assert.equal(result.filtered.timestamp, 0);
+  close();
+});
+
+test('implied speed above maxSpeed is rejected, allowing for accuracy', () => {
+  const { filter, close } = createFilter({ maxSpeed: 50 });
+  filter.process(fix(33.5000, 36.3000, 0));
+
+  // ~1.1 km in 10 s
+  const jump = filter.process(fix(33.5100, 36.3000, 10));
+  assert.equal(jump.reason, 'speed');
+  assert.ok(jump.speed > 100);
+
+  // ~1.1 km in 60 s is a car, not a glitch
+  assert.equal(filter.process(fix(33.5100, 36.3000, 60)).accepted, true);
+
+  // 120 m in one second, but inside two 100 m error circles
+  const { filter: coarse, close: closeCoarse } = createFilter({ maxAccuracy: 200 });
+  coarse.process(fix(33.5000, 36.3000, 0, 100));
+  assert.equal(coarse.process(fix(33.5011, 36.3000, 1, 100)).accepted, true);
+  closeCoarse();
+  close();
+});
+
+test('repeated agreeing jumps reset the track instead of locking it', () => {
+  const { filter, close } = createFilter({ maxRejections: 3 });
+  filter.process(fix(33.5000, 36.3000, 0));
+
+  assert.equal(filter.process(fix(33.6000, 36.3000, 1)).accepted, false);
+  assert.equal(filter.process(fix(33.6000, 36.3000, 2)).accepted, false);
+  const third = filter.process(fix(33.6000, 36.3000, 3));
+
+  assert.equal(third.accepted, true);
+  assert.equal(third.filtered.coords.latitude, 33.6);
+  close();
+});
+
+test('smoothing weighs fixes by accuracy and shrinks uncertainty', () => {
+  const { filter, close } = createFilter({ processNoise: 1 });
+  filter.process(fix(33.5000, 36.3000, 0, 10));
+
+  // An equally accurate fix a second later lands about halfway
+  const next = filter.process(fix(33.5002, 36.3000, 1, 10));
+  const moved = (next.filtered.coords.latitude - 33.5) / 0.0002;
+  assert.ok(moved > 0.45 && moved < 0.6, `moved ${moved}`);
+  assert.ok(next.filtered.coords.accuracy < 10);
+
+  // A much less accurate fix barely moves the estimate
+  const before = next.filtered.coords.latitude;
+  const noisy = filter.process(fix(33.5006, 36.3000, 2, 90));
+  assert.ok(noisy.filtered.coords.latitude - before < 0.0006 * 0.05);
+
+  // Raw fix stays available alongside
+  assert.equal(noisy.raw.coords.latitude, 33.5006);
+  close();
+});
+
+test('jitter around a fixed point is damped', () => {
+  const { filter, close } = createFilter();
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 - 0.5;
+  };
+
+  let rawError = 0;
+  let filteredError = 0;
+  for (let i = 0; i < 60; i++) {
+    const latitude = 33.5 + random() * 0.0004; // ±22 m
+    const result = filter.process(fix(latitude, 36.3, i, 20));
+    if (i >= 10) {
+      rawError += Math.abs(latitude - 33.5);
+      filteredError += Math.abs(result.filtered.coords.latitude - 33.5);
+    }
+  }
+
+  assert.ok(filteredError < rawError / 2, `filtered ${filteredError} vs raw ${rawError}`);
+  close();
+});
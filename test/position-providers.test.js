@@ -0,0 +1,170 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+function loadProviders() {
+  const browser = createBrowser({ scripts: ['geo.js', 'position-providers.js'] });
+  return Object.assign(browser, { Providers: browser.window.PositionProviders });
+}
+
+// Two points ~111 m apart along a meridian
+const ROUTE = [[33.5000, 36.3000], [33.5010, 36.3000]];
+
+test('the route simulator walks the polyline at the given speed', async () => {
+  const { Providers, clock, close } = loadProviders();
+  const provider = new Providers.RoutePositionProvider(ROUTE, { speed: 10, interval: 1000 });
+  const fixes = [];
+
+  provider.watchPosition(position => fixes.push(position));
+  await clock.tick();
+  assert.equal(fixes.length, 1);
+  assert.equal(fixes[0].coords.latitude, 33.5);
+
+  await clock.tick(5000);
+  assert.equal(fixes.length, 6);
+  const last = fixes[5].coords;
+  assert.ok(Math.abs(last.latitude - 33.50045) < 0.00001, `unexpected latitude ${last.latitude}`);
+  assert.equal(last.speed, 10);
+  assert.ok(last.heading < 0.001 || last.heading > 359.999);
+  assert.equal(last.accuracy, 10);
+  close();
+});
+
+test('a finished route stops and announces it unless looping', async () => {
+  const { Providers, window, clock, close } = loadProviders();
+  const provider = new Providers.RoutePositionProvider(ROUTE, { speed: 100, interval: 1000 });
+  const fixes = [];
+  let finished = 0;
+  window.addEventListener('gps-provider-finished', () => finished++);
+
+  provider.watchPosition(position => fixes.push(position));
+  await clock.tick(5000);
+
+  assert.equal(finished, 1);
+  assert.equal(provider.timer, null);
+  assert.equal(provider.getProgress(), 1);
+  const end = fixes[fixes.length - 1].coords;
+  assert.equal(end.latitude, 33.501);
+  assert.equal(end.speed, 0);
+
+  const looping = new Providers.RoutePositionProvider(ROUTE, { speed: 100, interval: 1000, loop: true });
+  looping.watchPosition(() => {});
+  await clock.tick(5000);
+  assert.ok(looping.timer);
+  looping.stop();
+  assert.equal(clock.pending(), 0);
+  close();
+});
+
+test('noise scatters fixes around the route', async () => {
+  const { Providers, close } = loadProviders();
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const provider = new Providers.RoutePositionProvider(ROUTE, { speed: 0, noise: 20, random });
+
+  const offsets = [];
+  for (let i = 0; i < 200; i++) {
+    const { latitude } = provider.sample(0).position.coords;
+    offsets.push((latitude - 33.5) * 111320);
+  }
+  const mean = offsets.reduce((a, b) => a + b, 0) / offsets.length;
+  const sd = Math.sqrt(offsets.reduce((a, b) => a + (b - mean) * (b - mean), 0) / offsets.length);
+
+  assert.ok(Math.abs(mean) < 5, `mean offset ${mean}`);
+  assert.ok(sd > 15 && sd < 25, `standard deviation ${sd}`);
+  close();
+});
+
+test('replay keeps the recorded spacing, sped up', async () => {
+  const { Providers, clock, close } = loadProviders();
+  const provider = new Providers.ReplayPositionProvider([
+    { latitude: 33.50, longitude: 36.30, timestamp: '2024-05-01T10:00:00Z' },
+    { latitude: 33.51, longitude: 36.30, timestamp: '2024-05-01T10:00:10Z' },
+    { latitude: 33.52, longitude: 36.30, timestamp: '2024-05-01T10:00:20Z' }
+  ], { speedFactor: 5, interval: 1000 });
+  const fixes = [];
+
+  provider.watchPosition(position => fixes.push(position));
+  await clock.tick();
+  assert.deepEqual(fixes.map(p => p.coords.latitude), [33.50]);
+
+  // 10 recorded seconds pass in 2 real seconds
+  await clock.tick(1000);
+  assert.equal(fixes.length, 1);
+  await clock.tick(1000);
+  assert.deepEqual(fixes.map(p => p.coords.latitude), [33.50, 33.51]);
+  assert.equal(fixes[1].recordedAt, Date.parse('2024-05-01T10:00:10Z'));
+
+  await clock.tick(2000);
+  assert.deepEqual(fixes.map(p => p.coords.latitude), [33.50, 33.51, 33.52]);
+  assert.equal(provider.finished, true);
+  close();
+});
+
+test('parses GPX track points', () => {
+  const { Providers, close } = loadProviders();
+  const gpx = `<?xml version="1.0"?>
+    <gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+      <trk><trkseg>
+        <trkpt lat="33.5117" lon="36.3064"><ele>690</ele><time>2024-05-01T10:00:00Z</time></trkpt>
+        <trkpt lat="33.5108" lon="36.3048"><ele>688</ele><time>2024-05-01T10:01:00Z</time></trkpt>
+      </trkseg></trk>
+    </gpx>`;
+
+  const provider = Providers.ReplayPositionProvider.fromGPX(gpx);
+  assert.equal(provider.points.length, 2);
+  assert.deepEqual(
+    { latitude: provider.points[1].latitude, longitude: provider.points[1].longitude, altitude: provider.points[1].altitude },
+    { latitude: 33.5108, longitude: 36.3048, altitude: 688 }
+  );
+  assert.equal(provider.getDuration(), 60000);
+
+  assert.throws(() => Providers.parseGPX('<gpx><trkpt'), /Not a valid GPX file/);
+  close();
+});
+
+test('parses GeoJSON lines with coordTimes and timed points', () => {
+  const { Providers, close } = loadProviders();
+
+  const line = Providers.parseGeoJSON(JSON.stringify({
+    type: 'Feature',
+    properties: { coordTimes: ['2024-05-01T10:00:00Z', '2024-05-01T10:00:30Z'] },
+    geometry: { type: 'LineString', coordinates: [[36.3064, 33.5117, 690], [36.3048, 33.5108]] }
+  }));
+  assert.deepEqual(line, [
+    { latitude: 33.5117, longitude: 36.3064, altitude: 690, timestamp: '2024-05-01T10:00:00Z' },
+    { latitude: 33.5108, longitude: 36.3048, altitude: null, timestamp: '2024-05-01T10:00:30Z' }
+  ]);
+
+  const points = Providers.parseGeoJSON({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { time: '2024-05-01T10:00:05Z' }, geometry: { type: 'Point', coordinates: [36.30, 33.51] } },
+      { type: 'Feature', properties: { time: '2024-05-01T10:00:00Z' }, geometry: { type: 'Point', coordinates: [36.30, 33.50] } }
+    ]
+  });
+  const provider = new Providers.ReplayPositionProvider(points);
+  assert.deepEqual(provider.points.map(p => p.latitude), [33.50, 33.51]);
+  close();
+});
+
+test('history replay plays /me/locations oldest first', () => {
+  const { Providers, close } = loadProviders();
+  const provider = Providers.ReplayPositionProvider.fromHistory({
+    locations: [
+      { id: 2, latitude: 33.51, longitude: 36.30, timestamp: '2024-05-01T10:05:00Z' },
+      { id: 1, latitude: 33.50, longitude: 36.30, timestamp: '2024-05-01T10:00:00Z' },
+      { id: 3, latitude: null, longitude: 36.30, timestamp: '2024-05-01T10:06:00Z' }
+    ]
+  });
+
+  assert.equal(provider.name, 'history');
+  assert.deepEqual(provider.points.map(p => p.latitude), [33.50, 33.51]);
+  assert.equal(provider.getDuration(), 300000);
+  close();
+});
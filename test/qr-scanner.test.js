@@ -0,0 +1,151 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+// options.results: what each detect() call finds, in order (null = nothing);
+// options.formats: what BarcodeDetector reads, or null for no BarcodeDetector;
+// options.camera: getUserMedia's answer, an Error to refuse, or null for no camera
+function loadScanner(options = {}) {
+  const results = (options.results || []).slice();
+  const tracks = [];
+  const detected = [];
+
+  const browser = createBrowser({
+    scripts: ['qr-scanner.js'],
+    beforeScripts(window) {
+      if (options.formats !== null) {
+        window.BarcodeDetector = class {
+          static async getSupportedFormats() {
+            return options.formats || ['qr_code', 'ean_13'];
+          }
+
+          async detect(source) {
+            detected.push(source);
+            const text = results.length ? results.shift() : null;
+            return text ? [{ rawValue: text, format: 'qr_code' }] : [];
+          }
+        };
+      }
+      if (options.camera !== null) {
+        Object.defineProperty(window.navigator, 'mediaDevices', {
+          configurable: true,
+          value: {
+            getUserMedia: async (constraints) => {
+              if (options.camera instanceof Error) throw options.camera;
+              const track = { constraints, stopped: false, stop() { this.stopped = true; } };
+              tracks.push(track);
+              return { getTracks: () => [track] };
+            }
+          }
+        });
+      }
+      window.createImageBitmap = async (file) => ({ file, width: 4000, height: 3000, closed: false, close() { this.closed = true; } });
+    }
+  });
+
+  const video = { readyState: 4, attributes: {}, setAttribute(name, value) { this.attributes[name] = value; }, play: async () => {} };
+  const scanner = new browser.window.QRScanner();
+  return Object.assign(browser, { scanner, video, tracks, detected });
+}
+
+test('the camera is scanned frame by frame until a code shows up', async () => {
+  const { scanner, video, tracks, detected, clock, close } = loadScanner({ results: [null, null, 'AZM25'] });
+  const codes = [];
+
+  const started = await scanner.start(video, text => codes.push(text));
+  assert.deepEqual(started, { scanning: true });
+  assert.equal(scanner.scanning, true);
+  assert.deepEqual(tracks[0].constraints, { video: { facingMode: 'environment' }, audio: false });
+  assert.equal(video.srcObject.getTracks()[0], tracks[0]);
+  assert.equal(video.attributes.playsinline, '');
+
+  await clock.tick(500);
+  assert.deepEqual(codes, []);
+  assert.equal(detected.length, 2);
+  assert.equal(detected[0], video);
+
+  // The camera is released before the code is handed over, and only once
+  await clock.tick(1000);
+  assert.deepEqual(codes, ['AZM25']);
+  assert.equal(tracks[0].stopped, true);
+  assert.equal(scanner.scanning, false);
+  assert.equal(detected.length, 3);
+  close();
+});
+
+test('stopping releases the camera and ends the scan', async () => {
+  const { scanner, video, tracks, detected, clock, close } = loadScanner({ results: [null, 'AZM25'] });
+  const codes = [];
+
+  await scanner.start(video, text => codes.push(text));
+  await clock.tick(250);
+  scanner.stop();
+  await clock.tick(5000);
+
+  assert.equal(tracks[0].stopped, true);
+  assert.equal(detected.length, 1);
+  assert.deepEqual(codes, []);
+  assert.equal(clock.pending(), 0);
+  close();
+});
+
+test('a refused or missing camera says why', async () => {
+  const denied = Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' });
+  const refused = loadScanner({ camera: denied });
+  assert.deepEqual(await refused.scanner.start(refused.video, () => {}), { error: 'Permission denied', kind: 'permission' });
+  assert.equal(refused.scanner.scanning, false);
+  refused.close();
+
+  const busy = loadScanner({ camera: Object.assign(new Error('Device in use'), { name: 'NotReadableError' }) });
+  assert.equal((await busy.scanner.start(busy.video, () => {})).kind, 'failed');
+  busy.close();
+
+  const noCamera = loadScanner({ camera: null });
+  assert.equal((await noCamera.scanner.start(noCamera.video, () => {})).kind, 'unsupported');
+  noCamera.close();
+});
+
+test('photos are scanned once and their bitmap released', async () => {
+  const { scanner, detected, close } = loadScanner({ results: ['https://smarttourist.example/map.html?code=AZM25', null] });
+
+  const found = await scanner.scanImage({ name: 'sign.jpg' });
+  assert.deepEqual(found, { text: 'https://smarttourist.example/map.html?code=AZM25' });
+  assert.equal(detected[0].file.name, 'sign.jpg');
+  assert.equal(detected[0].closed, true);
+
+  const blank = await scanner.scanImage({ name: 'wall.jpg' });
+  assert.equal(blank.kind, 'not-found');
+  close();
+});
+
+test('without a QR-capable BarcodeDetector the jsQR decoder is loaded once', async () => {
+  const { window, document, scanner, close } = loadScanner({ formats: ['ean_13'] });
+
+  const first = scanner.getDetector();
+  const second = scanner.loadDecoder();
+  await new Promise(resolve => setImmediate(resolve));
+  const scripts = document.head.querySelectorAll('script');
+  assert.equal(scripts.length, 1);
+  assert.equal(scripts[0].src, 'https://unpkg.com/jsqr@1.4.0/dist/jsQR.js');
+  assert.match(scripts[0].integrity, /^sha256-/);
+  assert.equal(scripts[0].crossOrigin, 'anonymous');
+
+  window.jsQR = () => null;
+  scripts[0].onload();
+  assert.equal(await second, window.jsQR);
+  assert.equal(typeof await first, 'function');
+  close();
+
+  // A failed load is reported, and retried on the next scan
+  const offline = loadScanner({ formats: null });
+  const result = offline.scanner.scanImage({ name: 'sign.jpg' });
+  await new Promise(resolve => setImmediate(resolve));
+  offline.document.head.querySelector('script').onerror();
+  assert.equal((await result).kind, 'unsupported');
+
+  offline.scanner.loadDecoder().catch(() => {});
+  assert.equal(offline.document.head.querySelectorAll('script').length, 2);
+  offline.close();
+});
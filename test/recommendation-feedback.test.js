@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+function loadFeedback(userId = 'u1') {
+  const browser = createBrowser({ scripts: ['i18n.js', 'recommendation-feedback.js'] });
+  const tracked = [];
+  const tracker = { track: (placeId, type, metadata) => tracked.push([placeId, type, metadata]) };
+  const feedback = new browser.window.RecommendationFeedback({ userId, tracker });
+  return Object.assign(browser, { feedback, tracker, tracked });
+}
+
+test('score components are explained strongest first', () => {
+  const { window, close } = loadFeedback();
+  const explanation = window.explainRecommendation({
+    name: 'Azm Palace',
+    distance_km: 0.42,
+    price_category: 'low',
+    rating: 4.6,
+    tags: ['historical', 'museum'],
+    scores: { preference: 0.65, distance: 0.96, budget: 1, popularity: 0.92 }
+  });
+
+  assert.equal(explanation.summary, 'Recommended mostly for your budget and how close it is.');
+  assert.deepEqual(explanation.reasons.map(r => [r.key, r.text]), [
+    ['budget', 'Fits your budget (low)'],
+    ['distance', 'Only 420 m away, about 5 min on foot'],
+    ['popularity', 'Highly rated by visitors (4.6/5)'],
+    ['preference', 'Matches your interests (historical, museum)']
+  ]);
+
+  const far = window.explainRecommendation({
+    distance_km: 8.4,
+    price_category: 'high',
+    scores: { preference: 0.3, distance: 0.16, budget: 0.4 }
+  });
+  assert.equal(far.summary, 'Recommended mostly for your budget.');
+  assert.deepEqual(far.reasons.map(r => r.text), [
+    'Pricier than your usual budget (high)',
+    'Not one of your usual interests',
+    '8.4 km away, a longer trip'
+  ]);
+
+  assert.deepEqual(window.explainRecommendation({ name: 'No scores' }).reasons, []);
+  close();
+});
+
+test('reactions are reported, remembered per user and toggle off', () => {
+  const { window, feedback, tracked, close } = loadFeedback();
+  const events = [];
+  window.addEventListener('recommendation-feedback', e => events.push(e.detail));
+
+  feedback.toggle('p1', 'liked');
+  feedback.react('p2', 'disliked', 'too_expensive');
+  feedback.react('p3', 'dismissed', 'been_before');
+  assert.equal(feedback.isDismissed('p3'), true);
+  assert.equal(feedback.isDismissed('p2'), false);
+
+  // Liking again takes the like back
+  assert.equal(feedback.toggle('p1', 'liked'), null);
+  assert.equal(feedback.get('p1'), null);
+
+  assert.deepEqual(tracked.map(([id, type, metadata]) => [id, type, metadata.reason]), [
+    ['p1', 'liked', undefined],
+    ['p2', 'disliked', 'too_expensive'],
+    ['p3', 'dismissed', 'been_before'],
+    ['p1', 'feedback_cleared', undefined]
+  ]);
+  assert.deepEqual(events.map(e => [e.placeId, e.reaction]), [['p1', 'liked'], ['p2', 'disliked'], ['p3', 'dismissed'], ['p1', null]]);
+
+  const again = new window.RecommendationFeedback({ userId: 'u1' });
+  assert.equal(again.get('p2').reason, 'too_expensive');
+  assert.equal(again.isDismissed('p3'), true);
+  assert.equal(new window.RecommendationFeedback({ userId: 'u2' }).get('p2'), null);
+
+  assert.throws(() => feedback.react('p4', 'loved'), /Unknown reaction/);
+  close();
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+// Server order is by score. Places along a meridian from the user at 33.50.
+const PLACES = [
+  { id: 'mosque', name: 'Umayyad Mosque', category: 'religious', latitude: 33.530, longitude: 36.30, price_category: 'free', rating: 4.9, score: 0.9, tags: ['ancient', 'historical'] },
+  { id: 'palace', name: 'Azm Palace', category: 'historical', latitude: 33.510, longitude: 36.30, price_category: 'low', rating: 4.6, score: 0.8, tags: ['museum'] },
+  { id: 'cafe', name: 'Café Nawfara', category: 'restaurant', description: 'Storytellers at night', latitude: 33.501, longitude: 36.30, price_category: 'low', rating: 4.2, score: 0.6, tags: ['food'] },
+  { id: 'souk', name: 'Souk al-Hamidiyya', category: 'market', latitude: 33.520, longitude: 36.30, price_category: 'medium', rating: 4.6, score: 0.5, tags: ['shopping'] },
+  { id: 'ruins', name: 'Old gate', latitude: 33.600, longitude: 36.30, price_category: 'free', score: 0.4, tags: ['ancient'] }
+];
+const HERE = { latitude: 33.50, longitude: 36.30 };
+
+function loadFilters() {
+  const browser = createBrowser({ scripts: ['geo.js', 'recommendation-filters.js'] });
+  const filters = new browser.window.RecommendationFilters();
+  const ids = (position = HERE) => filters.apply(PLACES, position).map(place => place.id);
+  return Object.assign(browser, { filters, ids });
+}
+
+test('places fall into the categories their markers show', () => {
+  const { window, close } = loadFilters();
+  const { placeCategory } = window.RecommendationFilters;
+  assert.deepEqual(PLACES.map(placeCategory), ['religious', 'historical', 'food', 'shopping', 'historical']);
+  assert.equal(placeCategory({ category: 'Castle', tags: [] }), 'castle');
+  assert.equal(placeCategory({ name: 'Somewhere' }), 'other');
+  close();
+});
+
+test('filters narrow the list and sorting reorders it', () => {
+  const { filters, ids, close } = loadFilters();
+  assert.deepEqual(ids(), ['mosque', 'palace', 'cafe', 'souk', 'ruins']);
+  assert.equal(filters.isActive(), false);
+
+  filters.set({ categories: ['historical', 'food'] });
+  assert.deepEqual(ids(), ['palace', 'cafe', 'ruins']);
+  filters.set({ prices: ['low'] });
+  assert.deepEqual(ids(), ['palace', 'cafe']);
+  filters.set({ minRating: 4.5 });
+  assert.deepEqual(ids(), ['palace']);
+  assert.equal(filters.isActive(), true);
+
+  filters.reset();
+  filters.set({ maxDistance: 5 });
+  assert.deepEqual(ids(), ['mosque', 'palace', 'cafe', 'souk']);
+
+  filters.set({ maxDistance: null, sort: 'distance' });
+  assert.deepEqual(ids(), ['cafe', 'palace', 'souk', 'mosque', 'ruins']);
+
+  // Unrated places go last; ties keep the server's order
+  filters.set({ sort: 'rating' });
+  assert.deepEqual(ids(), ['mosque', 'palace', 'souk', 'cafe', 'ruins']);
+  close();
+});
+
+test('without a position the backend distance is used and unknown ones are kept', () => {
+  const { filters, close } = loadFilters();
+  filters.set({ maxDistance: 1, sort: 'distance' });
+  const places = [
+    { id: 'far', latitude: 0, longitude: 0, distance_km: 4 },
+    { id: 'unknown', latitude: 0, longitude: 0 },
+    { id: 'near', latitude: 0, longitude: 0, distance_km: 0.4 }
+  ];
+  assert.deepEqual(filters.apply(places).map(place => place.id), ['near', 'unknown']);
+  close();
+});
+
+test('search matches every word, ignoring case and accents', () => {
+  const { filters, ids, close } = loadFilters();
+  filters.set({ query: 'cafe' });
+  assert.deepEqual(ids(), ['cafe']);
+  filters.set({ query: '  STORYTELLERS  nawfara ' });
+  assert.deepEqual(ids(), ['cafe']);
+  filters.set({ query: 'ancient' });
+  assert.deepEqual(ids(), ['mosque', 'ruins']);
+  filters.set({ query: 'ancient souk' });
+  assert.deepEqual(ids(), []);
+  close();
+});
+
+test('visited places are hidden unless asked for', () => {
+  const { filters, close } = loadFilters();
+  const places = [{ id: 'a', latitude: 0, longitude: 0 }, { id: 'b', latitude: 0, longitude: 0, visited: true }];
+  assert.deepEqual(filters.apply(places).map(place => place.id), ['a']);
+  filters.set({ hideVisited: false });
+  assert.deepEqual(filters.apply(places).map(place => place.id), ['a', 'b']);
+  close();
+});
+
+test('filters are remembered and bad stored values are dropped', () => {
+  const { window, filters, close } = loadFilters();
+  filters.set({ categories: ['food'], query: 'tea', sort: 'distance', hideVisited: false });
+  const again = new window.RecommendationFilters();
+  assert.deepEqual(again.get(), {
+    categories: ['food'], prices: [], minRating: 0, maxDistance: null, hideVisited: false, query: 'tea', sort: 'distance'
+  });
+  assert.equal(again.usesPosition(), true);
+
+  window.localStorage.setItem('st_recommendation_filters', JSON.stringify({
+    categories: ['food', 'spaceports'], prices: 'low', minRating: 9, maxDistance: -2, sort: 'random'
+  }));
+  assert.deepEqual(new window.RecommendationFilters().get(), {
+    categories: ['food'], prices: [], minRating: 5, maxDistance: null, hideVisited: true, query: '', sort: 'score'
+  });
+
+  window.localStorage.setItem('st_recommendation_filters', '{oops');
+  assert.equal(new window.RecommendationFilters().get().sort, 'score');
+  close();
+});
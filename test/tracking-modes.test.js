@@ -0,0 +1,170 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createFetch, makePosition } = require('./helpers/browser');
+
+const SCRIPTS = ['api.js', 'i18n.js', 'geo.js', 'location-queue.js', 'position-filter.js', 'tracking-modes.js', 'gps-tracker.js'];
+
+// A tracking GPSTracker on the fake geolocation, with its mode changes recorded
+async function startTracker(options = {}) {
+  const { battery, trackerOptions } = options;
+  const browser = createBrowser({
+    fetch: createFetch(() => ({ status: 201, body: {} })),
+    scripts: SCRIPTS,
+    beforeScripts: (window) => {
+      if (battery) window.navigator.getBattery = async () => battery(window);
+    }
+  });
+  const { window, geolocation, clock } = browser;
+  window.api.setToken('token');
+  // Only listen to the tracker under test, not the page's global one
+  window.gpsTracker.modes.destroy();
+
+  const tracker = new window.GPSTracker(Object.assign({ updateInterval: 30000, minDistance: 20 }, trackerOptions));
+  const modes = [];
+  window.addEventListener('gps-mode-change', e => modes.push(`${e.detail.mode}:${e.detail.reason}`));
+
+  const started = tracker.startTracking();
+  await clock.tick();
+  geolocation.resolvePending(makePosition(33.5000, 36.3000, { timestamp: 0 }));
+  await started;
+
+  // Push fixes straight into the active watch
+  const emit = (latitude, seconds, speed = null) => {
+    geolocation.emit(makePosition(latitude, 36.3000, { timestamp: seconds * 1000, coords: { speed } }));
+  };
+  const watchOptions = () => [...geolocation.watches.values()].map(w => w.options);
+
+  return Object.assign(browser, { tracker, modes, emit, watchOptions });
+}
+
+test('tracking starts in touring mode with the tracker options', async () => {
+  const browser = await startTracker();
+  const { tracker, modes, watchOptions } = browser;
+
+  assert.deepEqual(modes, []);
+  assert.equal(tracker.getTrackingMode().mode, 'touring');
+  assert.equal(tracker.getTrackingMode().auto, true);
+  assert.equal(watchOptions()[0].enableHighAccuracy, false);
+  assert.equal(tracker.options.updateInterval, 30000);
+  browser.close();
+});
+
+test('sustained high speed switches to navigation, slowing down switches back', async () => {
+  const browser = await startTracker();
+  const { tracker, modes, emit, watchOptions, geolocation } = browser;
+
+  // 15 m/s reported by the GPS, but only for 10 s at first
+  emit(33.5010, 10, 15);
+  emit(33.5020, 20, 15);
+  assert.equal(tracker.getTrackingMode().mode, 'touring');
+
+  emit(33.5030, 30, 15);
+  assert.deepEqual(modes, ['navigation:fast']);
+  assert.equal(geolocation.watches.size, 1);
+  assert.equal(watchOptions()[0].enableHighAccuracy, true);
+  assert.equal(tracker.options.minDistance, 5);
+  assert.equal(tracker.options.updateInterval, 10000);
+
+  emit(33.5031, 40, 1);
+  emit(33.5032, 50, 1);
+  emit(33.5033, 60, 1);
+  emit(33.5034, 70, 1);
+  assert.deepEqual(modes, ['navigation:fast', 'touring:default']);
+  assert.equal(tracker.options.minDistance, 20);
+  assert.equal(watchOptions()[0].enableHighAccuracy, false);
+  browser.close();
+});
+
+test('standing still drops to low power and polls instead of watching', async () => {
+  const browser = await startTracker();
+  const { tracker, modes, geolocation, clock } = browser;
+
+  // Stay within a few meters for three minutes
+  for (let s = 30; s <= 180; s += 30) {
+    geolocation.emit(makePosition(33.50001, 36.30001, { timestamp: s * 1000 }));
+  }
+
+  assert.deepEqual(modes, ['lowPower:stationary']);
+  assert.equal(geolocation.watches.size, 0);
+  assert.equal(tracker.options.updateInterval, 300000);
+
+  // The next poll finds the user 200 m away
+  await clock.tick(300000);
+  assert.equal(geolocation.pendingRequests.length, 1);
+  geolocation.resolvePending(makePosition(33.5018, 36.3000, { timestamp: 480000 }));
+
+  assert.deepEqual(modes, ['lowPower:stationary', 'touring:default']);
+  assert.equal(geolocation.watches.size, 1);
+  browser.close();
+});
+
+test('a hidden tab saves power until it is visible again', async () => {
+  const browser = await startTracker();
+  const { window, document, modes, geolocation } = browser;
+  const setVisibility = (state) => {
+    Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+    document.dispatchEvent(new window.Event('visibilitychange'));
+  };
+
+  setVisibility('hidden');
+  assert.deepEqual(modes, ['lowPower:hidden']);
+  assert.equal(geolocation.watches.size, 0);
+
+  setVisibility('visible');
+  assert.deepEqual(modes, ['lowPower:hidden', 'touring:default']);
+  assert.equal(geolocation.watches.size, 1);
+  browser.close();
+});
+
+test('a low, discharging battery saves power', async () => {
+  let battery = null;
+  const browser = await startTracker({
+    battery: (window) => {
+      battery = Object.assign(new window.EventTarget(), { level: 0.15, charging: false });
+      return battery;
+    }
+  });
+  const { window, tracker, modes } = browser;
+
+  assert.deepEqual(modes, ['lowPower:battery']);
+  assert.equal(tracker.getTrackingMode().reasonText, 'Battery low');
+  window.i18n.setLanguage('ar');
+  assert.equal(tracker.getTrackingMode().label, 'توفير الطاقة');
+  assert.equal(tracker.getTrackingMode().reasonText, 'البطارية منخفضة');
+
+  battery.charging = true;
+  battery.dispatchEvent(new window.Event('chargingchange'));
+  assert.deepEqual(modes, ['lowPower:battery', 'touring:default']);
+  browser.close();
+});
+
+test('a pinned mode ignores conditions until set back to auto', async () => {
+  const browser = await startTracker();
+  const { tracker, modes, emit } = browser;
+
+  tracker.setTrackingMode('navigation');
+  assert.deepEqual(modes, ['navigation:manual']);
+  assert.equal(tracker.getTrackingMode().auto, false);
+
+  for (let s = 30; s <= 240; s += 30) emit(33.5000, s);
+  assert.equal(tracker.getTrackingMode().mode, 'navigation');
+
+  tracker.setTrackingMode('auto');
+  assert.deepEqual(modes, ['navigation:manual', 'lowPower:stationary']);
+
+  assert.throws(() => tracker.setTrackingMode('turbo'), /Unknown tracking mode/);
+  browser.close();
+});
+
+test('trackingMode: false keeps the options fixed', async () => {
+  const browser = await startTracker({ trackerOptions: { trackingMode: false } });
+  const { tracker, emit } = browser;
+
+  for (let s = 30; s <= 240; s += 30) emit(33.5000, s);
+  assert.equal(tracker.modes, null);
+  assert.equal(tracker.getTrackingMode(), null);
+  assert.equal(tracker.options.updateInterval, 30000);
+  browser.close();
+});
@@ -0,0 +1,203 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createFetch } = require('./helpers/browser');
+
+const HOTEL = { latitude: 33.5112, longitude: 36.3017 };
+const METERS_PER_DEGREE = 111320;
+
+// A point `meters` north of HOTEL
+const north = meters => ({ latitude: HOTEL.latitude + meters / METERS_PER_DEGREE, longitude: HOTEL.longitude });
+
+function member(id, username, location = null, precision = location ? 'exact' : null) {
+  return { id, username, country: 'Syria', location, precision };
+}
+
+function souq(members, meetingPoint = null) {
+  return { id: 'g1', name: 'Old city walk', invite_code: 'SOUQ42', members, meeting_point: meetingPoint };
+}
+
+// Answers the group routes like the backend for user u1
+function loadGroups(server = {}) {
+  server.groups = server.groups || [];
+  const fetch = createFetch((url, init) => {
+    const path = new URL(url, 'http://localhost').pathname.replace(/^\/api/, '');
+    const body = init.body ? JSON.parse(init.body) : {};
+    if (path === '/me/groups') return { status: 200, body: { groups: server.groups } };
+    if (path === '/groups') {
+      const group = { id: 'g2', name: body.name, invite_code: 'G4X92T', members: [member('u1', 'demo')], meeting_point: null };
+      server.groups.push(group);
+      return { status: 201, body: { group } };
+    }
+    if (path === '/groups/join') {
+      if (body.invite_code !== 'SOUQ42') return { status: 404, body: { error: 'No group has that invite code' } };
+      const group = souq([member('u2', 'layla', north(0)), member('u1', 'demo')]);
+      server.groups.push(group);
+      return { status: 200, body: { group } };
+    }
+    if (path === '/groups/g1/members/me') {
+      server.groups = server.groups.filter(group => group.id !== 'g1');
+      return { status: 200, body: { ok: true } };
+    }
+    return { status: 404, body: { error: 'Not found' } };
+  });
+  const browser = createBrowser({ fetch, scripts: ['api.js', 'i18n.js', 'geo.js', 'travel-groups.js'] });
+  browser.window.api.setToken('token');
+  const groups = new browser.window.TravelGroups({ userId: 'u1' });
+  groups.listen();
+
+  const alerts = [];
+  browser.window.addEventListener('group-member-behind', e => alerts.push(['behind', e.detail.member.username]));
+  browser.window.addEventListener('group-member-caught-up', e => alerts.push(['caught-up', e.detail.member.username]));
+  const live = (type, data, via = 'stream') => browser.window.dispatchEvent(new browser.window.CustomEvent('live-update', {
+    detail: { type, data, via }
+  }));
+  return Object.assign(browser, { groups, server, fetch, alerts, live });
+}
+
+test('groups are created, joined by invite code and left', async () => {
+  const { window, groups, fetch, close } = loadGroups();
+
+  const created = await groups.create('Family');
+  assert.equal(created.invite_code, 'G4X92T');
+  assert.equal(groups.getActive().id, 'g2');
+
+  // Codes are read out loud, so case and spaces do not matter
+  const joined = await groups.join(' souq42 ');
+  assert.equal(fetch.calls[fetch.calls.length - 1].body.invite_code, 'SOUQ42');
+  assert.equal(joined.name, 'Old city walk');
+  assert.equal(groups.getActive().id, 'g1');
+  assert.equal(groups.getGroups().length, 2);
+
+  const wrong = await groups.join('NOPE99');
+  assert.equal(wrong.status, 404);
+  assert.equal(groups.getGroups().length, 2);
+
+  // The chosen group is remembered per user
+  const again = new window.TravelGroups({ userId: 'u1' });
+  await again.load();
+  assert.equal(again.getActive().id, 'g1');
+
+  await groups.leave('g1');
+  assert.deepEqual(groups.getGroups().map(group => group.id), ['g2']);
+  assert.equal(groups.getActive().id, 'g2');
+  close();
+});
+
+test('a full storage does not stop choosing a group', async () => {
+  const { window, groups, close } = loadGroups();
+  window.Storage.prototype.setItem = () => {
+    throw new window.DOMException('Quota exceeded', 'QuotaExceededError');
+  };
+
+  const created = await groups.create('Family');
+  assert.equal(created.invite_code, 'G4X92T');
+  assert.equal(groups.getActive().id, 'g2');
+  close();
+});
+
+test('companions come with distance and direction, the meeting point with the walk', () => {
+  const { window, groups, close } = loadGroups();
+  const east = { latitude: HOTEL.latitude, longitude: HOTEL.longitude + 0.005 };
+  groups.setGroups([souq(
+    [member('u1', 'demo'), member('u2', 'layla', north(500)), member('u3', 'omar', east, 'approximate'), member('u4', 'sami')],
+    { ...north(1000), note: 'At the gate', set_by: 'layla' }
+  )]);
+
+  assert.deepEqual(groups.companions().map(m => [m.username, m.distance]), [['layla', null], ['omar', null], ['sami', null]]);
+
+  groups.updatePosition(HOTEL);
+  const [layla, omar, sami] = groups.companions();
+  assert.ok(Math.abs(layla.distance - 500) < 1);
+  assert.ok(Math.abs(layla.bearing) < 0.1);
+  assert.equal(layla.direction, 'N');
+  assert.equal(omar.direction, 'E');
+  assert.equal(omar.precision, 'approximate');
+  assert.equal(sami.distance, null);
+
+  const point = groups.meetingPoint();
+  assert.equal(point.note, 'At the gate');
+  assert.ok(Math.abs(point.distance - 1300) < 2);
+  assert.ok(Math.abs(point.duration - 1000) < 2);
+
+  assert.equal(window.TravelGroups.compass(200), 'S');
+  assert.equal(window.TravelGroups.compass(350), 'N');
+  assert.equal(window.TravelGroups.compass(300), 'NW');
+  assert.equal(window.TravelGroups.directionName('NW'), 'north-west');
+  close();
+});
+
+test('live updates move, hide and regroup members', async () => {
+  const { groups, server, fetch, live, close } = loadGroups();
+  live('groups', { groups: [souq([member('u1', 'demo'), member('u2', 'layla')])] });
+  assert.equal(groups.getActive().members[1].location, null);
+
+  live('user', { username: 'layla', precision: 'approximate', location: north(200) });
+  assert.deepEqual(groups.companions()[0].location, north(200));
+  assert.equal(groups.companions()[0].precision, 'approximate');
+
+  live('user', { username: 'stranger', precision: 'exact', location: north(10) });
+  live('user-hidden', { username: 'layla' });
+  assert.equal(groups.companions()[0].location, null);
+
+  live('users', { users: [{ username: 'layla', precision: 'exact', location: north(50) }] });
+  assert.deepEqual(groups.companions()[0].location, north(50));
+
+  // Polling brings no group events, so each poll reloads the groups
+  server.groups = [souq([member('u1', 'demo'), member('u2', 'layla', north(60)), member('u3', 'omar')], { ...north(80), note: '', set_by: 'omar' })];
+  live('users', { users: [] }, 'poll');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(fetch.calls.length, 1);
+  assert.equal(groups.companions().length, 2);
+  assert.equal(groups.meetingPoint().set_by, 'omar');
+  close();
+});
+
+test('a member far from everyone is reported behind once, until they catch up', () => {
+  const { groups, alerts, live, close } = loadGroups();
+  groups.setGroups([souq([member('u1', 'demo'), member('u2', 'layla', north(50)), member('u3', 'omar', north(100))])]);
+  groups.updatePosition(HOTEL);
+  assert.deepEqual(alerts, []);
+
+  live('user', { username: 'omar', precision: 'exact', location: north(500) });
+  assert.deepEqual(alerts, [['behind', 'omar']]);
+  assert.equal(groups.companions()[1].behind, true);
+  live('user', { username: 'omar', precision: 'exact', location: north(600) });
+  assert.equal(alerts.length, 1);
+
+  // Within the distance but not clearly back yet
+  live('user', { username: 'omar', precision: 'exact', location: north(320) });
+  assert.equal(alerts.length, 1);
+  live('user', { username: 'omar', precision: 'exact', location: north(150) });
+  assert.deepEqual(alerts[1], ['caught-up', 'omar']);
+
+  // The user can fall behind too
+  groups.updatePosition(north(-400));
+  assert.deepEqual(alerts[2], ['behind', 'demo']);
+  close();
+});
+
+test('rough, stale or missing positions never raise an alert', () => {
+  const { groups, alerts, live, close } = loadGroups();
+  const old = { ...north(2000), timestamp: new Date(Date.now() - 30 * 60 * 1000).toISOString() };
+  groups.setGroups([souq([
+    member('u1', 'demo'),
+    member('u2', 'layla', north(50)),
+    member('u3', 'omar', north(3000), 'neighbourhood'),
+    member('u4', 'sami', old)
+  ])]);
+  groups.updatePosition(HOTEL);
+  assert.deepEqual(alerts, []);
+  assert.equal(groups.companions()[2].stale, true);
+
+  // In a pair the alert is about the other one, not the user
+  live('groups', { groups: [souq([member('u1', 'demo'), member('u2', 'layla', north(800))])] });
+  assert.deepEqual(alerts, [['behind', 'layla']]);
+
+  // Stopping sharing drops the alert without a "caught up"
+  live('user-hidden', { username: 'layla' });
+  live('user', { username: 'layla', precision: 'exact', location: north(900) });
+  assert.deepEqual(alerts, [['behind', 'layla'], ['behind', 'layla']]);
+  close();
+});
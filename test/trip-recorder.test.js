@@ -0,0 +1,172 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createFetch, makePosition } = require('./helpers/browser');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse('2024-05-01T10:00:00Z');
+
+// History as /me/locations returns it: newest first
+function history(points) {
+  return points
+    .map(([latitude, minutes], i) => ({ id: i + 1, latitude, longitude: 36.30, timestamp: T0 + minutes * MINUTE }))
+    .reverse();
+}
+
+function loadRecorder(locations, options) {
+  const fetch = createFetch(() => ({ status: 200, body: { locations } }));
+  const browser = createBrowser({ fetch, scripts: ['api.js', 'i18n.js', 'geo.js', 'trip-recorder.js'] });
+  browser.window.api.setToken('token');
+  const recorder = new browser.window.TripRecorder(options);
+  return Object.assign(browser, { recorder });
+}
+
+test('history splits into trips at long gaps, newest first', async () => {
+  // Two walks, an afternoon apart; ~111 m per 0.001°
+  const { recorder, fetch, close } = loadRecorder(history([
+    [33.500, 0], [33.501, 5], [33.502, 10],
+    [33.510, 240], [33.511, 250],
+    [33.600, 600] // A lone point is not a trip
+  ]));
+
+  const { trips } = await recorder.load();
+  assert.equal(fetch.calls[0].url, 'http://api.test/me/locations?limit=1000');
+  assert.equal(trips.length, 2);
+
+  const [afternoon, morning] = trips;
+  assert.equal(afternoon.start, T0 + 240 * MINUTE);
+  assert.equal(afternoon.points.length, 2);
+  assert.equal(morning.id, `auto-${T0}`);
+  assert.equal(morning.duration, 10 * MINUTE);
+  assert.ok(Math.abs(morning.distance - 222.4) < 1, `distance ${morning.distance}`);
+  assert.equal(morning.manual, false);
+  close();
+});
+
+test('places along the track count as visited', async () => {
+  const { recorder, close } = loadRecorder(history([[33.500, 0], [33.501, 5], [33.502, 10]]));
+  recorder.setPlaces([
+    { id: 'p1', name: 'Near', latitude: 33.5012, longitude: 36.3003 },
+    { id: 'p2', name: 'Far', latitude: 33.5100, longitude: 36.3000 },
+    { place_id: 'p3', name: 'Venue', latitude: 33.5020, longitude: 36.3000, radius: 10 }
+  ]);
+
+  const { trips } = await recorder.load();
+  assert.deepEqual(trips[0].places.map(place => place.name), ['Near', 'Venue']);
+  close();
+});
+
+test('a manual trip collects live fixes and survives a reload', async () => {
+  const { window, recorder, close } = loadRecorder([]);
+  await recorder.load();
+  const changes = [];
+  window.addEventListener('trip-change', e => changes.push(e.detail));
+
+  const trip = recorder.startTrip('  Old city  ');
+  assert.equal(trip.name, 'Old city');
+  assert.equal(recorder.startTrip('Another'), trip);
+
+  const now = Date.now();
+  [0, 1, 2].forEach(i => {
+    const position = makePosition(33.511 + i * 0.001, 36.30, { timestamp: now + i * 1000 });
+    window.dispatchEvent(new window.CustomEvent('gps-position-update', { detail: { position } }));
+  });
+  assert.equal(changes[changes.length - 1].trip.points.length, 3);
+  assert.equal(changes[changes.length - 1].trip.recording, true);
+
+  recorder.stopTrip();
+  assert.equal(recorder.getActiveTrip(), null);
+
+  const reloaded = new window.TripRecorder();
+  reloaded.points = recorder.points;
+  const [saved] = reloaded.getTrips();
+  assert.equal(saved.name, 'Old city');
+  assert.equal(saved.manual, true);
+  assert.equal(saved.points.length, 3);
+  assert.ok(saved.end >= now + 2000);
+  close();
+});
+
+test('a long recording keeps only the newest points', async () => {
+  const { window, recorder, close } = loadRecorder(history([[33.500, 0], [33.501, 5]]), { maxPoints: 3 });
+  await recorder.load();
+
+  const now = Date.now();
+  [0, 1].forEach(i => {
+    const position = makePosition(33.511 + i * 0.001, 36.30, { timestamp: now + i * 1000 });
+    window.dispatchEvent(new window.CustomEvent('gps-position-update', { detail: { position } }));
+  });
+  assert.deepEqual(recorder.points.map(point => point.latitude), [33.501, 33.511, 33.512]);
+  close();
+});
+
+test('a full storage does not break starting a trip', async () => {
+  const { window, recorder, close } = loadRecorder([]);
+  window.Storage.prototype.setItem = () => {
+    throw new window.DOMException('Quota exceeded', 'QuotaExceededError');
+  };
+
+  const trip = recorder.startTrip('Souq');
+  assert.equal(trip.end, null);
+  assert.equal(recorder.getActiveTrip().id, trip.id);
+  close();
+});
+
+test('renaming and deleting trips', async () => {
+  const { recorder, close } = loadRecorder(history([[33.500, 0], [33.501, 5]]));
+  await recorder.load();
+  const id = recorder.getTrips()[0].id;
+
+  recorder.renameTrip(id, 'Morning walk');
+  assert.equal(recorder.getTrip(id).name, 'Morning walk');
+
+  const manual = recorder.startTrip('Short');
+  recorder.deleteTrip(manual.id);
+  assert.equal(recorder.getActiveTrip(), null);
+  assert.equal(recorder.getTrips().length, 1);
+  close();
+});
+
+test('exports GPX, GeoJSON and KML that read back', async () => {
+  const { window, recorder, close } = loadRecorder(history([[33.500, 0], [33.501, 5]]));
+  recorder.setPlaces([{ id: 'p1', name: 'Azm <Palace> & Co', latitude: 33.5005, longitude: 36.30 }]);
+  await recorder.load();
+  const trip = recorder.getTrips()[0];
+  trip.name = 'Walk: day 1';
+
+  const gpx = window.TripExport.exportTrip(trip, 'gpx');
+  assert.equal(gpx.filename, 'Walk-day-1.gpx');
+  assert.equal(gpx.mimeType, 'application/gpx+xml');
+  const doc = new window.DOMParser().parseFromString(gpx.content, 'application/xml');
+  assert.equal(doc.getElementsByTagName('parsererror').length, 0);
+  assert.equal(doc.getElementsByTagName('trkpt').length, 2);
+  assert.equal(doc.getElementsByTagName('trkpt')[1].getAttribute('lat'), '33.501');
+  assert.equal(doc.getElementsByTagName('time')[0].textContent, '2024-05-01T10:00:00.000Z');
+  assert.equal(doc.getElementsByTagName('wpt')[0].textContent, 'Azm <Palace> & Co');
+
+  const geojson = JSON.parse(window.TripExport.exportTrip(trip, 'geojson').content);
+  assert.deepEqual(geojson.features[0].geometry.coordinates, [[36.30, 33.500], [36.30, 33.501]]);
+  assert.equal(geojson.features[0].properties.coordTimes.length, 2);
+  assert.equal(geojson.features[1].geometry.type, 'Point');
+
+  const kml = window.TripExport.exportTrip(trip, 'kml');
+  const kmlDoc = new window.DOMParser().parseFromString(kml.content, 'application/xml');
+  assert.equal(kmlDoc.getElementsByTagName('coordinates')[0].textContent, '36.3,33.5 36.3,33.501');
+  assert.equal(kmlDoc.getElementsByTagName('Placemark').length, 2);
+
+  assert.throws(() => window.TripExport.exportTrip(trip, 'shp'), /Unknown export format/);
+  close();
+});
+
+test('a failed history request is returned as is', async () => {
+  const fetch = createFetch(() => ({ status: 404, body: { error: 'Not found' } }));
+  const browser = createBrowser({ fetch, scripts: ['api.js', 'i18n.js', 'geo.js', 'trip-recorder.js'] });
+  browser.window.api.setToken('token');
+  const recorder = new browser.window.TripRecorder();
+
+  const result = await recorder.load();
+  assert.ok(result.error);
+  assert.equal(recorder.getTrips().length, 0);
+  browser.close();
+});
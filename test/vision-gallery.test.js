@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+const HERE = { latitude: 33.5112, longitude: 36.3060, accuracy: 12 };
+
+function loadGallery(options) {
+  const browser = createBrowser({ scripts: ['vision-gallery.js'] });
+  const gallery = new browser.window.VisionGallery(Object.assign({ userId: 'u1' }, options));
+  return Object.assign(browser, { gallery });
+}
+
+test('photos are kept per user, newest first', () => {
+  const { window, gallery, close } = loadGallery();
+  const changes = [];
+  window.addEventListener('vision-gallery-change', e => changes.push(e.detail.entries.length));
+
+  const first = gallery.add({ description: 'A fountain', thumbnail: 'data:image/jpeg;base64,/9j/', position: HERE, takenAt: 1000 });
+  const second = gallery.add({ description: 'A door', position: null, takenAt: 2000 });
+
+  assert.deepEqual(first.position, HERE);
+  assert.equal(first.thumbnail, 'data:image/jpeg;base64,/9j/');
+  assert.equal(second.thumbnail, null);
+  assert.notEqual(first.id, second.id);
+  assert.deepEqual(gallery.getEntries().map(entry => entry.description), ['A door', 'A fountain']);
+  assert.equal(gallery.getEntry(first.id).description, 'A fountain');
+  assert.deepEqual(changes, [1, 2]);
+
+  assert.equal(new window.VisionGallery({ userId: 'u1' }).getEntries().length, 2);
+  assert.deepEqual(new window.VisionGallery({ userId: 'u2' }).getEntries(), []);
+  close();
+});
+
+test('only photos with a position are pinned', () => {
+  const { gallery, close } = loadGallery();
+
+  gallery.add({ description: 'Placed', position: HERE });
+  gallery.add({ description: 'No fix', position: null });
+  gallery.add({ description: 'Bad fix', position: { latitude: NaN, longitude: 36.3 } });
+
+  assert.deepEqual(gallery.getPlaced().map(entry => entry.description), ['Placed']);
+  assert.equal(gallery.getEntries()[0].position, null);
+  close();
+});
+
+test('the oldest photos make way when the gallery is full', () => {
+  const { window, gallery, close } = loadGallery({ maxEntries: 3 });
+
+  for (let i = 1; i <= 5; i++) gallery.add({ description: `Photo ${i}`, takenAt: i });
+  assert.deepEqual(gallery.getEntries().map(entry => entry.description), ['Photo 5', 'Photo 4', 'Photo 3']);
+
+  // Storage refuses more than about two thumbnails
+  const setItem = window.Storage.prototype.setItem;
+  window.Storage.prototype.setItem = function(key, value) {
+    if (value.length > 850) throw new window.DOMException('Quota exceeded', 'QuotaExceededError');
+    return setItem.call(this, key, value);
+  };
+  gallery.add({ description: 'Photo 6', thumbnail: 'x'.repeat(300), takenAt: 6 });
+  gallery.add({ description: 'Photo 7', thumbnail: 'x'.repeat(300), takenAt: 7 });
+  window.Storage.prototype.setItem = setItem;
+
+  const stored = new window.VisionGallery({ userId: 'u1' }).getEntries();
+  assert.deepEqual(stored.map(entry => entry.description), ['Photo 7', 'Photo 6']);
+  close();
+});
+
+test('photos can be removed one by one or all at once', () => {
+  const { window, gallery, close } = loadGallery();
+  const first = gallery.add({ description: 'A fountain' });
+  gallery.add({ description: 'A door' });
+  const changes = [];
+  window.addEventListener('vision-gallery-change', () => changes.push(true));
+
+  gallery.remove('missing');
+  assert.equal(gallery.getEntries().length, 2);
+  assert.equal(changes.length, 0);
+
+  gallery.remove(first.id);
+  assert.deepEqual(gallery.getEntries().map(entry => entry.description), ['A door']);
+
+  gallery.clear();
+  assert.deepEqual(new window.VisionGallery({ userId: 'u1' }).getEntries(), []);
+  assert.equal(changes.length, 2);
+  close();
+});
+
+test('an unreadable gallery starts empty', () => {
+  const { window, close } = loadGallery();
+  window.localStorage.setItem('st_vision_u1', '{not json');
+
+  const gallery = new window.VisionGallery({ userId: 'u1' });
+  assert.deepEqual(gallery.getEntries(), []);
+  gallery.add({ description: 'A fountain' });
+  assert.equal(new window.VisionGallery({ userId: 'u1' }).getEntries().length, 1);
+  close();
+});
@@ -0,0 +1,214 @@
+/**
+ * tracking-modes.js - Battery-aware tracking profiles for GPSTracker
+ *
+ * Picks a profile from how fast the user is moving, whether they have
+ * stopped, whether the tab is visible and the battery level, and pushes
+ * its sampling options into the tracker.
+ */
+
+'use strict';
+
+// navigation: frequent high-accuracy fixes while moving fast
+// touring: the tracker's own options (walking around)
+// lowPower: no continuous watch, an occasional coarse fix
+const TRACKING_PROFILES = {
+  navigation: {
+    options: { enableHighAccuracy: true, maximumAge: 0, updateInterval: 10000, minDistance: 5, watch: true }
+  },
+  touring: {
+    options: null // Filled from the tracker's options
+  },
+  lowPower: {
+    options: { enableHighAccuracy: false, maximumAge: 300000, updateInterval: 300000, minDistance: 50, watch: false }
+  }
+};
+
+class TrackingModeController {
+  constructor(tracker, options = {}) {
+    this.options = {
+      mode: 'auto', // 'auto' or a profile name to pin it
+      fastSpeed: 6, // m/s (~22 km/h); faster than this is a vehicle
+      stationaryRadius: 30, // Meters the user can drift and still be "not moving"
+      stationaryTime: 180000, // How long within that radius before we call it a stop
+      switchDelay: 15000, // Speed must hold this long before changing profile
+      lowBattery: 0.2, // Below this level (and not charging) save power
+      speedSmoothing: 0.5, // Weight of the newest speed sample
+      ...options
+    };
+
+    this.tracker = tracker;
+    this.profiles = {
+      navigation: TRACKING_PROFILES.navigation,
+      touring: {
+        options: {
+          enableHighAccuracy: tracker.options.enableHighAccuracy,
+          maximumAge: tracker.options.maximumAge,
+          updateInterval: tracker.options.updateInterval,
+          minDistance: tracker.options.minDistance,
+          watch: true
+        }
+      },
+      lowPower: TRACKING_PROFILES.lowPower
+    };
+
+    this.mode = 'touring';
+    this.reason = 'default';
+    this.speed = null; // Smoothed, m/s
+    this.lastFix = null;
+    this.anchor = null; // Where the user last started standing still
+    this.pending = null; // { mode, since } while a speed-based switch is settling
+    this.battery = null;
+    this.destroyed = false;
+
+    this.handleVisibility = this.handleVisibility.bind(this);
+    this.evaluate = this.evaluate.bind(this);
+
+    document.addEventListener('visibilitychange', this.handleVisibility);
+    this.watchBattery();
+  }
+
+  // Battery Status API is Chromium-only; elsewhere we just skip it
+  watchBattery() {
+    if (typeof navigator.getBattery !== 'function') return;
+
+    navigator.getBattery().then(battery => {
+      if (this.destroyed) return;
+      this.battery = battery;
+      battery.addEventListener('levelchange', this.evaluate);
+      battery.addEventListener('chargingchange', this.evaluate);
+      this.evaluate();
+    }).catch(err => {
+      console.warn('Battery status unavailable:', err);
+    });
+  }
+
+  handleVisibility() {
+    this.evaluate();
+  }
+
+  // Pin a profile, or 'auto' to choose automatically
+  setMode(mode) {
+    if (mode !== 'auto' && !this.profiles[mode]) {
+      throw new Error(`Unknown tracking mode: ${mode}`);
+    }
+    this.options.mode = mode;
+    this.pending = null;
+    this.evaluate();
+  }
+
+  // Feed every accepted fix so we can measure speed and spot stops
+  handleFix(position) {
+    const coords = position.coords;
+    const timestamp = Number.isFinite(position.timestamp) ? position.timestamp : Date.now();
+
+    let sample = Number.isFinite(coords.speed) && coords.speed >= 0 ? coords.speed : null;
+    if (sample === null && this.lastFix) {
+      const seconds = (timestamp - this.lastFix.timestamp) / 1000;
+      if (seconds > 0) {
+        sample = geo.distance(this.lastFix.coords, coords) / seconds;
+      }
+    }
+    if (sample !== null) {
+      const alpha = this.options.speedSmoothing;
+      this.speed = this.speed === null ? sample : alpha * sample + (1 - alpha) * this.speed;
+    }
+    this.lastFix = position;
+
+    // Start a new anchor whenever we leave the stationary radius
+    if (!this.anchor || geo.distance(this.anchor.coords, coords) > this.options.stationaryRadius) {
+      this.anchor = position;
+    }
+
+    this.evaluate(timestamp);
+  }
+
+  // Forget speed and stop history, e.g. after switching position source
+  resetTrack() {
+    this.speed = null;
+    this.lastFix = null;
+    this.anchor = null;
+    this.pending = null;
+  }
+
+  isStationary(now) {
+    return !!this.anchor && now - this.anchor.timestamp >= this.options.stationaryTime;
+  }
+
+  isBatteryLow() {
+    return !!this.battery && !this.battery.charging && this.battery.level <= this.options.lowBattery;
+  }
+
+  // Pick the profile for the current conditions and apply it if it changed
+  evaluate(now) {
+    const timestamp = typeof now === 'number' ? now : (this.lastFix ? this.lastFix.timestamp : Date.now());
+    const choice = this.choose(timestamp);
+
+    // Speed-based changes wait for the new speed to hold; the rest apply at once
+    if (choice.reason === 'fast' || (choice.reason === 'default' && this.reason === 'fast')) {
+      if (choice.mode !== this.mode) {
+        if (!this.pending || this.pending.mode !== choice.mode) {
+          this.pending = { mode: choice.mode, since: timestamp };
+        }
+        if (timestamp - this.pending.since < this.options.switchDelay) return;
+      }
+    }
+    this.pending = null;
+
+    if (choice.mode === this.mode && choice.reason === this.reason) return;
+    this.apply(choice.mode, choice.reason);
+  }
+
+  choose(now) {
+    if (this.options.mode !== 'auto') return { mode: this.options.mode, reason: 'manual' };
+    if (this.isBatteryLow()) return { mode: 'lowPower', reason: 'battery' };
+    if (document.visibilityState === 'hidden') return { mode: 'lowPower', reason: 'hidden' };
+    if (this.isStationary(now)) return { mode: 'lowPower', reason: 'stationary' };
+    if (this.speed !== null && this.speed >= this.options.fastSpeed) return { mode: 'navigation', reason: 'fast' };
+    return { mode: 'touring', reason: 'default' };
+  }
+
+  apply(mode, reason) {
+    const changed = mode !== this.mode;
+    this.mode = mode;
+    this.reason = reason;
+
+    if (changed) {
+      console.log(`Tracking mode: ${mode} (${reason})`);
+      this.tracker.setTrackingOptions(this.profiles[mode].options);
+    }
+    this.emitChange();
+  }
+
+  // Current mode, for display; label and reasonText are in the current language
+  getState() {
+    return {
+      mode: this.mode,
+      label: t(`gps.modeName.${this.mode}`),
+      reason: this.reason,
+      reasonText: t(`gps.modeReason.${this.reason}`),
+      auto: this.options.mode === 'auto',
+      speed: this.speed
+    };
+  }
+
+  emitChange() {
+    const event = new CustomEvent('gps-mode-change', {
+      detail: this.getState()
+    });
+    window.dispatchEvent(event);
+  }
+
+  destroy() {
+    this.destroyed = true;
+    document.removeEventListener('visibilitychange', this.handleVisibility);
+    if (this.battery) {
+      this.battery.removeEventListener('levelchange', this.evaluate);
+      this.battery.removeEventListener('chargingchange', this.evaluate);
+    }
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.TrackingModeController = TrackingModeController;
+}
@@ -0,0 +1,308 @@
+/**
+ * travel-groups.js - Travel groups: companions, meet-up points and stragglers
+ *
+ * Groups are made and joined with an invite code through the api. Members'
+ * positions come with each group (as each member shares them) and are kept
+ * current from the live channel; the user's own comes from the GPS tracker.
+ * The group chosen on this device is kept per user in localStorage.
+ */
+
+'use strict';
+
+// Codes kept on members; the words are the groups.compass.* messages
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+class TravelGroups {
+  constructor(options = {}) {
+    this.options = {
+      userId: null,
+      storagePrefix: 'st_group_',
+      behindDistance: 300, // Meters from the nearest other member
+      staleAfter: 10 * 60 * 1000, // Ms; older positions say nothing about who is behind
+      walkingSpeed: 1.3, // Meters per second
+      detourFactor: 1.3, // Streets are longer than the straight line
+      ...options
+    };
+
+    this.groups = [];
+    this.activeId = localStorage.getItem(this.storageKey());
+    this.position = null; // The user's own last coords
+    this.behind = new Set(); // Ids of members already reported behind
+    this.listening = false;
+
+    this.handleLiveUpdate = this.handleLiveUpdate.bind(this);
+    this.handlePositionUpdate = this.handlePositionUpdate.bind(this);
+  }
+
+  storageKey() {
+    return `${this.options.storagePrefix}${this.options.userId || 'guest'}`;
+  }
+
+  listen() {
+    if (this.listening) return;
+    this.listening = true;
+    window.addEventListener('live-update', this.handleLiveUpdate);
+    window.addEventListener('gps-position-update', this.handlePositionUpdate);
+  }
+
+  destroy() {
+    this.listening = false;
+    window.removeEventListener('live-update', this.handleLiveUpdate);
+    window.removeEventListener('gps-position-update', this.handlePositionUpdate);
+  }
+
+  async load(opts = {}) {
+    const response = await window.api.getGroups(opts);
+    if (response.error) return response;
+    this.setGroups(response.groups || []);
+    return this.getGroups();
+  }
+
+  // Replace the list, keeping the chosen group if the user is still in it
+  setGroups(groups) {
+    this.groups = groups;
+    if (!this.groups.some(group => group.id === this.activeId)) {
+      this.setActive(this.groups.length ? this.groups[0].id : null, { silent: true });
+    }
+    this.checkBehind();
+    this.emitChange();
+  }
+
+  async create(name) {
+    const response = await window.api.createGroup(name);
+    if (response.error) return response;
+    this.upsert(response.group);
+    this.setActive(response.group.id);
+    return response.group;
+  }
+
+  async join(inviteCode) {
+    const response = await window.api.joinGroup(String(inviteCode).trim().toUpperCase());
+    if (response.error) return response;
+    this.upsert(response.group);
+    this.setActive(response.group.id);
+    return response.group;
+  }
+
+  async leave(groupId = this.activeId) {
+    const response = await window.api.leaveGroup(groupId);
+    if (response.error) return response;
+    this.setGroups(this.groups.filter(group => group.id !== groupId));
+    return response;
+  }
+
+  // point: { latitude, longitude, note }, for the chosen group
+  async setMeetingPoint(point) {
+    if (!this.activeId) return { error: 'No travel group', kind: 'validation' };
+    const response = await window.api.setMeetingPoint(this.activeId, point);
+    if (response.error) return response;
+    this.upsert(response.group);
+    return response.group.meeting_point;
+  }
+
+  async clearMeetingPoint() {
+    if (!this.activeId) return { error: 'No travel group', kind: 'validation' };
+    const response = await window.api.clearMeetingPoint(this.activeId);
+    if (response.error) return response;
+    this.upsert(response.group);
+    return response;
+  }
+
+  upsert(group) {
+    const index = this.groups.findIndex(g => g.id === group.id);
+    if (index === -1) {
+      this.groups.push(group);
+    } else {
+      this.groups[index] = group;
+    }
+    this.checkBehind();
+    this.emitChange();
+  }
+
+  getGroups() {
+    return this.groups.slice();
+  }
+
+  getActive() {
+    return this.groups.find(group => group.id === this.activeId) || null;
+  }
+
+  setActive(groupId, { silent = false } = {}) {
+    if (groupId === this.activeId) return;
+    this.activeId = groupId;
+    this.behind.clear();
+    try {
+      if (groupId) {
+        localStorage.setItem(this.storageKey(), groupId);
+      } else {
+        localStorage.removeItem(this.storageKey());
+      }
+    } catch (error) {
+      console.warn('Cannot save the chosen travel group:', error);
+    }
+    if (!silent) {
+      this.checkBehind();
+      this.emitChange();
+    }
+  }
+
+  isMe(member) {
+    return member.id === this.options.userId;
+  }
+
+  // Whether a member's position is recent enough to go by; undated ones are
+  isStale(location, now = Date.now()) {
+    if (!location || location.timestamp == null) return false;
+    const time = typeof location.timestamp === 'number' ? location.timestamp : Date.parse(location.timestamp);
+    return !Number.isNaN(time) && now - time > this.options.staleAfter;
+  }
+
+  // The other members of the chosen group, with distance (m) and bearing
+  // (degrees) from `from` where both positions are known
+  companions(from = this.position) {
+    const group = this.getActive();
+    if (!group) return [];
+
+    return group.members.filter(member => !this.isMe(member)).map(member => {
+      const located = !!(from && member.location);
+      const bearing = located ? geo.bearing(from, member.location) : null;
+      return {
+        ...member,
+        distance: located ? geo.distance(from, member.location) : null,
+        bearing,
+        direction: bearing === null ? null : TravelGroups.compass(bearing),
+        stale: this.isStale(member.location),
+        behind: this.behind.has(member.id)
+      };
+    });
+  }
+
+  // The chosen group's meeting point, with the walk to it from `from`
+  meetingPoint(from = this.position) {
+    const group = this.getActive();
+    const point = group && group.meeting_point;
+    if (!point) return null;
+
+    const distance = from ? geo.distance(from, point) * this.options.detourFactor : null;
+    return {
+      ...point,
+      distance,
+      duration: distance === null ? null : distance / this.options.walkingSpeed // Seconds
+    };
+  }
+
+  // Report members whose nearest companion is more than behindDistance away,
+  // and again once they are back within most of it. Neighbourhood-level and
+  // stale positions are too rough to go by. In a pair the user is never the
+  // one behind: the alert is about the other.
+  checkBehind() {
+    const group = this.getActive();
+    if (!group) return;
+
+    const located = group.members
+      .map(member => ({ member, location: this.isMe(member) ? this.position : member.location }))
+      .filter(({ member, location }) => location && member.precision !== 'neighbourhood' && !this.isStale(location));
+    const candidates = located.length > 2 ? located : located.filter(({ member }) => !this.isMe(member));
+    const threshold = this.options.behindDistance;
+
+    const seen = new Set();
+    candidates.forEach(({ member, location }) => {
+      const distances = located.filter(other => other.member.id !== member.id)
+        .map(other => geo.distance(location, other.location));
+      if (!distances.length) return;
+      seen.add(member.id);
+
+      const nearest = Math.min(...distances);
+      if (nearest > threshold && !this.behind.has(member.id)) {
+        this.behind.add(member.id);
+        this.emit('group-member-behind', group, member, nearest);
+      } else if (nearest < threshold * 0.8 && this.behind.has(member.id)) {
+        this.behind.delete(member.id);
+        this.emit('group-member-caught-up', group, member, nearest);
+      }
+    });
+
+    // Positions we can no longer go by neither raise nor keep an alert
+    this.behind.forEach(id => {
+      if (!seen.has(id)) this.behind.delete(id);
+    });
+  }
+
+  handleLiveUpdate(event) {
+    const { type, data, via } = event.detail;
+
+    if (type === 'groups') {
+      this.setGroups(data.groups || []);
+    } else if (type === 'users' && via === 'poll') {
+      // Polling only brings positions; groups and meeting points come with a reload
+      this.load();
+    } else if (type === 'users') {
+      const shared = new Map((data.users || []).map(user => [user.username, user]));
+      this.updateMembers(member => shared.get(member.username) || null);
+    } else if (type === 'user') {
+      this.updateMembers(member => member.username === data.username ? data : undefined);
+    } else if (type === 'user-hidden') {
+      this.updateMembers(member => member.username === data.username ? null : undefined);
+    }
+  }
+
+  // pick(member): what the member now shares, null when hidden, undefined if unchanged
+  updateMembers(pick) {
+    let changed = false;
+    this.groups.forEach(group => group.members.forEach(member => {
+      if (this.isMe(member)) return;
+      const shared = pick(member);
+      if (shared === undefined) return;
+      member.location = shared ? shared.location : null;
+      member.precision = shared ? shared.precision : null;
+      changed = true;
+    }));
+    if (!changed) return;
+    this.checkBehind();
+    this.emitChange();
+  }
+
+  // Where the user is now, for distances and for whether they fell behind
+  updatePosition(coords) {
+    this.position = { latitude: coords.latitude, longitude: coords.longitude };
+    this.checkBehind();
+    this.emitChange();
+  }
+
+  handlePositionUpdate(event) {
+    this.updatePosition(event.detail.coords);
+  }
+
+  emit(name, group, member, distance) {
+    const event = new CustomEvent(name, {
+      detail: {
+        groupId: group.id,
+        member: { id: member.id, username: member.username, isMe: this.isMe(member) },
+        distance
+      }
+    });
+    window.dispatchEvent(event);
+  }
+
+  emitChange() {
+    const event = new CustomEvent('travel-groups-change', {
+      detail: { groups: this.getGroups(), active: this.getActive() }
+    });
+    window.dispatchEvent(event);
+  }
+
+  // 'N', 'NE', ... for a bearing
+  static compass(bearing) {
+    return COMPASS_POINTS[Math.round(bearing / 45) % 8];
+  }
+
+  // 'north', 'north-east', ... in the current language
+  static directionName(direction) {
+    return t(`groups.compass.${direction}`);
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.TravelGroups = TravelGroups;
+}
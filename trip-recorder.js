@@ -0,0 +1,421 @@
+/**
+ * trip-recorder.js - Trips built from the user's location history
+ *
+ * Groups /me/locations into trips: the ones the user started and stopped
+ * by hand, and the rest split wherever the history goes quiet for a while.
+ * Trips can be exported as GPX, GeoJSON or KML files.
+ */
+
+'use strict';
+
+class TripRecorder {
+  constructor(options = {}) {
+    this.options = {
+      gap: 30 * 60 * 1000, // Ms without a point that ends an automatic trip
+      minPoints: 2, // Shorter automatic trips are noise
+      historyLimit: 1000, // Points read from /me/locations
+      maxPoints: 5000, // Points kept while recording; the oldest go first
+      placeRadius: 75, // Meters from a place that count as having been there
+      storageKey: 'st_trips',
+      ...options
+    };
+
+    this.points = []; // Location history, oldest first
+    this.places = new Map(); // id -> place, for "places visited"
+    this.store = this.loadStore(); // { trips: [manual trips], names: { tripId: name } }
+
+    this.handlePositionUpdate = this.handlePositionUpdate.bind(this);
+    window.addEventListener('gps-position-update', this.handlePositionUpdate);
+  }
+
+  loadStore() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.options.storageKey));
+      if (stored && Array.isArray(stored.trips)) {
+        return { trips: stored.trips, names: stored.names || {} };
+      }
+    } catch (error) {
+      console.warn('Ignoring unreadable saved trips:', error);
+    }
+    return { trips: [], names: {} };
+  }
+
+  saveStore() {
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify(this.store));
+    } catch (error) {
+      console.warn('Cannot save trips:', error);
+    }
+  }
+
+  // Read the history back from the backend. Returns { trips } or { error }.
+  async load() {
+    const response = await window.api.getLocations(this.options.historyLimit);
+    if (response.error) return response;
+
+    // Points recorded since the last load may not be in the history yet
+    const history = normalizePoints(response.locations || []);
+    const newest = history.length ? history[history.length - 1].timestamp : -Infinity;
+    this.points = history.concat(this.points.filter(point => point.timestamp > newest));
+    this.trimPoints();
+
+    return { trips: this.getTrips() };
+  }
+
+  setPlaces(places) {
+    (places || []).forEach(place => {
+      const id = place.id || place.place_id;
+      if (id && Number.isFinite(place.latitude) && Number.isFinite(place.longitude)) {
+        this.places.set(id, place);
+      }
+    });
+  }
+
+  // ---------- Manual trips ----------
+
+  startTrip(name) {
+    const active = this.getActiveTrip();
+    if (active) return active;
+
+    const start = Date.now();
+    const trip = {
+      id: `trip-${start}`,
+      name: (name || '').trim() || t('trips.defaultName', { date: window.i18n.formatDate(start) }),
+      start,
+      end: null
+    };
+    this.store.trips.push(trip);
+    this.saveStore();
+    this.emitChange();
+    return trip;
+  }
+
+  stopTrip() {
+    const trip = this.getActiveTrip();
+    if (!trip) return null;
+
+    // Simulated sources can run ahead of the wall clock
+    const last = this.points[this.points.length - 1];
+    trip.end = Math.max(Date.now(), last ? last.timestamp : 0);
+    this.saveStore();
+    this.emitChange();
+    return trip;
+  }
+
+  getActiveTrip() {
+    return this.store.trips.find(trip => trip.end === null) || null;
+  }
+
+  renameTrip(id, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) return;
+
+    const manual = this.store.trips.find(trip => trip.id === id);
+    if (manual) {
+      manual.name = trimmed;
+    } else {
+      this.store.names[id] = trimmed;
+    }
+    this.saveStore();
+    this.emitChange();
+  }
+
+  // Forget a manual trip; its points go back to the automatic trips
+  deleteTrip(id) {
+    this.store.trips = this.store.trips.filter(trip => trip.id !== id);
+    delete this.store.names[id];
+    this.saveStore();
+    this.emitChange();
+  }
+
+  // A long recording must not grow without bound
+  trimPoints() {
+    const extra = this.points.length - this.options.maxPoints;
+    if (extra > 0) this.points.splice(0, extra);
+  }
+
+  handlePositionUpdate(event) {
+    const position = event.detail.position;
+    const point = toPoint({
+      latitude: position.coords.latitude,
+      longitude: position.coords.longitude,
+      altitude: position.coords.altitude,
+      accuracy: position.coords.accuracy,
+      timestamp: position.timestamp
+    });
+    const last = this.points[this.points.length - 1];
+    if (!point || (last && point.timestamp <= last.timestamp)) return;
+
+    this.points.push(point);
+    this.trimPoints();
+    const active = this.getActiveTrip();
+    if (active) {
+      this.emitChange(this.getTrip(active.id));
+    }
+  }
+
+  // ---------- Trips ----------
+
+  // Every trip, newest first
+  getTrips() {
+    const manual = this.store.trips.map(meta => {
+      const end = meta.end === null ? Infinity : meta.end;
+      const points = this.points.filter(point => point.timestamp >= meta.start && point.timestamp <= end);
+      return this.buildTrip(meta.id, meta.name, points, { manual: true, recording: meta.end === null, start: meta.start, end: meta.end });
+    });
+
+    const inManualTrip = (point) => this.store.trips.some(meta => {
+      return point.timestamp >= meta.start && (meta.end === null || point.timestamp <= meta.end);
+    });
+    const automatic = splitByGap(this.points.filter(point => !inManualTrip(point)), this.options.gap)
+      .filter(points => points.length >= this.options.minPoints)
+      .map(points => {
+        const id = `auto-${points[0].timestamp}`;
+        return this.buildTrip(id, this.store.names[id] || defaultTripName(points[0].timestamp), points, { manual: false });
+      });
+
+    return manual.concat(automatic).sort((a, b) => b.start - a.start);
+  }
+
+  getTrip(id) {
+    return this.getTrips().find(trip => trip.id === id) || null;
+  }
+
+  buildTrip(id, name, points, { manual, recording = false, start, end }) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    const tripStart = start !== undefined ? start : (first ? first.timestamp : null);
+    const tripEnd = end !== undefined && end !== null ? end : (last ? last.timestamp : tripStart);
+
+    return {
+      id,
+      name,
+      manual,
+      recording,
+      start: tripStart,
+      end: recording ? null : tripEnd,
+      points,
+      distance: trackLength(points),
+      duration: first && last ? last.timestamp - first.timestamp : 0,
+      places: this.placesAlong(points)
+    };
+  }
+
+  // Known places the track passed within placeRadius of
+  placesAlong(points) {
+    return [...this.places.values()].filter(place => {
+      const radius = place.radius || this.options.placeRadius;
+      return points.some(point => geo.distance(point, place) <= radius);
+    });
+  }
+
+  emitChange(trip = null) {
+    const event = new CustomEvent('trip-change', {
+      detail: { trip, active: this.getActiveTrip() }
+    });
+    window.dispatchEvent(event);
+  }
+
+  destroy() {
+    window.removeEventListener('gps-position-update', this.handlePositionUpdate);
+  }
+}
+
+// ---------- Helpers ----------
+
+// History entries come back with ms or ISO timestamps
+function toPoint(location) {
+  const latitude = Number(location.latitude);
+  const longitude = Number(location.longitude);
+  const timestamp = typeof location.timestamp === 'number' ? location.timestamp : Date.parse(location.timestamp);
+  if (location.latitude === null || location.longitude === null) return null;
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || !Number.isFinite(timestamp)) return null;
+
+  return {
+    latitude,
+    longitude,
+    altitude: Number.isFinite(location.altitude) ? location.altitude : null,
+    accuracy: Number.isFinite(location.accuracy) ? location.accuracy : null,
+    timestamp
+  };
+}
+
+function normalizePoints(locations) {
+  return locations
+    .map(toPoint)
+    .filter(Boolean)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function splitByGap(points, gap) {
+  const trips = [];
+  let current = [];
+  points.forEach(point => {
+    const last = current[current.length - 1];
+    if (last && point.timestamp - last.timestamp > gap) {
+      trips.push(current);
+      current = [];
+    }
+    current.push(point);
+  });
+  if (current.length) trips.push(current);
+  return trips;
+}
+
+function defaultTripName(timestamp) {
+  return window.i18n.formatDate(timestamp, {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+function trackLength(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += geo.distance(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+// ---------- Export ----------
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toGPX(trip) {
+  const points = trip.points.map(point => {
+    const ele = point.altitude !== null ? `<ele>${point.altitude}</ele>` : '';
+    return `      <trkpt lat="${point.latitude}" lon="${point.longitude}">${ele}<time>${new Date(point.timestamp).toISOString()}</time></trkpt>`;
+  });
+  const waypoints = trip.places.map(place => {
+    return `  <wpt lat="${place.latitude}" lon="${place.longitude}"><name>${escapeXML(place.name || '')}</name></wpt>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="SmartTourist" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXML(trip.name)}</name></metadata>`,
+    ...waypoints,
+    '  <trk>',
+    `    <name>${escapeXML(trip.name)}</name>`,
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+// A LineString with per-vertex times (the coordTimes convention), plus a
+// Point per place visited
+function toGeoJSON(trip) {
+  const line = {
+    type: 'Feature',
+    properties: {
+      name: trip.name,
+      distance_m: Math.round(trip.distance),
+      duration_s: Math.round(trip.duration / 1000),
+      coordTimes: trip.points.map(point => new Date(point.timestamp).toISOString())
+    },
+    geometry: {
+      type: 'LineString',
+      coordinates: trip.points.map(point => {
+        return point.altitude !== null
+          ? [point.longitude, point.latitude, point.altitude]
+          : [point.longitude, point.latitude];
+      })
+    }
+  };
+  const places = trip.places.map(place => ({
+    type: 'Feature',
+    properties: { name: place.name || '', place_id: place.id || place.place_id },
+    geometry: { type: 'Point', coordinates: [place.longitude, place.latitude] }
+  }));
+
+  return JSON.stringify({ type: 'FeatureCollection', features: [line].concat(places) }, null, 2);
+}
+
+function toKML(trip) {
+  const coordinates = trip.points.map(point => {
+    return `${point.longitude},${point.latitude}${point.altitude !== null ? ',' + point.altitude : ''}`;
+  });
+  const placemarks = trip.places.map(place => [
+    '    <Placemark>',
+    `      <name>${escapeXML(place.name || '')}</name>`,
+    `      <Point><coordinates>${place.longitude},${place.latitude}</coordinates></Point>`,
+    '    </Placemark>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXML(trip.name)}</name>`,
+    '    <Placemark>',
+    `      <name>${escapeXML(trip.name)}</name>`,
+    '      <LineString>',
+    '        <tessellate>1</tessellate>',
+    `        <coordinates>${coordinates.join(' ')}</coordinates>`,
+    '      </LineString>',
+    '    </Placemark>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+const EXPORT_FORMATS = {
+  gpx: { extension: 'gpx', mimeType: 'application/gpx+xml', serialize: toGPX },
+  geojson: { extension: 'geojson', mimeType: 'application/geo+json', serialize: toGeoJSON },
+  kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', serialize: toKML }
+};
+
+// Returns { filename, mimeType, content }
+function exportTrip(trip, format) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+  const base = trip.name.replace(/[^\w\u0600-\u06FF-]+/g, '-').replace(/^-+|-+$/g, '') || 'trip';
+  return {
+    filename: `${base}.${spec.extension}`,
+    mimeType: spec.mimeType,
+    content: spec.serialize(trip)
+  };
+}
+
+// Save the export through a temporary download link
+function downloadTrip(trip, format) {
+  const file = exportTrip(trip, format);
+  const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  return file;
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.TripRecorder = TripRecorder;
+  window.TripExport = {
+    toGPX,
+    toGeoJSON,
+    toKML,
+    exportTrip,
+    downloadTrip
+  };
+}
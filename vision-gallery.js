@@ -0,0 +1,108 @@
+/**
+ * vision-gallery.js - Past robot vision photos and what the robot said
+ *
+ * Keeps a small thumbnail of each photo with its description, when it was
+ * taken and where the user was then (from GPS, never from the photo's own
+ * metadata), per user in localStorage. The oldest entries make way when the
+ * gallery is full or storage runs out.
+ */
+
+'use strict';
+
+class VisionGallery {
+  constructor(options = {}) {
+    this.options = {
+      userId: null, // Galleries are kept per user
+      storagePrefix: 'st_vision_',
+      maxEntries: 30,
+      ...options
+    };
+
+    this.entries = this.load(); // Newest first
+  }
+
+  storageKey() {
+    return `${this.options.storagePrefix}${this.options.userId || 'guest'}`;
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey()));
+      if (stored && Array.isArray(stored.entries)) return stored.entries;
+    } catch (error) {
+      console.warn('Ignoring unreadable vision gallery:', error);
+    }
+    return [];
+  }
+
+  // Thumbnails are big for localStorage; drop the oldest until they fit
+  save() {
+    this.entries = this.entries.slice(0, this.options.maxEntries);
+    while (true) {
+      try {
+        localStorage.setItem(this.storageKey(), JSON.stringify({ entries: this.entries }));
+        break;
+      } catch (error) {
+        if (this.entries.length === 0) throw error;
+        console.warn('Vision gallery is full, dropping the oldest photo');
+        this.entries.pop();
+      }
+    }
+    this.emitChange();
+  }
+
+  // photo: { description, thumbnail (data: URL), position: { latitude, longitude, accuracy } | null, takenAt }
+  add(photo) {
+    const takenAt = photo.takenAt || Date.now();
+    const position = photo.position && Number.isFinite(photo.position.latitude) && Number.isFinite(photo.position.longitude)
+      ? { latitude: photo.position.latitude, longitude: photo.position.longitude, accuracy: photo.position.accuracy || null }
+      : null;
+    const entry = {
+      id: `photo-${takenAt}-${Math.random().toString(36).slice(2, 8)}`,
+      description: photo.description || '',
+      thumbnail: photo.thumbnail || null,
+      position,
+      takenAt
+    };
+
+    this.entries.unshift(entry);
+    this.save();
+    return entry;
+  }
+
+  getEntries() {
+    return this.entries.slice();
+  }
+
+  getEntry(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  // The photos that can be pinned on the map
+  getPlaced() {
+    return this.entries.filter(entry => entry.position);
+  }
+
+  remove(id) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    if (this.entries.length !== before) this.save();
+  }
+
+  clear() {
+    this.entries = [];
+    this.save();
+  }
+
+  emitChange() {
+    const event = new CustomEvent('vision-gallery-change', {
+      detail: { entries: this.getEntries() }
+    });
+    window.dispatchEvent(event);
+  }
+}
+
+// Attach to window for global access
+if (typeof window !== 'undefined') {
+  window.VisionGallery = VisionGallery;
+}